@@ -124,6 +124,75 @@ public sealed class BrowserEngineWorkerTransportTests
         Assert.Equal("worker-message-invalid", received?.Payload?.GetProperty("code").GetString());
         await transport.DisposeAsync();
     }
+    [Fact]
+    public async Task Transport_ConfiguresBoundedComputeWorkerPool()
+    {
+        var module = new RecordingModule(new RecordingController());
+        var transport = new BrowserEngineWorkerTransport(
+            new RecordingRuntime(module),
+            computePoolSize: 3);
+        await transport.StartAsync(1, CancellationToken.None);
+        Assert.Equal(3, module.ComputePoolSize);
+        await transport.DisposeAsync();
+        Assert.Throws<ArgumentOutOfRangeException>(() =>
+            new BrowserEngineWorkerTransport(
+                new RecordingRuntime(new RecordingModule(new RecordingController())),
+                computePoolSize: BrowserEngineWorkerTransport.MaximumComputePoolSize + 1));
+
+        var bootstrap = File.ReadAllText(Path.Combine(
+            LocateRepositoryRoot(),
+            "src",
+            "FFXIV Craft Architect.Web",
+            "wwwroot",
+            "engine-worker-bootstrap.js"));
+        Assert.Contains(
+            $"const maximumComputePoolSize = {BrowserEngineWorkerTransport.MaximumComputePoolSize};",
+            bootstrap,
+            StringComparison.Ordinal);
+        Assert.Contains("computePoolSize: computeWorkers.length", bootstrap, StringComparison.Ordinal);
+    }
+    [Fact]
+    public void ProgressFrames_CarryTimingAndReachObserversWithoutPartialSlices()
+    {
+        var progress = new EngineProgress(
+            Guid.NewGuid(),
+            1,
+            Guid.NewGuid(),
+            EnginePhase.Reconciling,
+            3,
+            12,
+            "Optimizing procurement route 10/40...");
+        var started = EngineProgressEstimation.WithTiming(
+            progress with { CompletedWorkUnits = 0 },
+            TimeSpan.FromSeconds(2));
+        Assert.Equal(2000, started.ElapsedMilliseconds);
+        Assert.Null(started.EstimatedRemainingMilliseconds);
+        var timed = EngineProgressEstimation.WithTiming(progress, TimeSpan.FromSeconds(3));
+        Assert.Equal(9000, timed.EstimatedRemainingMilliseconds);
+
+        Assert.True(EngineProgressEstimation.TryReadItemCounter(progress.Message, out var completed, out var total));
+        Assert.Equal((10, 40), (completed, total));
+        Assert.Equal(40 + 55 / 4, EngineProgressEstimation.ScaleToBand(completed, total, 40, 95));
+        Assert.False(EngineProgressEstimation.TryReadItemCounter(
+            "Optimizing procurement route for 40 items...",
+            out _,
+            out _));
+        Assert.False(EngineProgressEstimation.TryReadItemCounter("Analyzing 41/40", out _, out _));
+
+        var bootstrap = File.ReadAllText(Path.Combine(
+            LocateRepositoryRoot(),
+            "src",
+            "FFXIV Craft Architect.Web",
+            "wwwroot",
+            "engine-worker-bootstrap.js"));
+        Assert.Contains("type: \"execution-progress\"", bootstrap, StringComparison.Ordinal);
+        Assert.Contains("kind: \"cross-tab-progress\"", bootstrap, StringComparison.Ordinal);
+        Assert.Contains("progress: { ...progress, partialResult: null }", bootstrap, StringComparison.Ordinal);
+        Assert.Contains(
+            "new CustomEvent(\"craft-architect-engine-worker-progress\"",
+            bootstrap,
+            StringComparison.Ordinal);
+    }
     [Theory]
     [InlineData("")]
     [InlineData("has spaces")]
@@ -332,6 +401,7 @@ public sealed class BrowserEngineWorkerTransportTests
         public string? WorkerUrl { get; private set; }
         public string? WorkspaceId { get; private set; }
         public bool RequestFreshAuthority { get; private set; }
+        public int ComputePoolSize { get; private set; }
         public bool Disposed { get; private set; }
         public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) =>
             InvokeAsync<TValue>(identifier, CancellationToken.None, args);
@@ -345,6 +415,7 @@ public sealed class BrowserEngineWorkerTransportTests
             WorkerUrl = Assert.IsType<string>(args[1]);
             WorkspaceId = Assert.IsType<string>(args[2]);
             RequestFreshAuthority = Assert.IsType<bool>(args[3]);
+            ComputePoolSize = Assert.IsType<int>(args[4]);
             return ValueTask.FromResult((TValue)(object)controller);
         }
         public ValueTask DisposeAsync()
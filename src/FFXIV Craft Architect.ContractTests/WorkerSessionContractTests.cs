@@ -200,7 +200,8 @@ public sealed class WorkerSessionContractTests
                 new HashSet<int> { 42 },
                 FetchedCount: 2,
                 ResetStaging: true,
-                CompleteStaging: false),
+                CompleteStaging: false,
+                RunProgress: new WorkerMarketAnalysisRunProgress(2, 3, 1500)),
             marketOperationId);
         Assert.Equal((true, 2L), (staged.Accepted, staged.Revision));
 
@@ -261,6 +262,51 @@ public sealed class WorkerSessionContractTests
             marketOperationId);
         Assert.True(marketOperationCompleted.Accepted);
 
+        // Ending the operation dropped the interleaved staging it never published.
+        var laterOperationId = Guid.Parse("dddddddd-dddd-dddd-dddd-dddddddddddd");
+        Assert.True((await SendAsync(
+            WorkerSessionCommandKinds.OperationBegin,
+            expectedRevision: 3,
+            new WorkerSessionOperationBeginRequest(
+                laterOperationId,
+                WorkerSessionOperationKind.MarketAnalysis,
+                "market:3",
+                "Analyzing market prices..."),
+            laterOperationId)).Accepted);
+        var droppedStaging = await SendAsync(
+            WorkerSessionCommandKinds.MarketEvidencePublication,
+            expectedRevision: 3,
+            new WorkerMarketEvidencePublicationRequest(
+                Guid.Parse("22222222-2222-2222-2222-222222222222"),
+                3,
+                MarketFetchScope.SelectedDataCenter,
+                "Aether",
+                "North America",
+                MarketAcquisitionLens.MinimumUpfrontCost,
+                [],
+                [],
+                new HashSet<int>(),
+                FetchedCount: 0,
+                CompleteStaging: true),
+            laterOperationId);
+        Assert.Equal((false, "command-rejected"), (droppedStaging.Accepted, droppedStaging.RejectionCode));
+        Assert.Contains("not initialized", droppedStaging.Message, StringComparison.Ordinal);
+        Assert.True((await SendAsync(
+            WorkerSessionCommandKinds.OperationAbort,
+            expectedRevision: 3,
+            new WorkerSessionOperationControlRequest(laterOperationId),
+            laterOperationId)).Accepted);
+
+        var slice = new WorkerMarketEvidenceSlice(Guid.NewGuid(), 2, 4, 9);
+        Assert.Equal(
+            slice,
+            WorkerMarketEvidenceSlice.From(new EnginePartialResult(
+                WorkerMarketEvidenceSlice.Kind,
+                JsonSerializer.SerializeToElement(slice, WireOptions))));
+        Assert.Null(WorkerMarketEvidenceSlice.From(new EnginePartialResult(
+            "market-analysis",
+            JsonSerializer.SerializeToElement(slice, WireOptions))));
+
         var projectionStore = new WorkerProjectionStore();
         Assert.True(projectionStore.TryPublish(staged));
         var browserResult = completed with
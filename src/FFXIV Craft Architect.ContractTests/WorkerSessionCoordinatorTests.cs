@@ -0,0 +1,334 @@
+using System.Text.Json;
+using FFXIV_Craft_Architect.Core.Engine;
+using FFXIV_Craft_Architect.Web.Services;
+using Microsoft.JSInterop;
+
+namespace FFXIV_Craft_Architect.Tests;
+
+public sealed class WorkerSessionCoordinatorTests
+{
+    private static readonly JsonSerializerOptions WireOptions =
+        EngineJsonSerializerOptions.CreateWire();
+
+    [Fact]
+    public async Task UndoAndRedoPublishTheSteppedRevisionWithItsHistoryDepth()
+    {
+        var worker = new ScriptedSessionWorker { Revision = 4, UndoDepth = 1 };
+        await using var engineHost = CreateEngineHost(worker);
+        var store = new WorkerProjectionStore();
+        await using var coordinator = CreateCoordinator(engineHost, store);
+
+        await coordinator.BootstrapAsync();
+        Assert.Equal(4, store.Shell.Revision);
+        Assert.Null(store.History);
+
+        Assert.Equal(new WorkerSessionHistory(1, 0), await coordinator.RefreshHistoryAsync());
+        Assert.Equal(new WorkerSessionHistory(1, 0), store.History);
+
+        Assert.True(await coordinator.UndoAsync());
+        Assert.Equal(5, store.Shell.Revision);
+        Assert.Equal(new WorkerSessionHistory(0, 1), store.History);
+        Assert.Equal(5, store.Recipe?.Revision);
+        Assert.Equal(5, store.Procurement?.Revision);
+
+        Assert.False(await coordinator.UndoAsync());
+        Assert.Equal(5, store.Shell.Revision);
+
+        Assert.True(await coordinator.RedoAsync());
+        Assert.Equal(6, store.Shell.Revision);
+        Assert.Equal(new WorkerSessionHistory(1, 0), store.History);
+        Assert.Equal(
+            ["bootstrap", "workspace-list", "undo", "undo", "redo"],
+            worker.Commands.Where(kind => !kind.EndsWith("-projection", StringComparison.Ordinal)));
+    }
+
+    [Fact]
+    public async Task OpeningAnotherWorkspaceRestartsTheWorkerOnItAndDropsTheOldProjections()
+    {
+        var active = new ScriptedSessionWorker { Revision = 9, UndoDepth = 2 };
+        var other = new ScriptedSessionWorker { Revision = 2 };
+        var module = new ScriptedModule(new Dictionary<string, ScriptedSessionWorker>
+        {
+            ["active"] = active,
+            ["ws-other"] = other
+        });
+        await using var engineHost = CreateEngineHost(module);
+        var store = new WorkerProjectionStore();
+        await using var coordinator = CreateCoordinator(engineHost, store);
+
+        await coordinator.BootstrapAsync();
+        await coordinator.RefreshHistoryAsync();
+        Assert.Equal(9, store.Shell.Revision);
+        Assert.Equal(new WorkerSessionHistory(2, 0), store.History);
+
+        var shell = await coordinator.OpenWorkspaceAsync("ws-other");
+
+        Assert.Equal("ws-other", coordinator.WorkspaceId);
+        Assert.Equal(2, shell?.Revision);
+        Assert.Equal(2, store.Shell.Revision);
+        Assert.Equal(2, store.Recipe?.Revision);
+        Assert.Null(store.History);
+        // The active workspace's leader is healthy, so the switch must not retire it.
+        Assert.Equal([("active", false), ("ws-other", false)], module.Starts);
+        Assert.Equal(
+            ["bootstrap"],
+            other.Commands.Where(kind => !kind.EndsWith("-projection", StringComparison.Ordinal)));
+    }
+
+    [Fact]
+    public async Task AnInvalidSessionFileReportsTheWorkersReasonWithoutAConflictRefresh()
+    {
+        var worker = new ScriptedSessionWorker { Revision = 3 };
+        await using var engineHost = CreateEngineHost(worker);
+        var store = new WorkerProjectionStore();
+        await using var coordinator = CreateCoordinator(engineHost, store);
+        await coordinator.BootstrapAsync();
+
+        var error = await Assert.ThrowsAsync<InvalidDataException>(
+            () => coordinator.ImportSessionFileAsync("{}"));
+
+        Assert.Equal("The file has no session.", error.Message);
+        Assert.Equal(3, store.Shell.Revision);
+        Assert.Equal(["bootstrap", WorkerSessionCommandKinds.SessionFileImport], worker.Commands);
+    }
+
+    [Fact]
+    public void HistoryIsOnlyReportedForTheRevisionItWasReadAt()
+    {
+        var store = new WorkerProjectionStore();
+        Assert.True(store.TryPublishHistory(0, new WorkerSessionHistory(2, 0)));
+        Assert.Equal(new WorkerSessionHistory(2, 0), store.History);
+        Assert.False(store.TryPublishHistory(3, new WorkerSessionHistory(3, 0)));
+
+        Assert.True(store.TryPublishCrossTabShell(store.Shell with { Revision = 3 }));
+        Assert.Null(store.History);
+    }
+
+    private static CraftArchitectEngineHost CreateEngineHost(ScriptedSessionWorker worker) =>
+        CreateEngineHost(new ScriptedModule(new Dictionary<string, ScriptedSessionWorker>
+        {
+            ["active"] = worker
+        }));
+
+    private static CraftArchitectEngineHost CreateEngineHost(ScriptedModule module) =>
+        new(
+            new CraftArchitectEngineCapability(IsExecutionEnabled: true),
+            new ScriptedRuntime(module));
+
+    private static WorkerSessionCoordinator CreateCoordinator(
+        CraftArchitectEngineHost engineHost,
+        WorkerProjectionStore store) =>
+        new(
+            engineHost,
+            store,
+            new CraftArchitectEngineCapability(IsExecutionEnabled: true),
+            marketEvidenceReconciliation: null!,
+            marketCache: null!,
+            universalis: null!);
+
+    /// <summary>
+    /// Answers session commands the way engine-worker.js does for one workspace: undo and
+    /// redo commit a successor revision and report the manifest's remaining depth.
+    /// </summary>
+    private sealed class ScriptedSessionWorker
+    {
+        public long Revision { get; set; }
+        public int UndoDepth { get; set; }
+        public int RedoDepth { get; set; }
+        public List<string> Commands { get; } = [];
+
+        public WorkerSessionResultEnvelope Handle(WorkerSessionCommandEnvelope command)
+        {
+            Commands.Add(command.CommandKind);
+            switch (command.CommandKind)
+            {
+                case "bootstrap":
+                    return Accept(command, Shell(Revision));
+                case WorkerSessionCommandKinds.Undo or WorkerSessionCommandKinds.Redo:
+                    var undo = command.CommandKind == WorkerSessionCommandKinds.Undo;
+                    if ((undo ? UndoDepth : RedoDepth) == 0)
+                    {
+                        return Reject(command, "history-empty");
+                    }
+                    if (command.ExpectedRevision != Revision)
+                    {
+                        return Reject(command, "stale-revision");
+                    }
+                    Revision++;
+                    UndoDepth += undo ? -1 : 1;
+                    RedoDepth += undo ? 1 : -1;
+                    return Accept(command, Shell(Revision)) with
+                    {
+                        History = new WorkerSessionHistory(UndoDepth, RedoDepth)
+                    };
+                case WorkerSessionCommandKinds.SessionFileImport:
+                    return Reject(command, "session-file-invalid", "The file has no session.");
+                case WorkerSessionCommandKinds.WorkspaceList:
+                    return Accept(command, new WorkerWorkspaceListProjection(
+                        "active",
+                        [
+                            new WorkerWorkspaceSummary(
+                                "active",
+                                "Default",
+                                Revision,
+                                UndoDepth,
+                                RedoDepth,
+                                PlanName: "Plan",
+                                ProjectItemCount: 0,
+                                CreatedAtUnixMilliseconds: null,
+                                UpdatedAtUnixMilliseconds: null,
+                                IsCurrent: true)
+                        ]));
+                default:
+                    // Derived projections only need their revision for publication.
+                    return Accept(command, new { revision = Revision, filter = "All" });
+            }
+        }
+
+        private WorkerSessionResultEnvelope Accept<TProjection>(
+            WorkerSessionCommandEnvelope command,
+            TProjection projection) =>
+            new(
+                WorkerSessionProtocol.ContractVersion,
+                command.CommandKind,
+                Revision,
+                Accepted: true,
+                RejectionCode: null,
+                Message: null,
+                JsonSerializer.SerializeToElement(projection, WireOptions));
+
+        private WorkerSessionResultEnvelope Reject(
+            WorkerSessionCommandEnvelope command,
+            string rejectionCode,
+            string? message = null) =>
+            new(
+                WorkerSessionProtocol.ContractVersion,
+                command.CommandKind,
+                Revision,
+                Accepted: false,
+                rejectionCode,
+                message,
+                JsonSerializer.SerializeToElement<object?>(null, WireOptions));
+
+        private static WorkerSessionShellProjection Shell(long revision) =>
+            new WorkerProjectionStore().Shell with
+            {
+                Revision = revision,
+                HasSession = true,
+                PlanName = "Plan"
+            };
+    }
+
+    private sealed class ScriptedRuntime(ScriptedModule module) : IJSRuntime
+    {
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) =>
+            InvokeAsync<TValue>(identifier, CancellationToken.None, args);
+
+        public ValueTask<TValue> InvokeAsync<TValue>(
+            string identifier,
+            CancellationToken cancellationToken,
+            object?[]? args)
+        {
+            Assert.Equal("import", identifier);
+            return ValueTask.FromResult((TValue)(object)module);
+        }
+    }
+
+    /// <summary>
+    /// Starts one controller per Worker start, bound to the scripted worker of the
+    /// requested workspace the way the per-workspace Web Lock binds a real Worker.
+    /// </summary>
+    private sealed class ScriptedModule(IReadOnlyDictionary<string, ScriptedSessionWorker> workspaces)
+        : IJSObjectReference
+    {
+        public List<(string WorkspaceId, bool RequestFreshAuthority)> Starts { get; } = [];
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) =>
+            InvokeAsync<TValue>(identifier, CancellationToken.None, args);
+
+        public ValueTask<TValue> InvokeAsync<TValue>(
+            string identifier,
+            CancellationToken cancellationToken,
+            object?[]? args)
+        {
+            Assert.Equal("createEngineWorkerController", identifier);
+            var workspaceId = Assert.IsType<string>(args![2]);
+            Starts.Add((workspaceId, Assert.IsType<bool>(args[3])));
+            var controller = new ScriptedController(workspaces[workspaceId])
+            {
+                Callback = Assert.IsType<DotNetObjectReference<BrowserEngineWorkerTransport>>(args[0])
+            };
+            return ValueTask.FromResult((TValue)(object)controller);
+        }
+
+        public ValueTask DisposeAsync() => ValueTask.CompletedTask;
+    }
+
+    private sealed class ScriptedController(ScriptedSessionWorker worker) : IJSObjectReference
+    {
+        public DotNetObjectReference<BrowserEngineWorkerTransport>? Callback { get; set; }
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) =>
+            InvokeAsync<TValue>(identifier, CancellationToken.None, args);
+
+        public ValueTask<TValue> InvokeAsync<TValue>(
+            string identifier,
+            CancellationToken cancellationToken,
+            object?[]? args)
+        {
+            switch (identifier)
+            {
+                case "ping":
+                    var generation = Assert.IsType<long>(args![0]);
+                    var capability = new EngineWorkerCapability(
+                        EngineWorkerClient.ProtocolVersion,
+                        generation,
+                        DedicatedWorker: true,
+                        CrossOriginIsolated: false,
+                        SharedArrayBufferAvailable: false,
+                        ThreadsAvailable: false,
+                        ExecutionSupported: true,
+                        ManagedRuntimeReady: true,
+                        ManagedRuntimeAssembly: EngineWorkerClient.ManagedRuntimeAssembly,
+                        ManagedRuntimeProofHash: new string('a', 64),
+                        WorkerInstanceId: "11111111-1111-1111-1111-111111111111");
+                    Reply(new EngineWorkerMessage(
+                        EngineWorkerClient.ProtocolVersion,
+                        "capability",
+                        generation,
+                        null,
+                        null,
+                        JsonSerializer.SerializeToElement(capability, WireOptions)));
+                    break;
+                case "sendJson":
+                    var message = JsonSerializer.Deserialize<EngineWorkerMessage>(
+                        Assert.IsType<string>(args![0]),
+                        WireOptions)!;
+                    if (message.Kind == WorkerSessionProtocol.CommandMessageKind)
+                    {
+                        var command = message.Payload!.Value
+                            .Deserialize<WorkerSessionCommandEnvelope>(WireOptions)!;
+                        Reply(message with
+                        {
+                            Kind = WorkerSessionProtocol.ResultMessageKind,
+                            Payload = JsonSerializer.SerializeToElement(
+                                worker.Handle(command),
+                                WireOptions)
+                        });
+                    }
+                    break;
+                case "terminate":
+                    break;
+                default:
+                    throw new InvalidOperationException($"Unexpected controller invocation '{identifier}'.");
+            }
+            return ValueTask.FromResult(default(TValue)!);
+        }
+
+        public ValueTask DisposeAsync() => ValueTask.CompletedTask;
+
+        private void Reply(EngineWorkerMessage message) =>
+            Callback!.Value.ReceiveMessageJson(
+                JsonSerializer.Serialize(message, WireOptions)).GetAwaiter().GetResult();
+    }
+}
@@ -1,5 +1,6 @@
 using System.Collections.Frozen;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 using System.Text.Json.Serialization;
 
 namespace FFXIV_Craft_Architect.Core.Engine;
@@ -105,7 +106,18 @@ public sealed record EngineProgress(
     EnginePhase Phase,
     int CompletedWorkUnits,
     int TotalWorkUnits,
-    string Message);
+    string Message,
+    long? ElapsedMilliseconds = null,
+    long? EstimatedRemainingMilliseconds = null,
+    EnginePartialResult? PartialResult = null);
+
+/// <summary>
+/// A finished slice of a computation that is still running, e.g. the market analysis
+/// of a request that goes on to route procurement. A caller that cancels may accept it.
+/// </summary>
+public sealed record EnginePartialResult(
+    string Kind,
+    JsonElement Slice);
 
 public sealed record EngineExecutionTransportCapability(
     EngineExecutionTransportKind Kind,
@@ -326,3 +338,51 @@ public static class EnginePhaseValidation
             EngineCanonicalHash.Compute("The engine transaction was cancelled before persistence committed."),
             StringComparison.Ordinal);
 }
+
+public static partial class EngineProgressEstimation
+{
+    /// <summary>
+    /// Reads the "completed/total" counter that item loops put in their progress text,
+    /// e.g. "Optimizing procurement route 3/40...".
+    /// </summary>
+    public static bool TryReadItemCounter(string? message, out int completed, out int total)
+    {
+        var match = message is null ? null : ItemCounter().Match(message);
+        if (match is { Success: true } &&
+            int.TryParse(match.Groups["completed"].ValueSpan, out completed) &&
+            int.TryParse(match.Groups["total"].ValueSpan, out total) &&
+            total > 0 &&
+            completed <= total)
+        {
+            return true;
+        }
+        completed = 0;
+        total = 0;
+        return false;
+    }
+
+    /// <summary>
+    /// Places an item counter inside the [first, last] work-unit band of one phase.
+    /// </summary>
+    public static int ScaleToBand(int completed, int total, int first, int last) =>
+        first + (int)((long)(last - first) * completed / total);
+
+    // Linear over completed work units; there is no estimate until one unit completes.
+    public static EngineProgress WithTiming(EngineProgress progress, TimeSpan elapsed)
+    {
+        var elapsedMilliseconds = Math.Max(0L, (long)elapsed.TotalMilliseconds);
+        long? remainingMilliseconds = progress.CompletedWorkUnits > 0
+            ? elapsedMilliseconds *
+                (progress.TotalWorkUnits - progress.CompletedWorkUnits) /
+                progress.CompletedWorkUnits
+            : null;
+        return progress with
+        {
+            ElapsedMilliseconds = elapsedMilliseconds,
+            EstimatedRemainingMilliseconds = remainingMilliseconds
+        };
+    }
+
+    [GeneratedRegex(@"(?<completed>\d+)/(?<total>\d+)")]
+    private static partial Regex ItemCounter();
+}
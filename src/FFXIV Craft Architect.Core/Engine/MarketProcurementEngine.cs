@@ -89,6 +89,7 @@ public sealed class ReferenceMarketProcurementEngine : IMarketProcurementEngine
             cancellationToken.ThrowIfCancellationRequested();
 
             MarketAnalysisExecutionResult? analysis = null;
+            EngineAnalysisSemanticSnapshot? analysisSnapshot = null;
             if (input.MarketAnalysis is not null)
             {
                 phase = EnginePhase.ResolvingEvidence;
@@ -96,6 +97,16 @@ public sealed class ReferenceMarketProcurementEngine : IMarketProcurementEngine
                 phase = EnginePhase.Analyzing;
                 analysis = await _marketAnalysis.ExecuteAsync(input.MarketAnalysis, ct: cancellationToken);
                 computationEvidence["phase:Analyzing"] = "complete";
+                analysisSnapshot = _snapshots.CaptureAnalysis(analysis);
+                if (input.ProcurementRoute is not null)
+                {
+                    Report(progress, generation, executionId, request, phase, 4, 12, "Market analysis complete.",
+                        new EnginePartialResult(
+                            "market-analysis",
+                            JsonSerializer.SerializeToElement(
+                                analysisSnapshot,
+                                EngineJsonSerializerOptions.CreateWire())));
+                }
             }
 
             ProcurementRouteExecutionResult? route = null;
@@ -103,10 +114,19 @@ public sealed class ReferenceMarketProcurementEngine : IMarketProcurementEngine
             {
                 phase = EnginePhase.Reconciling;
                 Report(progress, generation, executionId, request, phase, 5, 12, "Reconciling procurement evidence.");
+                var routeCompleted = 5;
                 var routeProgress = progress is null
                     ? null
                     : new SynchronousProgress<string>(message =>
-                        Report(progress, generation, executionId, request, phase, 5, 12, message));
+                    {
+                        if (EngineProgressEstimation.TryReadItemCounter(message, out var completed, out var total))
+                        {
+                            routeCompleted = Math.Max(
+                                routeCompleted,
+                                EngineProgressEstimation.ScaleToBand(completed, total, 5, 11));
+                        }
+                        Report(progress, generation, executionId, request, phase, routeCompleted, 12, message);
+                    });
                 route = await _procurementRoute.AnalyzeAsync(
                     input.ProcurementRoute,
                     routeProgress,
@@ -115,7 +135,6 @@ public sealed class ReferenceMarketProcurementEngine : IMarketProcurementEngine
                 computationEvidence["phase:Reconciling"] = "complete";
             }
 
-            var analysisSnapshot = analysis is null ? null : _snapshots.CaptureAnalysis(analysis);
             var routeSnapshot = route is null ? null : _snapshots.CaptureRoute(route);
             analysisHash = analysisSnapshot is null ? string.Empty : EngineSemanticSnapshotHash.Analysis(analysisSnapshot);
             routeHash = routeSnapshot is null ? string.Empty : EngineSemanticSnapshotHash.Route(routeSnapshot);
@@ -285,8 +304,17 @@ public sealed class ReferenceMarketProcurementEngine : IMarketProcurementEngine
         EnginePhase phase,
         int completed,
         int total,
-        string message) =>
-        progress?.Report(new EngineProgress(request.TransactionId, generation, executionId, phase, completed, total, message));
+        string message,
+        EnginePartialResult? partialResult = null) =>
+        progress?.Report(new EngineProgress(
+            request.TransactionId,
+            generation,
+            executionId,
+            phase,
+            completed,
+            total,
+            message,
+            PartialResult: partialResult));
 
     private sealed class SynchronousProgress<T>(Action<T> report) : IProgress<T>
     {
@@ -177,6 +177,8 @@ public class CacheStats
     public DateTime? OldestEntry { get; set; }
     public DateTime? NewestEntry { get; set; }
     public long ApproximateSizeBytes { get; set; }
+    public long? StorageUsageBytes { get; set; }
+    public long? StorageQuotaBytes { get; set; }
 
     public override string ToString() =>
         $"{ValidEntries} valid, {StaleEntries} stale (total: {TotalEntries})";
@@ -712,9 +712,9 @@ public partial class TradeOrders
 
         var order = _selectedOrder;
         var confirmed = await DialogService.ShowMessageBox(
-            "Delete Order Permanently",
-            $"Delete '{order.Title}' and its linked payroll draft, generated craft plan, and Discord publication? This cannot be undone.",
-            yesText: "Delete Permanently",
+            "Delete Order",
+            $"Delete '{order.Title}' and its linked payroll draft, generated craft plan, and Discord publication? The order and its craft plan stay in the recycle bin for 30 days; the payroll draft and Discord publication cannot be restored.",
+            yesText: "Delete",
             cancelText: "Keep Order");
         if (confirmed != true)
         {
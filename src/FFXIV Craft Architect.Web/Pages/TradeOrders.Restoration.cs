@@ -222,6 +222,38 @@ public partial class TradeOrders
             .ToList();
     }
 
+    private void OnStorageChanged(BrowserStorageChange change)
+    {
+        if (_isDisposed ||
+            !string.Equals(change.Store, BrowserStorageChangeFeed.TradeOrdersStore, StringComparison.Ordinal))
+        {
+            return;
+        }
+
+        _ = InvokeAsync(() => ApplyOrdersChangedInOtherTabAsync(change));
+    }
+
+    private async Task ApplyOrdersChangedInOtherTabAsync(BrowserStorageChange change)
+    {
+        if (_isDisposed || _companyProfile == null)
+        {
+            return;
+        }
+
+        _orders = (await TradeOperationsPersistence.LoadOrdersAsync(_companyProfile.Id)).ToList();
+        // Local edits in progress win; the list still refreshes around them.
+        if (_selectedOrder is { } selected &&
+            (change.IsClear || change.Ids.Contains(selected.Id.ToString("D"))) &&
+            !OwnsSelectedWorkspaceWorkingState() &&
+            _orders.FirstOrDefault(order => order.Id == selected.Id) is { } refreshed)
+        {
+            var selectedTab = _activeOpsTab;
+            SelectOrder(refreshed);
+            _activeOpsTab = selectedTab;
+        }
+        StateHasChanged();
+    }
+
     private void OnArchiveSummariesChanged()
     {
         if (_isDisposed)
@@ -320,6 +320,7 @@ public partial class TradeOrders
         ArchiveSummaries.Changed += OnArchiveSummariesChanged;
         ProfileSync.StatusChanged += OnProfileSyncStatusChanged;
         WorkerProjections.Changed += OnWorkerProjectionChangedForPlanRestoration;
+        StorageChanges.Changed += OnStorageChanged;
         var notificationNavigation = TradeOrderNotificationNavigation.Parse(
             NavigationManager.ToAbsoluteUri(NavigationManager.Uri));
         _pendingNotificationNavigation = notificationNavigation.HasHint
@@ -415,6 +416,7 @@ public partial class TradeOrders
         ArchiveSummaries.Changed -= OnArchiveSummariesChanged;
         ProfileSync.StatusChanged -= OnProfileSyncStatusChanged;
         WorkerProjections.Changed -= OnWorkerProjectionChangedForPlanRestoration;
+        StorageChanges.Changed -= OnStorageChanged;
         if (_tradeOrdersLayoutRegistration != null)
         {
             await _tradeOrdersLayoutRegistration.InvokeVoidAsync("dispose");
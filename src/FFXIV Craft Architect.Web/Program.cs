@@ -127,6 +127,7 @@ builder.Services.AddScoped<ILodestoneCrafterLookupService>(sp =>
 
 // Register IndexedDB service for browser persistence
 builder.Services.AddScoped<IndexedDbService>();
+builder.Services.AddScoped<BrowserStorageChangeFeed>();
 
 await builder.Build().RunAsync();
 
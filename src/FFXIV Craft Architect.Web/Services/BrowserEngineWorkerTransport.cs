@@ -10,9 +10,12 @@ public sealed class BrowserEngineWorkerTransport : IEngineWorkerTransport
     private const string DefaultWorkspaceId = "active";
     private const string DefaultWorkerUrl = "engine-worker.js?v=2";
     private const int MaximumWorkerMessageCharacters = 16 * 1024 * 1024;
+    public const int MaximumComputePoolSize = 4;
     private readonly IJSRuntime _jsRuntime;
     private readonly string _workerUrl;
-    private readonly string _workspaceId;
+    private string _workspaceId;
+    private string? _startedWorkspaceId;
+    private readonly int _computePoolSize;
     private readonly SemaphoreSlim _lifecycle = new(1, 1);
     private readonly object _sync = new();
     private IJSObjectReference? _module;
@@ -26,17 +29,44 @@ public sealed class BrowserEngineWorkerTransport : IEngineWorkerTransport
     public BrowserEngineWorkerTransport(
         IJSRuntime jsRuntime,
         string workerUrl = DefaultWorkerUrl,
-        string workspaceId = DefaultWorkspaceId)
+        string workspaceId = DefaultWorkspaceId,
+        int computePoolSize = 0)
     {
         _jsRuntime = jsRuntime ?? throw new ArgumentNullException(nameof(jsRuntime));
         _workerUrl = string.IsNullOrWhiteSpace(workerUrl)
             ? throw new ArgumentException("A Worker URL is required.", nameof(workerUrl))
             : workerUrl;
         _workspaceId = NormalizeWorkspaceId(workspaceId);
+        _computePoolSize = computePoolSize is >= 0 and <= MaximumComputePoolSize
+            ? computePoolSize
+            : throw new ArgumentOutOfRangeException(
+                nameof(computePoolSize),
+                $"A compute Worker pool holds 0-{MaximumComputePoolSize} Workers.");
     }
 
     public event EventHandler<EngineWorkerMessage>? MessageReceived;
 
+    public string WorkspaceId => _workspaceId;
+
+    /// <summary>
+    /// Bind the next start to another workspace. A running Worker keeps its workspace
+    /// until it is terminated.
+    /// </summary>
+    public async Task SelectWorkspaceAsync(string workspaceId, CancellationToken cancellationToken)
+    {
+        var normalized = NormalizeWorkspaceId(workspaceId);
+        await _lifecycle.WaitAsync(cancellationToken);
+        try
+        {
+            ObjectDisposedException.ThrowIf(_disposed, this);
+            _workspaceId = normalized;
+        }
+        finally
+        {
+            _lifecycle.Release();
+        }
+    }
+
     public async Task<EngineWorkerCapability> StartAsync(long generation, CancellationToken cancellationToken)
     {
         if (generation <= 0)
@@ -61,14 +91,18 @@ public sealed class BrowserEngineWorkerTransport : IEngineWorkerTransport
             }
             _callback ??= DotNetObjectReference.Create(this);
             _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>("import", cancellationToken, ModulePath);
+            // Fresh authority retires a failed Worker of the same workspace; after a
+            // workspace switch the other workspace's leader is healthy and stays.
             _controller = await _module.InvokeAsync<IJSObjectReference>(
                 "createEngineWorkerController",
                 cancellationToken,
                 _callback,
                 _workerUrl,
                 _workspaceId,
-                _requestFreshAuthorityOnNextStart);
+                _requestFreshAuthorityOnNextStart && _startedWorkspaceId == _workspaceId,
+                _computePoolSize);
             _requestFreshAuthorityOnNextStart = false;
+            _startedWorkspaceId = _workspaceId;
             startupTask = _startup.Task;
             await _controller.InvokeVoidAsync("ping", cancellationToken, generation);
         }
@@ -5,7 +5,7 @@ namespace FFXIV_Craft_Architect.Web.Services;
 
 public sealed class BrowserFileExportService
 {
-    private const string ModulePath = "./fileExport.js?v=diagnostic-download-2";
+    private const string ModulePath = "./fileExport.js?v=session-file-1";
 
     private readonly IJSRuntime _jsRuntime;
     private Task<IJSObjectReference>? _moduleTask;
@@ -58,6 +58,137 @@ public sealed class BrowserFileExportService
             key);
     }
 
+    /// <summary>
+    /// Exports every Craft Architect database and saves the archive without passing it
+    /// through .NET.
+    /// </summary>
+    public async Task<BrowserFileSaveResult> SaveBrowserBackupAsync(
+        string fileName,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(fileName);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<BrowserFileSaveResult>(
+            "saveBrowserBackup",
+            cancellationToken,
+            fileName);
+    }
+
+    /// <summary>
+    /// Lets the user pick a browser backup and validates it without writing. A valid
+    /// backup is held under <paramref name="key"/> until it is restored or discarded.
+    /// </summary>
+    public async Task<BrowserBackupRestorePreparation> PrepareBrowserBackupRestoreAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(key);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<BrowserBackupRestorePreparation>(
+            "prepareBrowserBackupRestore",
+            cancellationToken,
+            key);
+    }
+
+    public async Task<BrowserBackupReport> RestorePreparedBrowserBackupAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(key);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<BrowserBackupReport>(
+            "restorePreparedBrowserBackup",
+            cancellationToken,
+            key);
+    }
+
+    public async Task DiscardPreparedBrowserBackupAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await GetModuleAsync(cancellationToken);
+        await module.InvokeVoidAsync(
+            "discardPreparedBrowserBackup",
+            cancellationToken,
+            key);
+    }
+
+    public async Task<BrowserFileSaveResult> SaveSettingsProfileAsync(
+        string fileName,
+        string profileName,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(fileName);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<BrowserFileSaveResult>(
+            "saveSettingsProfile",
+            cancellationToken,
+            fileName,
+            profileName);
+    }
+
+    /// <summary>
+    /// Lets the user pick a settings profile file and validates it without writing.
+    /// A valid profile is held under <paramref name="key"/> until it is imported or discarded.
+    /// </summary>
+    public async Task<SettingsProfileImportPreparation> PrepareSettingsProfileImportAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(key);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<SettingsProfileImportPreparation>(
+            "prepareSettingsProfileImport",
+            cancellationToken,
+            key);
+    }
+
+    public async Task<SettingsProfileReport> ImportPreparedSettingsProfileAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(key);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<SettingsProfileReport>(
+            "importPreparedSettingsProfile",
+            cancellationToken,
+            key);
+    }
+
+    public async Task DiscardPreparedSettingsProfileAsync(
+        string key,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await GetModuleAsync(cancellationToken);
+        await module.InvokeVoidAsync(
+            "discardPreparedSettingsProfile",
+            cancellationToken,
+            key);
+    }
+
+    /// <summary>
+    /// Lets the user pick a file and returns its text, e.g. an engine session file for
+    /// <see cref="WorkerSessionCoordinator.ImportSessionFileAsync"/>.
+    /// </summary>
+    public async Task<BrowserPickedTextFile> PickTextFileAsync(
+        string accept,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(accept);
+
+        var module = await GetModuleAsync(cancellationToken);
+        return await module.InvokeAsync<BrowserPickedTextFile>(
+            "pickTextFile",
+            cancellationToken,
+            accept);
+    }
+
     private Task<IJSObjectReference> GetModuleAsync(CancellationToken cancellationToken)
     {
         _moduleTask ??= _jsRuntime
@@ -75,3 +206,37 @@ public sealed record BrowserFileSaveResult(
 {
     public bool Completed => !Canceled;
 }
+
+public sealed record BrowserPickedTextFile(
+    bool Canceled,
+    string? FileName,
+    string? Content);
+
+public sealed class BrowserBackupRestorePreparation
+{
+    public bool Canceled { get; set; }
+    public string? FileName { get; set; }
+    public BrowserBackupReport? Report { get; set; }
+}
+
+public sealed class SettingsProfileImportPreparation
+{
+    public bool Canceled { get; set; }
+    public string? FileName { get; set; }
+    public SettingsProfileReport? Report { get; set; }
+}
+
+/// <summary>
+/// Validation or import outcome for a settings profile file. Only portable settings
+/// are listed in <see cref="Keys"/>; skipped entries are explained in <see cref="Warnings"/>.
+/// </summary>
+public sealed class SettingsProfileReport
+{
+    public bool Valid { get; set; }
+    public bool Imported { get; set; }
+    public string? Name { get; set; }
+    public int? FormatVersion { get; set; }
+    public List<string> Errors { get; set; } = [];
+    public List<string> Warnings { get; set; } = [];
+    public List<string> Keys { get; set; } = [];
+}
@@ -0,0 +1,112 @@
+using Microsoft.JSInterop;
+
+namespace FFXIV_Craft_Architect.Web.Services;
+
+/// <summary>
+/// Relays IndexedDB writes committed by other browser tabs so open lists can refresh
+/// without a reload. The browser never echoes a tab's own writes back to it.
+/// </summary>
+public sealed class BrowserStorageChangeFeed : IAsyncDisposable
+{
+    public const string PlansStore = "plans";
+    public const string SettingsStore = "settings";
+    public const string TradeOrdersStore = "tradeOrders";
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger<BrowserStorageChangeFeed>? _logger;
+    private readonly SemaphoreSlim _lifecycle = new(1, 1);
+    private DotNetObjectReference<BrowserStorageChangeFeed>? _callback;
+    private int? _subscriptionId;
+    private bool _disposed;
+
+    public BrowserStorageChangeFeed(
+        IJSRuntime jsRuntime,
+        ILogger<BrowserStorageChangeFeed>? logger = null)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    public event Action<BrowserStorageChange>? Changed;
+
+    public async Task StartAsync()
+    {
+        await _lifecycle.WaitAsync();
+        try
+        {
+            if (_disposed || _subscriptionId.HasValue)
+            {
+                return;
+            }
+
+            _callback ??= DotNetObjectReference.Create(this);
+            _subscriptionId = await _jsRuntime.InvokeAsync<int>(
+                "IndexedDB.subscribeStorageChanges",
+                _callback,
+                nameof(ReceiveStorageChange));
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogWarning(ex, "Failed to subscribe to cross-tab storage changes");
+        }
+        finally
+        {
+            _lifecycle.Release();
+        }
+    }
+
+    [JSInvokable]
+    public Task ReceiveStorageChange(BrowserStorageChange change)
+    {
+        if (!_disposed && !string.IsNullOrWhiteSpace(change.Store))
+        {
+            Changed?.Invoke(change);
+        }
+        return Task.CompletedTask;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _lifecycle.WaitAsync();
+        try
+        {
+            if (_disposed)
+            {
+                return;
+            }
+            _disposed = true;
+            if (_subscriptionId is int subscriptionId)
+            {
+                try
+                {
+                    await _jsRuntime.InvokeAsync<bool>(
+                        "IndexedDB.unsubscribeStorageChanges",
+                        subscriptionId);
+                }
+                catch (JSDisconnectedException)
+                {
+                }
+                _subscriptionId = null;
+            }
+            _callback?.Dispose();
+            _callback = null;
+        }
+        finally
+        {
+            _lifecycle.Release();
+        }
+    }
+}
+
+/// <summary>
+/// One committed write from another tab. A "clear" change carries no ids and means
+/// the whole store should be reloaded.
+/// </summary>
+public sealed class BrowserStorageChange
+{
+    public string Store { get; set; } = string.Empty;
+    public List<string> Ids { get; set; } = [];
+    public string Kind { get; set; } = string.Empty;
+
+    public bool IsClear => string.Equals(Kind, "clear", StringComparison.Ordinal);
+}
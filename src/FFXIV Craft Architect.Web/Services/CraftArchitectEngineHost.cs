@@ -4,7 +4,16 @@ using Microsoft.JSInterop;
 
 namespace FFXIV_Craft_Architect.Web.Services;
 
-public sealed record CraftArchitectEngineCapability(bool IsExecutionEnabled);
+/// <summary>
+/// Engine configuration. <see cref="ComputePoolSize"/> stateless Workers run computations
+/// beside the session Worker; zero runs them on the session Worker. Each pooled Worker
+/// starts its own .NET runtime, so the pool is off unless configured. Only procurement
+/// executions with embedded market evidence run on the pool; market analysis needs the
+/// session Worker's market cache and still queues there behind other session commands.
+/// </summary>
+public sealed record CraftArchitectEngineCapability(
+    bool IsExecutionEnabled,
+    int ComputePoolSize = 0);
 
 public enum EngineCommandPriority
 {
@@ -30,6 +39,7 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
     private readonly object _sessionSync = new();
     private readonly Dictionary<Guid, TaskCompletionSource<WorkerSessionResultEnvelope>>
         _pendingSessionCommands = [];
+    private readonly Dictionary<Guid, IProgress<EngineProgress>> _sessionCommandProgress = [];
     private readonly Queue<QueuedCommand>[] _queues =
         Enum.GetValues<EngineCommandPriority>()
             .Select(_ => new Queue<QueuedCommand>())
@@ -43,7 +53,9 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
     {
         _capability = capability ?? throw new ArgumentNullException(nameof(capability));
         ArgumentNullException.ThrowIfNull(jsRuntime);
-        _workerTransport = new BrowserEngineWorkerTransport(jsRuntime);
+        _workerTransport = new BrowserEngineWorkerTransport(
+            jsRuntime,
+            computePoolSize: _capability.ComputePoolSize);
         _workerTransport.MessageReceived += OnWorkerMessageReceived;
         _client = new EngineWorkerClient(
             _workerTransport,
@@ -56,6 +68,8 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
 
     public event EventHandler<WorkerSessionShellProjection>? CrossTabSessionProjectionReceived;
 
+    public event EventHandler<WorkerCrossTabProgress>? CrossTabProgressReceived;
+
     public Task RestartAsync(CancellationToken cancellationToken = default) =>
         EnqueueAsync(
             EngineCommandPriority.Maintenance,
@@ -66,6 +80,25 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
             },
             cancellationToken);
 
+    public string WorkspaceId => _workerTransport.WorkspaceId;
+
+    /// <summary>
+    /// Bind the engine to another workspace. The running Worker is retired and the next
+    /// command starts one on the selected workspace's durable session.
+    /// </summary>
+    public Task SwitchWorkspaceAsync(
+        string workspaceId,
+        CancellationToken cancellationToken = default) =>
+        EnqueueAsync(
+            EngineCommandPriority.Maintenance,
+            async token =>
+            {
+                await _workerTransport.SelectWorkspaceAsync(workspaceId, token);
+                await _client.ForceTerminateAndRestartAsync(token);
+                return true;
+            },
+            cancellationToken);
+
     public Task<WorkerSessionResultEnvelope> BootstrapSessionAsync(
         CancellationToken cancellationToken = default) =>
         EnqueueSessionCommandAsync(
@@ -147,6 +180,62 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
             cancellationToken,
             operationId);
 
+    public Task<WorkerSessionResultEnvelope> UndoSessionAsync(
+        long expectedRevision,
+        CancellationToken cancellationToken = default) =>
+        EnqueueSessionCommandAsync(
+            WorkerSessionCommandKinds.Undo,
+            expectedRevision,
+            new { },
+            EngineCommandPriority.Interactive,
+            cancellationToken);
+
+    public Task<WorkerSessionResultEnvelope> RedoSessionAsync(
+        long expectedRevision,
+        CancellationToken cancellationToken = default) =>
+        EnqueueSessionCommandAsync(
+            WorkerSessionCommandKinds.Redo,
+            expectedRevision,
+            new { },
+            EngineCommandPriority.Interactive,
+            cancellationToken);
+
+    public Task<WorkerSessionResultEnvelope> ExportSessionFileAsync(
+        long expectedRevision,
+        CancellationToken cancellationToken = default) =>
+        EnqueueSessionCommandAsync(
+            WorkerSessionCommandKinds.SessionFileExport,
+            expectedRevision,
+            new { },
+            EngineCommandPriority.Interactive,
+            cancellationToken);
+
+    public Task<WorkerSessionResultEnvelope> ImportSessionFileAsync(
+        long expectedRevision,
+        WorkerSessionFileImportRequest request,
+        CancellationToken cancellationToken = default) =>
+        EnqueueSessionCommandAsync(
+            WorkerSessionCommandKinds.SessionFileImport,
+            expectedRevision,
+            request,
+            EngineCommandPriority.Persistence,
+            cancellationToken);
+
+    /// <summary>
+    /// Workspace commands run in engine-worker.js against every workspace's manifest,
+    /// so they ignore the session revision.
+    /// </summary>
+    public Task<WorkerSessionResultEnvelope> ExecuteWorkspaceCommandAsync(
+        string commandKind,
+        WorkerWorkspaceRequest? request,
+        CancellationToken cancellationToken = default) =>
+        EnqueueSessionCommandAsync(
+            commandKind,
+            expectedRevision: 0,
+            (object?)request ?? new { },
+            EngineCommandPriority.Interactive,
+            cancellationToken);
+
     public Task<WorkerSessionResultEnvelope> ExportSessionAsync(
         long expectedRevision,
         WorkerSessionExportRequest request,
@@ -258,14 +347,16 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         long expectedRevision,
         WorkerMarketAnalysisRequest request,
         CancellationToken cancellationToken = default,
-        Guid? operationId = null) =>
+        Guid? operationId = null,
+        IProgress<EngineProgress>? progress = null) =>
         EnqueueSessionCommandAsync(
             WorkerSessionCommandKinds.MarketAnalysisRun,
             expectedRevision,
             request,
             EngineCommandPriority.UserRequestedDerivation,
             cancellationToken,
-            operationId);
+            operationId,
+            progress);
 
     public Task<WorkerSessionResultEnvelope> PublishMarketEvidenceAsync(
         long expectedRevision,
@@ -284,14 +375,16 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         long expectedRevision,
         WorkerMarketEvidencePublicationRequest request,
         CancellationToken cancellationToken = default,
-        Guid? operationId = null) =>
+        Guid? operationId = null,
+        IProgress<EngineProgress>? progress = null) =>
         EnqueueSessionCommandAsync(
             WorkerSessionCommandKinds.MarketEvidencePublicationStage,
             expectedRevision,
             request,
             EngineCommandPriority.UserRequestedDerivation,
             cancellationToken,
-            operationId);
+            operationId,
+            progress);
 
     public Task<WorkerSessionResultEnvelope> ApplyMarketLensAsync(
         long expectedRevision,
@@ -359,14 +452,16 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         long expectedRevision,
         WorkerProcurementRequest request,
         CancellationToken cancellationToken = default,
-        Guid? operationId = null) =>
+        Guid? operationId = null,
+        IProgress<EngineProgress>? progress = null) =>
         EnqueueSessionCommandAsync(
             WorkerSessionCommandKinds.ProcurementRun,
             expectedRevision,
             request,
             EngineCommandPriority.UserRequestedDerivation,
             cancellationToken,
-            operationId);
+            operationId,
+            progress);
 
     public Task<WorkerSessionResultEnvelope> SelectProcurementToleranceAsync(
         long expectedRevision,
@@ -387,7 +482,8 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         TPayload payload,
         EngineCommandPriority priority,
         CancellationToken cancellationToken,
-        Guid? operationId = null)
+        Guid? operationId = null,
+        IProgress<EngineProgress>? progress = null)
     {
         ObjectDisposedException.ThrowIf(_disposed, this);
         if (!_capability.IsExecutionEnabled)
@@ -401,7 +497,8 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
                 expectedRevision,
                 payload,
                 token,
-                operationId),
+                operationId,
+                progress),
             cancellationToken);
     }
 
@@ -410,7 +507,8 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         long expectedRevision,
         TPayload payload,
         CancellationToken cancellationToken,
-        Guid? operationId)
+        Guid? operationId,
+        IProgress<EngineProgress>? progress)
     {
         var capability = await _client.StartAsync(cancellationToken);
         if (!capability.ExecutionSupported)
@@ -424,6 +522,10 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         lock (_sessionSync)
         {
             _pendingSessionCommands.Add(commandId, completion);
+            if (progress is not null)
+            {
+                _sessionCommandProgress.Add(commandId, progress);
+            }
         }
 
         var command = new WorkerSessionCommandEnvelope(
@@ -457,6 +559,9 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         }
         catch when (
             string.Equals(commandKind, "replace", StringComparison.Ordinal) ||
+            commandKind is WorkerSessionCommandKinds.Undo
+                or WorkerSessionCommandKinds.Redo
+                or WorkerSessionCommandKinds.SessionFileImport ||
             WorkerSessionCommandKinds.IsMutation(commandKind))
         {
             // A replacement mutates managed Worker state before IndexedDB commits its
@@ -471,6 +576,7 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
             lock (_sessionSync)
             {
                 _pendingSessionCommands.Remove(commandId);
+                _sessionCommandProgress.Remove(commandId);
             }
         }
     }
@@ -492,9 +598,36 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
             return;
         }
 
+        if (string.Equals(message.Kind, "cross-tab-progress", StringComparison.Ordinal))
+        {
+            try
+            {
+                if (message.Payload?.Deserialize<WorkerCrossTabProgress>(
+                        EngineJsonSerializerOptions.CreateWire()) is { Progress: not null } crossTabProgress)
+                {
+                    CrossTabProgressReceived?.Invoke(this, crossTabProgress);
+                }
+            }
+            catch (JsonException)
+            {
+                // Another tab's progress is advisory; a malformed frame is dropped.
+            }
+            return;
+        }
+
         if (message.ExecutionId is not { } commandId ||
-            message.TransactionId != commandId ||
-            message.Kind is not (WorkerSessionProtocol.ResultMessageKind or "protocol-error"))
+            message.TransactionId != commandId)
+        {
+            return;
+        }
+
+        if (string.Equals(message.Kind, "progress", StringComparison.Ordinal))
+        {
+            ReportSessionCommandProgress(commandId, message);
+            return;
+        }
+
+        if (message.Kind is not (WorkerSessionProtocol.ResultMessageKind or "protocol-error"))
         {
             return;
         }
@@ -529,6 +662,34 @@ public sealed class CraftArchitectEngineHost : IAsyncDisposable
         }
     }
 
+    private void ReportSessionCommandProgress(Guid commandId, EngineWorkerMessage message)
+    {
+        IProgress<EngineProgress>? progress;
+        lock (_sessionSync)
+        {
+            _sessionCommandProgress.TryGetValue(commandId, out progress);
+        }
+        if (progress is null)
+        {
+            return;
+        }
+
+        try
+        {
+            if (message.Payload?.Deserialize<EngineProgress>(
+                    EngineJsonSerializerOptions.CreateWire()) is { TotalWorkUnits: > 0 } frame &&
+                frame.CompletedWorkUnits >= 0 &&
+                frame.CompletedWorkUnits <= frame.TotalWorkUnits)
+            {
+                progress.Report(frame);
+            }
+        }
+        catch (JsonException)
+        {
+            // Progress is advisory; the command's result still settles it.
+        }
+    }
+
     private Task<T> EnqueueAsync<T>(
         EngineCommandPriority priority,
         Func<CancellationToken, Task<T>> action,
@@ -1,3 +1,4 @@
+using System.Diagnostics;
 using System.Runtime.InteropServices.JavaScript;
 using System.Runtime.Versioning;
 using System.Text.Json;
@@ -84,6 +85,7 @@ public static partial class ManagedHost
 
         try
         {
+            var elapsed = Stopwatch.StartNew();
             var progress = new SynchronousProgress<EngineProgress>(value =>
                 PostMessage(new EngineWorkerMessage(
                     ProtocolVersion,
@@ -91,7 +93,9 @@ public static partial class ManagedHost
                     message.Generation,
                     executionId,
                     transactionId,
-                    JsonSerializer.SerializeToElement(value, WireJsonOptions))));
+                    JsonSerializer.SerializeToElement(
+                        EngineProgressEstimation.WithTiming(value, elapsed.Elapsed),
+                        WireJsonOptions))));
             var result = await Engine.ComputeAsync(
                 executionRequest.HostGeneration,
                 executionId,
@@ -29,7 +29,9 @@ public sealed record EngineWorkerCapability(
     bool ManagedRuntimeReady = false,
     string? ManagedRuntimeAssembly = null,
     string? ManagedRuntimeProofHash = null,
-    string? WorkerInstanceId = null);
+    string? WorkerInstanceId = null,
+    string WorkerRole = "session",
+    int ComputePoolSize = 0);
 
 public sealed record EngineWorkerMessage(
     string ProtocolVersion,
@@ -127,6 +129,7 @@ public sealed class EngineWorkerClient : IAsyncDisposable
     private EngineRequestEnvelope? _request;
     private WorkerExecutionIdentity? _execution;
     private EngineProgress? _lastProgress;
+    private EnginePartialResult? _lastPartialResult;
     private EngineWorkerCapability? _capability;
     private CancellationTokenSource? _cancelTimeout;
     private CancellationTokenSource? _responseTimeout;
@@ -144,6 +147,19 @@ public sealed class EngineWorkerClient : IAsyncDisposable
 
     public EngineWorkerResultTiming? LastResultTiming { get; private set; }
 
+    // Survives the terminal result so a caller that cancelled can still accept the
+    // finished slice; the next execution clears it.
+    public EnginePartialResult? LastPartialResult
+    {
+        get
+        {
+            lock (_sync)
+            {
+                return _lastPartialResult;
+            }
+        }
+    }
+
     public EngineWorkerClient(
         IEngineWorkerTransport transport,
         TimeSpan? cancellationTimeout = null,
@@ -325,6 +341,7 @@ public sealed class EngineWorkerClient : IAsyncDisposable
                 validateComputation);
             _execution = execution;
             _lastProgress = null;
+            _lastPartialResult = null;
             completion = new TaskCompletionSource<EngineComputationResult>(TaskCreationOptions.RunContinuationsAsynchronously);
             _completion = completion;
             _state = EngineWorkerLifecycleState.Running;
@@ -1132,6 +1149,7 @@ public sealed class EngineWorkerClient : IAsyncDisposable
                     }
                     ValidateProgress(execution, progress, _lastProgress);
                     _lastProgress = progress;
+                    _lastPartialResult = progress.PartialResult ?? _lastPartialResult;
                 }
                 NotifyProgress(progress);
                 return;
@@ -1274,7 +1292,9 @@ public sealed class EngineWorkerClient : IAsyncDisposable
             throw new InvalidOperationException("Worker progress phase must be a computation-only nonterminal phase.");
         }
         if (progress.CompletedWorkUnits < 0 || progress.TotalWorkUnits <= 0 ||
-            progress.CompletedWorkUnits > progress.TotalWorkUnits || string.IsNullOrWhiteSpace(progress.Message))
+            progress.CompletedWorkUnits > progress.TotalWorkUnits || string.IsNullOrWhiteSpace(progress.Message) ||
+            progress.ElapsedMilliseconds < 0 || progress.EstimatedRemainingMilliseconds < 0 ||
+            progress.PartialResult is { } partial && string.IsNullOrWhiteSpace(partial.Kind))
         {
             throw new InvalidOperationException("Worker progress payload is malformed.");
         }
@@ -33,6 +33,15 @@ public static partial class ManagedHost
     private static bool _sessionMigratedFromLegacy;
     private static ActiveWorkerSessionOperation? _activeOperation;
     private static WorkerSessionOperationProjection? _operationProjection;
+    private static SessionProgressReporter? _sessionProgress;
+
+    // Item loops report their counters so long session commands can post progress
+    // frames; the Worker still never yields between items.
+    private static readonly MarketAnalysisExecutionOptions SessionProgressExecutionOptions = new()
+    {
+        YieldEveryItems = 0,
+        ProgressEveryItems = 1
+    };
 
     [JSExport]
     [SupportedOSPlatform("browser")]
@@ -86,7 +95,18 @@ public static partial class ManagedHost
             }
             else
             {
-                result = await ExecuteSessionCommandAsync(command);
+                _sessionProgress = new SessionProgressReporter(
+                    message.Generation,
+                    executionId,
+                    transactionId);
+                try
+                {
+                    result = await ExecuteSessionCommandAsync(command);
+                }
+                finally
+                {
+                    _sessionProgress = null;
+                }
             }
 
             return JsonSerializer.Serialize(
@@ -133,6 +153,15 @@ public static partial class ManagedHost
                     null,
                     CaptureShellProjection()),
                 "export" => ExportSession(command),
+                // engine-worker.js restores undo and redo targets itself and only
+                // forwards a step when the durable history has nothing to step to.
+                WorkerSessionCommandKinds.Undo or WorkerSessionCommandKinds.Redo =>
+                    CreateSessionResult(
+                        command.CommandKind,
+                        accepted: false,
+                        "history-empty",
+                        $"There is no session revision to {command.CommandKind}.",
+                        CaptureShellProjection()),
                 WorkerSessionCommandKinds.RecipeProjection => CreateSessionResult(
                     command.CommandKind,
                     accepted: true,
@@ -405,6 +434,9 @@ public static partial class ManagedHost
             return;
         }
 
+        // Staging needs the active operation, so evidence staged by an operation that
+        // ended without publishing it can never complete.
+        PendingMarketEvidencePublications.Clear();
         _operationProjection = new WorkerSessionOperationProjection(
             _activeOperation.OperationId,
             _activeOperation.Kind,
@@ -748,6 +780,7 @@ public static partial class ManagedHost
         }
 
         var workflow = CreateMarketWorkflow(session);
+        _sessionProgress?.Report(EnginePhase.Accepted, 0, "Loading world data.");
         var worldData = await SessionUniversalis.GetWorldDataAsync();
         var requestedDataCenters = MarketFetchScopeResolver.GetDataCenters(
             request.Scope,
@@ -768,8 +801,9 @@ public static partial class ManagedHost
                 request.SelectedRegion,
                 request.Lens,
                 expectedWorlds,
-                MarketAnalysisExecutionOptions.Synchronous,
-                RequestedDataCenters: requestedDataCenters));
+                SessionProgressExecutionOptions,
+                RequestedDataCenters: requestedDataCenters),
+            new ImmediateProgress<string>(ReportMarketAnalysisProgress));
         if (!result.Published)
         {
             throw new InvalidOperationException(
@@ -851,6 +885,16 @@ public static partial class ManagedHost
         staging.FetchedCount += request.FetchedCount;
         if (!request.CompleteStaging)
         {
+            if (request.RunProgress is { CandidateItemCount: > 0 } runProgress)
+            {
+                _sessionProgress?.ReportSlice(
+                    runProgress,
+                    new WorkerMarketEvidenceSlice(
+                        staging.OperationId,
+                        staging.ShoppingPlans.Count,
+                        runProgress.ComparedItemCount,
+                        runProgress.CandidateItemCount));
+            }
             return CreateSessionResult(
                 command.CommandKind,
                 accepted: true,
@@ -1181,6 +1225,7 @@ public static partial class ManagedHost
             SessionUniversalis,
             SessionMarketLadder);
         var shopping = new MarketShoppingService(SessionMarketCache);
+        _sessionProgress?.Report(EnginePhase.Accepted, 0, "Loading world data.");
         var worldData = await SessionUniversalis.GetWorldDataAsync();
         var worldDataMilliseconds = timing.ElapsedMilliseconds;
         shopping.SetWorldNameToIdMapping(
@@ -1213,6 +1258,14 @@ public static partial class ManagedHost
             {
                 reconciliationCompletedAt = timing.ElapsedMilliseconds;
             }
+            if (message.StartsWith("Optimizing ", StringComparison.Ordinal))
+            {
+                _sessionProgress?.ReportCounter(EnginePhase.Reconciling, message, 40, 95);
+            }
+            else
+            {
+                _sessionProgress?.ReportCounter(EnginePhase.ResolvingEvidence, message, 5, 40);
+            }
         });
         var result = await workflow.RunAnalysisAsync(
             new CoreProcurementWorkflowRequest(
@@ -1233,7 +1286,7 @@ public static partial class ManagedHost
                 request.ExcludedWorlds?.ToHashSet() ?? new HashSet<MarketWorldKey>(),
                 request.ExcludedItemWorlds?.ToHashSet() ?? new HashSet<MarketItemWorldKey>(),
                 expectedWorlds,
-                ExecutionOptions: MarketAnalysisExecutionOptions.Synchronous),
+                ExecutionOptions: SessionProgressExecutionOptions),
             workflowProgress);
         var workflowMilliseconds = timing.ElapsedMilliseconds - worldDataMilliseconds;
         if (result.Status != CoreProcurementWorkflowStatus.Published)
@@ -1270,11 +1323,98 @@ public static partial class ManagedHost
         return mutation;
     }
 
+    private static void ReportMarketAnalysisProgress(string message)
+    {
+        if (message.StartsWith("Analyzing market ladders ", StringComparison.Ordinal))
+        {
+            _sessionProgress?.ReportCounter(EnginePhase.Analyzing, message, 10, 60);
+        }
+        else if (message.StartsWith("Projecting market recommendations ", StringComparison.Ordinal))
+        {
+            _sessionProgress?.ReportCounter(EnginePhase.Analyzing, message, 60, 95);
+        }
+        else if (!message.StartsWith("[stage]", StringComparison.Ordinal))
+        {
+            _sessionProgress?.ReportCounter(EnginePhase.ResolvingEvidence, message, 5, 10);
+        }
+    }
+
     private sealed class ImmediateProgress<T>(Action<T> report) : IProgress<T>
     {
         public void Report(T value) => report(value);
     }
 
+    // Progress frames for the running session command, on a fixed 100-unit scale. A
+    // frame is only posted when the phase or unit count moves, and neither moves back.
+    private sealed class SessionProgressReporter(long generation, Guid commandId, Guid transactionId)
+    {
+        private const int TotalWorkUnits = 100;
+        private readonly Stopwatch _elapsed = Stopwatch.StartNew();
+        private EnginePhase _phase = EnginePhase.Accepted;
+        private int _completed = -1;
+
+        public void Report(EnginePhase phase, int completed, string message)
+        {
+            phase = phase < _phase ? _phase : phase;
+            completed = Math.Clamp(Math.Max(completed, _completed), 0, TotalWorkUnits);
+            if (phase == _phase && completed == _completed)
+            {
+                return;
+            }
+            _phase = phase;
+            _completed = completed;
+            Post(EngineProgressEstimation.WithTiming(
+                new EngineProgress(
+                    transactionId,
+                    generation,
+                    commandId,
+                    phase,
+                    completed,
+                    TotalWorkUnits,
+                    message),
+                _elapsed.Elapsed));
+        }
+
+        // A staging command is one batch of a market analysis the main thread drives, so
+        // its frame carries the run's item counters and clock instead of this command's.
+        public void ReportSlice(
+            WorkerMarketAnalysisRunProgress run,
+            WorkerMarketEvidenceSlice slice)
+        {
+            var compared = Math.Clamp(run.ComparedItemCount, 0, run.CandidateItemCount);
+            Post(EngineProgressEstimation.WithTiming(
+                new EngineProgress(
+                    transactionId,
+                    generation,
+                    commandId,
+                    EnginePhase.Analyzing,
+                    compared,
+                    run.CandidateItemCount,
+                    $"Compared market items {compared}/{run.CandidateItemCount}...",
+                    PartialResult: new EnginePartialResult(
+                        WorkerMarketEvidenceSlice.Kind,
+                        JsonSerializer.SerializeToElement(slice, WireJsonOptions))),
+                TimeSpan.FromMilliseconds(Math.Max(0, run.ElapsedMilliseconds))));
+        }
+
+        private void Post(EngineProgress progress) =>
+            PostMessage(new EngineWorkerMessage(
+                ProtocolVersion,
+                "progress",
+                generation,
+                commandId,
+                transactionId,
+                JsonSerializer.SerializeToElement(progress, WireJsonOptions)));
+
+        public void ReportCounter(EnginePhase phase, string message, int first, int last) =>
+            Report(
+                phase,
+                EngineProgressEstimation.TryReadItemCounter(message, out var completed, out var total)
+                    ? EngineProgressEstimation.ScaleToBand(completed, total, first, last)
+                    : first,
+                message);
+    }
+
     private static WorkerSessionResultEnvelope MutateProcurementTolerance(
         WorkerSessionCommandEnvelope command)
     {
@@ -19,6 +19,8 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
     private readonly SemaphoreSlim _populateSemaphore = new(1, 1);
     private const long MaxCacheSizeBytes = 500 * 1024 * 1024; // 500MB max
     private const int MaxCacheEntries = 10000; // Max 10k items
+    private const double CacheEvictionTargetRatio = 0.8;
+    private const double StorageQuotaPressureRatio = 0.9;
     private const int MarketFetchBatchSize = 10;
     private static readonly TimeSpan WorldMetadataEnrichmentBudget = TimeSpan.FromSeconds(3);
 
@@ -212,6 +214,116 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
         }
     }
 
+    /// <summary>
+    /// Get every cached entry for the requested pairs, stale ones included and flagged,
+    /// so a view can render at once and refresh in the background. Missing pairs are omitted.
+    /// </summary>
+    public async Task<IReadOnlyDictionary<(int itemId, string dataCenter), (CachedMarketData Data, bool IsStale)>> GetManyWithStaleAsync(
+        IReadOnlyCollection<(int itemId, string dataCenter)> requests,
+        TimeSpan? maxAge = null)
+    {
+        var results = new Dictionary<(int itemId, string dataCenter), (CachedMarketData Data, bool IsStale)>();
+        if (requests.Count == 0)
+        {
+            return results;
+        }
+
+        var maxAgeSeconds = (long)(maxAge ?? _defaultMaxAge).TotalSeconds;
+        var cutoffUnix = DateTimeToUnix(DateTime.UtcNow) - maxAgeSeconds;
+        var requestsByKey = new Dictionary<string, (int itemId, string dataCenter)>();
+
+        foreach (var request in requests)
+        {
+            requestsByKey.TryAdd(GetKey(request.itemId, request.dataCenter), request);
+        }
+
+        try
+        {
+            var entries = await _jsRuntime.InvokeAsync<List<IndexedDbMarketCacheEntry>>(
+                "IndexedDB.loadMarketDataBulk",
+                requestsByKey.Keys.ToArray(),
+                cutoffUnix,
+                new { includeStale = true });
+
+            foreach (var entry in entries ?? new List<IndexedDbMarketCacheEntry>())
+            {
+                var key = string.IsNullOrWhiteSpace(entry.Key)
+                    ? GetKey(entry.ItemId, entry.DataCenter)
+                    : entry.Key;
+
+                if (!requestsByKey.TryGetValue(key, out var request))
+                {
+                    continue;
+                }
+
+                results[request] = (new CachedMarketData
+                {
+                    ItemId = request.itemId,
+                    DataCenter = request.dataCenter,
+                    FetchedAtUnix = entry.FetchedAtUnix,
+                    LastUploadTimeUnixMilliseconds = entry.LastUploadTimeUnixMilliseconds,
+                    DCAveragePrice = entry.DcAvgPrice,
+                    HQAveragePrice = entry.HqAvgPrice,
+                    Worlds = entry.Worlds ?? new List<CachedWorldData>()
+                }, entry.Freshness == "stale");
+            }
+
+            _logger?.LogDebug(
+                "[IndexedDbMarketCache] Bulk checked {Checked} with stale, Fresh {Fresh}, Stale {Stale}, Missing {Missing}",
+                requestsByKey.Count,
+                results.Values.Count(result => !result.IsStale),
+                results.Values.Count(result => result.IsStale),
+                requestsByKey.Count - results.Count);
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "[IndexedDbMarketCache] Error getting bulk cached data with stale");
+        }
+
+        return results;
+    }
+
+    /// <summary>
+    /// Order the missing and stale pairs for a background refresh: missing before stale,
+    /// then by plan quantity, then by age, split into fetch batches.
+    /// </summary>
+    public async Task<IndexedDbMarketRefreshPlan> GetRefreshPlanAsync(
+        IReadOnlyDictionary<(int itemId, string dataCenter), decimal> quantities,
+        TimeSpan? maxAge = null,
+        int? limit = null)
+    {
+        var maxAgeSeconds = (long)(maxAge ?? _defaultMaxAge).TotalSeconds;
+        var cutoffUnix = DateTimeToUnix(DateTime.UtcNow) - maxAgeSeconds;
+        var quantitiesByKey = quantities.ToDictionary(
+            pair => GetKey(pair.Key.itemId, pair.Key.dataCenter),
+            pair => pair.Value);
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<IndexedDbMarketRefreshPlan>(
+                "IndexedDB.getRefreshPlan",
+                quantitiesByKey.Keys.ToArray(),
+                new
+                {
+                    cutoffUnix,
+                    quantities = quantitiesByKey,
+                    batchSize = MarketFetchBatchSize,
+                    limit
+                });
+        }
+        catch (Exception ex)
+        {
+            _logger?.LogError(ex, "[IndexedDbMarketCache] Error building market refresh plan");
+            return new IndexedDbMarketRefreshPlan
+            {
+                Refresh = quantitiesByKey.Keys
+                    .Select(key => new IndexedDbMarketRefreshCandidate { Key = key, State = "missing" })
+                    .ToList(),
+                Batches = quantitiesByKey.Keys.Chunk(MarketFetchBatchSize).Select(batch => batch.ToList()).ToList()
+            };
+        }
+    }
+
     public async Task SetAsync(int itemId, string dataCenter, CachedMarketData data)
     {
         var key = GetKey(itemId, dataCenter);
@@ -432,7 +544,9 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
         progress?.Report("Checking local market cache limits...");
         var stats = await GetStatsAsync();
         var cacheSizeEvictionCount = 0;
-        if (stats.ApproximateSizeBytes > MaxCacheSizeBytes || stats.TotalEntries > MaxCacheEntries)
+        if (stats.ApproximateSizeBytes > MaxCacheSizeBytes ||
+            stats.TotalEntries > MaxCacheEntries ||
+            GetStorageQuotaPressureBytes(stats) > 0)
         {
             _logger?.LogWarning("[IndexedDbMarketCache] Cache size exceeded (size={Size}MB, entries={Entries}). Running emergency cleanup...",
                 stats.ApproximateSizeBytes / 1024 / 1024, stats.TotalEntries);
@@ -441,19 +555,15 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
             var cacheSizeCleanupCount = await CleanupStaleAsync(TimeSpan.FromMinutes(30));
             var newStats = await GetStatsAsync();
             var oldestEntryCleanupCount = 0;
-            var entriesOverLimit = Math.Max(0, newStats.TotalEntries - MaxCacheEntries);
-            var sizeTargetEntries = newStats.ApproximateSizeBytes > MaxCacheSizeBytes * 0.8
-                ? Math.Max(1, newStats.TotalEntries / 2)
-                : 0;
-            var entriesToEvict = Math.Max(entriesOverLimit, sizeTargetEntries);
-            if (entriesToEvict > 0)
+            var bytesToEvict = GetBytesToEvict(newStats);
+            if (bytesToEvict > 0)
             {
-                var legacyCleanupCount = await ClearUnindexedEntriesAsync(
-                    Math.Min(entriesToEvict, newStats.LegacyUnindexedEntries));
-                oldestEntryCleanupCount = legacyCleanupCount;
-                if (legacyCleanupCount < entriesToEvict)
+                oldestEntryCleanupCount = await ClearUnindexedEntriesAsync(newStats.LegacyUnindexedEntries);
+                var remainingStats = oldestEntryCleanupCount > 0 ? await GetStatsAsync() : newStats;
+                var remainingBytes = GetBytesToEvict(remainingStats);
+                if (remainingBytes > 0)
                 {
-                    oldestEntryCleanupCount += await ClearOldestEntriesAsync(entriesToEvict - legacyCleanupCount);
+                    oldestEntryCleanupCount += await ClearOldestEntriesAsync(remainingBytes);
                 }
             }
 
@@ -918,13 +1028,46 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
     }
 
     /// <summary>
-    /// Clears the oldest N timestamp-indexed entries from the cache.
+    /// Bytes the cache must shed to fall back under its own size, entry, and browser quota targets.
+    /// </summary>
+    private static long GetBytesToEvict(CacheStats stats)
+    {
+        var targetBytes = (long)(MaxCacheSizeBytes * CacheEvictionTargetRatio);
+        var sizeOverTarget = stats.ApproximateSizeBytes > MaxCacheSizeBytes
+            ? stats.ApproximateSizeBytes - targetBytes
+            : 0;
+        var entriesOverTarget = stats.TotalEntries > MaxCacheEntries
+            ? (stats.TotalEntries - (int)(MaxCacheEntries * CacheEvictionTargetRatio)) *
+                (stats.ApproximateSizeBytes / stats.TotalEntries)
+            : 0;
+        var quotaPressure = Math.Min(stats.ApproximateSizeBytes, GetStorageQuotaPressureBytes(stats));
+        return Math.Max(sizeOverTarget, Math.Max(entriesOverTarget, quotaPressure));
+    }
+
+    /// <summary>
+    /// Origin-wide bytes above the eviction target once browser storage nears its quota.
+    /// </summary>
+    private static long GetStorageQuotaPressureBytes(CacheStats stats)
+    {
+        if (stats.StorageUsageBytes is not { } usage ||
+            stats.StorageQuotaBytes is not { } quota ||
+            quota <= 0 ||
+            usage <= quota * StorageQuotaPressureRatio)
+        {
+            return 0;
+        }
+
+        return usage - (long)(quota * CacheEvictionTargetRatio);
+    }
+
+    /// <summary>
+    /// Clears the oldest timestamp-indexed entries until at least the requested bytes are freed.
     /// </summary>
-    public async Task<int> ClearOldestEntriesAsync(int count)
+    public async Task<int> ClearOldestEntriesAsync(long targetBytes)
     {
         try
         {
-            var deleted = await _jsRuntime.InvokeAsync<int>("IndexedDB.deleteOldestEntries", count);
+            var deleted = await _jsRuntime.InvokeAsync<int>("IndexedDB.deleteOldestEntries", targetBytes);
             _logger?.LogWarning("[IndexedDbMarketCache] Emergency cleanup: removed {Deleted} oldest entries", deleted);
             return deleted;
         }
@@ -951,7 +1094,9 @@ public class IndexedDbMarketCacheService : IMarketCacheService, IMarketCacheDiag
                 LegacyUnindexedEntries = stats.LegacyUnindexed,
                 OldestEntry = stats.OldestUnix > 0 ? UnixToDateTimeOffset(stats.OldestUnix).DateTime : null,
                 NewestEntry = stats.NewestUnix > 0 ? UnixToDateTimeOffset(stats.NewestUnix).DateTime : null,
-                ApproximateSizeBytes = stats.SizeBytes
+                ApproximateSizeBytes = stats.SizeBytes,
+                StorageUsageBytes = stats.StorageUsageBytes,
+                StorageQuotaBytes = stats.StorageQuotaBytes
             };
         }
         catch (Exception ex)
@@ -992,6 +1137,8 @@ public class IndexedDbMarketCacheEntry
     public decimal DcAvgPrice { get; set; }
     public decimal? HqAvgPrice { get; set; }
     public List<CachedWorldData> Worlds { get; set; } = new();
+    public string? Freshness { get; set; }  // "fresh" or "stale"
+    public long? AgeSeconds { get; set; }
 }
 
 public class IndexedDbMarketCacheBatchEntry
@@ -1010,6 +1157,25 @@ public class IndexedDbMarketCacheFreshness
     public long FetchedAtUnix { get; set; }
 }
 
+/// <summary>
+/// Missing and stale market keys in refresh order, with the fetch batches to run.
+/// </summary>
+public class IndexedDbMarketRefreshPlan
+{
+    public long NowUnix { get; set; }
+    public List<string> Fresh { get; set; } = new();
+    public List<IndexedDbMarketRefreshCandidate> Refresh { get; set; } = new();
+    public List<List<string>> Batches { get; set; } = new();
+}
+
+public class IndexedDbMarketRefreshCandidate
+{
+    public string Key { get; set; } = string.Empty;
+    public string State { get; set; } = string.Empty;  // "missing" or "stale"
+    public long? AgeSeconds { get; set; }
+    public decimal Quantity { get; set; }
+}
+
 /// <summary>
 /// Statistics returned from IndexedDB.
 /// </summary>
@@ -1022,4 +1188,8 @@ public class IndexedDbCacheStats
     public long OldestUnix { get; set; }  // Unix timestamp
     public long NewestUnix { get; set; }  // Unix timestamp
     public long SizeBytes { get; set; }
+    public long RecordedBytes { get; set; }
+    public int Unmeasured { get; set; }
+    public long? StorageUsageBytes { get; set; }
+    public long? StorageQuotaBytes { get; set; }
 }
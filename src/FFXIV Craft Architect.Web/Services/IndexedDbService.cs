@@ -75,6 +75,28 @@ public sealed class IndexedDbService
             "IndexedDB.getSpecializedStorageDiagnostics",
             "initialize specialized browser storage");
 
+    public Task<StorageAuditReport> AuditStorageAsync(bool repair) =>
+        InvokeRequiredAsync<StorageAuditReport>(
+            "IndexedDB.auditStorage",
+            repair ? "repair browser storage" : "audit browser storage",
+            new { repair });
+
+    public Task<StorageDurabilityReport> GetStorageDurabilityAsync(bool refresh = false) =>
+        InvokeRequiredAsync<StorageDurabilityReport>(
+            "StorageDurability.checkStorageDurability",
+            "check browser storage durability",
+            new { refresh });
+
+    public Task<StoragePersistenceRequest> RequestPersistentStorageAsync() =>
+        InvokeRequiredAsync<StoragePersistenceRequest>(
+            "StorageDurability.requestPersistentStorage",
+            "request persistent browser storage");
+
+    public Task<StorageDurabilityReport> DismissStorageEvictionAsync() =>
+        InvokeRequiredAsync<StorageDurabilityReport>(
+            "StorageDurability.dismissStorageEviction",
+            "dismiss the storage eviction notice");
+
     public Task<bool> DeletePlanAsync(string planId) =>
         InvokeOrDefaultAsync(
             "IndexedDB.deletePlan",
@@ -82,12 +104,37 @@ public sealed class IndexedDbService
             $"delete plan {planId}",
             planId);
 
+    public Task<StoredPlanSummary?> ForkPlanAsync(string planId, string? newName = null) =>
+        InvokeOrDefaultAsync<StoredPlanSummary?>(
+            "IndexedDB.forkPlan",
+            null,
+            $"fork plan {planId}",
+            planId,
+            newName);
+
     public Task<bool> ClearAllPlansAsync() =>
         InvokeOrDefaultAsync(
             "IndexedDB.clearAllPlans",
             false,
             "clear plans");
 
+    public Task<List<TrashEntrySummary>> ListTrashAsync() =>
+        InvokeRequiredAsync<List<TrashEntrySummary>>(
+            "IndexedDB.listTrash",
+            "list the recycle bin");
+
+    public Task<bool> RestoreFromTrashAsync(string trashId) =>
+        InvokeRequiredAsync<bool>(
+            "IndexedDB.restoreFromTrash",
+            $"restore {trashId} from the recycle bin",
+            trashId);
+
+    public Task<int> PurgeTrashAsync(int maxAgeDays) =>
+        InvokeRequiredAsync<int>(
+            "IndexedDB.purgeTrash",
+            "purge the recycle bin",
+            maxAgeDays);
+
     public async Task<bool> SaveSettingAsync<T>(string key, T value) =>
         await InvokeOrDefaultAsync(
             "IndexedDB.saveSetting",
@@ -201,6 +248,28 @@ public sealed class IndexedDbService
             },
             "read Trade storage diagnostics");
 
+    public Task<CompanyEncryptionStatus> GetCompanyEncryptionStatusAsync() =>
+        InvokeRequiredAsync<CompanyEncryptionStatus>(
+            "IndexedDB.getCompanyEncryptionStatus",
+            "read company data encryption status");
+
+    public Task<CompanyEncryptionStatus> EnableCompanyEncryptionAsync(string passphrase) =>
+        InvokeRequiredAsync<CompanyEncryptionStatus>(
+            "IndexedDB.enableCompanyEncryption",
+            "enable company data encryption",
+            passphrase);
+
+    public Task<bool> UnlockCompanyDatabaseAsync(string passphrase) =>
+        InvokeRequiredAsync<bool>(
+            "IndexedDB.unlockCompanyDatabase",
+            "unlock company data",
+            passphrase);
+
+    public Task<bool> LockCompanyDatabaseAsync() =>
+        InvokeRequiredAsync<bool>(
+            "IndexedDB.lockCompanyDatabase",
+            "lock company data");
+
     public Task<List<TradeCompanyProfile>> LoadTradeCompanyProfilesAsync() =>
         InvokeRequiredAsync<List<TradeCompanyProfile>>(
             "IndexedDB.loadTradeCompanyProfiles",
@@ -363,6 +432,28 @@ public sealed class IndexedDbService
             $"delete Trade payroll draft {draftId}",
             draftId);
 
+    public Task<TradePayrollAggregation> AggregateTradePayrollAsync(
+        Guid companyProfileId,
+        string groupBy,
+        string period = "month",
+        DateTime? from = null,
+        DateTime? to = null) =>
+        InvokeRequiredAsync<TradePayrollAggregation>(
+            "IndexedDB.aggregateTradePayroll",
+            "aggregate Trade payroll",
+            new { companyProfileId, groupBy, period, from, to });
+
+    public Task<string> ExportTradePayrollCsvAsync(
+        Guid companyProfileId,
+        string groupBy,
+        string period = "month",
+        DateTime? from = null,
+        DateTime? to = null) =>
+        InvokeRequiredAsync<string>(
+            "IndexedDB.exportTradePayrollCsv",
+            "export Trade payroll",
+            new { companyProfileId, groupBy, period, from, to });
+
     public Task<StoredPlan?> LoadAutoSaveAsync() =>
         LoadPlanAsync("autosave");
 
@@ -437,6 +528,56 @@ public sealed class TradeIndexedDbDiagnostics
     }
 }
 
+public sealed class CompanyEncryptionStatus
+{
+    public bool Enabled { get; set; }
+    public bool Locked { get; set; }
+    public string? State { get; set; }
+    public DateTime? EnabledAtUtc { get; set; }
+    public int EncryptedRecords { get; set; }
+}
+
+public sealed class TradePayrollAggregation
+{
+    public string CompanyProfileId { get; set; } = string.Empty;
+    public string GroupBy { get; set; } = string.Empty;
+    public string? Period { get; set; }
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public DateTime GeneratedAtUtc { get; set; }
+    public List<TradePayrollGroup> Groups { get; set; } = [];
+    public TradePayrollGroup Totals { get; set; } = new();
+}
+
+public sealed class TradePayrollGroup
+{
+    public string Key { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+    public int OrderCount { get; set; }
+    public decimal ProcurementTotal { get; set; }
+    public decimal MaterialReimbursementTotal { get; set; }
+    public decimal CommissionTotal { get; set; }
+    public decimal CraftLaborTotal { get; set; }
+    public int SynthCount { get; set; }
+    public decimal Total { get; set; }
+    public decimal PaidTotal { get; set; }
+    public decimal UnpaidTotal { get; set; }
+    public string? Status { get; set; }
+    public string? CrafterId { get; set; }
+    public string? CrafterName { get; set; }
+    public DateTime? CommissionedAtUtc { get; set; }
+    public string? Contract { get; set; }
+    public List<TradePayrollLaborLine> LaborLines { get; set; } = [];
+}
+
+public sealed class TradePayrollLaborLine
+{
+    public int ItemId { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public int CraftCount { get; set; }
+    public decimal LaborTotal { get; set; }
+}
+
 public sealed class SpecializedBrowserStorageDiagnostics
 {
     public Dictionary<string, string> DatabaseNames { get; set; } = [];
@@ -455,6 +596,106 @@ public sealed class SpecializedBrowserStorageMigration
     public Dictionary<string, int> Counts { get; set; } = [];
 }
 
+public sealed class StorageDurabilityReport
+{
+    public string InstallId { get; set; } = string.Empty;
+    public DateTime CheckedAtUtc { get; set; }
+    public bool FirstSession { get; set; }
+    public bool PersistenceSupported { get; set; }
+    public bool Persisted { get; set; }
+    public bool PersistenceRequested { get; set; }
+    public long? UsageBytes { get; set; }
+    public long? QuotaBytes { get; set; }
+    public List<StorageDurabilityDatabase> Databases { get; set; } = [];
+    public StorageEviction? Eviction { get; set; }
+    public bool RestoreRecommended { get; set; }
+}
+
+public sealed class StorageDurabilityDatabase
+{
+    public string Domain { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public string State { get; set; } = string.Empty;
+    public DateTime? CreatedAtUtc { get; set; }
+    public DateTime? LastSessionAtUtc { get; set; }
+}
+
+public sealed class StorageEviction
+{
+    public DateTime DetectedAtUtc { get; set; }
+    public List<string> Databases { get; set; } = [];
+}
+
+public sealed class StoragePersistenceRequest
+{
+    public bool Supported { get; set; }
+    public bool Persisted { get; set; }
+    public bool Requested { get; set; }
+}
+
+public sealed class BrowserBackupReport
+{
+    public bool Valid { get; set; }
+    public bool Restored { get; set; }
+    public DateTime? CreatedAtUtc { get; set; }
+    public List<string> Errors { get; set; } = [];
+    public List<string> Warnings { get; set; } = [];
+    public Dictionary<string, BrowserBackupDatabaseReport> Databases { get; set; } = [];
+    public List<string> RestoredDatabases { get; set; } = [];
+}
+
+public sealed class BrowserBackupDatabaseReport
+{
+    public string Name { get; set; } = string.Empty;
+    public bool Present { get; set; }
+    public int? SchemaVersion { get; set; }
+    public int CurrentSchemaVersion { get; set; }
+    public Dictionary<string, BrowserBackupStoreCounts> Stores { get; set; } = [];
+}
+
+/// <summary>
+/// Records in the backup and records they would replace in this browser.
+/// </summary>
+public sealed class BrowserBackupStoreCounts
+{
+    public int Archived { get; set; }
+    public int Current { get; set; }
+}
+
+public sealed class StorageAuditReport
+{
+    public bool Repair { get; set; }
+    public DateTime ScannedAtUtc { get; set; }
+    public Dictionary<string, Dictionary<string, int>?> Scanned { get; set; } = [];
+    public int IssueCount { get; set; }
+    public Dictionary<string, int> IssueCounts { get; set; } = [];
+    public int RepairedCount { get; set; }
+    public int RemainingIssueCount { get; set; }
+    public List<StorageAuditIssue> Issues { get; set; } = [];
+}
+
+public sealed class StorageAuditIssue
+{
+    public string Database { get; set; } = string.Empty;
+    public string Store { get; set; } = string.Empty;
+    public string Kind { get; set; } = string.Empty;
+    public string Id { get; set; } = string.Empty;
+    public string Detail { get; set; } = string.Empty;
+    public bool Repairable { get; set; }
+    public bool Repaired { get; set; }
+}
+
+public sealed class TrashEntrySummary
+{
+    public string Id { get; set; } = string.Empty;
+    public string Kind { get; set; } = string.Empty;
+    public string RecordId { get; set; } = string.Empty;
+    public string? Name { get; set; }
+    public string? CompanyProfileId { get; set; }
+    public DateTime DeletedAtUtc { get; set; }
+    public DateTime ExpiresAtUtc { get; set; }
+}
+
 public sealed class StoredPlan
 {
     public string Id { get; set; } = Guid.NewGuid().ToString();
@@ -6,6 +6,7 @@ namespace FFXIV_Craft_Architect.Web.Services;
 
 public sealed class WebPlanPersistenceService
 {
+    private const string SelectedWorkspaceIdKey = "planner.selected_workspace_id";
     private static readonly JsonSerializerOptions ComparisonJson = new(JsonSerializerDefaults.Web);
     private readonly IndexedDbService _indexedDb;
 
@@ -32,6 +33,23 @@ public sealed class WebPlanPersistenceService
     public Task<StoredPlan?> LoadPlanPayloadAsync(string planId) =>
         _indexedDb.LoadPlanAsync(planId);
 
+    /// <summary>
+    /// The planner workspace this browser opens at startup. It is device-local and
+    /// never synchronized, because workspaces live in this browser's IndexedDB.
+    /// </summary>
+    public Task<string?> LoadSelectedWorkspaceIdAsync() =>
+        _indexedDb.LoadSettingAsync<string>(SelectedWorkspaceIdKey);
+
+    public async Task SelectWorkspaceAsync(string workspaceId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(workspaceId);
+        if (!await _indexedDb.SaveSettingAsync(SelectedWorkspaceIdKey, workspaceId))
+        {
+            throw new InvalidOperationException(
+                $"Browser storage could not persist selected planner workspace '{workspaceId}'.");
+        }
+    }
+
     public async Task<bool> SaveSnapshotAsync(StoredPlan snapshot)
     {
         ArgumentNullException.ThrowIfNull(snapshot);
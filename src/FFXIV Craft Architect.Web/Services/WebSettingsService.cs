@@ -28,6 +28,7 @@ public class WebSettingsService : ISettingsService
         ["market.default_search_scope"] = "EntireRegion",
         ["market.include_cross_world"] = true,
         ["market.exclude_congested_worlds"] = true,
+        ["market.analysis_evidence_overlay"] = "CompetitivenessOverlay",
         ["procurement.region"] = "North America",
         ["procurement.enable_split_world_purchases"] = true,
         ["procurement.travel_tolerance"] = 0,
@@ -217,6 +218,64 @@ public class WebSettingsService : ISettingsService
         PortableSettingsApplied?.Invoke();
     }
 
+    /// <summary>
+    /// Re-reads settings another tab committed to IndexedDB. An empty key list
+    /// refreshes every cached setting.
+    /// </summary>
+    public async Task ReloadStoredSettingsAsync(IReadOnlyCollection<string> keys)
+    {
+        if (!_isLoaded)
+        {
+            return;
+        }
+
+        var storedSettings = await _indexedDb.LoadAllSettingsAsync();
+        var reloadedKeys = keys.Count > 0
+            ? keys.Where(key => DefaultSettings.ContainsKey(key) || _cache.ContainsKey(key)).ToList()
+            : DefaultSettings.Keys.Union(_cache.Keys).ToList();
+        foreach (var key in reloadedKeys)
+        {
+            if (storedSettings.TryGetValue(key, out var serialized) &&
+                !string.IsNullOrWhiteSpace(serialized) &&
+                JsonSerializer.Deserialize<object>(serialized) is { } value)
+            {
+                _cache[key] = value;
+            }
+            else if (DefaultSettings.TryGetValue(key, out var defaultValue))
+            {
+                _cache[key] = defaultValue;
+            }
+            else
+            {
+                _cache.Remove(key);
+            }
+        }
+
+        if (reloadedKeys.Count > 0)
+        {
+            PortableSettingsApplied?.Invoke();
+        }
+    }
+
+    /// <summary>
+    /// Picks up settings a profile import wrote to IndexedDB and queues the portable
+    /// ones for hosted profile sync, as if they had been saved here.
+    /// </summary>
+    public async Task ApplyImportedSettingsAsync(IReadOnlyCollection<string> keys)
+    {
+        if (keys.Count == 0)
+        {
+            return;
+        }
+
+        await EnsureLoadedAsync();
+        await ReloadStoredSettingsAsync(keys);
+        foreach (var key in keys)
+        {
+            await NotifyPortableSettingSavedAsync(key);
+        }
+    }
+
     private async Task SaveAndQueueSettingAsync<T>(string key, T value)
     {
         try
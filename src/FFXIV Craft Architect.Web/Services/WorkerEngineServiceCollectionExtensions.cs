@@ -6,6 +6,7 @@ namespace FFXIV_Craft_Architect.Web.Services;
 public static class WorkerEngineServiceCollectionExtensions
 {
     public const string ExecutionEnabledConfigurationKey = "EngineRewrite:ExecutionEnabled";
+    public const string ComputePoolSizeConfigurationKey = "EngineRewrite:ComputePoolSize";
 
     public static IServiceCollection AddWorkerEngine(
         this IServiceCollection services,
@@ -15,7 +16,11 @@ public static class WorkerEngineServiceCollectionExtensions
         ArgumentNullException.ThrowIfNull(configuration);
 
         services.AddSingleton(new CraftArchitectEngineCapability(
-            configuration.GetValue<bool>(ExecutionEnabledConfigurationKey)));
+            configuration.GetValue<bool>(ExecutionEnabledConfigurationKey),
+            Math.Clamp(
+                configuration.GetValue<int>(ComputePoolSizeConfigurationKey),
+                0,
+                BrowserEngineWorkerTransport.MaximumComputePoolSize)));
         services.TryAddScoped<IReferenceEngineSemanticSnapshotProvider, ReferenceEngineSemanticSnapshotProvider>();
         services.AddScoped<CraftArchitectEngineHost>();
         services.AddScoped<WorkerProjectionStore>();
@@ -9,7 +9,7 @@ namespace FFXIV_Craft_Architect.Web.Services;
 /// </summary>
 public sealed class WorkerProjectionStore
 {
-    public WorkerSessionShellProjection Shell { get; private set; } =
+    private static readonly WorkerSessionShellProjection EmptyShell =
         new(
             Revision: 0,
             HasSession: false,
@@ -28,14 +28,42 @@ public sealed class WorkerProjectionStore
             RestoreWarning: null,
             MigratedFromLegacy: false);
 
+    private WorkerSessionHistory? _history;
+    private long _historyRevision = -1;
+
+    public WorkerSessionShellProjection Shell { get; private set; } = EmptyShell;
+
     public WorkerRecipePlannerProjection? Recipe { get; private set; }
     public WorkerAcquisitionProjection? Acquisition { get; private set; }
     public WorkerMarketProjection? Market { get; private set; }
     public WorkerProcurementProjection? Procurement { get; private set; }
     public WorkerSessionOperationProjection? Operation => Shell.Operation;
 
+    /// <summary>
+    /// Undo and redo depth of the current revision, or null until a commit or a
+    /// workspace listing reports it for that revision.
+    /// </summary>
+    public WorkerSessionHistory? History =>
+        _historyRevision == Shell.Revision ? _history : null;
+
     public event Action? Changed;
 
+    /// <summary>
+    /// Drop every projection before the engine binds to another workspace, whose
+    /// revisions are unrelated to the current ones.
+    /// </summary>
+    public void Reset()
+    {
+        Shell = EmptyShell;
+        Recipe = null;
+        Acquisition = null;
+        Market = null;
+        Procurement = null;
+        _history = null;
+        _historyRevision = -1;
+        Changed?.Invoke();
+    }
+
     public bool TryPublishCrossTabShell(WorkerSessionShellProjection shell)
     {
         ArgumentNullException.ThrowIfNull(shell);
@@ -82,6 +110,21 @@ public sealed class WorkerProjectionStore
         }
 
         Shell = shell;
+        CaptureHistory(result);
+        Changed?.Invoke();
+        return true;
+    }
+
+    public bool TryPublishHistory(long revision, WorkerSessionHistory history)
+    {
+        ArgumentNullException.ThrowIfNull(history);
+        if (revision != Shell.Revision || Equals(History, history))
+        {
+            return false;
+        }
+
+        _history = history;
+        _historyRevision = revision;
         Changed?.Invoke();
         return true;
     }
@@ -263,7 +306,17 @@ public sealed class WorkerProjectionStore
         {
             Shell = shell;
         }
+        CaptureHistory(result);
         Changed?.Invoke();
         return true;
     }
+
+    private void CaptureHistory(WorkerSessionResultEnvelope result)
+    {
+        if (result.History is not null)
+        {
+            _history = result.History;
+            _historyRevision = result.Revision;
+        }
+    }
 }
@@ -1,4 +1,5 @@
 using System.Text.Json;
+using FFXIV_Craft_Architect.Core.Engine;
 using FFXIV_Craft_Architect.Core.Models;
 using FFXIV_Craft_Architect.Core.Services;
 
@@ -26,7 +27,12 @@ public sealed record WorkerSessionResultEnvelope(
     string? RejectionCode,
     string? Message,
     JsonElement Projection,
-    WorkerSessionDurablePatch? DurableRepairPatch = null);
+    WorkerSessionDurablePatch? DurableRepairPatch = null,
+    WorkerSessionHistory? History = null);
+
+public sealed record WorkerSessionHistory(
+    int UndoDepth,
+    int RedoDepth);
 
 public sealed class WorkerSessionCommandRejectedException : InvalidOperationException
 {
@@ -79,16 +85,72 @@ public sealed record WorkerSessionExportRequest(
     string PlanName,
     bool IncludeSourcePlanIdentity);
 
+public sealed record WorkerWorkspaceRequest(
+    string WorkspaceId,
+    string? DisplayName = null,
+    string? SourceWorkspaceId = null);
+
+public sealed record WorkerWorkspaceSummary(
+    string WorkspaceId,
+    string DisplayName,
+    long ActiveRevision,
+    int UndoDepth,
+    int RedoDepth,
+    string? PlanName,
+    int ProjectItemCount,
+    long? CreatedAtUnixMilliseconds,
+    long? UpdatedAtUnixMilliseconds,
+    bool IsCurrent);
+
+public sealed record WorkerWorkspaceListProjection(
+    string CurrentWorkspaceId,
+    IReadOnlyList<WorkerWorkspaceSummary> Workspaces,
+    WorkerWorkspaceDeletion? Deleted = null);
+
+public sealed record WorkerWorkspaceDeletion(
+    string WorkspaceId,
+    int Revisions,
+    int Components);
+
+public sealed record WorkerSessionFileImportRequest(
+    string FileJson,
+    string? WorkspaceId = null);
+
+/// <summary>
+/// A portable session file of the active revision; <see cref="FileJson"/> is saved as is.
+/// </summary>
+public sealed record WorkerSessionFileExportProjection(
+    string FileName,
+    string FileJson);
+
 public sealed record WorkerSessionExportProjection(
     long Revision,
     StoredPlan? StoredPlan);
 
+/// <summary>
+/// Another tab's progress on a shared workspace. Partial result slices stay with the
+/// tab that owns the command; observers only learn that one exists.
+/// </summary>
+public sealed record WorkerCrossTabProgress(
+    string WorkspaceId,
+    bool HasPartialResult,
+    EngineProgress Progress);
+
 public static class WorkerSessionCommandKinds
 {
     public const string OperationBegin = "operation-begin";
     public const string OperationRenew = "operation-renew";
     public const string OperationComplete = "operation-complete";
     public const string OperationAbort = "operation-abort";
+    public const string Undo = "undo";
+    public const string Redo = "redo";
+    public const string SessionFileExport = "session-file-export";
+    public const string SessionFileImport = "session-file-import";
+    public const string WorkspaceList = "workspace-list";
+    public const string WorkspaceCreate = "workspace-create";
+    public const string WorkspaceRename = "workspace-rename";
+    public const string WorkspaceDuplicate = "workspace-duplicate";
+    public const string WorkspaceDelete = "workspace-delete";
     public const string RecipeProjection = "recipe-projection";
     public const string ProjectItemsMutation = "mutate-project-items";
     public const string PlanIdentityMutation = "mutate-plan-identity";
@@ -331,7 +393,8 @@ public sealed record WorkerMarketAnalysisOutcome(
     int AnalyzedCount,
     int ChangedDecisionCount,
     int FetchedCount,
-    WorkerMarketProjection Market);
+    WorkerMarketProjection Market,
+    bool IsPartial = false);
 
 public sealed record WorkerMarketEvidenceCommitProjection(
     int AnalyzedCount,
@@ -355,7 +418,36 @@ public sealed record WorkerMarketEvidencePublicationRequest(
     int FetchedCount,
     bool ResetStaging = false,
     bool CompleteStaging = true,
-    IReadOnlyList<string>? RequestedDataCenters = null);
+    IReadOnlyList<string>? RequestedDataCenters = null,
+    WorkerMarketAnalysisRunProgress? RunProgress = null);
+
+/// <summary>
+/// How far the main-thread market analysis that stages a batch has come, so the Worker
+/// can report the staged evidence as a progress frame.
+/// </summary>
+public sealed record WorkerMarketAnalysisRunProgress(
+    int ComparedItemCount,
+    int CandidateItemCount,
+    long ElapsedMilliseconds);
+
+/// <summary>
+/// The partial result slice of a market analysis: evidence staged in the Worker that a
+/// cancelled run can still publish.
+/// </summary>
+public sealed record WorkerMarketEvidenceSlice(
+    Guid PublicationId,
+    int StagedItemCount,
+    int ComparedItemCount,
+    int CandidateItemCount)
+{
+    public const string Kind = "market-evidence";
+
+    public static WorkerMarketEvidenceSlice? From(EnginePartialResult? partialResult) =>
+        partialResult is { Kind: Kind }
+            ? partialResult.Slice.Deserialize<WorkerMarketEvidenceSlice>(
+                EngineJsonSerializerOptions.CreateWire())
+            : null;
+}
 
 public sealed record WorkerMarketItemEvidencePublicationRequest(
     int ItemId,
@@ -1,3 +1,4 @@
+using System.Diagnostics;
 using System.Text.Json;
 using System.Text.RegularExpressions;
 using FFXIV_Craft_Architect.Core.Engine;
@@ -206,7 +207,11 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
         try
         {
             var result = await run(operation.OperationId);
-            await operation.CompleteAsync(cancellationToken);
+            // A run that accepted a partial result returns after its token was cancelled.
+            await operation.CompleteAsync(
+                cancellationToken.IsCancellationRequested
+                    ? CancellationToken.None
+                    : cancellationToken);
             return result;
         }
         catch
@@ -248,6 +253,119 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
         return _projections.Shell;
     }
 
+    public string WorkspaceId => _engineHost.WorkspaceId;
+
+    /// <summary>
+    /// Bind this tab to another workspace before its session is bootstrapped. Other tabs
+    /// keep the workspace they have open.
+    /// </summary>
+    public async Task SelectWorkspaceAsync(
+        string workspaceId,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(workspaceId);
+        if (_projections.Operation?.IsActive == true)
+        {
+            throw new InvalidOperationException(
+                "Finish or cancel the running plan operation before switching workspaces.");
+        }
+
+        await _engineHost.SwitchWorkspaceAsync(workspaceId, cancellationToken);
+        _projections.Reset();
+    }
+
+    /// <summary>
+    /// Switch this tab to another workspace and publish its session and projections.
+    /// </summary>
+    public async Task<WorkerSessionShellProjection?> OpenWorkspaceAsync(
+        string workspaceId,
+        CancellationToken cancellationToken = default)
+    {
+        if (!IsEnabled)
+        {
+            return null;
+        }
+
+        await SelectWorkspaceAsync(workspaceId, cancellationToken);
+        var shell = await BootstrapAsync(cancellationToken);
+        await RefreshDerivedProjectionsAsync(_projections.Shell.Revision, cancellationToken);
+        return shell;
+    }
+
+    public Task<WorkerWorkspaceListProjection> ListWorkspacesAsync(
+        CancellationToken cancellationToken = default) =>
+        ExecuteWorkspaceCommandAsync(
+            WorkerSessionCommandKinds.WorkspaceList,
+            null,
+            cancellationToken);
+
+    public Task<WorkerWorkspaceListProjection> CreateWorkspaceAsync(
+        string workspaceId,
+        string displayName,
+        CancellationToken cancellationToken = default) =>
+        ExecuteWorkspaceCommandAsync(
+            WorkerSessionCommandKinds.WorkspaceCreate,
+            new WorkerWorkspaceRequest(workspaceId, displayName),
+            cancellationToken);
+
+    public Task<WorkerWorkspaceListProjection> RenameWorkspaceAsync(
+        string workspaceId,
+        string displayName,
+        CancellationToken cancellationToken = default) =>
+        ExecuteWorkspaceCommandAsync(
+            WorkerSessionCommandKinds.WorkspaceRename,
+            new WorkerWorkspaceRequest(workspaceId, displayName),
+            cancellationToken);
+
+    /// <summary>
+    /// Copy the latest revision of one workspace into a new workspace. Undo history
+    /// stays with the source.
+    /// </summary>
+    public Task<WorkerWorkspaceListProjection> DuplicateWorkspaceAsync(
+        string sourceWorkspaceId,
+        string workspaceId,
+        string displayName,
+        CancellationToken cancellationToken = default) =>
+        ExecuteWorkspaceCommandAsync(
+            WorkerSessionCommandKinds.WorkspaceDuplicate,
+            new WorkerWorkspaceRequest(workspaceId, displayName, sourceWorkspaceId),
+            cancellationToken);
+
+    /// <summary>
+    /// Delete a workspace and its stored revisions. The default workspace, the current
+    /// one and any workspace open in another tab are refused.
+    /// </summary>
+    public Task<WorkerWorkspaceListProjection> DeleteWorkspaceAsync(
+        string workspaceId,
+        CancellationToken cancellationToken = default) =>
+        ExecuteWorkspaceCommandAsync(
+            WorkerSessionCommandKinds.WorkspaceDelete,
+            new WorkerWorkspaceRequest(workspaceId),
+            cancellationToken);
+
+    private async Task<WorkerWorkspaceListProjection> ExecuteWorkspaceCommandAsync(
+        string commandKind,
+        WorkerWorkspaceRequest? request,
+        CancellationToken cancellationToken)
+    {
+        var result = await _engineHost.ExecuteWorkspaceCommandAsync(
+            commandKind,
+            request,
+            cancellationToken);
+        if (!result.Accepted)
+        {
+            throw new WorkerSessionCommandRejectedException(
+                result.RejectionCode,
+                result.Revision,
+                result.Message ?? "The Worker rejected the workspace command.");
+        }
+
+        return result.Projection.Deserialize<WorkerWorkspaceListProjection>(
+                EngineJsonSerializerOptions.CreateWire())
+            ?? throw new InvalidOperationException(
+                "The Worker did not publish a valid workspace list.");
+    }
+
     public async Task<StoredPlan?> ExportStoredPlanAsync(
         string planId,
         string planName,
@@ -318,18 +436,136 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
             throw CreateConflict(result);
         }
 
+        await RefreshDerivedProjectionsAsync(result.Revision, cancellationToken);
+    }
+
+    /// <summary>
+    /// Step the session back to the revision before the last edit. Returns false when
+    /// no retained revision is left to undo.
+    /// </summary>
+    public Task<bool> UndoAsync(CancellationToken cancellationToken = default) =>
+        StepHistoryAsync(WorkerSessionCommandKinds.Undo, cancellationToken);
+
+    /// <summary>
+    /// Re-apply the last undone edit. Returns false when nothing was undone since the
+    /// last edit.
+    /// </summary>
+    public Task<bool> RedoAsync(CancellationToken cancellationToken = default) =>
+        StepHistoryAsync(WorkerSessionCommandKinds.Redo, cancellationToken);
+
+    private async Task<bool> StepHistoryAsync(
+        string commandKind,
+        CancellationToken cancellationToken)
+    {
+        var result = commandKind == WorkerSessionCommandKinds.Undo
+            ? await _engineHost.UndoSessionAsync(_projections.Shell.Revision, cancellationToken)
+            : await _engineHost.RedoSessionAsync(_projections.Shell.Revision, cancellationToken);
+        if (string.Equals(result.RejectionCode, "history-empty", StringComparison.Ordinal))
+        {
+            return false;
+        }
+        if (!result.Accepted || !_projections.TryPublish(result))
+        {
+            await RefreshAfterConflictAsync(result, cancellationToken);
+            throw CreateConflict(result);
+        }
+
+        await RefreshDerivedProjectionsAsync(result.Revision, cancellationToken);
+        return true;
+    }
+
+    /// <summary>
+    /// Read the undo and redo depth of the current workspace from its manifest. Commits
+    /// report it themselves; this covers startup and revisions written by another tab.
+    /// </summary>
+    public async Task<WorkerSessionHistory?> RefreshHistoryAsync(
+        CancellationToken cancellationToken = default)
+    {
+        if (!IsEnabled)
+        {
+            return null;
+        }
+
+        var workspaces = await ListWorkspacesAsync(cancellationToken);
+        var current = workspaces.Workspaces.FirstOrDefault(workspace => workspace.IsCurrent);
+        if (current is null)
+        {
+            return null;
+        }
+
+        _projections.TryPublishHistory(
+            current.ActiveRevision,
+            new WorkerSessionHistory(current.UndoDepth, current.RedoDepth));
+        return _projections.History;
+    }
+
+    /// <summary>
+    /// Serialize the active revision, market evidence and procurement route included,
+    /// into a session file another browser can import.
+    /// </summary>
+    public async Task<WorkerSessionFileExportProjection> ExportSessionFileAsync(
+        CancellationToken cancellationToken = default)
+    {
+        var result = await _engineHost.ExportSessionFileAsync(
+            _projections.Shell.Revision,
+            cancellationToken);
+        if (!result.Accepted)
+        {
+            await RefreshAfterConflictAsync(result, cancellationToken);
+            throw CreateConflict(result);
+        }
+
+        return result.Projection.Deserialize<WorkerSessionFileExportProjection>(
+                EngineJsonSerializerOptions.CreateWire())
+            ?? throw new InvalidOperationException(
+                "The Worker did not publish a valid session file.");
+    }
+
+    /// <summary>
+    /// Replace the session of the current workspace with an exported session file. The
+    /// replaced state stays on the undo stack. A malformed file leaves the session
+    /// untouched and throws <see cref="InvalidDataException"/> with the Worker's reason.
+    /// </summary>
+    public async Task ImportSessionFileAsync(
+        string fileJson,
+        string? workspaceId = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(fileJson);
+
+        var result = await _engineHost.ImportSessionFileAsync(
+            _projections.Shell.Revision,
+            new WorkerSessionFileImportRequest(fileJson, workspaceId),
+            cancellationToken);
+        if (string.Equals(result.RejectionCode, "session-file-invalid", StringComparison.Ordinal))
+        {
+            throw new InvalidDataException(result.Message ?? "The file is not a session file.");
+        }
+        if (!result.Accepted || !_projections.TryPublish(result))
+        {
+            await RefreshAfterConflictAsync(result, cancellationToken);
+            throw CreateConflict(result);
+        }
+
+        await RefreshDerivedProjectionsAsync(result.Revision, cancellationToken);
+    }
+
+    private async Task RefreshDerivedProjectionsAsync(
+        long revision,
+        CancellationToken cancellationToken)
+    {
         var recipe = await _engineHost.GetRecipeProjectionAsync(
-            result.Revision,
+            revision,
             cancellationToken);
         _projections.TryPublishRecipe(recipe);
         await RefreshAcquisitionProjectionAsync("All", cancellationToken);
         var market = await _engineHost.GetMarketProjectionAsync(
-            result.Revision,
+            revision,
             includeDetails: false,
             cancellationToken: cancellationToken);
         _projections.TryPublishMarket(market);
         var procurement = await _engineHost.GetProcurementProjectionAsync(
-            result.Revision,
+            revision,
             cancellationToken);
         _projections.TryPublishProcurement(procurement);
     }
@@ -647,11 +883,20 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
             ?? throw new InvalidOperationException("The Worker did not publish acquisition evaluation.");
     }
 
+    /// <summary>
+    /// Compares market evidence for every candidate item and publishes it to the Worker.
+    /// Compared items are staged in the Worker as they finish and reported through
+    /// <paramref name="progress"/> as a partial result slice; when the run is cancelled
+    /// and <paramref name="acceptPartialResult"/> returns true, the staged slice is
+    /// published instead of discarded.
+    /// </summary>
     public async Task<WorkerMarketAnalysisOutcome> RunMarketAnalysisAsync(
         WorkerMarketAnalysisRequest request,
         CancellationToken cancellationToken = default,
         Action<string, double?>? reportStatus = null,
-        Guid? operationId = null)
+        Guid? operationId = null,
+        IProgress<EngineProgress>? progress = null,
+        Func<bool>? acceptPartialResult = null)
         => await RunWithOperationAsync(
             WorkerSessionOperationKind.MarketAnalysis,
             $"market:{_projections.Shell.Revision}:{request.Scope}:{request.SelectedRegion}",
@@ -664,13 +909,17 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
                 request,
                 activeOperationId,
                 cancellationToken,
-                reportStatus));
+                reportStatus,
+                progress,
+                acceptPartialResult));
 
     private async Task<WorkerMarketAnalysisOutcome> RunMarketAnalysisCoreAsync(
         WorkerMarketAnalysisRequest request,
         Guid operationId,
         CancellationToken cancellationToken,
-        Action<string, double?>? reportStatus)
+        Action<string, double?>? reportStatus,
+        IProgress<EngineProgress>? progress,
+        Func<bool>? acceptPartialResult)
     {
         reportStatus?.Invoke(
             request.ForceRefreshData
@@ -715,144 +964,178 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
         // Raw listings are intentionally read and released one item at a time.
         // A regional Crasher plan spans hundreds of item/data-center pairs; loading
         // all of those payloads into WASM at once can exhaust the browser heap.
-        var analyses = new List<MarketItemAnalysis>(market.CandidateItems.Count);
-        var shoppingPlans = new List<DetailedShoppingPlan>(market.CandidateItems.Count);
+        // Compared items are staged in the Worker a batch at a time, which keeps the
+        // main thread's share small and leaves a slice a cancelled run can publish.
+        var analyses = new List<MarketItemAnalysis>();
+        var shoppingPlans = new List<DetailedShoppingPlan>();
         var unavailableItemIds = new HashSet<int>();
-        for (var itemIndex = 0; itemIndex < market.CandidateItems.Count; itemIndex++)
+        var publicationOperationId = Guid.NewGuid();
+        var publicationBaseRevision = market.Revision;
+        var candidateCount = market.CandidateItems.Count;
+        var comparedCount = 0;
+        var stagedBatchCount = 0;
+        var stagedPlanCount = 0;
+        var isPartial = false;
+        var timing = Stopwatch.StartNew();
+        const int publicationBatchSize = 4;
+        try
         {
-            cancellationToken.ThrowIfCancellationRequested();
-            var item = market.CandidateItems[itemIndex];
-            reportStatus?.Invoke(
-                $"Comparing prices and availability ({itemIndex + 1:N0} of {market.CandidateItems.Count:N0} materials)...",
-                50 + (30d * (itemIndex + 1) / market.CandidateItems.Count));
-            var reconciliation = await _marketEvidenceReconciliation.ReconcileAsync(
-                new MarketEvidenceReconciliationRequest
-                {
-                    Items = [item],
-                    PublishedAnalyses = request.ForceRefreshData
-                        ? []
-                        : market.ItemAnalyses
-                            .Where(candidate => candidate.ItemId == item.ItemId)
-                            .ToArray(),
-                    PublishedShoppingPlans = request.ForceRefreshData
-                        ? []
-                        : market.ShoppingPlans
-                            .Where(candidate => candidate.ItemId == item.ItemId)
-                            .ToArray(),
-                    Scope = request.Scope,
-                    SelectedDataCenter = request.SelectedDataCenter,
-                    SelectedRegion = request.SelectedRegion,
-                    RequestedDataCenters = dataCenters,
-                    Lens = request.Lens,
-                    CacheAlreadyPopulated = true,
-                    ExpectedWorldsByDataCenter = expectedWorlds
-                },
-                ct: cancellationToken,
-                executionOptions: MarketAnalysisExecutionOptions.Interactive);
-            foreach (var analysis in reconciliation.Analyses)
+            for (var itemIndex = 0; itemIndex < candidateCount; itemIndex++)
             {
-                CompactMarketAnalysisForPublication(analysis);
+                cancellationToken.ThrowIfCancellationRequested();
+                var item = market.CandidateItems[itemIndex];
+                reportStatus?.Invoke(
+                    DescribeMarketComparisonProgress(itemIndex, candidateCount, timing.Elapsed),
+                    50 + (45d * (itemIndex + 1) / candidateCount));
+                var reconciliation = await _marketEvidenceReconciliation.ReconcileAsync(
+                    new MarketEvidenceReconciliationRequest
+                    {
+                        Items = [item],
+                        PublishedAnalyses = request.ForceRefreshData
+                            ? []
+                            : market.ItemAnalyses
+                                .Where(candidate => candidate.ItemId == item.ItemId)
+                                .ToArray(),
+                        PublishedShoppingPlans = request.ForceRefreshData
+                            ? []
+                            : market.ShoppingPlans
+                                .Where(candidate => candidate.ItemId == item.ItemId)
+                                .ToArray(),
+                        Scope = request.Scope,
+                        SelectedDataCenter = request.SelectedDataCenter,
+                        SelectedRegion = request.SelectedRegion,
+                        RequestedDataCenters = dataCenters,
+                        Lens = request.Lens,
+                        CacheAlreadyPopulated = true,
+                        ExpectedWorldsByDataCenter = expectedWorlds
+                    },
+                    ct: cancellationToken,
+                    executionOptions: MarketAnalysisExecutionOptions.Interactive);
+                foreach (var analysis in reconciliation.Analyses)
+                {
+                    CompactMarketAnalysisForPublication(analysis);
+                }
+                analyses.AddRange(reconciliation.Analyses);
+                shoppingPlans.AddRange(reconciliation.ShoppingPlans);
+                unavailableItemIds.UnionWith(reconciliation.UnavailableItemIds);
+                comparedCount = itemIndex + 1;
+                if (comparedCount % publicationBatchSize != 0 || comparedCount == candidateCount)
+                {
+                    continue;
+                }
+
+                // Staging is not cancelled midway: a batch the Worker may already hold
+                // must not be sent again with the final publication.
+                var staged = await _engineHost.StageMarketEvidenceAsync(
+                    publicationBaseRevision,
+                    new WorkerMarketEvidencePublicationRequest(
+                        publicationOperationId,
+                        publicationBaseRevision,
+                        request.Scope,
+                        request.SelectedDataCenter,
+                        request.SelectedRegion,
+                        request.Lens,
+                        analyses.ToArray(),
+                        shoppingPlans.ToArray(),
+                        new HashSet<int>(),
+                        0,
+                        ResetStaging: stagedBatchCount == 0,
+                        CompleteStaging: false,
+                        RequestedDataCenters: dataCenters,
+                        RunProgress: new WorkerMarketAnalysisRunProgress(
+                            comparedCount,
+                            candidateCount,
+                            timing.ElapsedMilliseconds)),
+                    CancellationToken.None,
+                    operationId,
+                    progress);
+                if (!staged.Accepted)
+                {
+                    await RefreshAfterConflictAsync(staged, cancellationToken);
+                    throw CreateConflict(staged);
+                }
+                stagedBatchCount++;
+                stagedPlanCount += shoppingPlans.Count;
+                analyses.Clear();
+                shoppingPlans.Clear();
             }
-            analyses.AddRange(reconciliation.Analyses);
-            shoppingPlans.AddRange(reconciliation.ShoppingPlans);
-            unavailableItemIds.UnionWith(reconciliation.UnavailableItemIds);
         }
-
-        if (shoppingPlans.Count == 0)
+        catch (OperationCanceledException) when (
+            cancellationToken.IsCancellationRequested &&
+            stagedPlanCount + shoppingPlans.Count > 0 &&
+            acceptPartialResult?.Invoke() == true)
         {
-            throw new InvalidOperationException(
-                $"The market source returned no usable evidence for {market.CandidateItems.Count:N0} items.");
+            isPartial = true;
         }
 
-        var publicationOperationId = Guid.NewGuid();
-        var publicationBaseRevision = market.Revision;
-        WorkerSessionResultEnvelope? result = null;
-        var publicationItemIds = analyses
-            .Select(analysis => analysis.ItemId)
-            .Concat(shoppingPlans.Select(plan => plan.ItemId))
-            .Distinct()
-            .ToArray();
-        const int publicationBatchSize = 4;
-        for (var offset = 0; offset < publicationItemIds.Length; offset += publicationBatchSize)
+        if (stagedPlanCount + shoppingPlans.Count == 0)
         {
-            var itemIds = publicationItemIds
-                .Skip(offset)
-                .Take(publicationBatchSize)
-                .ToHashSet();
-            var isFirst = offset == 0;
-            var isFinal = offset + publicationBatchSize >= publicationItemIds.Length;
-            var publishedCount = Math.Min(
-                offset + publicationBatchSize,
-                publicationItemIds.Length);
-            reportStatus?.Invoke(
-                $"Applying the best purchase options ({publishedCount:N0} of {publicationItemIds.Length:N0} materials)...",
-                80 + (15d * publishedCount / publicationItemIds.Length));
-            var publicationRequest = new WorkerMarketEvidencePublicationRequest(
-                    publicationOperationId,
-                    publicationBaseRevision,
-                    request.Scope,
-                    request.SelectedDataCenter,
-                    request.SelectedRegion,
-                    request.Lens,
-                    analyses.Where(analysis => itemIds.Contains(analysis.ItemId)).ToArray(),
-                    shoppingPlans.Where(plan => itemIds.Contains(plan.ItemId)).ToArray(),
-                    isFinal ? unavailableItemIds : new HashSet<int>(),
-                    isFinal ? fetchedCount : 0,
-                    ResetStaging: isFirst,
-                    CompleteStaging: isFinal,
-                    RequestedDataCenters: dataCenters);
-            result = isFinal
-                ? await _engineHost.PublishMarketEvidenceAsync(
-                    publicationBaseRevision,
-                    publicationRequest,
-                    cancellationToken,
-                    operationId)
-                : await _engineHost.StageMarketEvidenceAsync(
-                    publicationBaseRevision,
-                    publicationRequest,
-                    cancellationToken,
-                    operationId);
-            if (!result.Accepted)
-            {
-                await RefreshAfterConflictAsync(result, cancellationToken);
-                throw CreateConflict(result);
-            }
+            throw new InvalidOperationException(
+                $"The market source returned no usable evidence for {candidateCount:N0} items.");
         }
 
-        if (result is null)
+        // An accepted slice is published after the caller cancelled, so the rest of
+        // the run settles without that token.
+        var publicationToken = isPartial ? CancellationToken.None : cancellationToken;
+        reportStatus?.Invoke(
+            isPartial
+                ? $"Keeping the prices compared so far ({comparedCount:N0} of {candidateCount:N0} materials)..."
+                : "Applying the best purchase options...",
+            95);
+        var result = await _engineHost.PublishMarketEvidenceAsync(
+            publicationBaseRevision,
+            new WorkerMarketEvidencePublicationRequest(
+                publicationOperationId,
+                publicationBaseRevision,
+                request.Scope,
+                request.SelectedDataCenter,
+                request.SelectedRegion,
+                request.Lens,
+                analyses.ToArray(),
+                shoppingPlans.ToArray(),
+                unavailableItemIds,
+                fetchedCount,
+                ResetStaging: stagedBatchCount == 0,
+                CompleteStaging: true,
+                RequestedDataCenters: dataCenters),
+            publicationToken,
+            operationId);
+        if (!result.Accepted)
         {
-            throw new InvalidOperationException(
-                "The market analysis produced no evidence publication batches.");
+            await RefreshAfterConflictAsync(result, publicationToken);
+            throw CreateConflict(result);
         }
+
         if (!_projections.TryPublishMutation<WorkerMarketEvidenceCommitProjection>(
                 result,
                 out var commit) ||
             commit is null)
         {
-            await RefreshAfterConflictAsync(result, cancellationToken);
+            await RefreshAfterConflictAsync(result, publicationToken);
             throw CreateConflict(result);
         }
 
         var marketResult = await _engineHost.GetMarketProjectionAsync(
             _projections.Shell.Revision,
             includeDetails: false,
-            cancellationToken: cancellationToken);
+            cancellationToken: publicationToken);
         if (!_projections.TryPublishMarket(marketResult) ||
             _projections.Market is null)
         {
-            await RefreshAfterConflictAsync(marketResult, cancellationToken);
+            await RefreshAfterConflictAsync(marketResult, publicationToken);
             throw CreateConflict(marketResult);
         }
 
         reportStatus?.Invoke("Updating your plan with the new prices...", 98);
-        await RefreshRecipeProjectionAsync(cancellationToken);
-        await RefreshAcquisitionProjectionAsync("All", cancellationToken);
+        await RefreshRecipeProjectionAsync(publicationToken);
+        await RefreshAcquisitionProjectionAsync("All", publicationToken);
         return new WorkerMarketAnalysisOutcome(
             Published: true,
             commit.AnalyzedCount,
             commit.ChangedDecisionCount,
             commit.FetchedCount,
-            _projections.Market);
+            _projections.Market,
+            isPartial);
     }
 
     public static void CompactMarketAnalysisForPublication(MarketItemAnalysis analysis)
@@ -1227,11 +1510,18 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
         reportStatus?.Invoke(
             "Comparing travel and price tradeoffs...",
             70);
+        var workerProgress = reportStatus is null
+            ? null
+            : new ImmediateProgress<EngineProgress>(progress =>
+                reportStatus(
+                    DescribeProcurementProgress(progress),
+                    70 + (25d * progress.CompletedWorkUnits / progress.TotalWorkUnits)));
         var result = await _engineHost.RunProcurementAsync(
             _projections.Shell.Revision,
             request,
             cancellationToken,
-            operationId);
+            operationId,
+            workerProgress);
         reportStatus?.Invoke("Preparing your shopping route...", 95);
         if (!_projections.TryPublishMutation<WorkerProcurementOutcome>(
                 result,
@@ -1298,6 +1588,37 @@ public sealed class WorkerSessionCoordinator : IAsyncDisposable
         reportStatus("Checking saved market prices...", 10);
     }
 
+    private static string DescribeProcurementProgress(EngineProgress progress)
+    {
+        var stage = progress.Phase == EnginePhase.Reconciling
+            ? "Comparing travel and price tradeoffs"
+            : "Gathering available purchase options";
+        return progress.EstimatedRemainingMilliseconds is long remaining && remaining >= 1000
+            ? $"{stage} (about {FormatRemaining(remaining)} left)..."
+            : $"{stage}...";
+    }
+
+    // Linear over the materials compared so far, like EngineProgressEstimation.
+    private static string DescribeMarketComparisonProgress(
+        int itemIndex,
+        int candidateCount,
+        TimeSpan elapsed)
+    {
+        var message =
+            $"Comparing prices and availability ({itemIndex + 1:N0} of {candidateCount:N0} materials";
+        var remaining = itemIndex > 0
+            ? (long)elapsed.TotalMilliseconds * (candidateCount - itemIndex) / itemIndex
+            : 0;
+        return remaining >= 1000
+            ? $"{message}, about {FormatRemaining(remaining)} left)..."
+            : $"{message})...";
+    }
+
+    internal static string FormatRemaining(long milliseconds) =>
+        milliseconds < 60_000
+            ? $"{Math.Ceiling(milliseconds / 1000d):N0}s"
+            : $"{Math.Ceiling(milliseconds / 60_000d):N0} min";
+
     private sealed class ImmediateProgress<T>(Action<T> report) : IProgress<T>
     {
         public void Report(T value) => report(value);
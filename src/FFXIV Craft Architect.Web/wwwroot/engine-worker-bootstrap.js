@@ -7,14 +7,29 @@ const relayRetryMilliseconds = 500;
 const relayAcknowledgementTimeoutMilliseconds = 2000;
 const completedRequestRetentionMilliseconds = 30000;
 const maximumRememberedRequests = 128;
+const maximumComputePoolSize = 4;
+const computeWorkerStartupTimeoutMilliseconds = 30000;
+const crossTabProgressIntervalMilliseconds = 250;
 
-export function createEngineWorker(workerUrl = "engine-worker.js?v=2", workspaceId = defaultWorkspaceId) {
+export function createEngineWorker(
+    workerUrl = "engine-worker.js?v=2",
+    workspaceId = defaultWorkspaceId,
+    role = "session")
+{
+    if (role !== "session" && role !== "compute") {
+        throw new TypeError("A Worker role must be 'session' or 'compute'.");
+    }
     const normalizedWorkspaceId = normalizeWorkspaceId(workspaceId);
     const resolvedWorkerUrl = new URL(workerUrl, document.baseURI);
     resolvedWorkerUrl.searchParams.set("workspace", normalizedWorkspaceId);
+    if (role === "compute") {
+        resolvedWorkerUrl.searchParams.set("role", role);
+    }
     const worker = new Worker(resolvedWorkerUrl, {
         type: "module",
-        name: `craft-architect-engine-${normalizedWorkspaceId}`
+        name: role === "compute"
+            ? `craft-architect-engine-${normalizedWorkspaceId}-compute`
+            : `craft-architect-engine-${normalizedWorkspaceId}`
     });
     return {
         worker,
@@ -52,7 +67,8 @@ export function createEngineWorkerController(
     callback,
     workerUrl = "engine-worker.js?v=2",
     workspaceId = defaultWorkspaceId,
-    requestFreshAuthority = false)
+    requestFreshAuthority = false,
+    computePoolSize = 0)
 {
     if (!callback || typeof callback.invokeMethodAsync !== "function") {
         throw new TypeError("A .NET Worker callback is required.");
@@ -65,6 +81,7 @@ export function createEngineWorkerController(
     }
 
     const normalizedWorkspaceId = normalizeWorkspaceId(workspaceId);
+    const normalizedComputePoolSize = normalizeComputePoolSize(computePoolSize);
     const clientId = crypto.randomUUID();
     const lockName = `craft-architect-engine:${normalizedWorkspaceId}`;
     const channelName = `${lockName}:coordination-v${tenancyProtocolVersion}`;
@@ -85,6 +102,11 @@ export function createEngineWorkerController(
     let workerController = null;
     let unsubscribeWorker = null;
     let reportWorkerError = null;
+    // Stateless compute Workers run execute messages beside the durable session Worker.
+    // Market analysis is a session command and still runs on the session Worker.
+    let computeWorkers = [];
+    const queuedExecutions = [];
+    const progressBroadcasts = new Map();
     let heartbeatTimer = null;
     let retryTimer = null;
 
@@ -147,6 +169,7 @@ export function createEngineWorkerController(
                 }
                 break;
             case "session-projection":
+            case "execution-progress":
                 if (message.originClientId !== clientId) {
                     dispatchToDotNet(message.message);
                 }
@@ -241,6 +264,9 @@ export function createEngineWorkerController(
             leaderHeartbeatMilliseconds);
         announceLeadership();
         workerController.ping(physicalWorkerGeneration);
+        for (let index = 0; index < normalizedComputePoolSize; index++) {
+            startComputeWorker();
+        }
 
         await new Promise(resolve => {
             releaseLease = resolve;
@@ -272,6 +298,11 @@ export function createEngineWorkerController(
             unsubscribeWorker?.();
             workerController.terminate();
         }
+        for (const slot of computeWorkers) {
+            stopComputeWorker(slot);
+        }
+        computeWorkers = [];
+        queuedExecutions.length = 0;
         workerController = null;
         unsubscribeWorker = null;
         reportWorkerError = null;
@@ -318,7 +349,8 @@ export function createEngineWorkerController(
 
     function answerPing(targetClientId, generation) {
         if (!Number.isSafeInteger(generation) || generation <= 0) return;
-        if (!physicalWorkerCapability) {
+        // The reported pool size only counts compute Workers whose runtime started.
+        if (!physicalWorkerCapability || computeWorkers.some(slot => slot.capability === null)) {
             let generations = pendingRemotePings.get(targetClientId);
             if (!generations) {
                 generations = new Set();
@@ -333,7 +365,8 @@ export function createEngineWorkerController(
             generation,
             payload: {
                 ...physicalWorkerCapability.payload,
-                generation
+                generation,
+                computePoolSize: computeWorkers.length
             }
         };
         deliverToClient(targetClientId, capability);
@@ -442,14 +475,159 @@ export function createEngineWorkerController(
             ...identity,
             generation: physicalWorkerGeneration
         };
-        workerController.send({
+        const physicalMessage = {
             kind: "managed-json",
             messageJson: JSON.stringify(physicalIdentity),
             generation: physicalWorkerGeneration,
             messageKind: message.messageKind,
             executionId: physicalIdentity.executionId,
             transactionId: physicalIdentity.transactionId
-        });
+        };
+        if (message.messageKind === "execute" && computeWorkers.length > 0) {
+            queuedExecutions.push({
+                key,
+                identity: physicalIdentity,
+                message: physicalMessage,
+                cancelMessage: null
+            });
+            drainExecutionQueue();
+            return;
+        }
+        if (message.messageKind === "cancel" && routeComputeCancellation(key, physicalMessage)) {
+            return;
+        }
+        workerController.send(physicalMessage);
+    }
+
+    function startComputeWorker() {
+        const slot = {
+            controller: createEngineWorker(workerUrl, normalizedWorkspaceId, "compute"),
+            capability: null,
+            execution: null,
+            unsubscribe: null,
+            reportError: null,
+            startupTimer: null
+        };
+        slot.unsubscribe = slot.controller.subscribe(message => routeComputeWorkerMessage(slot, message));
+        slot.reportError = event => failComputeWorker(
+            slot,
+            event?.message ?? "The compute Worker emitted an unstructured error.",
+            slot.capability !== null);
+        slot.controller.worker.addEventListener("error", slot.reportError);
+        slot.controller.worker.addEventListener("messageerror", slot.reportError);
+        // Pings wait for every slot, so a Worker that never reports its runtime is retired.
+        slot.startupTimer = window.setTimeout(
+            () => failComputeWorker(
+                slot,
+                `The compute Worker did not start within ${computeWorkerStartupTimeoutMilliseconds} ms.`,
+                false),
+            computeWorkerStartupTimeoutMilliseconds);
+        computeWorkers.push(slot);
+        slot.controller.ping(physicalWorkerGeneration);
+    }
+
+    function stopComputeWorker(slot) {
+        window.clearTimeout(slot.startupTimer);
+        slot.controller.worker.removeEventListener("error", slot.reportError);
+        slot.controller.worker.removeEventListener("messageerror", slot.reportError);
+        slot.unsubscribe();
+        slot.controller.terminate();
+    }
+
+    /**
+     * Hand queued executions to idle compute Workers in arrival order. When no compute
+     * Worker is left, the session Worker runs them as it does without a pool.
+     */
+    function drainExecutionQueue() {
+        while (queuedExecutions.length > 0) {
+            const slot = computeWorkers.find(candidate =>
+                candidate.capability !== null && candidate.execution === null);
+            if (!slot) break;
+            const execution = queuedExecutions.shift();
+            slot.execution = execution;
+            slot.controller.send(execution.message);
+            if (execution.cancelMessage) {
+                slot.controller.send(execution.cancelMessage);
+            }
+        }
+        if (computeWorkers.length === 0) {
+            for (const execution of queuedExecutions.splice(0)) {
+                workerController.send(execution.message);
+                if (execution.cancelMessage) {
+                    workerController.send(execution.cancelMessage);
+                }
+            }
+        }
+    }
+
+    /**
+     * Deliver a cancellation to the compute Worker running the execution, or hold it
+     * with the queued execution so it follows the execute message. Returns false when
+     * the pool does not know the execution.
+     */
+    function routeComputeCancellation(key, message) {
+        const slot = computeWorkers.find(candidate => candidate.execution?.key === key);
+        if (slot) {
+            slot.controller.send(message);
+            return true;
+        }
+        const queued = queuedExecutions.find(execution => execution.key === key);
+        if (queued) {
+            queued.cancelMessage = message;
+            return true;
+        }
+        return false;
+    }
+
+    function routeComputeWorkerMessage(slot, message) {
+        const identity = extractWorkerIdentity(message);
+        if (!identity) return;
+        if (identity.kind === "capability") {
+            window.clearTimeout(slot.startupTimer);
+            if (identity.payload?.executionSupported === true) {
+                slot.capability = identity;
+                answerPendingPings();
+                drainExecutionQueue();
+            } else {
+                failComputeWorker(slot, "The compute Worker could not start the managed engine.", false);
+            }
+            return;
+        }
+
+        const completed = isTerminalWorkerMessage(message) &&
+            slot.execution?.key === commandIdentityKey(identity);
+        if (completed) {
+            slot.execution = null;
+        }
+        routeOwnedWorkerMessage(message);
+        if (completed) {
+            drainExecutionQueue();
+        }
+    }
+
+    /**
+     * Retire a failed compute Worker and fail only the execution it was running. A
+     * Worker that crashed after starting is replaced; one that never started is not.
+     */
+    function failComputeWorker(slot, errorMessage, replace) {
+        if (!computeWorkers.includes(slot)) return;
+        computeWorkers = computeWorkers.filter(candidate => candidate !== slot);
+        stopComputeWorker(slot);
+        if (slot.execution) {
+            routeOwnedWorkerMessage({
+                protocolVersion: "4",
+                kind: "protocol-error",
+                generation: physicalWorkerGeneration,
+                executionId: slot.execution.identity.executionId,
+                transactionId: slot.execution.identity.transactionId,
+                payload: { code: "compute-worker-failed", message: errorMessage }
+            });
+        }
+        if (replace && isLeader()) {
+            startComputeWorker();
+        }
+        answerPendingPings();
+        drainExecutionQueue();
     }
 
     function acknowledgeClient(targetClientId, requestId) {
@@ -480,18 +658,30 @@ export function createEngineWorkerController(
         if (!identity) return;
         if (identity.kind === "capability") {
             physicalWorkerCapability = identity;
-            for (const generation of [...pendingPingGenerations]) {
-                answerPing(clientId, generation);
-            }
-            for (const [targetClientId, generations] of pendingRemotePings) {
-                for (const generation of generations) {
-                    answerPing(targetClientId, generation);
-                }
-            }
-            pendingRemotePings.clear();
+            answerPendingPings();
+            return;
+        }
+        routeOwnedWorkerMessage(message);
+    }
+
+    function answerPendingPings() {
+        if (!physicalWorkerCapability || computeWorkers.some(slot => slot.capability === null)) {
             return;
         }
+        for (const generation of [...pendingPingGenerations]) {
+            answerPing(clientId, generation);
+        }
+        const remotePings = [...pendingRemotePings];
+        pendingRemotePings.clear();
+        for (const [targetClientId, generations] of remotePings) {
+            for (const generation of generations) {
+                answerPing(targetClientId, generation);
+            }
+        }
+    }
 
+    function routeOwnedWorkerMessage(message) {
+        const identity = extractWorkerIdentity(message);
         const owner = requestOwners.get(commandIdentityKey(identity));
         if (!owner) {
             return;
@@ -507,10 +697,13 @@ export function createEngineWorkerController(
                 remembered.completedAt = Date.now();
             }
             requestOwners.delete(commandIdentityKey(identity));
+            flushCompactProgress(commandIdentityKey(identity));
         }
         sendWorkerMessage(owner.clientId, owner.requestId, logicalMessage);
         if (isAcceptedSessionResult(logicalMessage)) {
             broadcastCompactSessionProjection(owner.clientId, logicalMessage);
+        } else if (identity?.kind === "progress") {
+            broadcastCompactProgress(owner.clientId, identity);
         }
     }
 
@@ -559,6 +752,9 @@ export function createEngineWorkerController(
             result?.commandKind === "bootstrap" ||
             result?.commandKind === "replace" ||
             result?.commandKind === "shell" ||
+            result?.commandKind === "undo" ||
+            result?.commandKind === "redo" ||
+            result?.commandKind === "session-file-import" ||
             result?.commandKind?.startsWith("operation-") === true ||
             result?.commandKind?.startsWith("mutate-") === true;
         if (!publishesShell) return;
@@ -592,10 +788,86 @@ export function createEngineWorkerController(
         });
     }
 
+    /**
+     * Let observer tabs follow the owner's progress. Partial result slices can be
+     * large and only the owner can accept them, so observers learn that one exists.
+     * Frames are coalesced per execution to one per interval; a phase change and the
+     * final frame go out at once.
+     */
+    function broadcastCompactProgress(originClientId, frame) {
+        const progress = frame.payload;
+        if (!progress ||
+            !Number.isSafeInteger(progress.completedWorkUnits) ||
+            !Number.isSafeInteger(progress.totalWorkUnits)) {
+            return;
+        }
+        const key = commandIdentityKey(frame);
+        let broadcast = progressBroadcasts.get(key);
+        if (!broadcast) {
+            broadcast = { phase: undefined, sentAt: 0, timer: null, pending: null };
+            progressBroadcasts.set(key, broadcast);
+        }
+        broadcast.pending = {
+            originClientId,
+            message: createCompactProgressMessage(progress)
+        };
+        const final = progress.totalWorkUnits > 0 &&
+            progress.completedWorkUnits >= progress.totalWorkUnits;
+        const delay = broadcast.sentAt + crossTabProgressIntervalMilliseconds - Date.now();
+        if (final || progress.phase !== broadcast.phase || delay <= 0) {
+            broadcast.phase = progress.phase;
+            sendPendingProgress(broadcast);
+        } else if (broadcast.timer === null) {
+            broadcast.timer = window.setTimeout(() => sendPendingProgress(broadcast), delay);
+        }
+    }
+
+    /** Send the frame an execution still holds back before its terminal message. */
+    function flushCompactProgress(key) {
+        const broadcast = progressBroadcasts.get(key);
+        if (!broadcast) return;
+        progressBroadcasts.delete(key);
+        sendPendingProgress(broadcast);
+    }
+
+    function sendPendingProgress(broadcast) {
+        window.clearTimeout(broadcast.timer);
+        broadcast.timer = null;
+        const pending = broadcast.pending;
+        if (!pending) return;
+        broadcast.pending = null;
+        broadcast.sentAt = Date.now();
+        if (pending.originClientId !== clientId) {
+            dispatchToDotNet(pending.message);
+        }
+        postCoordination({
+            type: "execution-progress",
+            originClientId: pending.originClientId,
+            message: pending.message
+        });
+    }
+
+    function createCompactProgressMessage(progress) {
+        return {
+            protocolVersion: "4",
+            kind: "cross-tab-progress",
+            generation: 0,
+            executionId: null,
+            transactionId: null,
+            payload: {
+                workspaceId: normalizedWorkspaceId,
+                hasPartialResult: progress.partialResult != null,
+                progress: { ...progress, partialResult: null }
+            }
+        };
+    }
+
     function dispatchToDotNet(message) {
         if (message?.kind === "managed-json" && typeof message.messageJson === "string") {
             if (message.messageKind === "progress") {
-                window.dispatchEvent(new Event("craft-architect-engine-worker-progress"));
+                window.dispatchEvent(new CustomEvent("craft-architect-engine-worker-progress", {
+                    detail: summarizeProgressFrame(extractWorkerIdentity(message))
+                }));
             } else if (message.messageKind === "computation-result") {
                 window.dispatchEvent(new Event("craft-architect-engine-worker-complete"));
             }
@@ -644,6 +916,10 @@ export function createEngineWorkerController(
         channel.removeEventListener("message", receiveCoordinationMessage);
         channel.close();
         retirePhysicalAuthority();
+        for (const broadcast of progressBroadcasts.values()) {
+            window.clearTimeout(broadcast.timer);
+        }
+        progressBroadcasts.clear();
         pendingPingGenerations.clear();
         pendingRelays.clear();
     }
@@ -690,6 +966,16 @@ function retireLegacyAuthorities(workspaceId, clientId) {
     }
 }
 
+function normalizeComputePoolSize(computePoolSize) {
+    if (!Number.isSafeInteger(computePoolSize) ||
+        computePoolSize < 0 ||
+        computePoolSize > maximumComputePoolSize) {
+        throw new RangeError(
+            `A compute Worker pool holds 0-${maximumComputePoolSize} Workers.`);
+    }
+    return computePoolSize;
+}
+
 function normalizeWorkspaceId(workspaceId) {
     const normalized = String(workspaceId ?? "").trim().toLowerCase();
     if (!/^[a-z0-9][a-z0-9._-]{0,63}$/.test(normalized)) {
@@ -710,6 +996,20 @@ function extractWorkerIdentity(message) {
     return message && typeof message === "object" ? message : null;
 }
 
+function summarizeProgressFrame(frame) {
+    const progress = frame?.payload;
+    return {
+        executionId: frame?.executionId ?? null,
+        phase: progress?.phase ?? null,
+        completedWorkUnits: progress?.completedWorkUnits ?? 0,
+        totalWorkUnits: progress?.totalWorkUnits ?? 0,
+        elapsedMilliseconds: progress?.elapsedMilliseconds ?? null,
+        estimatedRemainingMilliseconds: progress?.estimatedRemainingMilliseconds ?? null,
+        message: progress?.message ?? "",
+        hasPartialResult: progress?.partialResult != null
+    };
+}
+
 function rewriteWorkerGeneration(message, logicalGeneration) {
     if (message?.kind === "managed-json" && typeof message.messageJson === "string") {
         const identity = JSON.parse(message.messageJson);
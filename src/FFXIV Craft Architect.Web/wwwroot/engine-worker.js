@@ -6,6 +6,8 @@ const workerModuleUrl = new URL(import.meta.url);
 const acceptanceMode = workerModuleUrl.searchParams.get("acceptance") === "true";
 const workspaceId = normalizeWorkspaceId(
     workerModuleUrl.searchParams.get("workspace") ?? "active");
+// Compute Workers only run execute messages; the session Worker owns durable state.
+const workerRole = workerModuleUrl.searchParams.get("role") === "compute" ? "compute" : "session";
 let workerGeneration = null;
 let sessionBootstrapPromise = null;
 
@@ -36,6 +38,7 @@ self.onmessage = async event => {
                 crossOriginIsolated: self.crossOriginIsolated === true,
                 sharedArrayBufferAvailable: typeof SharedArrayBuffer !== "undefined",
                 threadsAvailable: false,
+                workerRole,
                 executionSupported: managedRuntime.ready,
                 resultKind: computationResultKind,
                 managedRuntimeReady: managedRuntime.ready,
@@ -101,6 +104,13 @@ self.onmessage = async event => {
             dispatchManagedExecutionJson(message.messageJson, identity, managedRuntime.host);
             return;
         }
+        if (message.messageKind === "session-command" && workerRole === "compute") {
+            postProtocolError(
+                identity,
+                "session-command-unsupported",
+                "A compute Worker does not own the durable session.");
+            return;
+        }
         if (message.messageKind === "session-command") {
             dispatchManagedSessionCommandJson(message.messageJson, identity, managedRuntime.host);
             return;
@@ -214,10 +224,21 @@ const sessionRevisionStore = "engineSessionRevisions";
 const sessionComponentStore = "engineSessionComponents";
 const legacyPlanStore = "plans";
 const savedPlanComponentStore = "planComponents";
-const activeSessionManifestId = workspaceId === "active"
-    ? "active"
-    : `workspace:${workspaceId}:active`;
+const activeSessionManifestId = sessionManifestIdFor(workspaceId);
+const defaultWorkspaceId = "active";
+const maximumWorkspaceDisplayNameLength = 80;
+// Held by the tab that owns a workspace's Worker; see engine-worker-bootstrap.js.
+const workspaceLockPrefix = "craft-architect-engine:";
 const sessionRevisionSchemaVersion = 2;
+// Undo steps retained per workspace; a worker URL's revisionWindow parameter overrides it.
+const defaultSessionRevisionWindow = 20;
+const maximumSessionRevisionWindow = 100;
+const sessionRevisionWindow = normalizeRevisionWindow(
+    workerModuleUrl.searchParams.get("revisionWindow"));
+const componentEncodingIdentity = "identity";
+const componentEncodingGzip = "gzip";
+// Matches indexedDB.js: shorter payloads are not worth a compression stream.
+const componentCompressionMinimumLength = 16 * 1024;
 const sessionComponentFields = Object.freeze([
     "revisionMarkerJson",
     "planJson",
@@ -229,6 +250,11 @@ const sessionComponentFields = Object.freeze([
     "marketAnalysisScopeSnapshotJson",
     "procurementRouteJson"
 ]);
+const sessionFileFormat = "craft-architect-engine-session";
+const sessionFileFormatVersion = 1;
+// The revision marker only stamps a stored revision, so files leave it out.
+const sessionFileComponentFields = Object.freeze(
+    sessionComponentFields.filter(field => field !== "revisionMarkerJson"));
 
 async function executeSessionCommand(messageJson, host) {
     const message = JSON.parse(messageJson);
@@ -245,9 +271,22 @@ async function executeSessionCommand(messageJson, host) {
     }
 
     await ensureSessionBootstrapped(host, message);
+    if (typeof command.commandKind === "string" &&
+        command.commandKind.startsWith("workspace-")) {
+        return await executeWorkspaceCommand(message);
+    }
     if (command.commandKind === "replace") {
         return await replaceDurableSession(host, message);
     }
+    if (command.commandKind === "session-file-export") {
+        return await exportSessionFile(host, message);
+    }
+    if (command.commandKind === "session-file-import") {
+        return await importSessionFile(host, message);
+    }
+    if (command.commandKind === "undo" || command.commandKind === "redo") {
+        return await stepDurableSession(host, message);
+    }
     if (typeof command.commandKind === "string" &&
         command.commandKind.startsWith("mutate-")) {
         return await mutateDurableSession(host, message);
@@ -343,19 +382,222 @@ async function replaceDurableSession(host, requestMessage) {
         const durableState = repairPatch
             ? applyDurablePatch(command.payload?.storedPlan ?? null, repairPatch)
             : command.payload?.storedPlan ?? null;
-        await commitDurableSession(
+        result.payload.history = await commitDurableSession(
             current.revision,
             result.payload.revision,
             durableState,
             repairPatch,
             command.payload?.trackStoredPlanIdentity !== false);
-        return resultJson;
+        return JSON.stringify(result);
     } catch (error) {
         sessionBootstrapPromise = null;
         throw new Error(`Worker session durable commit failed: ${String(error)}`);
     }
 }
 
+/**
+ * Serialize the active revision into a portable session file: the stored-plan metadata
+ * plus every component, so the file restores the exact session on another browser.
+ */
+async function exportSessionFile(host, requestMessage) {
+    const command = requestMessage.payload;
+    const current = await loadDurableSession();
+    if (current.revision !== command.expectedRevision) {
+        return await host.ExecuteSessionCommandJson(JSON.stringify(createManagedSessionMessage(
+            requestMessage,
+            "shell",
+            command.expectedRevision,
+            {})));
+    }
+
+    const metadata = current.storedPlan ? { ...current.storedPlan } : null;
+    const components = {};
+    for (const field of sessionComponentFields) {
+        if (metadata) {
+            delete metadata[field];
+        }
+        if (sessionFileComponentFields.includes(field)) {
+            components[field] = current.storedPlan?.[field] ?? null;
+        }
+    }
+    const file = {
+        format: sessionFileFormat,
+        formatVersion: sessionFileFormatVersion,
+        exportedAtUtc: new Date().toISOString(),
+        workspaceId,
+        revision: current.revision,
+        trackStoredPlanIdentity: current.trackStoredPlanIdentity,
+        storedPlanMetadata: metadata,
+        components
+    };
+    return createSessionResult(requestMessage, current.revision, null, {
+        fileName: `craft-architect-session-${workspaceId}-r${current.revision}.json`,
+        fileJson: JSON.stringify(file)
+    });
+}
+
+/**
+ * Import a session file into this Worker's workspace as a replacement, so the managed
+ * host validates it and the previous state stays on the undo stack. A Worker owns one
+ * workspace; an import naming another workspace is refused instead of landing here.
+ */
+async function importSessionFile(host, requestMessage) {
+    const command = requestMessage.payload;
+    const request = command.payload ?? {};
+    if (request.workspaceId != null && parseWorkspaceId(request.workspaceId) !== workspaceId) {
+        return createSessionResult(
+            requestMessage,
+            command.expectedRevision,
+            workspaceRejection(
+                "workspace-not-current",
+                `Open workspace '${request.workspaceId}' to import a session into it.`),
+            null);
+    }
+    const session = readSessionFile(request.fileJson);
+    if (session.error) {
+        return createSessionResult(
+            requestMessage,
+            command.expectedRevision,
+            { code: "session-file-invalid", message: session.error },
+            null);
+    }
+
+    const result = JSON.parse(await replaceDurableSession(
+        host,
+        createManagedSessionMessage(requestMessage, "replace", command.expectedRevision, {
+            storedPlan: session.storedPlan,
+            trackStoredPlanIdentity: session.trackStoredPlanIdentity
+        })));
+    result.payload.commandKind = command.commandKind;
+    return JSON.stringify(result);
+}
+
+/**
+ * Check a session file's shape and rebuild the stored plan it carries. The managed
+ * restore validates the plan content itself.
+ */
+function readSessionFile(fileJson) {
+    let file;
+    try {
+        file = JSON.parse(fileJson);
+    } catch {
+        return { error: "The file is not valid JSON." };
+    }
+    if (!file || typeof file !== "object" || file.format !== sessionFileFormat) {
+        return { error: "The file is not a Craft Architect session file." };
+    }
+    if (!Number.isSafeInteger(file.formatVersion) ||
+        file.formatVersion < 1 ||
+        file.formatVersion > sessionFileFormatVersion) {
+        return {
+            error: `The session file uses format v${file.formatVersion} ` +
+                `(expected v1 to v${sessionFileFormatVersion}).`
+        };
+    }
+    const metadata = file.storedPlanMetadata;
+    if (metadata !== null &&
+        (typeof metadata !== "object" || Array.isArray(metadata) ||
+            (metadata.projectItems !== undefined && !Array.isArray(metadata.projectItems)))) {
+        return { error: "The session file has malformed plan metadata." };
+    }
+    const components = file.components ?? {};
+    if (typeof components !== "object" || Array.isArray(components)) {
+        return { error: "The session file has malformed components." };
+    }
+    for (const field of sessionFileComponentFields) {
+        const payload = components[field] ?? null;
+        if (payload !== null && (typeof payload !== "string" || metadata === null)) {
+            return { error: `The session file has a malformed '${field}' component.` };
+        }
+    }
+
+    if (metadata === null) {
+        return { storedPlan: null, trackStoredPlanIdentity: false };
+    }
+    const storedPlan = { ...metadata };
+    for (const field of sessionComponentFields) {
+        delete storedPlan[field];
+    }
+    for (const field of sessionFileComponentFields) {
+        storedPlan[field] = components[field] ?? null;
+    }
+    return {
+        storedPlan,
+        trackStoredPlanIdentity: file.trackStoredPlanIdentity !== false
+    };
+}
+
+/**
+ * Undo or redo by restoring a retained revision into the managed host. The restored
+ * state is committed as a new revision that shares the retained one's components, so
+ * revisions only ever grow and stale callers still see a revision conflict.
+ */
+async function stepDurableSession(host, requestMessage) {
+    const command = requestMessage.payload;
+    const current = await loadDurableSession();
+    if (current.revision !== command.expectedRevision) {
+        return await host.ExecuteSessionCommandJson(JSON.stringify(createManagedSessionMessage(
+            requestMessage,
+            "shell",
+            command.expectedRevision,
+            {})));
+    }
+
+    const stack = command.commandKind === "undo"
+        ? current.history.undoRevisions
+        : current.history.redoRevisions;
+    const restoredRevision = stack.at(-1) ?? 0;
+    if (restoredRevision <= 0) {
+        // The managed host answers an undo or redo with nothing to step to.
+        return await host.ExecuteSessionCommandJson(JSON.stringify(requestMessage));
+    }
+    const database = await openSessionDatabase();
+    let restored;
+    try {
+        restored = await loadRevision(database, restoredRevision);
+    } finally {
+        database.close();
+    }
+    if (!restored) {
+        throw new Error(`Worker session revision ${restoredRevision} is no longer retained.`);
+    }
+
+    const restoreMessage = createManagedSessionMessage(
+        requestMessage,
+        "restore",
+        current.revision,
+        {
+            revision: current.revision + 1,
+            storedPlan: restored.storedPlan,
+            trackStoredPlanIdentity: restored.trackStoredPlanIdentity,
+            migratedFromLegacy: false
+        });
+    const resultJson = await host.ExecuteSessionCommandJson(JSON.stringify(restoreMessage));
+    const result = JSON.parse(resultJson);
+    if (result.payload?.accepted !== true) {
+        return resultJson;
+    }
+
+    try {
+        const repairPatch = result.payload?.durableRepairPatch ?? null;
+        const durableState = repairPatch
+            ? applyDurablePatch(restored.storedPlan, repairPatch)
+            : restored.storedPlan;
+        result.payload.history = await commitDurableSession(
+            current.revision,
+            result.payload.revision,
+            durableState,
+            repairPatch,
+            restored.trackStoredPlanIdentity,
+            { direction: command.commandKind, revision: restoredRevision });
+        result.payload.commandKind = command.commandKind;
+        return JSON.stringify(result);
+    } catch (error) {
+        sessionBootstrapPromise = null;
+        throw new Error(`Worker session durable ${command.commandKind} failed: ${String(error)}`);
+    }
+}
+
 async function mutateDurableSession(host, requestMessage) {
     const startedAt = performance.now();
     const command = requestMessage.payload;
@@ -387,7 +629,7 @@ async function mutateDurableSession(host, requestMessage) {
     try {
         const durableState = carrier.durableState ??
             applyDurablePatch(current.storedPlan, carrier.durablePatch);
-        await commitDurableSession(
+        result.payload.history = await commitDurableSession(
             current.revision,
             targetRevision,
             durableState,
@@ -497,24 +739,36 @@ async function loadDurableSession() {
             } catch (error) {
                 activeError = error;
             }
+            const history = readSessionHistory(manifest);
             if (active) {
                 return {
                     revision: manifest.activeRevision,
                     storedPlan: active.storedPlan,
                     trackStoredPlanIdentity: active.trackStoredPlanIdentity !== false,
-                    migratedFromLegacy: false
+                    migratedFromLegacy: false,
+                    history
                 };
             }
 
-            if (manifest.previousRevision > 0) {
-                const previous = await loadRevision(database, manifest.previousRevision);
+            const previousRevision = history.undoRevisions.at(-1) ?? 0;
+            if (previousRevision > 0) {
+                const previous = await loadRevision(database, previousRevision);
                 if (previous) {
-                    await repairManifestToPrevious(database, manifest.previousRevision);
+                    const repairedHistory = {
+                        undoRevisions: history.undoRevisions.slice(0, -1),
+                        redoRevisions: []
+                    };
+                    await repairManifestToPrevious(
+                        database,
+                        manifest,
+                        previousRevision,
+                        repairedHistory);
                     return {
-                        revision: manifest.previousRevision,
+                        revision: previousRevision,
                         storedPlan: previous.storedPlan,
                         trackStoredPlanIdentity: previous.trackStoredPlanIdentity !== false,
-                        migratedFromLegacy: false
+                        migratedFromLegacy: false,
+                        history: repairedHistory
                     };
                 }
             }
@@ -533,14 +787,16 @@ async function loadDurableSession() {
                 revision: 1,
                 storedPlan: legacy,
                 trackStoredPlanIdentity: false,
-                migratedFromLegacy: true
+                migratedFromLegacy: true,
+                history: readSessionHistory(null)
             };
         }
         return {
             revision: 0,
             storedPlan: null,
             trackStoredPlanIdentity: false,
-            migratedFromLegacy: false
+            migratedFromLegacy: false,
+            history: readSessionHistory(null)
         };
     } finally {
         database.close();
@@ -763,7 +1019,7 @@ async function materializeSavedPlan(database, record) {
         if (!component || component.planId !== record.id || component.field !== field) {
             throw new Error(`The autosave is missing component '${field}'.`);
         }
-        storedPlan[field] = component.payload;
+        storedPlan[field] = await decodeComponentPayload(component);
     }
     return storedPlan;
 }
@@ -777,6 +1033,15 @@ function readStoreValue(database, storeName, key) {
     });
 }
 
+function readAllStoreValues(database, storeName) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, "readonly");
+        const request = transaction.objectStore(storeName).getAll();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result ?? []);
+    });
+}
+
 function readStoreValues(database, storeName, keys) {
     return new Promise((resolve, reject) => {
         const values = new Map();
@@ -847,12 +1112,38 @@ async function materializeStoredPlan(database, record) {
             throw new Error(
                 `Worker session revision ${record.revision} is missing component '${field}'.`);
         }
-        storedPlan[field] = component.payload;
+        storedPlan[field] = await decodeComponentPayload(component);
     }
     return storedPlan;
 }
 
-function createV2RevisionRecord(
+async function encodeComponentPayload(payload) {
+    if (typeof payload !== "string" ||
+        payload.length < componentCompressionMinimumLength ||
+        typeof CompressionStream !== "function") {
+        return { payload, encoding: componentEncodingIdentity };
+    }
+    const bytes = new TextEncoder().encode(payload);
+    const compressed = await new Response(
+        new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"))).arrayBuffer();
+    return compressed.byteLength < bytes.byteLength
+        ? { payload: compressed, encoding: componentEncodingGzip }
+        : { payload, encoding: componentEncodingIdentity };
+}
+
+async function decodeComponentPayload(component) {
+    const encoding = component.encoding ?? componentEncodingIdentity;
+    if (encoding === componentEncodingIdentity) {
+        return component.payload;
+    }
+    if (encoding !== componentEncodingGzip) {
+        throw new Error(`Session component ${component.id} has unsupported encoding '${encoding}'.`);
+    }
+    return await new Response(
+        new Blob([component.payload]).stream().pipeThrough(new DecompressionStream("gzip"))).text();
+}
+
+async function createV2RevisionRecord(
     revision,
     storedPlan,
     trackStoredPlanIdentity,
@@ -916,12 +1207,14 @@ function createV2RevisionRecord(
             continue;
         }
         const id = componentRecordId(revision, field);
+        const encoded = await encodeComponentPayload(payload);
         componentRefs[field] = id;
         components.push({
             id,
             schemaVersion: 1,
             field,
-            payload,
+            encoding: encoded.encoding,
+            payload: encoded.payload,
             createdAtUnixMilliseconds
         });
     }
@@ -940,26 +1233,35 @@ function createV2RevisionRecord(
     };
 }
 
+/**
+ * Commit a successor revision and move the manifest. A new mutation pushes the active
+ * revision onto the undo stack and discards the redo stack; an undo or redo step swaps
+ * the restored revision for its successor. Revisions that fall out of the window are
+ * deleted with the components no retained revision still shares.
+ */
 async function commitDurableSession(
     expectedRevision,
     revision,
     storedPlan,
     durablePatch = null,
-    trackStoredPlanIdentity = storedPlan?.id !== "autosave")
+    trackStoredPlanIdentity = storedPlan?.id !== "autosave",
+    historyStep = null)
 {
     const database = await openSessionDatabase();
-    const previousRecord = expectedRevision > 0
+    const baseRevision = historyStep?.revision ?? expectedRevision;
+    const baseRecord = baseRevision > 0
         ? await readStoreValue(
             database,
             sessionRevisionStore,
-            revisionRecordId(expectedRevision))
+            revisionRecordId(baseRevision))
         : null;
-    const successor = createV2RevisionRecord(
+    // An empty patch makes a history step reuse every component of the restored revision.
+    const successor = await createV2RevisionRecord(
         revision,
         storedPlan,
         trackStoredPlanIdentity,
-        previousRecord,
-        durablePatch);
+        baseRecord,
+        historyStep ? durablePatch ?? {} : durablePatch);
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction(
@@ -970,10 +1272,11 @@ async function commitDurableSession(
         const components = transaction.objectStore(sessionComponentStore);
         const manifestRequest = manifests.get(activeSessionManifestId);
         let rejected = false;
+        let committedHistory = null;
 
         transaction.oncomplete = () => {
             database.close();
-            if (!rejected) resolve();
+            if (!rejected) resolve(committedHistory);
         };
         transaction.onerror = () => {
             database.close();
@@ -983,67 +1286,126 @@ async function commitDurableSession(
             database.close();
             if (!rejected) reject(transaction.error ?? new Error("Worker session commit aborted."));
         };
+        const rejectCommit = message => {
+            rejected = true;
+            transaction.abort();
+            database.close();
+            reject(new Error(message));
+        };
         manifestRequest.onerror = () => transaction.abort();
         manifestRequest.onsuccess = () => {
             const manifest = manifestRequest.result;
             const activeRevision = manifest?.activeRevision ?? 0;
             if (activeRevision !== expectedRevision) {
-                rejected = true;
-                transaction.abort();
-                database.close();
-                reject(new Error(
-                    `Worker session revision changed from ${expectedRevision} to ${activeRevision}.`));
+                rejectCommit(
+                    `Worker session revision changed from ${expectedRevision} to ${activeRevision}.`);
                 return;
             }
 
+            const history = readSessionHistory(manifest);
+            let undoRevisions;
+            let redoRevisions;
+            let retiredRevisions;
+            if (historyStep) {
+                const stack = historyStep.direction === "undo"
+                    ? history.undoRevisions
+                    : history.redoRevisions;
+                if (stack.at(-1) !== historyStep.revision) {
+                    rejectCommit(
+                        `Worker session ${historyStep.direction} target ${historyStep.revision} is no longer current.`);
+                    return;
+                }
+                undoRevisions = historyStep.direction === "undo"
+                    ? history.undoRevisions.slice(0, -1)
+                    : [...history.undoRevisions, activeRevision];
+                redoRevisions = historyStep.direction === "undo"
+                    ? [...history.redoRevisions, activeRevision]
+                    : history.redoRevisions.slice(0, -1);
+                retiredRevisions = [historyStep.revision];
+            } else {
+                undoRevisions = activeRevision > 0
+                    ? [...history.undoRevisions, activeRevision]
+                    : [...history.undoRevisions];
+                redoRevisions = [];
+                retiredRevisions = [...history.redoRevisions];
+            }
+            const overflow = undoRevisions.length - sessionRevisionWindow;
+            if (overflow > 0) {
+                retiredRevisions.push(...undoRevisions.splice(0, overflow));
+            }
+            const retainedRevisions = new Set([...undoRevisions, ...redoRevisions]);
+            retiredRevisions = retiredRevisions.filter(retired =>
+                retired > 0 && retired !== revision && !retainedRevisions.has(retired));
+
             const persistSuccessor = () => {
                 for (const component of successor.components) {
                     components.put(component);
                 }
                 revisions.put(successor.record);
                 manifests.put({
+                    ...manifest,
                     id: activeSessionManifestId,
                     schemaVersion: sessionRevisionSchemaVersion,
                     activeRevision: revision,
-                    previousRevision: activeRevision,
+                    previousRevision: undoRevisions.at(-1) ?? 0,
+                    undoRevisions,
+                    redoRevisions,
                     updatedAtUnixMilliseconds: Date.now()
                 });
+                committedHistory = {
+                    undoDepth: undoRevisions.length,
+                    redoDepth: redoRevisions.length
+                };
             };
-            const retiredRevision = manifest?.previousRevision ?? 0;
-            if (retiredRevision <= 0 || retiredRevision === activeRevision) {
+            if (retiredRevisions.length === 0) {
                 persistSuccessor();
                 return;
             }
 
-            const retiredRequest = revisions.get(revisionRecordId(retiredRevision));
-            retiredRequest.onerror = () => transaction.abort();
-            retiredRequest.onsuccess = () => {
-                const retainedComponentIds = new Set([
-                    ...Object.values(previousRecord?.componentRefs ?? {}),
-                    ...Object.values(successor.record.componentRefs ?? {})
-                ].filter(id => typeof id === "string"));
-                const retiredRecord = retiredRequest.result;
-                for (const componentId of Object.values(retiredRecord?.componentRefs ?? {})) {
-                    if (typeof componentId === "string" &&
-                        !retainedComponentIds.has(componentId)) {
-                        components.delete(componentId);
+            // Retained revisions share components with retired ones, so read both before
+            // deciding which components go.
+            const records = new Map();
+            const readRevisions = [...retiredRevisions, ...retainedRevisions];
+            let pending = readRevisions.length;
+            for (const readRevision of readRevisions) {
+                const request = revisions.get(revisionRecordId(readRevision));
+                request.onerror = () => transaction.abort();
+                request.onsuccess = () => {
+                    records.set(readRevision, request.result ?? null);
+                    if (--pending > 0) return;
+
+                    const retainedComponentIds = new Set([
+                        ...[...retainedRevisions].flatMap(retained =>
+                            Object.values(records.get(retained)?.componentRefs ?? {})),
+                        ...Object.values(successor.record.componentRefs ?? {})
+                    ].filter(id => typeof id === "string"));
+                    for (const retired of retiredRevisions) {
+                        for (const componentId of Object.values(records.get(retired)?.componentRefs ?? {})) {
+                            if (typeof componentId === "string" &&
+                                !retainedComponentIds.has(componentId)) {
+                                components.delete(componentId);
+                            }
+                        }
+                        revisions.delete(revisionRecordId(retired));
                     }
-                }
-                revisions.delete(revisionRecordId(retiredRevision));
-                persistSuccessor();
-            };
+                    persistSuccessor();
+                };
+            }
         };
     });
 }
 
-function repairManifestToPrevious(database, previousRevision) {
+function repairManifestToPrevious(database, manifest, previousRevision, history) {
     return new Promise((resolve, reject) => {
         const transaction = database.transaction(sessionManifestStore, "readwrite");
         transaction.objectStore(sessionManifestStore).put({
+            ...manifest,
             id: activeSessionManifestId,
             schemaVersion: sessionRevisionSchemaVersion,
             activeRevision: previousRevision,
-            previousRevision: 0,
+            previousRevision: history.undoRevisions.at(-1) ?? 0,
+            undoRevisions: history.undoRevisions,
+            redoRevisions: history.redoRevisions,
             updatedAtUnixMilliseconds: Date.now()
         });
         transaction.oncomplete = () => resolve();
@@ -1052,6 +1414,425 @@ function repairManifestToPrevious(database, previousRevision) {
     });
 }
 
+/**
+ * Undo and redo stacks of a manifest, oldest first. Manifests written before the
+ * stacks existed only know their previous revision.
+ */
+function readSessionHistory(manifest) {
+    const revisions = value => Array.isArray(value)
+        ? value.filter(revision => Number.isSafeInteger(revision) && revision > 0)
+        : [];
+    return {
+        undoRevisions: Array.isArray(manifest?.undoRevisions)
+            ? revisions(manifest.undoRevisions)
+            : revisions([manifest?.previousRevision]),
+        redoRevisions: revisions(manifest?.redoRevisions)
+    };
+}
+
+/**
+ * Workspace management runs in JavaScript against the manifest store: a workspace is
+ * its manifest plus the revisions and components keyed under its manifest id. Every
+ * result carries the refreshed workspace list, also when the command is rejected.
+ */
+async function executeWorkspaceCommand(requestMessage) {
+    const command = requestMessage.payload;
+    const request = command.payload ?? {};
+    const database = await openSessionDatabase();
+    try {
+        let rejection;
+        let deleted = null;
+        switch (command.commandKind) {
+            case "workspace-list":
+                rejection = null;
+                break;
+            case "workspace-create":
+                rejection = await createWorkspace(database, request);
+                break;
+            case "workspace-rename":
+                rejection = await renameWorkspace(database, request);
+                break;
+            case "workspace-duplicate":
+                rejection = await duplicateWorkspace(database, request);
+                break;
+            case "workspace-delete":
+                ({ rejection, deleted } = await deleteWorkspace(database, request));
+                break;
+            default:
+                rejection = workspaceRejection(
+                    "unknown-command",
+                    `Unknown Worker workspace command '${command.commandKind}'.`);
+        }
+        const workspaces = await listWorkspaces(database);
+        return createSessionResult(
+            requestMessage,
+            workspaces.find(workspace => workspace.isCurrent).activeRevision,
+            rejection,
+            { currentWorkspaceId: workspaceId, workspaces, ...(deleted ? { deleted } : {}) });
+    } finally {
+        database.close();
+    }
+}
+
+/** A session result for a command answered in JavaScript without the managed host. */
+function createSessionResult(requestMessage, revision, rejection, projection) {
+    return JSON.stringify({
+        protocolVersion,
+        kind: "session-result",
+        generation: requestMessage.generation,
+        executionId: requestMessage.executionId,
+        transactionId: requestMessage.transactionId,
+        payload: {
+            contractVersion: "1",
+            commandKind: requestMessage.payload.commandKind,
+            revision,
+            accepted: rejection === null,
+            rejectionCode: rejection?.code ?? null,
+            message: rejection?.message ?? null,
+            projection
+        }
+    });
+}
+
+async function listWorkspaces(database) {
+    const manifests = await readAllStoreValues(database, sessionManifestStore);
+    const records = await readStoreValues(
+        database,
+        sessionRevisionStore,
+        manifests
+            .filter(manifest => manifest.activeRevision > 0)
+            .map(manifest => `${manifest.id}:${manifest.activeRevision}`));
+    const workspaces = new Map();
+    for (const manifest of manifests) {
+        const id = workspaceIdForManifest(manifest.id);
+        if (id === null) {
+            continue;
+        }
+        const record = records.get(`${manifest.id}:${manifest.activeRevision}`) ?? null;
+        const plan = record?.storedPlanMetadata ?? record?.storedPlan ?? null;
+        const history = readSessionHistory(manifest);
+        workspaces.set(id, {
+            workspaceId: id,
+            displayName: manifest.displayName ?? defaultWorkspaceDisplayName(id),
+            activeRevision: manifest.activeRevision ?? 0,
+            undoDepth: history.undoRevisions.length,
+            redoDepth: history.redoRevisions.length,
+            planName: plan?.name ?? null,
+            projectItemCount: Array.isArray(plan?.projectItems) ? plan.projectItems.length : 0,
+            createdAtUnixMilliseconds: manifest.createdAtUnixMilliseconds ?? null,
+            updatedAtUnixMilliseconds: manifest.updatedAtUnixMilliseconds ?? null,
+            isCurrent: id === workspaceId
+        });
+    }
+    // The default and the current workspace exist before their first commit.
+    for (const id of new Set([defaultWorkspaceId, workspaceId])) {
+        if (!workspaces.has(id)) {
+            workspaces.set(id, {
+                workspaceId: id,
+                displayName: defaultWorkspaceDisplayName(id),
+                activeRevision: 0,
+                undoDepth: 0,
+                redoDepth: 0,
+                planName: null,
+                projectItemCount: 0,
+                createdAtUnixMilliseconds: null,
+                updatedAtUnixMilliseconds: null,
+                isCurrent: id === workspaceId
+            });
+        }
+    }
+    return [...workspaces.values()].sort((left, right) =>
+        (right.updatedAtUnixMilliseconds ?? 0) - (left.updatedAtUnixMilliseconds ?? 0) ||
+        left.workspaceId.localeCompare(right.workspaceId));
+}
+
+async function createWorkspace(database, request) {
+    const id = parseWorkspaceId(request.workspaceId);
+    const displayName = parseWorkspaceDisplayName(request.displayName, id);
+    if (id === null || displayName === null) {
+        return invalidWorkspaceRequest();
+    }
+    return await updateWorkspaceManifest(database, id, manifest => manifest
+        ? workspaceRejection("workspace-exists", `Workspace '${id}' already exists.`)
+        : { manifest: emptyWorkspaceManifest(id, displayName, Date.now()) });
+}
+
+async function renameWorkspace(database, request) {
+    const id = parseWorkspaceId(request.workspaceId);
+    const displayName = parseWorkspaceDisplayName(request.displayName, id);
+    if (id === null || displayName === null) {
+        return invalidWorkspaceRequest();
+    }
+    return await updateWorkspaceManifest(database, id, manifest => {
+        if (manifest) {
+            return { manifest: { ...manifest, displayName } };
+        }
+        // The default and the current workspace may be named before their first commit.
+        return id === defaultWorkspaceId || id === workspaceId
+            ? { manifest: emptyWorkspaceManifest(id, displayName, Date.now()) }
+            : workspaceNotFound(id);
+    });
+}
+
+/**
+ * Copy the source workspace's active revision into a new workspace as its revision 1.
+ * Components are copied under the new manifest id, so deleting either workspace never
+ * touches the other; undo history is not copied.
+ */
+async function duplicateWorkspace(database, request) {
+    const sourceId = parseWorkspaceId(request.sourceWorkspaceId);
+    const id = parseWorkspaceId(request.workspaceId);
+    const displayName = parseWorkspaceDisplayName(request.displayName, id);
+    if (sourceId === null || id === null || displayName === null) {
+        return invalidWorkspaceRequest();
+    }
+    const sourceManifestId = sessionManifestIdFor(sourceId);
+    const manifestId = sessionManifestIdFor(id);
+    const now = Date.now();
+
+    return await new Promise((resolve, reject) => {
+        const transaction = database.transaction(
+            [sessionManifestStore, sessionRevisionStore, sessionComponentStore],
+            "readwrite");
+        const manifests = transaction.objectStore(sessionManifestStore);
+        const revisions = transaction.objectStore(sessionRevisionStore);
+        const components = transaction.objectStore(sessionComponentStore);
+        let rejection = null;
+        transaction.oncomplete = () => resolve(rejection);
+        transaction.onerror = () => {
+            if (!rejection) reject(transaction.error);
+        };
+        transaction.onabort = () => {
+            if (rejection) resolve(rejection);
+            else reject(transaction.error ?? new Error("Worker workspace duplication aborted."));
+        };
+
+        const targetRequest = manifests.get(manifestId);
+        const sourceRequest = manifests.get(sourceManifestId);
+        sourceRequest.onsuccess = () => {
+            const source = sourceRequest.result;
+            if (targetRequest.result) {
+                rejection = workspaceRejection("workspace-exists", `Workspace '${id}' already exists.`);
+                return;
+            }
+            if (!source && sourceId !== defaultWorkspaceId && sourceId !== workspaceId) {
+                rejection = workspaceNotFound(sourceId);
+                return;
+            }
+            const manifest = emptyWorkspaceManifest(id, displayName, now);
+            if (!(source?.activeRevision > 0)) {
+                manifests.put(manifest);
+                return;
+            }
+
+            const recordRequest = revisions.get(`${sourceManifestId}:${source.activeRevision}`);
+            recordRequest.onsuccess = () => {
+                const record = recordRequest.result;
+                if (!record) {
+                    rejection = workspaceRejection(
+                        "workspace-corrupt",
+                        `Workspace '${sourceId}' has no intact active revision to duplicate.`);
+                    return;
+                }
+                const componentRefs = {};
+                for (const [field, componentId] of Object.entries(record.componentRefs ?? {})) {
+                    if (typeof componentId !== "string") {
+                        componentRefs[field] = componentId ?? null;
+                        continue;
+                    }
+                    const copyId = `${manifestId}:1:${field}`;
+                    componentRefs[field] = copyId;
+                    if (field === "revisionMarkerJson") {
+                        components.put({
+                            id: copyId,
+                            schemaVersion: 1,
+                            field,
+                            encoding: componentEncodingIdentity,
+                            payload: JSON.stringify({ schemaVersion: 1, revision: 1 }),
+                            createdAtUnixMilliseconds: now
+                        });
+                        continue;
+                    }
+                    const componentRequest = components.get(componentId);
+                    componentRequest.onsuccess = () => {
+                        if (!componentRequest.result) {
+                            rejection = workspaceRejection(
+                                "workspace-corrupt",
+                                `Workspace '${sourceId}' is missing component '${field}'.`);
+                            transaction.abort();
+                            return;
+                        }
+                        components.put({ ...componentRequest.result, id: copyId });
+                    };
+                }
+                revisions.put({
+                    ...record,
+                    id: `${manifestId}:1`,
+                    revision: 1,
+                    ...(record.componentRefs ? { componentRefs } : {}),
+                    createdAtUnixMilliseconds: now
+                });
+                manifests.put({ ...manifest, activeRevision: 1 });
+            };
+        };
+    });
+}
+
+/**
+ * Delete a workspace with every revision and component keyed under its manifest id.
+ * The default workspace, this Worker's own workspace and workspaces another tab has
+ * open are refused. Resolves { rejection, deleted }, where deleted counts the removed
+ * revisions and components.
+ */
+async function deleteWorkspace(database, request) {
+    const id = parseWorkspaceId(request.workspaceId);
+    if (id === null) {
+        return { rejection: invalidWorkspaceRequest(), deleted: null };
+    }
+    if (id === defaultWorkspaceId) {
+        return {
+            rejection: workspaceRejection("workspace-protected", "The default workspace cannot be deleted."),
+            deleted: null
+        };
+    }
+    if (id === workspaceId || await isWorkspaceOpen(id)) {
+        return {
+            rejection: workspaceRejection("workspace-in-use", `Workspace '${id}' is open and cannot be deleted.`),
+            deleted: null
+        };
+    }
+
+    const manifestId = sessionManifestIdFor(id);
+    // Workspace ids cannot contain ":", so no other workspace's keys share this prefix.
+    const keys = IDBKeyRange.bound(`${manifestId}:`, `${manifestId}:\uffff`);
+    return await new Promise((resolve, reject) => {
+        const transaction = database.transaction(
+            [sessionManifestStore, sessionRevisionStore, sessionComponentStore],
+            "readwrite");
+        const manifests = transaction.objectStore(sessionManifestStore);
+        const revisions = transaction.objectStore(sessionRevisionStore);
+        const components = transaction.objectStore(sessionComponentStore);
+        let rejection = null;
+        const counts = {};
+        transaction.oncomplete = () => resolve(rejection
+            ? { rejection, deleted: null }
+            : { rejection: null, deleted: { workspaceId: id, ...counts } });
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () =>
+            reject(transaction.error ?? new Error("Worker workspace deletion aborted."));
+
+        const manifestRequest = manifests.get(manifestId);
+        manifestRequest.onsuccess = () => {
+            if (!manifestRequest.result) {
+                rejection = workspaceNotFound(id);
+                return;
+            }
+            manifests.delete(manifestId);
+            for (const [name, store] of [["revisions", revisions], ["components", components]]) {
+                const countRequest = store.count(keys);
+                countRequest.onsuccess = () => {
+                    counts[name] = countRequest.result;
+                };
+                store.delete(keys);
+            }
+        };
+    });
+}
+
+async function isWorkspaceOpen(id) {
+    const locks = globalThis.navigator?.locks;
+    if (typeof locks?.query !== "function") {
+        return false;
+    }
+    const { held = [] } = await locks.query();
+    return held.some(lock => lock.name === `${workspaceLockPrefix}${id}`);
+}
+
+function updateWorkspaceManifest(database, id, update) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(sessionManifestStore, "readwrite");
+        const store = transaction.objectStore(sessionManifestStore);
+        let rejection = null;
+        transaction.oncomplete = () => resolve(rejection);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () =>
+            reject(transaction.error ?? new Error("Worker workspace update aborted."));
+        const request = store.get(sessionManifestIdFor(id));
+        request.onsuccess = () => {
+            const outcome = update(request.result ?? null);
+            if (outcome.manifest) {
+                store.put(outcome.manifest);
+            } else {
+                rejection = outcome;
+            }
+        };
+    });
+}
+
+function emptyWorkspaceManifest(id, displayName, now) {
+    return {
+        id: sessionManifestIdFor(id),
+        schemaVersion: sessionRevisionSchemaVersion,
+        activeRevision: 0,
+        previousRevision: 0,
+        undoRevisions: [],
+        redoRevisions: [],
+        displayName,
+        createdAtUnixMilliseconds: now,
+        updatedAtUnixMilliseconds: now
+    };
+}
+
+function parseWorkspaceId(value) {
+    try {
+        return normalizeWorkspaceId(value);
+    } catch {
+        return null;
+    }
+}
+
+function parseWorkspaceDisplayName(value, id) {
+    if (value == null) {
+        return id === null ? null : defaultWorkspaceDisplayName(id);
+    }
+    const displayName = String(value).trim();
+    return displayName.length > 0 && displayName.length <= maximumWorkspaceDisplayNameLength
+        ? displayName
+        : null;
+}
+
+function defaultWorkspaceDisplayName(id) {
+    return id === defaultWorkspaceId ? "Active session" : id;
+}
+
+function workspaceRejection(code, message) {
+    return { code, message };
+}
+
+function workspaceNotFound(id) {
+    return workspaceRejection("workspace-not-found", `Workspace '${id}' does not exist.`);
+}
+
+function invalidWorkspaceRequest() {
+    return workspaceRejection(
+        "workspace-invalid",
+        "Workspace ids are 1-64 lowercase letters, numbers, dots, underscores or hyphens, " +
+        `and names are 1-${maximumWorkspaceDisplayNameLength} characters.`);
+}
+
+function sessionManifestIdFor(workspaceId) {
+    return workspaceId === "active"
+        ? "active"
+        : `workspace:${workspaceId}:active`;
+}
+
+function workspaceIdForManifest(manifestId) {
+    if (manifestId === "active") {
+        return defaultWorkspaceId;
+    }
+    return /^workspace:([a-z0-9][a-z0-9._-]{0,63}):active$/.exec(manifestId)?.[1] ?? null;
+}
+
 function revisionRecordId(revision) {
     return `${activeSessionManifestId}:${revision}`;
 }
@@ -1068,6 +1849,20 @@ function normalizeWorkspaceId(value) {
     return normalized;
 }
 
+function normalizeRevisionWindow(value) {
+    if (value === null) {
+        return defaultSessionRevisionWindow;
+    }
+    const revisionWindow = Number(value);
+    if (!Number.isSafeInteger(revisionWindow) ||
+        revisionWindow < 1 ||
+        revisionWindow > maximumSessionRevisionWindow) {
+        throw new Error(
+            `The Worker revision window must be between 1 and ${maximumSessionRevisionWindow}.`);
+    }
+    return revisionWindow;
+}
+
 function postProtocolError(message, code, errorMessage) {
     self.postMessage({
         protocolVersion,
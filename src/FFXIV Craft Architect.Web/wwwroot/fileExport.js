@@ -1,4 +1,6 @@
 const preparedFiles = new Map();
+const preparedBackups = new Map();
+const preparedSettingsProfiles = new Map();
 
 export function prepareTextFileSave(key, fileName, content, contentType) {
     preparedFiles.set(key, {
@@ -36,7 +38,111 @@ export function downloadPreparedFile(key) {
         preparedFile.contentType);
 }
 
-async function saveBlobWithPickerOrDownload(fileName, content, contentType) {
+export async function saveBrowserBackup(fileName) {
+    const archive = await window.IndexedDB.exportBrowserBackup();
+    return await saveBlobWithPickerOrDownload(
+        fileName,
+        JSON.stringify(archive),
+        'application/json',
+        'Craft Architect backup');
+}
+
+export async function prepareBrowserBackupRestore(key) {
+    const file = await pickFile('.json,application/json');
+    if (!file) {
+        preparedBackups.delete(key);
+        return { canceled: true, fileName: null, report: null };
+    }
+
+    const content = await file.text();
+    const report = await window.IndexedDB.validateBrowserBackup(content);
+    if (report.valid) {
+        preparedBackups.set(key, content);
+    } else {
+        preparedBackups.delete(key);
+    }
+    return { canceled: false, fileName: file.name, report };
+}
+
+export async function restorePreparedBrowserBackup(key) {
+    const content = preparedBackups.get(key);
+    if (!content) {
+        throw new Error(`No prepared backup exists for ${key}.`);
+    }
+
+    preparedBackups.delete(key);
+    return await window.IndexedDB.restoreBrowserBackup(content);
+}
+
+export function discardPreparedBrowserBackup(key) {
+    preparedBackups.delete(key);
+}
+
+export async function saveSettingsProfile(fileName, name) {
+    const profile = await window.IndexedDB.exportSettingsProfile(name);
+    return await saveBlobWithPickerOrDownload(
+        fileName,
+        JSON.stringify(profile, null, 2),
+        'application/json',
+        'Craft Architect settings profile');
+}
+
+export async function prepareSettingsProfileImport(key) {
+    const file = await pickFile('.json,application/json');
+    if (!file) {
+        preparedSettingsProfiles.delete(key);
+        return { canceled: true, fileName: null, report: null };
+    }
+
+    const content = await file.text();
+    const report = window.IndexedDB.validateSettingsProfile(content);
+    if (report.valid) {
+        preparedSettingsProfiles.set(key, content);
+    } else {
+        preparedSettingsProfiles.delete(key);
+    }
+    return { canceled: false, fileName: file.name, report };
+}
+
+export async function importPreparedSettingsProfile(key) {
+    const content = preparedSettingsProfiles.get(key);
+    if (!content) {
+        throw new Error(`No prepared settings profile exists for ${key}.`);
+    }
+
+    preparedSettingsProfiles.delete(key);
+    return await window.IndexedDB.importSettingsProfile(content);
+}
+
+export function discardPreparedSettingsProfile(key) {
+    preparedSettingsProfiles.delete(key);
+}
+
+export async function pickTextFile(accept) {
+    const file = await pickFile(accept);
+    if (!file) {
+        return { canceled: true, fileName: null, content: null };
+    }
+
+    return { canceled: false, fileName: file.name, content: await file.text() };
+}
+
+function pickFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => resolve(input.files?.[0] ?? null), { once: true });
+        input.addEventListener('cancel', () => resolve(null), { once: true });
+        input.click();
+    });
+}
+
+async function saveBlobWithPickerOrDownload(
+    fileName,
+    content,
+    contentType,
+    description = 'Diagnostic file') {
     const resolvedContentType = contentType || 'application/octet-stream';
     const supportsSavePicker =
         'showSaveFilePicker' in window &&
@@ -57,7 +163,7 @@ async function saveBlobWithPickerOrDownload(fileName, content, contentType) {
                 suggestedName: fileName,
                 types: extension
                     ? [{
-                        description: 'Diagnostic file',
+                        description,
                         accept: { [resolvedContentType]: [extension] }
                     }]
                     : undefined
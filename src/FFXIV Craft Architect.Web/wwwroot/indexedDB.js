@@ -6,24 +6,37 @@
 const LEGACY_DB_NAME = 'FFXIVCraftArchitect';
 const LEGACY_DB_VERSION = 15;
 const PERSONAL_DB_NAME = 'FFXIVCraftArchitect.Personal';
-const PERSONAL_DB_VERSION = 1;
+const PERSONAL_DB_VERSION = 5;
 const MARKET_DB_NAME = 'FFXIVCraftArchitect.Market';
-const MARKET_DB_VERSION = 1;
+const MARKET_DB_VERSION = 4;
 const COMPANY_DB_NAME = 'FFXIVCraftArchitect.Company';
-const COMPANY_DB_VERSION = 4;
+const COMPANY_DB_VERSION = 6;
 const ENGINE_DB_NAME = 'FFXIVCraftArchitect.Engine';
 const ENGINE_DB_VERSION = 1;
 const DB_NAME = LEGACY_DB_NAME;
 // Retained as the public compatibility value while callers move to schemaVersions.
 const DB_VERSION = LEGACY_DB_VERSION;
-const MODULE_REVISION = 30;
+const MODULE_REVISION = 53;
+// Only entries written before byte accounting existed fall back to this estimate.
 const APPROXIMATE_MARKET_ENTRY_BYTES = 256 * 1024;
+const MARKET_CACHE_BYTES_ID = 'market-cache-bytes';
+// Refreshes inside one sample interval replace that interval's sample instead of appending.
+const MARKET_HISTORY_RETENTION = Object.freeze({
+    sampleIntervalSeconds: 15 * 60,
+    maxSamplesPerKey: 1000,
+    maxAgeDays: 180
+});
+const MARKET_HISTORY_FIELDS = Object.freeze(['dcAvgPrice', 'hqAvgPrice', 'minPrice', 'hqMinPrice']);
 const STORE_STORAGE_METADATA = 'storageMetadata';
 const STORE_PLANS = 'plans';
 const STORE_PLAN_COMPONENTS = 'planComponents';
 const STORE_PLAN_SUMMARIES = 'planSummaries';
+const STORE_PLAN_HISTORY = 'planHistory';
+const STORE_PLAN_SEARCH_INDEX = 'planSearchIndex';
 const STORE_SETTINGS = 'settings';
 const STORE_MARKET_CACHE = 'marketCache';
+const STORE_MARKET_HISTORY = 'marketHistory';
+const STORE_MARKET_LISTINGS = 'marketListings';
 const STORE_TRADE_COMPANY_PROFILES = 'tradeCompanyProfiles';
 const STORE_TRADE_CRAFTERS = 'tradeCrafters';
 const STORE_TRADE_ORDERS = 'tradeOrders';
@@ -31,10 +44,22 @@ const STORE_HOSTED_OWNER_STATE = 'hostedOwnerState';
 const STORE_TRADE_ORDER_ARCHIVE_SUMMARIES = 'tradeOrderArchiveSummaries';
 const STORE_TRADE_ORDER_CRAFT_SNAPSHOTS = 'tradeOrderCraftSnapshots';
 const STORE_TRADE_PAYROLL_DRAFTS = 'tradePayrollDrafts';
+const STORE_TRASH = 'trash';
 const STORE_ENGINE_SESSION_MANIFESTS = 'engineSessionManifests';
 const STORE_ENGINE_SESSION_REVISIONS = 'engineSessionRevisions';
 const STORE_ENGINE_SESSION_COMPONENTS = 'engineSessionComponents';
+const BROWSER_BACKUP_FORMAT = 'craft-architect-browser-backup';
+// v2 carries binary component payloads as base64; v1 archives still restore.
+const BROWSER_BACKUP_FORMAT_VERSION = 2;
 const LEGACY_MIGRATION_ID = 'legacy-monolith-v15';
+const COMPANY_ENCRYPTION_ID = 'company-encryption';
+// Stamped into every database so a later session can tell an evicted database from a new one.
+const STORAGE_INSTALL_MARKER_ID = 'install-marker';
+// New keys use these parameters; unlock reads the ones stored with the config.
+const COMPANY_ENCRYPTION_KDF = Object.freeze({ hash: 'SHA-256', iterations: 600000, saltBytes: 16 });
+const COMPANY_ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+const COMPANY_ENCRYPTION_MAX_PASSES = 3;
+const ENCRYPTED_PAYLOAD_FIELD = 'encryptedPayload';
 const STORED_PLAN_SCHEMA_VERSION = 2;
 const STORED_PLAN_COMPONENT_FIELDS = Object.freeze([
     'planJson',
@@ -46,14 +71,83 @@ const STORED_PLAN_COMPONENT_FIELDS = Object.freeze([
     'marketAnalysisScopeSnapshotJson',
     'procurementRouteJson'
 ]);
+const COMPONENT_ENCODING_IDENTITY = 'identity';
+const COMPONENT_ENCODING_GZIP = 'gzip';
+// Shorter payloads are stored raw: gzip framing and stream setup outweigh the saving.
+const COMPONENT_COMPRESSION_MINIMUM_LENGTH = 16 * 1024;
+// Encoded payloads this large go to the Origin Private File System; the component keeps
+// a file reference, so one huge plan no longer weighs on a single IndexedDB transaction.
+const COMPONENT_BLOB_MINIMUM_LENGTH = 1024 * 1024;
+const COMPONENT_BLOB_DIRECTORY = 'plan-components';
+// A file this young may belong to a save whose transaction has not committed yet.
+const COMPONENT_BLOB_PRUNE_GRACE_MILLISECONDS = 10 * 60 * 1000;
+const PLAN_HISTORY_LIMIT = 10;
+// Search ranking weights by field; an exact token match counts fully, a prefix match partly.
+const PLAN_SEARCH_FIELD_WEIGHTS = Object.freeze({ name: 3, items: 2, source: 1 });
+const PLAN_SEARCH_PREFIX_WEIGHT = 0.6;
+const PLAN_SEARCH_DEFAULT_LIMIT = 50;
+const TRADE_QUERY_DEFAULT_PAGE_SIZE = 50;
+const TRADE_QUERY_MAXIMUM_PAGE_SIZE = 500;
+const STORAGE_AUDIT_REPAIR_BATCH_SIZE = 100;
+const STORAGE_AUDIT_ISSUE_LIMIT = 500;
+const TRASH_RETENTION = Object.freeze({ maxAgeDays: 30 });
+const STORAGE_CHANGE_CHANNEL_NAME = 'craft-architect-storage-changes:v1';
+// Compound [companyProfileId, (status,) sortField] indexes back the paged Trade queries.
+const TRADE_QUERY_DEFINITIONS = Object.freeze({
+    [STORE_TRADE_ORDERS]: Object.freeze({
+        sortField: 'commissionedAtUtc',
+        direction: 'prev',
+        index: 'companyCommissionedAtUtc',
+        statusIndex: 'companyStatusCommissionedAtUtc'
+    }),
+    [STORE_TRADE_CRAFTERS]: Object.freeze({
+        sortField: 'displayName',
+        direction: 'next',
+        index: 'companyDisplayName',
+        statusIndex: null
+    }),
+    [STORE_TRADE_ORDER_CRAFT_SNAPSHOTS]: Object.freeze({
+        sortField: 'updatedAtUtc',
+        direction: 'prev',
+        index: 'companyUpdatedAtUtc',
+        statusIndex: null
+    }),
+    [STORE_TRADE_PAYROLL_DRAFTS]: Object.freeze({
+        sortField: 'updatedAtUtc',
+        direction: 'prev',
+        index: 'companyUpdatedAtUtc',
+        statusIndex: null
+    })
+});
+// Trash entries keep the records they hold exactly as stored, sealed or not.
+const COMPANY_ENCRYPTED_STORES = Object.freeze([
+    STORE_TRADE_COMPANY_PROFILES,
+    STORE_TRADE_CRAFTERS,
+    STORE_TRADE_ORDERS,
+    STORE_HOSTED_OWNER_STATE,
+    STORE_TRADE_ORDER_ARCHIVE_SUMMARIES,
+    STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
+    STORE_TRADE_PAYROLL_DRAFTS
+]);
+const PLAN_STORES = Object.freeze([
+    STORE_PLANS,
+    STORE_PLAN_COMPONENTS,
+    STORE_PLAN_SUMMARIES,
+    STORE_PLAN_HISTORY,
+    STORE_PLAN_SEARCH_INDEX
+]);
 
 let db = null;
 let personalDb = null;
 let marketDb = null;
 let companyDb = null;
+let engineDb = null;
 let personalInitialization = null;
 let marketInitialization = null;
 let companyInitialization = null;
+let engineInitialization = null;
+// { keyId, key } while this page has unlocked the Company database.
+let companyEncryptionKey = null;
 
 function attachDatabaseConnection(database, openMessage) {
     db = database;
@@ -283,7 +377,8 @@ function openSpecializedDatabase(name, version, upgrade) {
         request.onupgradeneeded = event => upgrade(
             event.target.result,
             event.target.transaction,
-            event.oldVersion || 0);
+            event.oldVersion || 0,
+            event.newVersion);
         request.onsuccess = () => {
             const database = request.result;
             if (blocked) {
@@ -309,16 +404,19 @@ function openSpecializedDatabase(name, version, upgrade) {
     });
 }
 
-function specializedSchemaIncompatibility(database) {
+function specializedSchemaIncompatibility(database, name = database.name) {
     const requiredStores = {
         [PERSONAL_DB_NAME]: [
             STORE_STORAGE_METADATA,
             STORE_PLANS,
             STORE_PLAN_COMPONENTS,
             STORE_PLAN_SUMMARIES,
-            STORE_SETTINGS
+            STORE_PLAN_HISTORY,
+            STORE_PLAN_SEARCH_INDEX,
+            STORE_SETTINGS,
+            STORE_TRASH
         ],
-        [MARKET_DB_NAME]: [STORE_STORAGE_METADATA, STORE_MARKET_CACHE],
+        [MARKET_DB_NAME]: [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_HISTORY, STORE_MARKET_LISTINGS],
         [COMPANY_DB_NAME]: [
             STORE_STORAGE_METADATA,
             STORE_TRADE_COMPANY_PROFILES,
@@ -327,9 +425,18 @@ function specializedSchemaIncompatibility(database) {
             STORE_HOSTED_OWNER_STATE,
             STORE_TRADE_ORDER_ARCHIVE_SUMMARIES,
             STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
-            STORE_TRADE_PAYROLL_DRAFTS
+            STORE_TRADE_PAYROLL_DRAFTS,
+            STORE_TRASH
+        ],
+        [ENGINE_DB_NAME]: [
+            STORE_STORAGE_METADATA,
+            STORE_ENGINE_SESSION_MANIFESTS,
+            STORE_ENGINE_SESSION_REVISIONS,
+            STORE_ENGINE_SESSION_COMPONENTS,
+            STORE_PLANS,
+            STORE_PLAN_COMPONENTS
         ]
-    }[database.name] ?? [];
+    }[name] ?? [];
     const missingStores = requiredStores.filter(
         storeName => !database.objectStoreNames.contains(storeName));
     if (missingStores.length > 0) {
@@ -340,28 +447,47 @@ function specializedSchemaIncompatibility(database) {
         [PERSONAL_DB_NAME]: {
             [STORE_PLANS]: ['name', 'modifiedAt'],
             [STORE_PLAN_COMPONENTS]: ['planId'],
-            [STORE_PLAN_SUMMARIES]: ['name', 'modifiedAt', 'savedAt']
+            [STORE_PLAN_SUMMARIES]: ['name', 'modifiedAt', 'savedAt', 'tags', 'folder'],
+            [STORE_PLAN_HISTORY]: ['planId'],
+            [STORE_PLAN_SEARCH_INDEX]: ['tokens', 'modifiedAt'],
+            [STORE_TRASH]: ['deletedAtUnixMilliseconds']
         },
         [MARKET_DB_NAME]: {
-            [STORE_MARKET_CACHE]: ['fetchedAtUnix']
+            [STORE_MARKET_CACHE]: ['fetchedAtUnix', 'keySizeBytes'],
+            [STORE_MARKET_HISTORY]: ['keyFetchedAtUnix', 'fetchedAtUnix'],
+            [STORE_MARKET_LISTINGS]: ['key', 'itemMinPrice']
         },
         [COMPANY_DB_NAME]: {
             [STORE_TRADE_COMPANY_PROFILES]: ['updatedAtUtc'],
-            [STORE_TRADE_CRAFTERS]: ['companyProfileId', 'displayName'],
-            [STORE_TRADE_ORDERS]: ['companyProfileId', 'status', 'commissionedAtUtc'],
+            [STORE_TRADE_CRAFTERS]: ['companyProfileId', 'displayName', 'companyDisplayName'],
+            [STORE_TRADE_ORDERS]: [
+                'companyProfileId',
+                'status',
+                'commissionedAtUtc',
+                'companyCommissionedAtUtc',
+                'companyStatusCommissionedAtUtc'
+            ],
             [STORE_TRADE_ORDER_CRAFT_SNAPSHOTS]: [
                 'companyProfileId',
                 'orderId',
-                'updatedAtUtc'
+                'updatedAtUtc',
+                'companyUpdatedAtUtc'
             ],
             [STORE_TRADE_PAYROLL_DRAFTS]: [
                 'companyProfileId',
                 'orderId',
                 'planSessionVersion',
-                'updatedAtUtc'
-            ]
+                'updatedAtUtc',
+                'companyUpdatedAtUtc'
+            ],
+            [STORE_TRASH]: ['deletedAtUnixMilliseconds']
+        },
+        [ENGINE_DB_NAME]: {
+            [STORE_ENGINE_SESSION_REVISIONS]: ['createdAtUnixMilliseconds'],
+            [STORE_ENGINE_SESSION_COMPONENTS]: ['createdAtUnixMilliseconds'],
+            [STORE_PLAN_COMPONENTS]: ['planId']
         }
-    }[database.name] ?? {};
+    }[name] ?? {};
     const transactionStores = Object.keys(requiredIndexes);
     if (transactionStores.length === 0) {
         return null;
@@ -387,96 +513,392 @@ function createMetadataStore(database) {
     }
 }
 
-function createPersonalSchema(database) {
+function createTrashStore(database) {
+    if (!database.objectStoreNames.contains(STORE_TRASH)) {
+        const store = database.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+        store.createIndex('deletedAtUnixMilliseconds', 'deletedAtUnixMilliseconds', { unique: false });
+    }
+}
+
+// Mirrors the Worker-owned schema in engine-worker.js. The page opens the Engine
+// database only to back it up or restore it; the Worker remains its only writer otherwise.
+function createEngineSchema(database) {
     createMetadataStore(database);
+    if (!database.objectStoreNames.contains(STORE_ENGINE_SESSION_MANIFESTS)) {
+        database.createObjectStore(STORE_ENGINE_SESSION_MANIFESTS, { keyPath: 'id' });
+    }
+    if (!database.objectStoreNames.contains(STORE_ENGINE_SESSION_REVISIONS)) {
+        const store = database.createObjectStore(STORE_ENGINE_SESSION_REVISIONS, { keyPath: 'id' });
+        store.createIndex('createdAtUnixMilliseconds', 'createdAtUnixMilliseconds', { unique: false });
+    }
+    if (!database.objectStoreNames.contains(STORE_ENGINE_SESSION_COMPONENTS)) {
+        const store = database.createObjectStore(STORE_ENGINE_SESSION_COMPONENTS, { keyPath: 'id' });
+        store.createIndex('createdAtUnixMilliseconds', 'createdAtUnixMilliseconds', { unique: false });
+    }
     if (!database.objectStoreNames.contains(STORE_PLANS)) {
-        const store = database.createObjectStore(STORE_PLANS, { keyPath: 'id' });
-        store.createIndex('name', 'name', { unique: false });
-        store.createIndex('modifiedAt', 'modifiedAt', { unique: false });
+        database.createObjectStore(STORE_PLANS, { keyPath: 'id' });
     }
     if (!database.objectStoreNames.contains(STORE_PLAN_COMPONENTS)) {
         const store = database.createObjectStore(STORE_PLAN_COMPONENTS, { keyPath: 'id' });
         store.createIndex('planId', 'planId', { unique: false });
     }
-    if (!database.objectStoreNames.contains(STORE_PLAN_SUMMARIES)) {
-        const store = database.createObjectStore(STORE_PLAN_SUMMARIES, { keyPath: 'id' });
-        store.createIndex('name', 'name', { unique: false });
-        store.createIndex('modifiedAt', 'modifiedAt', { unique: false });
-        store.createIndex('savedAt', 'savedAt', { unique: false });
-    }
-    if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
-        database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
-    }
 }
 
-function createMarketSchema(database) {
-    createMetadataStore(database);
-    if (!database.objectStoreNames.contains(STORE_MARKET_CACHE)) {
-        const store = database.createObjectStore(STORE_MARKET_CACHE, { keyPath: 'key' });
-        store.createIndex('fetchedAtUnix', 'fetchedAtUnix', { unique: false });
-    }
+// Creates any missing trade store and backfills single-field indexes on stores an older
+// database already has.
+function createLegacyTradeStores(database, transaction) {
+    const ensureStore = (storeName, indexNames) => {
+        const store = database.objectStoreNames.contains(storeName)
+            ? transaction.objectStore(storeName)
+            : database.createObjectStore(storeName, { keyPath: 'id' });
+        for (const indexName of indexNames) {
+            if (!store.indexNames.contains(indexName)) {
+                store.createIndex(indexName, indexName, { unique: false });
+            }
+        }
+    };
+    ensureStore(STORE_TRADE_COMPANY_PROFILES, ['updatedAtUtc']);
+    ensureStore(STORE_TRADE_CRAFTERS, ['companyProfileId', 'displayName']);
+    ensureStore(STORE_TRADE_ORDERS, ['companyProfileId', 'status', 'commissionedAtUtc']);
+    createHostedOwnerStateStore(database);
+    ensureStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES, []);
+    ensureStore(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS, ['companyProfileId', 'orderId', 'updatedAtUtc']);
+    ensureStore(STORE_TRADE_PAYROLL_DRAFTS, ['companyProfileId', 'orderId', 'planSessionVersion', 'updatedAtUtc']);
 }
 
-function createLegacyTradeStores(database) {
-    if (!database.objectStoreNames.contains(STORE_TRADE_COMPANY_PROFILES)) {
-        const store = database.createObjectStore(STORE_TRADE_COMPANY_PROFILES, { keyPath: 'id' });
-        store.createIndex('updatedAtUtc', 'updatedAtUtc', { unique: false });
-    }
-    if (!database.objectStoreNames.contains(STORE_TRADE_CRAFTERS)) {
-        const store = database.createObjectStore(STORE_TRADE_CRAFTERS, { keyPath: 'id' });
-        store.createIndex('companyProfileId', 'companyProfileId', { unique: false });
-        store.createIndex('displayName', 'displayName', { unique: false });
-    }
-    if (!database.objectStoreNames.contains(STORE_TRADE_ORDERS)) {
-        const store = database.createObjectStore(STORE_TRADE_ORDERS, { keyPath: 'id' });
-        store.createIndex('companyProfileId', 'companyProfileId', { unique: false });
-        store.createIndex('status', 'status', { unique: false });
-        store.createIndex('commissionedAtUtc', 'commissionedAtUtc', { unique: false });
+function createTradeQueryIndexes(transaction) {
+    for (const [storeName, definition] of Object.entries(TRADE_QUERY_DEFINITIONS)) {
+        const store = transaction.objectStore(storeName);
+        if (!store.indexNames.contains(definition.index)) {
+            store.createIndex(
+                definition.index,
+                ['companyProfileId', definition.sortField],
+                { unique: false });
+        }
+        if (definition.statusIndex && !store.indexNames.contains(definition.statusIndex)) {
+            store.createIndex(
+                definition.statusIndex,
+                ['companyProfileId', 'status', definition.sortField],
+                { unique: false });
+        }
     }
+}
+
+function createHostedOwnerStateStore(database) {
     if (!database.objectStoreNames.contains(STORE_HOSTED_OWNER_STATE)) {
         database.createObjectStore(STORE_HOSTED_OWNER_STATE, { keyPath: 'key' });
     }
-    if (!database.objectStoreNames.contains(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES)) {
-        database.createObjectStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES, { keyPath: 'id' });
-    }
-    if (!database.objectStoreNames.contains(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS)) {
-        const store = database.createObjectStore(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS, { keyPath: 'id' });
-        store.createIndex('companyProfileId', 'companyProfileId', { unique: false });
-        store.createIndex('orderId', 'orderId', { unique: false });
-        store.createIndex('updatedAtUtc', 'updatedAtUtc', { unique: false });
-    }
-    if (!database.objectStoreNames.contains(STORE_TRADE_PAYROLL_DRAFTS)) {
-        const store = database.createObjectStore(STORE_TRADE_PAYROLL_DRAFTS, { keyPath: 'id' });
-        store.createIndex('companyProfileId', 'companyProfileId', { unique: false });
-        store.createIndex('orderId', 'orderId', { unique: false });
-        store.createIndex('planSessionVersion', 'planSessionVersion', { unique: false });
-        store.createIndex('updatedAtUtc', 'updatedAtUtc', { unique: false });
-    }
 }
 
-function createCompanySchema(database, transaction, oldVersion) {
-    createMetadataStore(database);
-    createLegacyTradeStores(database);
-    if (oldVersion === 2) {
-        const source = transaction.objectStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES);
-        const request = source.getAll();
+function migrationStep(version, description, upgrade, transform = null) {
+    return Object.freeze({ version, description, upgrade, transform });
+}
+
+/**
+ * Ordered schema migrations per database. Opening a database at a newer version runs
+ * every step above the stored version, in order, inside the one upgrade transaction:
+ * `upgrade(database, transaction)` creates stores and indexes and must tolerate ones that
+ * already exist; the optional `transform` then rewrites one store's records. A transform
+ * with `rebuild` reads every record, lets `rebuild(database)` recreate the store, and puts
+ * the mapped records back, so it can change keys; otherwise records are updated in place.
+ * `map` returns null to drop a record, or the record itself to leave it untouched.
+ * `state(transaction)` seeds what map and complete share. A transform with
+ * `fromVersions` only runs for databases upgrading from one of those versions; the step
+ * is still recorded. Each applied step is recorded in storageMetadata.
+ *
+ * `ensure(database, transaction)`, when present, runs first on every upgrade to this
+ * build's version and backfills any store or index an older database is missing.
+ *
+ * `legacyImport` copies this database's share of the pre-split monolith once, after the
+ * schema is current, and is recorded under LEGACY_MIGRATION_ID.
+ */
+const STORAGE_MIGRATIONS = Object.freeze({
+    personal: Object.freeze({
+        name: PERSONAL_DB_NAME,
+        version: PERSONAL_DB_VERSION,
+        steps: Object.freeze([
+            migrationStep(1, 'Create plan, component, summary and settings stores', database => {
+                createMetadataStore(database);
+                if (!database.objectStoreNames.contains(STORE_PLANS)) {
+                    const store = database.createObjectStore(STORE_PLANS, { keyPath: 'id' });
+                    store.createIndex('name', 'name', { unique: false });
+                    store.createIndex('modifiedAt', 'modifiedAt', { unique: false });
+                }
+                if (!database.objectStoreNames.contains(STORE_PLAN_COMPONENTS)) {
+                    const store = database.createObjectStore(STORE_PLAN_COMPONENTS, { keyPath: 'id' });
+                    store.createIndex('planId', 'planId', { unique: false });
+                }
+                if (!database.objectStoreNames.contains(STORE_PLAN_SUMMARIES)) {
+                    const store = database.createObjectStore(STORE_PLAN_SUMMARIES, { keyPath: 'id' });
+                    store.createIndex('name', 'name', { unique: false });
+                    store.createIndex('modifiedAt', 'modifiedAt', { unique: false });
+                    store.createIndex('savedAt', 'savedAt', { unique: false });
+                }
+                if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
+                    database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+                }
+            }),
+            migrationStep(2, 'Add saved-plan version history', database => {
+                if (!database.objectStoreNames.contains(STORE_PLAN_HISTORY)) {
+                    const store = database.createObjectStore(STORE_PLAN_HISTORY, { keyPath: 'id' });
+                    store.createIndex('planId', 'planId', { unique: false });
+                }
+            }),
+            // Existing plans are indexed lazily by searchPlans, as loadPlanSummaries does for summaries.
+            migrationStep(3, 'Add plan search index', database => {
+                if (!database.objectStoreNames.contains(STORE_PLAN_SEARCH_INDEX)) {
+                    const store = database.createObjectStore(STORE_PLAN_SEARCH_INDEX, { keyPath: 'id' });
+                    store.createIndex('tokens', 'tokens', { unique: false, multiEntry: true });
+                    store.createIndex('modifiedAt', 'modifiedAt', { unique: false });
+                }
+            }),
+            // v4 summaries always carry folder and tags so every plan appears in the folder index.
+            migrationStep(4, 'Index plan summaries by tag and folder', (database, transaction) => {
+                const store = transaction.objectStore(STORE_PLAN_SUMMARIES);
+                if (!store.indexNames.contains('tags')) {
+                    store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+                if (!store.indexNames.contains('folder')) {
+                    store.createIndex('folder', 'folder', { unique: false });
+                }
+            }, {
+                store: STORE_PLAN_SUMMARIES,
+                map: summary => ({ ...summary, ...planOrganization(summary) })
+            }),
+            migrationStep(5, 'Add recycle bin', createTrashStore)
+        ]),
+        legacyImport: Object.freeze({
+            stores: Object.freeze([STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES, STORE_SETTINGS]),
+            records: snapshot => ({
+                [STORE_PLANS]: snapshot[STORE_PLANS],
+                [STORE_PLAN_COMPONENTS]: snapshot[STORE_PLAN_COMPONENTS],
+                [STORE_PLAN_SUMMARIES]: snapshot[STORE_PLAN_SUMMARIES].length > 0
+                    ? snapshot[STORE_PLAN_SUMMARIES].map(summary => ({ ...summary, ...planOrganization(summary) }))
+                    : snapshot[STORE_PLANS].map(toPlanSummary),
+                [STORE_SETTINGS]: snapshot[STORE_SETTINGS]
+            })
+        })
+    }),
+    market: Object.freeze({
+        name: MARKET_DB_NAME,
+        version: MARKET_DB_VERSION,
+        steps: Object.freeze([
+            migrationStep(1, 'Create market cache', database => {
+                createMetadataStore(database);
+                if (!database.objectStoreNames.contains(STORE_MARKET_CACHE)) {
+                    const store = database.createObjectStore(STORE_MARKET_CACHE, { keyPath: 'key' });
+                    store.createIndex('fetchedAtUnix', 'fetchedAtUnix', { unique: false });
+                }
+            }),
+            // v2 records each entry's serialized size. Existing payloads are measured once here.
+            migrationStep(2, 'Record market entry sizes', (database, transaction) => {
+                const store = transaction.objectStore(STORE_MARKET_CACHE);
+                if (!store.indexNames.contains('keySizeBytes')) {
+                    store.createIndex('keySizeBytes', ['key', 'sizeBytes'], { unique: false });
+                }
+            }, {
+                store: STORE_MARKET_CACHE,
+                state: () => ({ totalBytes: 0 }),
+                map: (entry, state) => {
+                    const measured = measureMarketEntry(entry);
+                    state.totalBytes += measured.sizeBytes;
+                    return measured;
+                },
+                complete: (transaction, state) => putMarketCacheBytes(transaction, state.totalBytes)
+            }),
+            migrationStep(3, 'Add market price history', database => {
+                if (!database.objectStoreNames.contains(STORE_MARKET_HISTORY)) {
+                    const store = database.createObjectStore(STORE_MARKET_HISTORY, { keyPath: 'id' });
+                    store.createIndex('keyFetchedAtUnix', ['key', 'fetchedAtUnix'], { unique: false });
+                    store.createIndex('fetchedAtUnix', 'fetchedAtUnix', { unique: false });
+                }
+            }),
+            // Cached entries keep their worlds; v4 only derives listing rows from them.
+            migrationStep(4, 'Add per-world market listings', database => {
+                if (!database.objectStoreNames.contains(STORE_MARKET_LISTINGS)) {
+                    const store = database.createObjectStore(STORE_MARKET_LISTINGS, {
+                        keyPath: ['worldName', 'itemId']
+                    });
+                    store.createIndex('key', 'key', { unique: false });
+                    store.createIndex('itemMinPrice', ['itemId', 'minPrice'], { unique: false });
+                }
+            }, {
+                store: STORE_MARKET_CACHE,
+                state: transaction => transaction.objectStore(STORE_MARKET_LISTINGS),
+                map: (entry, listings) => {
+                    putMarketListingRows(listings, entry);
+                    return entry;
+                }
+            })
+        ]),
+        legacyImport: Object.freeze({
+            stores: Object.freeze([STORE_MARKET_CACHE, STORE_MARKET_LISTINGS]),
+            records: snapshot => {
+                const entries = snapshot[STORE_MARKET_CACHE].map(entry => {
+                    const fetchedAtUnix = getFetchedAtUnix(entry);
+                    return measureMarketEntry(fetchedAtUnix > 0 ? { ...entry, fetchedAtUnix } : entry);
+                });
+                return {
+                    [STORE_MARKET_CACHE]: entries,
+                    [STORE_MARKET_LISTINGS]: entries.flatMap(createMarketListingRows)
+                };
+            },
+            complete: (transaction, records) => putMarketCacheBytes(
+                transaction,
+                records[STORE_MARKET_CACHE].reduce((total, record) => total + record.sizeBytes, 0))
+        })
+    }),
+    company: Object.freeze({
+        name: COMPANY_DB_NAME,
+        version: COMPANY_DB_VERSION,
+        ensure: (database, transaction) => {
+            createMetadataStore(database);
+            createLegacyTradeStores(database, transaction);
+            createTradeQueryIndexes(transaction);
+            createTrashStore(database);
+        },
+        steps: Object.freeze([
+            migrationStep(1, 'Create trade company, crafter, order, snapshot and payroll stores', (database, transaction) => {
+                createMetadataStore(database);
+                createLegacyTradeStores(database, transaction);
+            }),
+            // v2 keyed archive summaries differently; v3 rebuilds the store keyed by scope and order.
+            migrationStep(3, 'Key order archive summaries by connection scope and order id', () => {}, {
+                store: STORE_TRADE_ORDER_ARCHIVE_SUMMARIES,
+                fromVersions: Object.freeze([2]),
+                rebuild: database => {
+                    database.deleteObjectStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES);
+                    database.createObjectStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES, { keyPath: 'id' });
+                },
+                map: record => record.connectionScopeId && record.orderId
+                    ? { ...record, id: `${record.connectionScopeId}\u001f${String(record.orderId).toLowerCase()}` }
+                    : null
+            }),
+            migrationStep(4, 'Add hosted owner state', createHostedOwnerStateStore),
+            migrationStep(5, 'Add company-scoped trade query indexes', (database, transaction) =>
+                createTradeQueryIndexes(transaction)),
+            migrationStep(6, 'Add recycle bin', createTrashStore)
+        ]),
+        legacyImport: Object.freeze({
+            stores: Object.freeze([
+                STORE_TRADE_COMPANY_PROFILES,
+                STORE_TRADE_CRAFTERS,
+                STORE_TRADE_ORDERS,
+                STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
+                STORE_TRADE_PAYROLL_DRAFTS
+            ]),
+            records: snapshot => ({
+                [STORE_TRADE_COMPANY_PROFILES]: snapshot[STORE_TRADE_COMPANY_PROFILES],
+                [STORE_TRADE_CRAFTERS]: snapshot[STORE_TRADE_CRAFTERS],
+                [STORE_TRADE_ORDERS]: snapshot[STORE_TRADE_ORDERS],
+                [STORE_TRADE_ORDER_CRAFT_SNAPSHOTS]: snapshot[STORE_TRADE_ORDER_CRAFT_SNAPSHOTS],
+                [STORE_TRADE_PAYROLL_DRAFTS]: snapshot[STORE_TRADE_PAYROLL_DRAFTS]
+            })
+        })
+    })
+});
+
+function schemaMigrationId(version) {
+    return `schema-migration:v${version}`;
+}
+
+/**
+ * Rewrite one store for a migration step and call done with { read, written } once
+ * every record has been queued. Runs inside the upgrade transaction.
+ */
+function applyMigrationTransform(database, transaction, transform, done) {
+    const state = transform.state?.(transaction) ?? null;
+    const stats = { read: 0, written: 0 };
+    const finish = () => {
+        transform.complete?.(transaction, state);
+        done(stats);
+    };
+
+    if (transform.rebuild) {
+        const request = transaction.objectStore(transform.store).getAll();
         request.onsuccess = () => {
             const records = request.result || [];
-            database.deleteObjectStore(STORE_TRADE_ORDER_ARCHIVE_SUMMARIES);
-            const destination = database.createObjectStore(
-                STORE_TRADE_ORDER_ARCHIVE_SUMMARIES,
-                { keyPath: 'id' });
+            transform.rebuild(database);
+            const store = transaction.objectStore(transform.store);
             for (const record of records) {
-                if (record.connectionScopeId && record.orderId) {
-                    destination.put({
-                        ...record,
-                        id: `${record.connectionScopeId}\u001f${String(record.orderId).toLowerCase()}`
-                    });
+                const next = transform.map(record, state);
+                stats.read++;
+                if (next) {
+                    store.put(next);
+                    stats.written++;
                 }
             }
+            finish();
         };
         request.onerror = () => transaction.abort();
+        return;
     }
+
+    const request = transaction.objectStore(transform.store).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            finish();
+            return;
+        }
+        const value = cursor.value;
+        const next = transform.map(value, state);
+        stats.read++;
+        if (next === value) {
+            cursor.continue();
+            return;
+        }
+        if (next) {
+            cursor.update(next);
+            stats.written++;
+        } else {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+    request.onerror = () => transaction.abort();
+}
+
+/**
+ * Upgrade handler that runs a database's migration steps from oldVersion to newVersion.
+ * Steps run one after another, because a transform's writes must land before the next
+ * step reads. applied, when given, receives the record of every step as it finishes.
+ */
+function runStorageMigrations(definition, applied = null) {
+    return (database, transaction, oldVersion, newVersion) => {
+        const steps = definition.steps.filter(step =>
+            step.version > oldVersion && step.version <= newVersion);
+        if (newVersion === definition.version) {
+            definition.ensure?.(database, transaction);
+        }
+        const runStep = index => {
+            const step = steps[index];
+            if (!step) return;
+            step.upgrade(database, transaction);
+            const record = stats => {
+                const entry = {
+                    id: schemaMigrationId(step.version),
+                    kind: 'schemaMigration',
+                    version: step.version,
+                    description: step.description,
+                    fromVersion: oldVersion,
+                    read: stats.read,
+                    written: stats.written,
+                    appliedAtUtc: new Date().toISOString()
+                };
+                transaction.objectStore(STORE_STORAGE_METADATA).put(entry);
+                applied?.(entry);
+                runStep(index + 1);
+            };
+            if (step.transform &&
+                (!step.transform.fromVersions || step.transform.fromVersions.includes(oldVersion))) {
+                applyMigrationTransform(database, transaction, step.transform, record);
+            } else {
+                record({ read: 0, written: 0 });
+            }
+        };
+        runStep(0);
+    };
 }
 
 async function loadLegacySnapshot() {
@@ -555,15 +977,24 @@ function putMigrationMarker(transaction, domain, counts) {
     });
 }
 
-async function commitLegacyMigrationOnce(
-    database,
-    stores,
-    domain,
-    counts,
-    writeSnapshot,
-    abortedMessage) {
+/**
+ * Copy this database's share of the legacy monolith once. The marker is checked and
+ * written in the same transaction as the copied records, so a second tab cannot
+ * import twice.
+ */
+async function importLegacySnapshotOnce(database, domain) {
+    if (await loadMigrationMarker(database)) {
+        return;
+    }
+
+    const legacyImport = STORAGE_MIGRATIONS[domain].legacyImport;
+    const records = legacyImport.records(await loadLegacySnapshot());
+    const counts = Object.fromEntries(
+        legacyImport.stores.map(storeName => [storeName, records[storeName].length]));
     await new Promise((resolve, reject) => {
-        const transaction = database.transaction(stores, 'readwrite');
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, ...legacyImport.stores],
+            'readwrite');
         let setupError = null;
         const markerRequest = transaction
             .objectStore(STORE_STORAGE_METADATA)
@@ -574,7 +1005,11 @@ async function commitLegacyMigrationOnce(
             }
 
             try {
-                writeSnapshot(transaction);
+                for (const storeName of legacyImport.stores) {
+                    const store = transaction.objectStore(storeName);
+                    for (const record of records[storeName]) store.put(record);
+                }
+                legacyImport.complete?.(transaction, records);
                 putMigrationMarker(transaction, domain, counts);
             } catch (error) {
                 setupError = error;
@@ -589,128 +1024,35 @@ async function commitLegacyMigrationOnce(
         transaction.onerror = () => reject(
             setupError ?? transaction.error);
         transaction.onabort = () => reject(
-            setupError ?? transaction.error ?? new Error(abortedMessage));
-    });
-}
-
-async function migratePersonalDatabase(database) {
-    if (await loadMigrationMarker(database)) {
-        return;
-    }
-
-    const snapshot = await loadLegacySnapshot();
-    const plans = snapshot[STORE_PLANS];
-    const components = snapshot[STORE_PLAN_COMPONENTS];
-    const summaries = snapshot[STORE_PLAN_SUMMARIES].length > 0
-        ? snapshot[STORE_PLAN_SUMMARIES]
-        : plans.map(toPlanSummary);
-    const settings = snapshot[STORE_SETTINGS];
-    const stores = [
-        STORE_STORAGE_METADATA,
-        STORE_PLANS,
-        STORE_PLAN_COMPONENTS,
-        STORE_PLAN_SUMMARIES,
-        STORE_SETTINGS
-    ];
-
-    await commitLegacyMigrationOnce(
-        database,
-        stores,
-        'personal',
-        {
-            plans: plans.length,
-            planComponents: components.length,
-            planSummaries: summaries.length,
-            settings: settings.length
-        },
-        transaction => {
-            for (const record of plans) transaction.objectStore(STORE_PLANS).put(record);
-            for (const record of components) transaction.objectStore(STORE_PLAN_COMPONENTS).put(record);
-            for (const record of summaries) transaction.objectStore(STORE_PLAN_SUMMARIES).put(record);
-            for (const record of settings) transaction.objectStore(STORE_SETTINGS).put(record);
-        },
-        '[IndexedDB] Personal storage migration aborted.');
-}
-
-async function migrateMarketDatabase(database) {
-    if (await loadMigrationMarker(database)) {
-        return;
-    }
-
-    const snapshot = await loadLegacySnapshot();
-    const entries = snapshot[STORE_MARKET_CACHE].map(entry => {
-        const fetchedAtUnix = getFetchedAtUnix(entry);
-        return fetchedAtUnix > 0 ? { ...entry, fetchedAtUnix } : entry;
+            setupError ?? transaction.error ??
+            new Error(`[IndexedDB] ${STORAGE_MIGRATIONS[domain].name} legacy migration aborted.`));
     });
-    await commitLegacyMigrationOnce(
-        database,
-        [STORE_STORAGE_METADATA, STORE_MARKET_CACHE],
-        'market',
-        { marketCache: entries.length },
-        transaction => {
-            for (const record of entries) {
-                transaction.objectStore(STORE_MARKET_CACHE).put(record);
-            }
-        },
-        '[IndexedDB] Market storage migration aborted.');
 }
 
-async function migrateCompanyDatabase(database) {
-    if (await loadMigrationMarker(database)) {
-        return;
+/**
+ * Open a migrated database for one storage domain and import legacy data once.
+ */
+async function openMigratedDatabase(domain) {
+    const definition = STORAGE_MIGRATIONS[domain];
+    const database = await openSpecializedDatabase(
+        definition.name,
+        definition.version,
+        runStorageMigrations(definition));
+    try {
+        await importLegacySnapshotOnce(database, domain);
+        return database;
+    } catch (error) {
+        database.close();
+        throw error;
     }
-
-    const snapshot = await loadLegacySnapshot();
-    const stores = [
-        STORE_STORAGE_METADATA,
-        STORE_TRADE_COMPANY_PROFILES,
-        STORE_TRADE_CRAFTERS,
-        STORE_TRADE_ORDERS,
-        STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
-        STORE_TRADE_PAYROLL_DRAFTS
-    ];
-    await commitLegacyMigrationOnce(
-        database,
-        stores,
-        'company',
-        {
-            tradeCompanyProfiles: snapshot[STORE_TRADE_COMPANY_PROFILES].length,
-            tradeCrafters: snapshot[STORE_TRADE_CRAFTERS].length,
-            tradeOrders: snapshot[STORE_TRADE_ORDERS].length,
-            tradeOrderCraftSnapshots: snapshot[STORE_TRADE_ORDER_CRAFT_SNAPSHOTS].length,
-            tradePayrollDrafts: snapshot[STORE_TRADE_PAYROLL_DRAFTS].length
-        },
-        transaction => {
-            for (const storeName of [
-                STORE_TRADE_COMPANY_PROFILES,
-                STORE_TRADE_CRAFTERS,
-                STORE_TRADE_ORDERS,
-                STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
-                STORE_TRADE_PAYROLL_DRAFTS
-            ]) {
-                for (const record of snapshot[storeName]) {
-                    transaction.objectStore(storeName).put(record);
-                }
-            }
-        },
-        '[IndexedDB] Company storage migration aborted.');
 }
 
 async function initPersonalDatabase() {
     if (personalDb) return personalDb;
     personalInitialization ??= (async () => {
-        const database = await openSpecializedDatabase(
-            PERSONAL_DB_NAME,
-            PERSONAL_DB_VERSION,
-            createPersonalSchema);
-        try {
-            await migratePersonalDatabase(database);
-            personalDb = database;
-            return database;
-        } catch (error) {
-            database.close();
-            throw error;
-        }
+        const database = await openMigratedDatabase('personal');
+        personalDb = database;
+        return database;
     })();
     try {
         return await personalInitialization;
@@ -723,18 +1065,9 @@ async function initPersonalDatabase() {
 async function initMarketDatabase() {
     if (marketDb) return marketDb;
     marketInitialization ??= (async () => {
-        const database = await openSpecializedDatabase(
-            MARKET_DB_NAME,
-            MARKET_DB_VERSION,
-            createMarketSchema);
-        try {
-            await migrateMarketDatabase(database);
-            marketDb = database;
-            return database;
-        } catch (error) {
-            database.close();
-            throw error;
-        }
+        const database = await openMigratedDatabase('market');
+        marketDb = database;
+        return database;
     })();
     try {
         return await marketInitialization;
@@ -747,18 +1080,9 @@ async function initMarketDatabase() {
 async function initCompanyDatabase() {
     if (companyDb) return companyDb;
     companyInitialization ??= (async () => {
-        const database = await openSpecializedDatabase(
-            COMPANY_DB_NAME,
-            COMPANY_DB_VERSION,
-            createCompanySchema);
-        try {
-            await migrateCompanyDatabase(database);
-            companyDb = database;
-            return database;
-        } catch (error) {
-            database.close();
-            throw error;
-        }
+        const database = await openMigratedDatabase('company');
+        companyDb = database;
+        return database;
     })();
     try {
         return await companyInitialization;
@@ -768,6 +1092,30 @@ async function initCompanyDatabase() {
     }
 }
 
+async function initEngineDatabase() {
+    if (engineDb) return engineDb;
+    engineInitialization ??= (async () => {
+        const database = await openSpecializedDatabase(
+            ENGINE_DB_NAME,
+            ENGINE_DB_VERSION,
+            createEngineSchema);
+        // The Worker may upgrade this database; never pin a connection it has to wait for.
+        database.onversionchange = () => {
+            database.close();
+            engineDb = null;
+            engineInitialization = null;
+        };
+        engineDb = database;
+        return database;
+    })();
+    try {
+        return await engineInitialization;
+    } catch (error) {
+        engineInitialization = null;
+        throw error;
+    }
+}
+
 async function initDB() {
     return await initPersonalDatabase();
 }
@@ -831,6 +1179,33 @@ async function getTradeStoreDiagnostics() {
     }
 }
 
+function normalizePlanTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return Array.from(new Set(tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().replace(/\s+/g, ' '))
+        .filter(tag => tag.length > 0)));
+}
+
+/**
+ * Folders are '/'-separated paths; '' is the library root.
+ */
+function normalizePlanFolder(folder) {
+    if (typeof folder !== 'string') return '';
+    return folder
+        .split('/')
+        .map(segment => segment.trim())
+        .filter(segment => segment.length > 0)
+        .join('/');
+}
+
+function planOrganization(metadata) {
+    return {
+        tags: normalizePlanTags(metadata?.tags),
+        folder: normalizePlanFolder(metadata?.folder)
+    };
+}
+
 function toPlanSummary(planData) {
     const metadata = planData?.storedPlanMetadata ?? planData;
     return {
@@ -839,101 +1214,538 @@ function toPlanSummary(planData) {
         modifiedAt: metadata.modifiedAt,
         savedAt: metadata.savedAt,
         dataCenter: metadata.dataCenter || 'Aether',
-        itemCount: Array.isArray(metadata.projectItems) ? metadata.projectItems.length : 0
+        itemCount: Array.isArray(metadata.projectItems) ? metadata.projectItems.length : 0,
+        ...planOrganization(metadata)
     };
 }
 
-function isComponentStoredPlan(record) {
-    return record?.schemaVersion === STORED_PLAN_SCHEMA_VERSION &&
-        record.storedPlanMetadata &&
-        record.componentRefs;
+function tokenizePlanSearchText(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 0);
 }
 
-function createStoredPlanComponent(planId, field, payload) {
-    return {
-        id: `${planId}:${field}:${crypto.randomUUID()}`,
-        schemaVersion: 1,
-        planId,
-        field,
-        payload
-    };
+function uniquePlanSearchTokens(texts) {
+    return Array.from(new Set(texts.flatMap(tokenizePlanSearchText)));
 }
 
-function createStoredPlanRecord(planData, previousRecord = null, changedFields = null) {
-    const data = {
-        ...planData,
-        savedAt: planData.savedAt || new Date().toISOString(),
-        modifiedAt: planData.modifiedAt || new Date().toISOString()
+function toPlanSearchEntry(planData) {
+    const metadata = planData?.storedPlanMetadata ?? planData;
+    const projectItems = Array.isArray(metadata.projectItems) ? metadata.projectItems : [];
+    const fields = {
+        name: uniquePlanSearchTokens([metadata.name]),
+        items: uniquePlanSearchTokens(projectItems.map(item => item?.name)),
+        source: uniquePlanSearchTokens([metadata.sourcePlanName])
     };
-    const metadata = { ...data };
-    for (const field of STORED_PLAN_COMPONENT_FIELDS) {
-        delete metadata[field];
-    }
-
-    const canReuse = isComponentStoredPlan(previousRecord) && changedFields instanceof Set;
-    const componentRefs = {};
-    const components = [];
-    for (const field of STORED_PLAN_COMPONENT_FIELDS) {
-        if (canReuse && !changedFields.has(field)) {
-            componentRefs[field] = previousRecord.componentRefs[field] ?? null;
-            continue;
-        }
-        const payload = data[field] ?? null;
-        if (payload === null) {
-            componentRefs[field] = null;
-            continue;
-        }
-        const component = createStoredPlanComponent(data.id, field, payload);
-        componentRefs[field] = component.id;
-        components.push(component);
-    }
-
     return {
-        record: {
-            id: data.id,
-            schemaVersion: STORED_PLAN_SCHEMA_VERSION,
-            name: metadata.name,
-            modifiedAt: metadata.modifiedAt,
-            savedAt: metadata.savedAt,
-            storedPlanMetadata: metadata,
-            componentRefs
-        },
-        components
+        ...toPlanSummary(planData),
+        sourcePlanName: metadata.sourcePlanName ?? null,
+        itemIds: projectItems.map(item => item?.id).filter(id => id !== undefined && id !== null),
+        fields,
+        tokens: Array.from(new Set([...fields.name, ...fields.items, ...fields.source]))
     };
 }
 
-function deleteReplacedPlanComponents(componentStore, previousRecord, successorRecord) {
-    if (!isComponentStoredPlan(previousRecord)) {
-        return;
-    }
-    const retained = new Set(
-        Object.values(successorRecord.componentRefs).filter(id => typeof id === 'string'));
-    for (const componentId of Object.values(previousRecord.componentRefs)) {
-        if (typeof componentId === 'string' && !retained.has(componentId)) {
-            componentStore.delete(componentId);
-        }
-    }
+function isComponentStoredPlan(record) {
+    return record?.schemaVersion === STORED_PLAN_SCHEMA_VERSION &&
+        record.storedPlanMetadata &&
+        record.componentRefs;
 }
 
-function persistStoredPlanSuccessor(transaction, previousRecord, successor) {
-    const planStore = transaction.objectStore(STORE_PLANS);
-    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
-    deleteReplacedPlanComponents(componentStore, previousRecord, successor.record);
-    for (const component of successor.components) {
-        componentStore.put(component);
+let crc32Table = null;
+
+function updateCrc32(crc, bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let index = 0; index < 256; index++) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit++) {
+                value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+            }
+            crc32Table[index] = value >>> 0;
+        }
+    }
+    let value = ~crc;
+    for (let index = 0; index < bytes.length; index++) {
+        value = crc32Table[(value ^ bytes[index]) & 0xFF] ^ (value >>> 8);
     }
-    planStore.put(successor.record);
-    transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(successor.record));
+    return ~value >>> 0;
 }
 
-function materializeStoredPlanRecord(transaction, record, onmaterialized) {
-    if (!record || !isComponentStoredPlan(record)) {
-        onmaterialized(record || null);
-        return;
-    }
+let componentBlobDirectory;
 
-    const storedPlan = { ...record.storedPlanMetadata };
-    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+/**
+ * The OPFS directory holding oversized component payloads, or null when this browser
+ * cannot write files there; components then stay inline.
+ */
+function getComponentBlobDirectory() {
+    if (componentBlobDirectory !== undefined) {
+        return componentBlobDirectory;
+    }
+    componentBlobDirectory = (async () => {
+        if (typeof navigator === 'undefined' ||
+            typeof navigator.storage?.getDirectory !== 'function' ||
+            typeof FileSystemFileHandle === 'undefined' ||
+            typeof FileSystemFileHandle.prototype.createWritable !== 'function') {
+            return null;
+        }
+        try {
+            const root = await navigator.storage.getDirectory();
+            return await root.getDirectoryHandle(COMPONENT_BLOB_DIRECTORY, { create: true });
+        } catch (error) {
+            console.warn('[IndexedDB] Origin private file system unavailable; components stay inline:', error);
+            return null;
+        }
+    })();
+    return componentBlobDirectory;
+}
+
+/**
+ * Write one encoded payload to its own OPFS file. Resolves to the file reference the
+ * component keeps, or null when OPFS is unavailable.
+ */
+async function writeComponentBlob(payload) {
+    const directory = await getComponentBlobDirectory();
+    if (!directory) {
+        return null;
+    }
+    const bytes = typeof payload === 'string' ? new TextEncoder().encode(payload) : new Uint8Array(payload);
+    const name = crypto.randomUUID();
+    const writable = await (await directory.getFileHandle(name, { create: true })).createWritable();
+    try {
+        await writable.write(bytes);
+        await writable.close();
+    } catch (error) {
+        await writable.abort().catch(() => {});
+        await removeComponentBlob(name);
+        throw error;
+    }
+    return {
+        backend: 'opfs',
+        name,
+        sizeBytes: bytes.byteLength,
+        crc32: updateCrc32(0, bytes)
+    };
+}
+
+async function removeComponentBlob(name) {
+    const directory = await getComponentBlobDirectory();
+    try {
+        await directory?.removeEntry(name);
+    } catch (error) {
+        if (error?.name !== 'NotFoundError') {
+            console.warn('[IndexedDB] Failed to remove component file', name, error);
+        }
+    }
+}
+
+/**
+ * Stream a component file back, checking its size up front and its CRC-32 as the
+ * last chunk passes, and decompress on the way when the payload was gzipped. Gzip
+ * may notice damage before the CRC does, so both report the file as corrupt.
+ */
+async function readComponentBlob(component, encoding) {
+    const directory = await getComponentBlobDirectory();
+    if (!directory) {
+        throw new Error(
+            `[IndexedDB] Component ${component.id} is stored in the origin private file system, ` +
+            'which this browser cannot open.');
+    }
+    let file;
+    try {
+        file = await (await directory.getFileHandle(component.blob.name)).getFile();
+    } catch {
+        throw new Error(`[IndexedDB] Component ${component.id} file is missing.`);
+    }
+    if (file.size !== component.blob.sizeBytes) {
+        throw new Error(
+            `[IndexedDB] Component ${component.id} file holds ${file.size} bytes; ` +
+            `${component.blob.sizeBytes} were written.`);
+    }
+    let crc = 0;
+    const checked = file.stream().pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            crc = updateCrc32(crc, chunk);
+            controller.enqueue(chunk);
+        },
+        flush() {
+            if (crc !== component.blob.crc32) {
+                throw new Error('CRC-32 mismatch');
+            }
+        }
+    }));
+    try {
+        return await new Response(encoding === COMPONENT_ENCODING_GZIP
+            ? checked.pipeThrough(new DecompressionStream('gzip'))
+            : checked).text();
+    } catch (error) {
+        throw new Error(`[IndexedDB] Component ${component.id} file is corrupt: ${error.message}`);
+    }
+}
+
+/**
+ * Gzip a component payload when the browser has CompressionStream and the payload is
+ * large enough to benefit, then move it to an OPFS file when it is still oversized.
+ * Resolves to the payload to store, its encoding and the file reference, if any.
+ */
+async function encodeComponentPayload(payload) {
+    let encoded = { payload, encoding: COMPONENT_ENCODING_IDENTITY, blob: null };
+    if (typeof payload === 'string' &&
+        payload.length >= COMPONENT_COMPRESSION_MINIMUM_LENGTH &&
+        typeof CompressionStream === 'function') {
+        const bytes = new TextEncoder().encode(payload);
+        const compressed = await new Response(
+            new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+        if (compressed.byteLength < bytes.byteLength) {
+            encoded = { payload: compressed, encoding: COMPONENT_ENCODING_GZIP, blob: null };
+        }
+    }
+    const length = typeof encoded.payload === 'string' ? encoded.payload.length : encoded.payload?.byteLength;
+    if (!(length >= COMPONENT_BLOB_MINIMUM_LENGTH)) {
+        return encoded;
+    }
+    try {
+        const blob = await writeComponentBlob(encoded.payload);
+        return blob ? { payload: null, encoding: encoded.encoding, blob } : encoded;
+    } catch (error) {
+        console.warn('[IndexedDB] Failed to write component file; storing it inline:', error);
+        return encoded;
+    }
+}
+
+/**
+ * Components written before compression carry no encoding and are read as stored.
+ */
+async function decodeComponentPayload(component) {
+    const encoding = component.encoding ?? COMPONENT_ENCODING_IDENTITY;
+    if (encoding !== COMPONENT_ENCODING_IDENTITY && encoding !== COMPONENT_ENCODING_GZIP) {
+        throw new Error(`[IndexedDB] Component ${component.id} has unsupported encoding '${encoding}'.`);
+    }
+    if (component.blob) {
+        return await readComponentBlob(component, encoding);
+    }
+    if (encoding === COMPONENT_ENCODING_IDENTITY) {
+        return component.payload;
+    }
+    return await new Response(
+        new Blob([component.payload]).stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+/**
+ * Remove the files written for a save whose transaction never committed.
+ */
+function discardEncodedComponentBlobs(...encodedPayloads) {
+    for (const encoded of encodedPayloads) {
+        for (const { blob } of encoded.values()) {
+            if (blob) removeComponentBlob(blob.name);
+        }
+    }
+}
+
+/**
+ * Encode the component fields of a plan or patch ahead of its transaction, since
+ * compression is asynchronous and would let an open transaction commit early.
+ */
+async function encodeStoredPlanPayloads(planData) {
+    const encoded = new Map();
+    for (const field of STORED_PLAN_COMPONENT_FIELDS) {
+        const payload = planData?.[field] ?? null;
+        if (payload !== null) {
+            encoded.set(field, await encodeComponentPayload(payload));
+        }
+    }
+    return encoded;
+}
+
+async function decodeStoredPlanComponents(storedPlan, components) {
+    for (const component of components) {
+        storedPlan[component.field] = await decodeComponentPayload(component);
+    }
+    return storedPlan;
+}
+
+function createStoredPlanComponent(planId, field, payload, encoding = COMPONENT_ENCODING_IDENTITY, blob = null) {
+    const component = {
+        id: `${planId}:${field}:${crypto.randomUUID()}`,
+        schemaVersion: 1,
+        planId,
+        field,
+        encoding,
+        payload
+    };
+    if (blob) component.blob = blob;
+    return component;
+}
+
+/**
+ * Split a plan into metadata and component records. encodedPayloads holds payloads
+ * already passed through encodeStoredPlanPayloads; fields missing from it are stored raw.
+ */
+function createStoredPlanRecord(planData, previousRecord = null, changedFields = null, encodedPayloads = null) {
+    const data = {
+        ...planData,
+        savedAt: planData.savedAt || new Date().toISOString(),
+        modifiedAt: planData.modifiedAt || new Date().toISOString()
+    };
+    const metadata = { ...data };
+    for (const field of STORED_PLAN_COMPONENT_FIELDS) {
+        delete metadata[field];
+    }
+
+    const canReuse = isComponentStoredPlan(previousRecord) && changedFields instanceof Set;
+    const componentRefs = {};
+    const components = [];
+    for (const field of STORED_PLAN_COMPONENT_FIELDS) {
+        if (canReuse && !changedFields.has(field)) {
+            componentRefs[field] = previousRecord.componentRefs[field] ?? null;
+            continue;
+        }
+        const payload = data[field] ?? null;
+        if (payload === null) {
+            componentRefs[field] = null;
+            continue;
+        }
+        const encoded = encodedPayloads?.get(field) ?? { payload, encoding: COMPONENT_ENCODING_IDENTITY };
+        const component = createStoredPlanComponent(
+            data.id, field, encoded.payload, encoded.encoding, encoded.blob);
+        componentRefs[field] = component.id;
+        components.push(component);
+    }
+
+    return {
+        record: {
+            id: data.id,
+            schemaVersion: STORED_PLAN_SCHEMA_VERSION,
+            name: metadata.name,
+            modifiedAt: metadata.modifiedAt,
+            savedAt: metadata.savedAt,
+            storedPlanMetadata: metadata,
+            componentRefs
+        },
+        components
+    };
+}
+
+function storedPlanComponentIds(record) {
+    if (!isComponentStoredPlan(record)) {
+        return [];
+    }
+    return Object.values(record.componentRefs).filter(id => typeof id === 'string');
+}
+
+function createPlanHistoryEntry(record, versionId) {
+    return {
+        id: `${record.id}:${versionId}`,
+        planId: record.id,
+        versionId,
+        archivedAt: new Date().toISOString(),
+        record
+    };
+}
+
+/**
+ * Components carrying refCount may be shared between plans by forkPlan; refCount is
+ * the number of plans (each with its history) referencing them. Components without
+ * it belong to the plan named by planId alone.
+ */
+function isSharedPlanComponent(component) {
+    return Number.isInteger(component?.refCount);
+}
+
+/**
+ * Drop references plans held on a component, deleting it once no plan is left. A
+ * deleted component's file is removed after the transaction commits.
+ */
+function releasePlanComponent(componentStore, component, references = 1) {
+    const remaining = isSharedPlanComponent(component) ? component.refCount - references : 0;
+    if (remaining > 0) {
+        componentStore.put({ ...component, refCount: remaining });
+    } else {
+        componentStore.delete(component.id);
+        if (component.blob) scheduleComponentBlobRemoval(componentStore.transaction, component);
+    }
+}
+
+const pendingComponentBlobRemovals = new WeakMap();
+
+function scheduleComponentBlobRemoval(transaction, component) {
+    let pending = pendingComponentBlobRemovals.get(transaction);
+    if (!pending) {
+        pending = [];
+        pendingComponentBlobRemovals.set(transaction, pending);
+        transaction.addEventListener('complete', () => {
+            removeReleasedComponentBlobs(transaction.db, pending).catch(error =>
+                console.warn('[IndexedDB] Failed to remove released component files:', error));
+        });
+    }
+    pending.push({ componentId: component.id, name: component.blob.name });
+}
+
+/**
+ * Remove the files of released components unless a live component or a trashed
+ * plan still points at them: trashed plans keep their components' files until purged.
+ */
+async function removeReleasedComponentBlobs(database, released) {
+    const referenced = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_PLAN_COMPONENTS, STORE_TRASH], 'readonly');
+        const names = new Set();
+        for (const { componentId } of released) {
+            const request = transaction.objectStore(STORE_PLAN_COMPONENTS).get(componentId);
+            request.onsuccess = () => {
+                if (request.result?.blob) names.add(request.result.blob.name);
+            };
+        }
+        const cursorRequest = transaction.objectStore(STORE_TRASH).openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            for (const component of cursor.value.components ?? []) {
+                if (component.blob) names.add(component.blob.name);
+            }
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(names);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    for (const { name } of released) {
+        if (!referenced.has(name)) await removeComponentBlob(name);
+    }
+}
+
+/**
+ * Remove component files no component or trashed plan references, skipping files
+ * young enough to belong to a save still in flight. Resolves to the number removed.
+ */
+async function pruneComponentBlobs() {
+    const directory = await getComponentBlobDirectory();
+    if (!directory) {
+        return 0;
+    }
+    const database = await initDB();
+    const referenced = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_PLAN_COMPONENTS, STORE_TRASH], 'readonly');
+        const names = new Set();
+        const componentRequest = transaction.objectStore(STORE_PLAN_COMPONENTS).openCursor();
+        componentRequest.onsuccess = () => {
+            const cursor = componentRequest.result;
+            if (!cursor) return;
+            if (cursor.value.blob) names.add(cursor.value.blob.name);
+            cursor.continue();
+        };
+        const trashRequest = transaction.objectStore(STORE_TRASH).openCursor();
+        trashRequest.onsuccess = () => {
+            const cursor = trashRequest.result;
+            if (!cursor) return;
+            for (const component of cursor.value.components ?? []) {
+                if (component.blob) names.add(component.blob.name);
+            }
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(names);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    const cutoff = Date.now() - COMPONENT_BLOB_PRUNE_GRACE_MILLISECONDS;
+    let removed = 0;
+    for await (const [name, handle] of directory.entries()) {
+        if (handle.kind !== 'file' || referenced.has(name)) continue;
+        if ((await handle.getFile()).lastModified > cutoff) continue;
+        await removeComponentBlob(name);
+        removed++;
+    }
+    return removed;
+}
+
+/**
+ * Map each component id to the number of distinct plans referencing it through the
+ * given plan records and history entries.
+ */
+function countPlanComponentReferences(plans, history) {
+    const owners = new Map();
+    const add = (planId, record) => {
+        for (const componentId of storedPlanComponentIds(record)) {
+            if (!owners.has(componentId)) owners.set(componentId, new Set());
+            owners.get(componentId).add(planId);
+        }
+    };
+    for (const plan of plans) add(plan.id, plan);
+    for (const entry of history) add(entry.planId, entry.record);
+    return new Map(Array.from(owners, ([componentId, planIds]) => [componentId, planIds.size]));
+}
+
+/**
+ * Release components that no retained record references. Components are shared by
+ * ref between a plan and its history versions, so only unreferenced ids are released;
+ * a component forked into other plans survives until its last plan lets go.
+ */
+function deleteReplacedPlanComponents(componentStore, replacedRecords, retainedRecords) {
+    const retained = new Set(retainedRecords.flatMap(storedPlanComponentIds));
+    for (const componentId of new Set(replacedRecords.flatMap(storedPlanComponentIds))) {
+        if (retained.has(componentId)) continue;
+        const request = componentStore.get(componentId);
+        request.onerror = () => componentStore.transaction.abort();
+        request.onsuccess = () => {
+            if (request.result) releasePlanComponent(componentStore, request.result);
+        };
+    }
+}
+
+function persistStoredPlanSuccessor(transaction, previousRecord, successor) {
+    // Tags and folder belong to the library, not the plan content: saves and version
+    // restores keep the current organization, and only the organization APIs change it.
+    if (previousRecord) {
+        Object.assign(
+            successor.record.storedPlanMetadata,
+            planOrganization(previousRecord.storedPlanMetadata ?? previousRecord));
+    }
+    const planStore = transaction.objectStore(STORE_PLANS);
+    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+    const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+    const historyRequest = historyStore.index('planId').getAll(successor.record.id);
+    historyRequest.onerror = () => transaction.abort();
+    historyRequest.onsuccess = () => {
+        const history = (historyRequest.result || [])
+            .sort((a, b) => a.versionId - b.versionId);
+        if (previousRecord) {
+            const versionId = (history.at(-1)?.versionId ?? 0) + 1;
+            const entry = createPlanHistoryEntry(previousRecord, versionId);
+            historyStore.put(entry);
+            history.push(entry);
+        }
+        const expired = history.splice(0, Math.max(0, history.length - PLAN_HISTORY_LIMIT));
+        for (const entry of expired) {
+            historyStore.delete(entry.id);
+        }
+        deleteReplacedPlanComponents(
+            componentStore,
+            [previousRecord, ...expired.map(entry => entry.record)],
+            [successor.record, ...history.map(entry => entry.record)]);
+        for (const component of successor.components) {
+            componentStore.put(component);
+        }
+        planStore.put(successor.record);
+        transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(successor.record));
+        transaction.objectStore(STORE_PLAN_SEARCH_INDEX).put(toPlanSearchEntry(successor.record));
+    };
+}
+
+/**
+ * Assemble a stored plan from its components inside the read transaction. Encoded
+ * components, and those kept in OPFS files, are handed to onmaterialized for
+ * decodeStoredPlanComponents to stream in once the transaction has completed.
+ */
+function materializeStoredPlanRecord(transaction, record, onmaterialized) {
+    if (!record || !isComponentStoredPlan(record)) {
+        onmaterialized(record || null, []);
+        return;
+    }
+
+    const storedPlan = { ...record.storedPlanMetadata };
+    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
     const fields = STORED_PLAN_COMPONENT_FIELDS.filter(
         field => typeof record.componentRefs[field] === 'string');
     for (const field of STORED_PLAN_COMPONENT_FIELDS) {
@@ -942,39 +1754,118 @@ function materializeStoredPlanRecord(transaction, record, onmaterialized) {
         }
     }
     if (fields.length === 0) {
-        onmaterialized(storedPlan);
+        onmaterialized(storedPlan, []);
         return;
     }
 
+    const encodedComponents = [];
     let remaining = fields.length;
     for (const field of fields) {
         const request = componentStore.get(record.componentRefs[field]);
         request.onerror = () => transaction.abort();
         request.onsuccess = () => {
             const component = request.result;
-            if (!component || component.planId !== record.id || component.field !== field) {
+            if (!component ||
+                component.field !== field ||
+                (component.planId !== record.id && !isSharedPlanComponent(component))) {
                 transaction.abort();
                 return;
             }
             storedPlan[field] = component.payload;
+            if (component.blob ||
+                (component.encoding ?? COMPONENT_ENCODING_IDENTITY) !== COMPONENT_ENCODING_IDENTITY) {
+                encodedComponents.push(component);
+            }
             remaining--;
             if (remaining === 0) {
-                onmaterialized(storedPlan);
+                onmaterialized(storedPlan, encodedComponents);
             }
         };
     }
 }
 
+/**
+ * Cross-tab change feed. Committed writes publish { store, ids, kind } to every other
+ * tab of this origin; kind is 'put', 'delete' or 'clear', and 'clear' carries no ids
+ * because the listener should reload the whole store.
+ */
+let storageChangeChannel;
+let nextStorageChangeSubscriptionId = 1;
+const storageChangeSubscriptions = new Map();
+
+function getStorageChangeChannel() {
+    if (storageChangeChannel !== undefined) {
+        return storageChangeChannel;
+    }
+    storageChangeChannel = typeof BroadcastChannel === 'function'
+        ? new BroadcastChannel(STORAGE_CHANGE_CHANNEL_NAME)
+        : null;
+    if (storageChangeChannel) {
+        storageChangeChannel.onmessage = event => deliverStorageChange(event.data);
+    }
+    return storageChangeChannel;
+}
+
+function publishStorageChange(store, ids, kind = 'put') {
+    const channel = getStorageChangeChannel();
+    if (!channel) return;
+    const change = {
+        store,
+        ids: kind === 'clear' ? [] : Array.from(new Set(Array.from(ids || [], String))),
+        kind
+    };
+    if (kind !== 'clear' && change.ids.length === 0) return;
+    try {
+        channel.postMessage(change);
+    } catch (error) {
+        console.warn('[IndexedDB] Failed to publish storage change:', error);
+    }
+}
+
+function deliverStorageChange(change) {
+    if (!change || typeof change.store !== 'string' || !Array.isArray(change.ids)) {
+        return;
+    }
+    for (const subscription of storageChangeSubscriptions.values()) {
+        if (subscription.stores && !subscription.stores.has(change.store)) continue;
+        void subscription.callback
+            .invokeMethodAsync(subscription.methodName, change)
+            .catch(() => { });
+    }
+}
+
+/**
+ * Subscribe a .NET object reference to changes committed by other tabs.
+ * stores optionally limits delivery to the named object stores. Returns the
+ * subscription id for unsubscribeStorageChanges.
+ */
+function subscribeStorageChanges(callback, methodName = 'ReceiveStorageChange', stores = null) {
+    if (!callback) {
+        throw new Error('[IndexedDB] A storage change callback is required.');
+    }
+    getStorageChangeChannel();
+    const id = nextStorageChangeSubscriptionId++;
+    storageChangeSubscriptions.set(id, {
+        callback,
+        methodName,
+        stores: Array.isArray(stores) && stores.length > 0 ? new Set(stores) : null
+    });
+    return id;
+}
+
+function unsubscribeStorageChanges(subscriptionId) {
+    return storageChangeSubscriptions.delete(subscriptionId);
+}
+
 /**
  * Save a plan to IndexedDB
  */
 async function savePlan(planData) {
     const database = await initDB();
+    const encodedPayloads = await encodeStoredPlanPayloads(planData);
     
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction(
-            [STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES],
-            'readwrite');
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
         const store = transaction.objectStore(STORE_PLANS);
         const request = store.get(planData.id);
 
@@ -983,11 +1874,17 @@ async function savePlan(planData) {
             persistStoredPlanSuccessor(
                 transaction,
                 request.result,
-                createStoredPlanRecord(planData));
+                createStoredPlanRecord(planData, null, null, encodedPayloads));
 
-        transaction.oncomplete = () => resolve(true);
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_PLANS, [planData.id]);
+            resolve(true);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
-        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => {
+            discardEncodedComponentBlobs(encodedPayloads);
+            reject(transaction.error || event.target?.error);
+        };
     });
 }
 
@@ -1004,33 +1901,127 @@ async function loadPlan(planId) {
         const store = transaction.objectStore(STORE_PLANS);
         const request = store.get(planId);
         let materialized = null;
+        let encodedComponents = [];
 
         request.onsuccess = () =>
-            materializeStoredPlanRecord(transaction, request.result, value => {
+            materializeStoredPlanRecord(transaction, request.result, (value, components) => {
                 materialized = value;
+                encodedComponents = components;
             });
         request.onerror = () => transaction.abort();
-        transaction.oncomplete = () => resolve(materialized);
+        transaction.oncomplete = () => resolve(decodeStoredPlanComponents(materialized, encodedComponents));
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) =>
-            reject(transaction.error || event.target?.error || new Error('Saved plan is incomplete.'));
+            reject(transaction.error || event.target?.error || new Error(
+                'Saved plan is incomplete. Run the storage audit on the Diagnostics page to repair it.'));
     });
 }
 
-async function patchStoredPlan(planId, planPatch) {
-    const database = await initDB();
-
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction(
-            [STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES],
-            'readwrite');
+function createForkedPlanRecord(source, forkId, newName) {
+    const metadata = source.storedPlanMetadata ?? source;
+    const now = new Date().toISOString();
+    const forkMetadata = {
+        ...metadata,
+        id: forkId,
+        name: typeof newName === 'string' && newName.trim()
+            ? newName.trim()
+            : `${metadata.name || 'Saved Plan'} (fork)`,
+        createdAt: now,
+        modifiedAt: now,
+        savedAt: now,
+        sourcePlanId: metadata.id,
+        sourcePlanName: metadata.name ?? null,
+        linkedOrderId: null
+    };
+    if (!isComponentStoredPlan(source)) {
+        return createStoredPlanRecord({ ...source, ...forkMetadata });
+    }
+    return {
+        record: {
+            ...source,
+            id: forkId,
+            name: forkMetadata.name,
+            modifiedAt: now,
+            savedAt: now,
+            storedPlanMetadata: forkMetadata,
+            componentRefs: { ...source.componentRefs }
+        },
+        components: []
+    };
+}
+
+/**
+ * Fork a saved plan under a new id without copying its payloads. The fork's
+ * componentRefs point at the source's current components, whose refCount is raised
+ * so neither plan's saves, trims or deletes free what the other still uses. The fork
+ * starts without history and unlinked from any Trade order. Resolves to the fork's
+ * summary, or null when the source plan does not exist.
+ */
+async function forkPlan(planId, newName = null) {
+    const database = await initDB();
+    const forkId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
+        const request = transaction.objectStore(STORE_PLANS).get(planId);
+        const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+        let fork = null;
+
+        request.onerror = () => transaction.abort();
+        request.onsuccess = () => {
+            if (!request.result) return;
+            fork = createForkedPlanRecord(request.result, forkId, newName);
+            for (const componentId of storedPlanComponentIds(fork.record)) {
+                if (fork.components.some(component => component.id === componentId)) continue;
+                const componentRequest = componentStore.get(componentId);
+                componentRequest.onerror = () => transaction.abort();
+                componentRequest.onsuccess = () => {
+                    const component = componentRequest.result;
+                    if (!component) {
+                        transaction.abort();
+                        return;
+                    }
+                    componentStore.put({ ...component, refCount: (component.refCount ?? 1) + 1 });
+                };
+            }
+            for (const component of fork.components) {
+                componentStore.put(component);
+            }
+            transaction.objectStore(STORE_PLANS).put(fork.record);
+            transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(fork.record));
+            transaction.objectStore(STORE_PLAN_SEARCH_INDEX).put(toPlanSearchEntry(fork.record));
+        };
+
+        transaction.oncomplete = () => {
+            if (!fork) {
+                resolve(null);
+                return;
+            }
+            publishStorageChange(STORE_PLANS, [forkId]);
+            resolve(toPlanSummary(fork.record));
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) =>
+            reject(transaction.error || event.target?.error || new Error(
+                'Saved plan is incomplete. Run the storage audit on the Diagnostics page to repair it.'));
+    });
+}
+
+async function patchStoredPlan(planId, planPatch) {
+    const database = await initDB();
+    const encodedPayloads = await encodeStoredPlanPayloads(planPatch);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
         const store = transaction.objectStore(STORE_PLANS);
         const request = store.get(planId);
+        let patched = false;
 
         request.onerror = () => transaction.abort();
         request.onsuccess = () => {
             const previous = request.result;
             if (!previous) {
+                discardEncodedComponentBlobs(encodedPayloads);
                 resolve(false);
                 return;
             }
@@ -1047,12 +2038,20 @@ async function patchStoredPlan(planId, planPatch) {
                 createStoredPlanRecord(
                     { ...base, ...patch },
                     previous,
-                    changedFields));
+                    changedFields,
+                    encodedPayloads));
+            patched = true;
         };
 
-        transaction.oncomplete = () => resolve(true);
+        transaction.oncomplete = () => {
+            if (patched) publishStorageChange(STORE_PLANS, [planId]);
+            resolve(true);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
-        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => {
+            discardEncodedComponentBlobs(encodedPayloads);
+            reject(transaction.error || event.target?.error);
+        };
     });
 }
 
@@ -1088,6 +2087,178 @@ async function patchPlanAndProcurementRoute(planId, planPatch) {
     return await patchStoredPlan(planId, planPatch);
 }
 
+function toPlanHistorySummary(entry) {
+    return {
+        ...toPlanSummary(entry.record),
+        planId: entry.planId,
+        versionId: entry.versionId,
+        archivedAt: entry.archivedAt
+    };
+}
+
+/**
+ * Load the retained prior versions of a plan (newest first) without their payloads.
+ */
+async function loadPlanHistory(planId) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_PLAN_HISTORY], 'readonly');
+        const request = transaction.objectStore(STORE_PLAN_HISTORY).index('planId').getAll(planId);
+
+        request.onsuccess = () => resolve((request.result || [])
+            .sort((a, b) => b.versionId - a.versionId)
+            .map(toPlanHistorySummary));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Load one retained version of a plan, materialized like loadPlan.
+ */
+async function loadPlanVersion(planId, versionId) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(
+            [STORE_PLAN_HISTORY, STORE_PLAN_COMPONENTS],
+            'readonly');
+        const request = transaction.objectStore(STORE_PLAN_HISTORY).get(`${planId}:${versionId}`);
+        let materialized = null;
+        let encodedComponents = [];
+
+        request.onsuccess = () =>
+            materializeStoredPlanRecord(transaction, request.result?.record, (value, components) => {
+                materialized = value;
+                encodedComponents = components;
+            });
+        request.onerror = () => transaction.abort();
+        transaction.oncomplete = () => resolve(decodeStoredPlanComponents(materialized, encodedComponents));
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) =>
+            reject(transaction.error || event.target?.error || new Error('Saved plan version is incomplete.'));
+    });
+}
+
+/**
+ * Make a retained version the current plan. The replaced current record becomes a
+ * version itself, so a restore can be rolled back the same way.
+ */
+async function restorePlanVersion(planId, versionId) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
+        const planRequest = transaction.objectStore(STORE_PLANS).get(planId);
+        const versionRequest = transaction.objectStore(STORE_PLAN_HISTORY).get(`${planId}:${versionId}`);
+        let restored = false;
+
+        planRequest.onerror = () => transaction.abort();
+        versionRequest.onerror = () => transaction.abort();
+        versionRequest.onsuccess = () => {
+            const version = versionRequest.result?.record;
+            if (!planRequest.result || !version) {
+                return;
+            }
+            const modifiedAt = new Date().toISOString();
+            const successor = isComponentStoredPlan(version)
+                ? {
+                    record: {
+                        ...version,
+                        modifiedAt,
+                        storedPlanMetadata: { ...version.storedPlanMetadata, modifiedAt }
+                    },
+                    components: []
+                }
+                : createStoredPlanRecord({ ...version, modifiedAt });
+            persistStoredPlanSuccessor(transaction, planRequest.result, successor);
+            restored = true;
+        };
+
+        transaction.oncomplete = () => {
+            if (restored) publishStorageChange(STORE_PLANS, [planId]);
+            resolve(restored);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function diffPlanRecords(fromRecord, toRecord) {
+    const metadataOf = record => isComponentStoredPlan(record) ? record.storedPlanMetadata : record;
+    const componentOf = (record, field) => isComponentStoredPlan(record)
+        ? record.componentRefs[field] ?? null
+        : record[field] ?? null;
+    const fromMetadata = metadataOf(fromRecord);
+    const toMetadata = metadataOf(toRecord);
+    const ignored = new Set(['modifiedAt', 'savedAt', 'projectItems', ...STORED_PLAN_COMPONENT_FIELDS]);
+    const metadataChanges = [...new Set([...Object.keys(fromMetadata), ...Object.keys(toMetadata)])]
+        .filter(field => !ignored.has(field) &&
+            JSON.stringify(fromMetadata[field]) !== JSON.stringify(toMetadata[field]))
+        .map(field => ({ field, from: fromMetadata[field] ?? null, to: toMetadata[field] ?? null }));
+
+    const fromItems = new Map((fromMetadata.projectItems ?? []).map(item => [item.id, item]));
+    const toItems = new Map((toMetadata.projectItems ?? []).map(item => [item.id, item]));
+    const changedItems = [];
+    for (const [id, item] of toItems) {
+        const previous = fromItems.get(id);
+        if (previous && JSON.stringify(previous) !== JSON.stringify(item)) {
+            changedItems.push({ id, name: item.name ?? previous.name ?? null, from: previous, to: item });
+        }
+    }
+
+    return {
+        metadataChanges,
+        projectItems: {
+            added: [...toItems.values()].filter(item => !fromItems.has(item.id)),
+            removed: [...fromItems.values()].filter(item => !toItems.has(item.id)),
+            changed: changedItems
+        },
+        // Components are written once and shared by ref, so a different ref means the
+        // payload was rewritten between the two versions.
+        changedComponents: STORED_PLAN_COMPONENT_FIELDS.filter(field =>
+            componentOf(fromRecord, field) !== componentOf(toRecord, field))
+    };
+}
+
+/**
+ * Compare two versions of a plan without loading component payloads.
+ * A null toVersionId compares against the current plan.
+ */
+async function diffPlanVersions(planId, fromVersionId, toVersionId = null) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_PLANS, STORE_PLAN_HISTORY], 'readonly');
+        const history = transaction.objectStore(STORE_PLAN_HISTORY);
+        const fromRequest = history.get(`${planId}:${fromVersionId}`);
+        const toRequest = toVersionId === null || toVersionId === undefined
+            ? transaction.objectStore(STORE_PLANS).get(planId)
+            : history.get(`${planId}:${toVersionId}`);
+        let diff = null;
+
+        fromRequest.onerror = () => transaction.abort();
+        toRequest.onerror = () => transaction.abort();
+        toRequest.onsuccess = () => {
+            const fromRecord = fromRequest.result?.record;
+            const toRecord = toVersionId == null ? toRequest.result : toRequest.result?.record;
+            if (!fromRecord || !toRecord) {
+                return;
+            }
+            diff = {
+                planId,
+                fromVersionId,
+                toVersionId: toVersionId ?? null,
+                ...diffPlanRecords(fromRecord, toRecord)
+            };
+        };
+
+        transaction.oncomplete = () => resolve(diff);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
 /**
  * Load all plans (sorted by modified date, newest first)
  */
@@ -1117,144 +2288,750 @@ async function loadAllPlans() {
 }
 
 /**
- * Load plan summaries (sorted by modified date, newest first)
+ * Load plan summaries, newest first.
+ * options: { folder, includeSubfolders = false, tags } scopes the list to one folder
+ * (optionally with its subfolders) and to plans carrying every listed tag.
  */
-async function loadPlanSummaries() {
+async function loadPlanSummaries(options = null) {
     const database = await initDB();
 
     let summaries = await readPlanSummaries(database);
     const planCount = await countStoreRecords(database, STORE_PLANS);
-    if (summaries.length >= planCount) {
+    if (summaries.length < planCount) {
+        await rebuildPlanSummaries(database);
+        summaries = await readPlanSummaries(database);
+    }
+    if (!options) {
         return summaries;
     }
 
-    await rebuildPlanSummaries(database);
-    return await readPlanSummaries(database);
+    const tags = normalizePlanTags(options.tags);
+    const scoped = typeof options.folder === 'string'
+        ? await readPlanSummaryIdsInFolder(
+            database,
+            normalizePlanFolder(options.folder),
+            options.includeSubfolders === true)
+        : null;
+    return summaries.filter(summary =>
+        (scoped === null || scoped.has(summary.id)) &&
+        tags.every(tag => summary.tags?.includes(tag)));
 }
 
-async function saveStoreRecord(storeName, record) {
-    const database = await initCompanyDatabase();
-    requireTradeStore(database, storeName);
-
+async function readPlanSummaryIdsInFolder(database, folder, includeSubfolders) {
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        store.put(record);
-
-        transaction.oncomplete = () => resolve(true);
+        const transaction = database.transaction([STORE_PLAN_SUMMARIES], 'readonly');
+        const index = transaction.objectStore(STORE_PLAN_SUMMARIES).index('folder');
+        const ids = new Set();
+        const collect = request => {
+            request.onsuccess = () => {
+                for (const id of request.result) ids.add(id);
+            };
+        };
+        if (includeSubfolders && folder === '') {
+            collect(index.getAllKeys());
+        } else {
+            collect(index.getAllKeys(IDBKeyRange.only(folder)));
+            if (includeSubfolders) {
+                collect(index.getAllKeys(IDBKeyRange.bound(`${folder}/`, `${folder}/\uffff`)));
+            }
+        }
+        transaction.oncomplete = () => resolve(ids);
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
 }
 
-async function saveStoreRecordsBatch(storeName, records) {
-    const database = await initCompanyDatabase();
-    requireTradeStore(database, storeName);
+async function countPlanSummaryIndexKeys(indexName) {
+    const database = await initDB();
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        for (const record of records || []) {
-            store.put(record);
-        }
+        const transaction = database.transaction([STORE_PLAN_SUMMARIES], 'readonly');
+        const request = transaction.objectStore(STORE_PLAN_SUMMARIES).index(indexName).openKeyCursor();
+        const counts = new Map();
 
-        transaction.oncomplete = () => resolve(true);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            counts.set(cursor.key, (counts.get(cursor.key) ?? 0) + 1);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(counts);
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
 }
 
-async function loadStoreRecords(storeName) {
-    const database = await initCompanyDatabase();
-    requireTradeStore(database, storeName);
+/**
+ * List every folder that holds plans, with direct plan counts, in path order.
+ */
+async function loadPlanFolders() {
+    const counts = await countPlanSummaryIndexKeys('folder');
+    return Array.from(counts, ([folder, planCount]) => ({ folder, planCount }));
+}
+
+/**
+ * List every tag in use, with plan counts, in tag order.
+ */
+async function loadPlanTags() {
+    const counts = await countPlanSummaryIndexKeys('tags');
+    return Array.from(counts, ([tag, planCount]) => ({ tag, planCount }));
+}
+
+/**
+ * Apply an organization change to many plans in one transaction. Organization is
+ * written in place on the plan, summary and search entry and never creates a
+ * history version. Resolves to the number of plans that changed.
+ */
+async function updatePlanOrganization(planIds, organize) {
+    const database = await initDB();
+    const ids = Array.from(new Set(planIds || []));
+    if (ids.length === 0) return 0;
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([storeName], 'readonly');
-        const store = transaction.objectStore(storeName);
-        const request = store.openCursor();
-        const records = [];
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
+        const planStore = transaction.objectStore(STORE_PLANS);
+        const changedIds = [];
 
-        request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                records.push(cursor.value);
-                cursor.continue();
-            } else {
-                resolve(records);
-            }
-        };
+        for (const planId of ids) {
+            const request = planStore.get(planId);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record) return;
+                const metadata = record.storedPlanMetadata ?? record;
+                const current = planOrganization(metadata);
+                const next = planOrganization(organize(current));
+                if (next.folder === current.folder &&
+                    next.tags.length === current.tags.length &&
+                    next.tags.every((tag, index) => tag === current.tags[index])) {
+                    return;
+                }
+                Object.assign(metadata, next);
+                planStore.put(record);
+                transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(record));
+                transaction.objectStore(STORE_PLAN_SEARCH_INDEX).put(toPlanSearchEntry(record));
+                changedIds.push(planId);
+            };
+        }
 
-        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_PLANS, changedIds);
+            resolve(changedIds.length);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
 }
 
-async function loadStoreRecord(storeName, id) {
-    const database = await initCompanyDatabase();
-    requireTradeStore(database, storeName);
+/**
+ * Add tags to every listed plan.
+ */
+async function tagPlans(planIds, tags) {
+    const added = normalizePlanTags(tags);
+    return await updatePlanOrganization(planIds, current => ({
+        ...current,
+        tags: [...current.tags, ...added]
+    }));
+}
 
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction([storeName], 'readonly');
-        const store = transaction.objectStore(storeName);
-        const request = store.get(id);
+/**
+ * Remove tags from every listed plan.
+ */
+async function untagPlans(planIds, tags) {
+    const removed = new Set(normalizePlanTags(tags));
+    return await updatePlanOrganization(planIds, current => ({
+        ...current,
+        tags: current.tags.filter(tag => !removed.has(tag))
+    }));
+}
 
-        request.onsuccess = () => resolve(request.result || null);
-        request.onerror = () => reject(request.error);
-    });
+/**
+ * Move every listed plan into one folder; '' or null moves them to the library root.
+ */
+async function movePlans(planIds, folder) {
+    return await updatePlanOrganization(planIds, current => ({
+        ...current,
+        folder: folder ?? ''
+    }));
 }
 
-async function deleteStoreRecord(storeName, id) {
-    const database = await initCompanyDatabase();
-    requireTradeStore(database, storeName);
+const companyRecordLayouts = new WeakMap();
 
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        store.delete(id);
+/**
+ * Which fields of a company record stay readable when it is sealed: the primary key and
+ * every field an index reads, so lookups, paging and deletes work without the key.
+ */
+function companyRecordLayout(database, storeName) {
+    let layouts = companyRecordLayouts.get(database);
+    if (!layouts) {
+        layouts = new Map();
+        companyRecordLayouts.set(database, layouts);
+    }
+    let layout = layouts.get(storeName);
+    if (!layout) {
+        const store = database.transaction(storeName, 'readonly').objectStore(storeName);
+        const paths = [store.keyPath, ...Array.from(store.indexNames, name => store.index(name).keyPath)];
+        layout = {
+            keyPath: store.keyPath,
+            clearFields: new Set(paths.flat().map(path => path.split('.')[0]))
+        };
+        layouts.set(storeName, layout);
+    }
+    return layout;
+}
 
-        transaction.oncomplete = () => resolve(true);
-        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
-        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
-    });
+// Hosted revision counters are compared and replaced inside one transaction, which
+// cannot wait on WebCrypto, so they stay readable like index fields.
+function isClearCompanyRecord(storeName, record) {
+    return storeName === STORE_HOSTED_OWNER_STATE && String(record?.key).includes('.objectRevision.');
 }
 
-async function saveTradeCompanyProfile(profile) {
-    return await saveStoreRecord(STORE_TRADE_COMPANY_PROFILES, profile);
+function companyRecordAssociatedData(storeName, primaryKey) {
+    return new TextEncoder().encode(`${storeName}\u001f${JSON.stringify(primaryKey)}`);
 }
 
-async function loadTradeCompanyProfiles() {
-    const profiles = await loadStoreRecords(STORE_TRADE_COMPANY_PROFILES);
-    return profiles.sort((a, b) => String(b.updatedAtUtc || '').localeCompare(String(a.updatedAtUtc || '')));
+function companyDatabaseLockedError() {
+    return new Error('[IndexedDB] Company data is encrypted and locked. Unlock it with the passphrase first.');
 }
 
-async function deleteTradeCompanyProfile(companyProfileId) {
-    return await deleteStoreRecord(STORE_TRADE_COMPANY_PROFILES, companyProfileId);
+async function readCompanyEncryptionConfig(database) {
+    return await new Promise((resolve, reject) => {
+        const request = database
+            .transaction(STORE_STORAGE_METADATA, 'readonly')
+            .objectStore(STORE_STORAGE_METADATA)
+            .get(COMPANY_ENCRYPTION_ID);
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-async function saveTradeCrafter(crafter) {
-    return await saveStoreRecord(STORE_TRADE_CRAFTERS, crafter);
+async function deriveCompanyKey(passphrase, config) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            hash: config.kdf.hash,
+            iterations: config.kdf.iterations,
+            salt: decodeBackupBinary(config.kdf.salt)
+        },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']);
 }
 
-async function saveTradeCraftersBatch(crafters) {
-    return await saveStoreRecordsBatch(STORE_TRADE_CRAFTERS, crafters);
+async function encryptCompanyBytes(key, plaintext, additionalData) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, plaintext);
+    return { iv: encodeBackupBinary(iv), data: encodeBackupBinary(data) };
 }
 
-async function loadTradeCrafters(companyProfileId) {
-    const crafters = await loadStoreRecords(STORE_TRADE_CRAFTERS);
-    return crafters
-        .filter(crafter => crafter.companyProfileId === companyProfileId)
-        .sort((a, b) => String(a.displayName || '').localeCompare(String(b.displayName || '')));
+async function decryptCompanyBytes(key, sealed, additionalData) {
+    return await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: decodeBackupBinary(sealed.iv), additionalData },
+        key,
+        decodeBackupBinary(sealed.data));
 }
 
-async function deleteTradeCrafter(crafterId) {
-    return await deleteStoreRecord(STORE_TRADE_CRAFTERS, crafterId);
+async function sealCompanyRecord(layout, storeName, record, cipher) {
+    if (!record || record[ENCRYPTED_PAYLOAD_FIELD] || isClearCompanyRecord(storeName, record)) {
+        return record;
+    }
+    const clear = {};
+    const payload = {};
+    for (const [field, value] of Object.entries(record)) {
+        (layout.clearFields.has(field) ? clear : payload)[field] = value;
+    }
+    const sealed = await encryptCompanyBytes(
+        cipher.key,
+        new TextEncoder().encode(JSON.stringify(payload)),
+        companyRecordAssociatedData(storeName, record[layout.keyPath]));
+    return { ...clear, [ENCRYPTED_PAYLOAD_FIELD]: { keyId: cipher.keyId, ...sealed } };
 }
 
-async function saveTradeOrder(order) {
-    return await saveStoreRecord(STORE_TRADE_ORDERS, order);
+async function unsealCompanyRecord(layout, storeName, record) {
+    const sealed = record?.[ENCRYPTED_PAYLOAD_FIELD];
+    if (!sealed) {
+        return record;
+    }
+    if (companyEncryptionKey?.keyId !== sealed.keyId) {
+        throw companyDatabaseLockedError();
+    }
+    const { [ENCRYPTED_PAYLOAD_FIELD]: _sealed, ...clear } = record;
+    let plaintext;
+    try {
+        plaintext = await decryptCompanyBytes(
+            companyEncryptionKey.key,
+            sealed,
+            companyRecordAssociatedData(storeName, record[layout.keyPath]));
+    } catch {
+        throw new Error(
+            `[IndexedDB] Encrypted ${storeName} record ${record[layout.keyPath]} failed authentication.`);
+    }
+    return { ...clear, ...JSON.parse(new TextDecoder().decode(plaintext)) };
 }
 
-async function saveTradeOrdersBatch(orders) {
-    return await saveStoreRecordsBatch(STORE_TRADE_ORDERS, orders);
+/**
+ * Seal records for a company store before its write transaction opens, because the
+ * transaction would commit while WebCrypto runs. Records pass through unchanged while
+ * encryption is off; writing rejects while it is on but locked.
+ */
+async function sealCompanyRecords(database, storeName, records) {
+    const config = await readCompanyEncryptionConfig(database);
+    if (!config) {
+        return records;
+    }
+    if (companyEncryptionKey?.keyId !== config.keyId) {
+        throw companyDatabaseLockedError();
+    }
+    const layout = companyRecordLayout(database, storeName);
+    return await Promise.all(records.map(record =>
+        sealCompanyRecord(layout, storeName, record, companyEncryptionKey)));
+}
+
+async function unsealCompanyRecords(database, storeName, records) {
+    if (!records.some(record => record?.[ENCRYPTED_PAYLOAD_FIELD])) {
+        return records;
+    }
+    const layout = companyRecordLayout(database, storeName);
+    return await Promise.all(records.map(record => unsealCompanyRecord(layout, storeName, record)));
+}
+
+/**
+ * Seal every readable record of the encrypted company stores in place. Each store is read,
+ * sealed outside a transaction, and written back only where the stored record is still
+ * the one that was read; records another tab changed meanwhile are picked up by the next
+ * pass. The config is marked encrypted once a pass finds nothing left to seal.
+ */
+async function encryptCompanyRecordsInPlace(database, config) {
+    let encrypted = 0;
+    for (let pass = 0; pass < COMPANY_ENCRYPTION_MAX_PASSES; pass++) {
+        let changedDuringPass = false;
+        for (const storeName of COMPANY_ENCRYPTED_STORES) {
+            if (!database.objectStoreNames.contains(storeName)) continue;
+            const layout = companyRecordLayout(database, storeName);
+            const records = (await readDatabaseStores(database, [storeName]))[storeName]
+                .filter(record => !record[ENCRYPTED_PAYLOAD_FIELD] && !isClearCompanyRecord(storeName, record));
+            if (records.length === 0) continue;
+            const sealed = await Promise.all(records.map(record =>
+                sealCompanyRecord(layout, storeName, record, companyEncryptionKey)));
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                records.forEach((record, index) => {
+                    const request = store.get(record[layout.keyPath]);
+                    request.onsuccess = () => {
+                        const current = request.result;
+                        if (!current || current[ENCRYPTED_PAYLOAD_FIELD]) return;
+                        if (JSON.stringify(current) !== JSON.stringify(record)) {
+                            changedDuringPass = true;
+                            return;
+                        }
+                        store.put(sealed[index]);
+                        encrypted++;
+                    };
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+                transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+            });
+        }
+        if (!changedDuringPass) {
+            await updateCompanyEncryptionState(database, config.keyId, 'encrypted');
+            break;
+        }
+    }
+    return encrypted;
+}
+
+async function updateCompanyEncryptionState(database, keyId, state) {
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_STORAGE_METADATA], 'readwrite');
+        const store = transaction.objectStore(STORE_STORAGE_METADATA);
+        const request = store.get(COMPANY_ENCRYPTION_ID);
+        request.onsuccess = () => {
+            if (request.result?.keyId !== keyId) return;
+            store.put({ ...request.result, state, updatedAtUtc: new Date().toISOString() });
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function requireCompanyPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < COMPANY_ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+        throw new Error(
+            `[IndexedDB] The company passphrase must be at least ${COMPANY_ENCRYPTION_MIN_PASSPHRASE_LENGTH} characters.`);
+    }
+}
+
+/**
+ * Report whether company data is encrypted and whether this page holds its key.
+ * state is 'encrypting' until every existing record has been sealed, then 'encrypted'.
+ */
+async function getCompanyEncryptionStatus() {
+    const database = await initCompanyDatabase();
+    const config = await readCompanyEncryptionConfig(database);
+    return {
+        enabled: config !== null,
+        locked: config !== null && companyEncryptionKey?.keyId !== config.keyId,
+        state: config?.state ?? null,
+        enabledAtUtc: config?.enabledAtUtc ?? null
+    };
+}
+
+/**
+ * Encrypt the Company database with a key derived from passphrase (PBKDF2-SHA-256 to
+ * AES-GCM-256) and seal every existing record in place. Primary keys and indexed fields
+ * stay readable. The passphrase cannot be recovered; losing it loses the sealed data.
+ */
+async function enableCompanyEncryption(passphrase) {
+    requireCompanyPassphrase(passphrase);
+    const database = await initCompanyDatabase();
+    const config = {
+        id: COMPANY_ENCRYPTION_ID,
+        kind: 'companyEncryption',
+        keyId: crypto.randomUUID(),
+        cipher: 'AES-GCM',
+        kdf: {
+            name: 'PBKDF2',
+            hash: COMPANY_ENCRYPTION_KDF.hash,
+            iterations: COMPANY_ENCRYPTION_KDF.iterations,
+            salt: encodeBackupBinary(crypto.getRandomValues(new Uint8Array(COMPANY_ENCRYPTION_KDF.saltBytes)))
+        },
+        state: 'encrypting',
+        enabledAtUtc: new Date().toISOString()
+    };
+    const key = await deriveCompanyKey(passphrase, config);
+    config.verifier = await encryptCompanyBytes(
+        key,
+        new TextEncoder().encode(COMPANY_ENCRYPTION_ID),
+        companyRecordAssociatedData(STORE_STORAGE_METADATA, config.keyId));
+
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_STORAGE_METADATA], 'readwrite');
+        // add() rejects when another tab enabled encryption first.
+        transaction.objectStore(STORE_STORAGE_METADATA).add(config);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target?.error?.name === 'ConstraintError'
+            ? new Error('[IndexedDB] Company data encryption is already enabled.')
+            : transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    companyEncryptionKey = { keyId: config.keyId, key };
+
+    const encryptedRecords = await encryptCompanyRecordsInPlace(database, config);
+    return { ...await getCompanyEncryptionStatus(), encryptedRecords };
+}
+
+/**
+ * Derive the company key from passphrase and keep it in this page's memory. Resolves
+ * false when the passphrase is wrong. Each tab unlocks on its own and a reload locks
+ * again. Finishes an in-place encryption that was interrupted.
+ */
+async function unlockCompanyDatabase(passphrase) {
+    const database = await initCompanyDatabase();
+    const config = await readCompanyEncryptionConfig(database);
+    if (!config) {
+        throw new Error('[IndexedDB] Company data encryption is not enabled.');
+    }
+    const key = await deriveCompanyKey(String(passphrase ?? ''), config);
+    try {
+        await decryptCompanyBytes(
+            key,
+            config.verifier,
+            companyRecordAssociatedData(STORE_STORAGE_METADATA, config.keyId));
+    } catch {
+        return false;
+    }
+    companyEncryptionKey = { keyId: config.keyId, key };
+    if (config.state !== 'encrypted') {
+        await encryptCompanyRecordsInPlace(database, config);
+    }
+    return true;
+}
+
+/**
+ * Forget the company key in this page. Sealed records stay unreadable until the next unlock.
+ */
+function lockCompanyDatabase() {
+    companyEncryptionKey = null;
+    return true;
+}
+
+async function saveStoreRecord(storeName, record) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+    const [stored] = await sealCompanyRecords(database, storeName, [record]);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        store.put(stored);
+
+        transaction.oncomplete = () => {
+            publishStorageChange(storeName, [record?.[store.keyPath]]);
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function saveStoreRecordsBatch(storeName, records) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+    const stored = await sealCompanyRecords(database, storeName, records || []);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        for (const record of stored) {
+            store.put(record);
+        }
+
+        transaction.oncomplete = () => {
+            publishStorageChange(storeName, (records || []).map(record => record?.[store.keyPath]));
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function loadStoreRecords(storeName) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+
+    const records = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = store.openCursor();
+        const records = [];
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                records.push(cursor.value);
+                cursor.continue();
+            } else {
+                resolve(records);
+            }
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+    return await unsealCompanyRecords(database, storeName, records);
+}
+
+async function loadStoreRecord(storeName, id) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+
+    const record = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+    return record ? (await unsealCompanyRecords(database, storeName, [record]))[0] : null;
+}
+
+async function loadStoreRecordsByIndex(storeName, indexName, key) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+
+    const records = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).index(indexName).getAll(key);
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+    return await unsealCompanyRecords(database, storeName, records);
+}
+
+function decodeTradeQueryToken(continuationToken) {
+    if (continuationToken === null || continuationToken === undefined || continuationToken === '') {
+        return null;
+    }
+    try {
+        const [sortKey, primaryKey] = JSON.parse(continuationToken);
+        indexedDB.cmp(sortKey, primaryKey);
+        return { sortKey, primaryKey };
+    } catch {
+        throw new Error('[IndexedDB] The Trade query continuation token is invalid.');
+    }
+}
+
+/**
+ * Read up to limit records from one compound-index lane, resuming strictly after the token.
+ */
+function readTradeQueryLane(index, prefix, direction, query, token, limit, onrecord) {
+    const forward = direction === 'next';
+    let lower = query.from === null || query.from === undefined ? prefix : [...prefix, query.from];
+    let upper = query.to === null || query.to === undefined ? [...prefix, []] : [...prefix, query.to];
+    if (token && forward) lower = [...prefix, token.sortKey];
+    if (token && !forward) upper = [...prefix, token.sortKey];
+    if (indexedDB.cmp(lower, upper) > 0) {
+        return;
+    }
+
+    const request = index.openCursor(IDBKeyRange.bound(lower, upper), direction);
+    let collected = 0;
+    request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || collected >= limit) return;
+        const sortKey = cursor.key[prefix.length];
+        if (token && indexedDB.cmp(sortKey, token.sortKey) === 0) {
+            const order = indexedDB.cmp(cursor.primaryKey, token.primaryKey);
+            if (forward ? order <= 0 : order >= 0) {
+                cursor.continue();
+                return;
+            }
+        }
+        onrecord({ sortKey, primaryKey: cursor.primaryKey, value: cursor.value });
+        collected++;
+        if (collected < limit) cursor.continue();
+    };
+}
+
+/**
+ * Page one company's Trade records through compound indexes instead of loading the store.
+ * query: { companyProfileId, statuses?, from?, to?, direction?: 'asc' | 'desc', pageSize?, continuationToken? }
+ * from/to bound the store's sort field inclusively. Several statuses are merged lane by lane.
+ */
+async function queryTradeRecords(storeName, query = {}) {
+    const definition = TRADE_QUERY_DEFINITIONS[storeName];
+    const companyProfileId = query?.companyProfileId;
+    if (typeof companyProfileId !== 'string' || companyProfileId.length === 0) {
+        throw new Error('[IndexedDB] Trade queries require a companyProfileId.');
+    }
+    const statuses = Array.isArray(query.statuses) && query.statuses.length > 0
+        ? [...new Set(query.statuses)]
+        : null;
+    if (statuses && !definition.statusIndex) {
+        throw new Error(`[IndexedDB] Trade store "${storeName}" cannot be filtered by status.`);
+    }
+    const direction = query.direction === 'asc'
+        ? 'next'
+        : query.direction === 'desc' ? 'prev' : definition.direction;
+    const pageSize = Math.min(
+        TRADE_QUERY_MAXIMUM_PAGE_SIZE,
+        Math.max(1, Math.floor(query.pageSize || TRADE_QUERY_DEFAULT_PAGE_SIZE)));
+    const token = decodeTradeQueryToken(query.continuationToken);
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+
+    const page = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const lanes = statuses
+            ? statuses.map(status => ({
+                index: store.index(definition.statusIndex),
+                prefix: [companyProfileId, status]
+            }))
+            : [{ index: store.index(definition.index), prefix: [companyProfileId] }];
+        const candidates = [];
+        for (const lane of lanes) {
+            readTradeQueryLane(
+                lane.index,
+                lane.prefix,
+                direction,
+                query,
+                token,
+                pageSize + 1,
+                candidate => candidates.push(candidate));
+        }
+
+        transaction.oncomplete = () => {
+            const sign = direction === 'next' ? 1 : -1;
+            candidates.sort((a, b) =>
+                sign * (indexedDB.cmp(a.sortKey, b.sortKey) || indexedDB.cmp(a.primaryKey, b.primaryKey)));
+            const page = candidates.slice(0, pageSize);
+            const last = page.at(-1);
+            resolve({
+                records: page.map(candidate => candidate.value),
+                continuationToken: candidates.length > pageSize
+                    ? JSON.stringify([last.sortKey, last.primaryKey])
+                    : null
+            });
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    return { ...page, records: await unsealCompanyRecords(database, storeName, page.records) };
+}
+
+async function deleteStoreRecord(storeName, id) {
+    const database = await initCompanyDatabase();
+    requireTradeStore(database, storeName);
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        store.delete(id);
+
+        transaction.oncomplete = () => {
+            publishStorageChange(storeName, [id], 'delete');
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function saveTradeCompanyProfile(profile) {
+    return await saveStoreRecord(STORE_TRADE_COMPANY_PROFILES, profile);
+}
+
+async function loadTradeCompanyProfiles() {
+    const profiles = await loadStoreRecords(STORE_TRADE_COMPANY_PROFILES);
+    return profiles.sort((a, b) => String(b.updatedAtUtc || '').localeCompare(String(a.updatedAtUtc || '')));
+}
+
+async function deleteTradeCompanyProfile(companyProfileId) {
+    return await deleteStoreRecord(STORE_TRADE_COMPANY_PROFILES, companyProfileId);
+}
+
+async function saveTradeCrafter(crafter) {
+    return await saveStoreRecord(STORE_TRADE_CRAFTERS, crafter);
+}
+
+async function saveTradeCraftersBatch(crafters) {
+    return await saveStoreRecordsBatch(STORE_TRADE_CRAFTERS, crafters);
+}
+
+async function loadTradeCrafters(companyProfileId) {
+    const crafters = await loadStoreRecordsByIndex(
+        STORE_TRADE_CRAFTERS,
+        'companyProfileId',
+        companyProfileId);
+    return crafters
+        .sort((a, b) => String(a.displayName || '').localeCompare(String(b.displayName || '')));
+}
+
+async function queryTradeCrafters(query) {
+    return await queryTradeRecords(STORE_TRADE_CRAFTERS, query);
+}
+
+async function deleteTradeCrafter(crafterId) {
+    return await moveTradeRecordToTrash('tradeCrafter', crafterId);
+}
+
+async function saveTradeOrder(order) {
+    return await saveStoreRecord(STORE_TRADE_ORDERS, order);
+}
+
+async function saveTradeOrdersBatch(orders) {
+    return await saveStoreRecordsBatch(STORE_TRADE_ORDERS, orders);
 }
 
 async function applyHostedTradeOrderState(
@@ -1269,6 +3046,9 @@ async function applyHostedTradeOrderState(
     if (!deleteOrder && (!order || order.id !== orderId)) {
         throw new Error('Hosted Trade order state omitted its exact order identity.');
     }
+    const [storedOrder] = deleteOrder
+        ? [null]
+        : await sealCompanyRecords(database, STORE_TRADE_ORDERS, [order]);
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction(
@@ -1277,6 +3057,7 @@ async function applyHostedTradeOrderState(
         const orderStore = transaction.objectStore(STORE_TRADE_ORDERS);
         const ownerStateStore = transaction.objectStore(STORE_HOSTED_OWNER_STATE);
         let accepted = true;
+        let applied = false;
         const request = ownerStateStore.get(revisionKey);
         request.onerror = () => transaction.abort();
         request.onsuccess = () => {
@@ -1289,10 +3070,14 @@ async function applyHostedTradeOrderState(
             }
             if (currentRevision === nextRevision) return;
             if (deleteOrder) orderStore.delete(orderId);
-            else orderStore.put(order);
+            else orderStore.put(storedOrder);
             ownerStateStore.put({ key: revisionKey, value: revisionValue });
+            applied = true;
+        };
+        transaction.oncomplete = () => {
+            if (applied) publishStorageChange(STORE_TRADE_ORDERS, [orderId], deleteOrder ? 'delete' : 'put');
+            resolve(accepted);
         };
-        transaction.oncomplete = () => resolve(accepted);
         transaction.onerror = event => reject(transaction.error || event.target?.error);
         transaction.onabort = event => reject(transaction.error || event.target?.error);
     });
@@ -1308,6 +3093,11 @@ async function applyHostedOwnerVerificationBatch(
     const database = await initCompanyDatabase();
     requireTradeStore(database, STORE_TRADE_ORDERS);
     requireTradeStore(database, STORE_HOSTED_OWNER_STATE);
+    const storedOrders = await sealCompanyRecords(database, STORE_TRADE_ORDERS, orders || []);
+    const storedSettings = await sealCompanyRecords(
+        database,
+        STORE_HOSTED_OWNER_STATE,
+        Object.entries(settings || {}).map(([key, value]) => ({ key, value })));
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction(
@@ -1324,10 +3114,8 @@ async function applyHostedOwnerVerificationBatch(
             if (remaining !== 0 || writesStarted) return;
             writesStarted = true;
             if (!matches) return;
-            for (const order of orders || []) orderStore.put(order);
-            for (const [key, value] of Object.entries(settings || {})) {
-                ownerStateStore.put({ key, value });
-            }
+            for (const order of storedOrders) orderStore.put(order);
+            for (const record of storedSettings) ownerStateStore.put(record);
             for (const key of deletedSettingKeys || []) ownerStateStore.delete(key);
         };
 
@@ -1340,13 +3128,17 @@ async function applyHostedOwnerVerificationBatch(
                     key,
                     request.result?.value,
                     fallbackSettings[key]);
-                if (actualValue !== expectedValue) matches = false;
+                // Only revision counters stay readable; a sealed value cannot be compared here.
+                if (request.result?.[ENCRYPTED_PAYLOAD_FIELD] || actualValue !== expectedValue) matches = false;
                 remaining--;
                 writeWhenReady();
             };
         }
 
-        transaction.oncomplete = () => resolve(matches);
+        transaction.oncomplete = () => {
+            if (matches) publishStorageChange(STORE_TRADE_ORDERS, (orders || []).map(order => order.id));
+            resolve(matches);
+        };
         transaction.onerror = event => reject(transaction.error || event.target?.error);
         transaction.onabort = event => reject(transaction.error || event.target?.error);
     });
@@ -1401,32 +3193,43 @@ async function loadHostedOwnerSettings(keys) {
     const fallback = await loadSettingsSubset(distinctKeys);
     const database = await initCompanyDatabase();
     requireTradeStore(database, STORE_HOSTED_OWNER_STATE);
-    return new Promise((resolve, reject) => {
+    const records = await new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_HOSTED_OWNER_STATE], 'readonly');
         const store = transaction.objectStore(STORE_HOSTED_OWNER_STATE);
-        const values = { ...fallback };
+        const records = [];
         let remaining = distinctKeys.length;
         for (const key of distinctKeys) {
             const request = store.get(key);
             request.onerror = () => transaction.abort();
             request.onsuccess = () => {
-                if (request.result) values[key] = request.result.value;
+                if (request.result) records.push(request.result);
                 remaining--;
-                if (remaining === 0) resolve(values);
+                if (remaining === 0) resolve(records);
             };
         }
         transaction.onerror = event => reject(transaction.error || event.target?.error);
         transaction.onabort = event => reject(transaction.error || event.target?.error);
     });
+    const values = { ...fallback };
+    for (const record of await unsealCompanyRecords(database, STORE_HOSTED_OWNER_STATE, records)) {
+        values[record.key] = record.value;
+    }
+    return values;
 }
 
 async function loadTradeOrders(companyProfileId) {
-    const orders = await loadStoreRecords(STORE_TRADE_ORDERS);
+    const orders = await loadStoreRecordsByIndex(
+        STORE_TRADE_ORDERS,
+        'companyProfileId',
+        companyProfileId);
     return orders
-        .filter(order => order.companyProfileId === companyProfileId)
         .sort((a, b) => String(b.commissionedAtUtc || '').localeCompare(String(a.commissionedAtUtc || '')));
 }
 
+async function queryTradeOrders(query) {
+    return await queryTradeRecords(STORE_TRADE_ORDERS, query);
+}
+
 async function loadAllTradeOrders() {
     const orders = await loadStoreRecords(STORE_TRADE_ORDERS);
     return orders.sort((a, b) => String(b.commissionedAtUtc || '').localeCompare(String(a.commissionedAtUtc || '')));
@@ -1437,7 +3240,7 @@ async function loadTradeOrder(orderId) {
 }
 
 async function deleteTradeOrder(orderId) {
-    return await deleteStoreRecord(STORE_TRADE_ORDERS, orderId);
+    return await moveTradeRecordToTrash('tradeOrder', orderId);
 }
 
 async function saveTradeOrderArchiveSummary(summary) {
@@ -1461,12 +3264,18 @@ async function loadTradeOrderCraftSnapshot(snapshotId) {
 }
 
 async function loadTradeOrderCraftSnapshotsForCompany(companyProfileId) {
-    const snapshots = await loadStoreRecords(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS);
+    const snapshots = await loadStoreRecordsByIndex(
+        STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
+        'companyProfileId',
+        companyProfileId);
     return snapshots
-        .filter(snapshot => snapshot.companyProfileId === companyProfileId)
         .sort((a, b) => String(b.updatedAtUtc || '').localeCompare(String(a.updatedAtUtc || '')));
 }
 
+async function queryTradeOrderCraftSnapshots(query) {
+    return await queryTradeRecords(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS, query);
+}
+
 async function deleteTradeOrderCraftSnapshot(snapshotId) {
     return await deleteStoreRecord(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS, snapshotId);
 }
@@ -1478,10 +3287,11 @@ async function loadAllTradeOrderCraftSnapshots() {
 async function deleteTradeOrderCraftSnapshotsForOrder(orderId) {
     const database = await initCompanyDatabase();
     requireTradeStore(database, STORE_TRADE_ORDER_CRAFT_SNAPSHOTS);
-    const snapshots = await loadStoreRecords(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS);
-    const ids = snapshots
-        .filter(snapshot => snapshot.orderId === orderId)
-        .map(snapshot => snapshot.id);
+    const snapshots = await loadStoreRecordsByIndex(
+        STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
+        'orderId',
+        orderId);
+    const ids = snapshots.map(snapshot => snapshot.id);
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_TRADE_ORDER_CRAFT_SNAPSHOTS], 'readwrite');
@@ -1539,17 +3349,375 @@ async function saveTradePayrollDraftsBatch(drafts) {
 }
 
 async function loadTradePayrollDrafts(companyProfileId) {
-    const drafts = await loadStoreRecords(STORE_TRADE_PAYROLL_DRAFTS);
+    const drafts = await loadStoreRecordsByIndex(
+        STORE_TRADE_PAYROLL_DRAFTS,
+        'companyProfileId',
+        companyProfileId);
     return drafts
-        .filter(draft => draft.companyProfileId === companyProfileId)
         .sort((a, b) => String(b.updatedAtUtc || '').localeCompare(String(a.updatedAtUtc || '')));
 }
 
+async function queryTradePayrollDrafts(query) {
+    return await queryTradeRecords(STORE_TRADE_PAYROLL_DRAFTS, query);
+}
+
 async function deleteTradePayrollDraft(draftId) {
     return await deleteStoreRecord(STORE_TRADE_PAYROLL_DRAFTS, draftId);
 }
 
-async function readPlanSummaries(database) {
+/**
+ * Payroll aggregation. Orders are priced the way TradePaymentCalculator prices them:
+ * under the order's policy override, else the company policy, else the legacy default,
+ * with material responsibilities taken from the order's payroll draft. Enum fields are
+ * stored as their numeric values; names are accepted too.
+ */
+const TRADE_ORDER_STATUS_NAMES = Object.freeze([
+    'Draft',
+    'ReadyToAssign',
+    'Assigned',
+    'InProgress',
+    'AwaitingDelivery',
+    'Completed',
+    'Canceled',
+    'ResolutionRequired'
+]);
+const TRADE_PAYMENT_CONTRACT_NAMES = Object.freeze(['LegacyCommission', 'LaborStandard']);
+const COMMISSION_MATERIAL_RESPONSIBILITY_NAMES = Object.freeze(['Crafter', 'Provided']);
+const COMPANY_COMMISSION_SETTLEMENT_NAMES = Object.freeze(['NotDue', 'Pending', 'Satisfied']);
+const TRADE_LEGACY_PAYMENT_POLICY = Object.freeze({
+    activeContract: 0,
+    legacyCommissionPercent: 20,
+    laborGilPerSynth: 200
+});
+const TRADE_ON_HAND_EVIDENCE_SOURCE = 'on hand';
+const TRADE_PAYROLL_GROUPINGS = Object.freeze(['crafter', 'period', 'status', 'order']);
+const TRADE_PAYROLL_AMOUNT_FIELDS = Object.freeze([
+    'procurementTotal',
+    'materialReimbursementTotal',
+    'commissionTotal',
+    'craftLaborTotal',
+    'synthCount',
+    'total',
+    'paidTotal',
+    'unpaidTotal'
+]);
+
+function tradeEnumName(value, names) {
+    return typeof value === 'number' ? names[value] ?? null : names.includes(value) ? value : null;
+}
+
+function roundGil(value) {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+function resolveTradePaymentPolicy(order, profile) {
+    const policy = order.paymentPolicyOverride ?? profile?.paymentPolicy ?? TRADE_LEGACY_PAYMENT_POLICY;
+    const benchmark = policy.LaborStandard ?? policy.laborStandard;
+    let laborGilPerSynth = Number(policy.laborGilPerSynth) || 0;
+    if (laborGilPerSynth === 0 && benchmark?.benchmarkLaborPayout > 0 && benchmark?.benchmarkSynthCount > 0) {
+        laborGilPerSynth = benchmark.benchmarkLaborPayout / benchmark.benchmarkSynthCount;
+    }
+    return {
+        contract: tradeEnumName(policy.activeContract, TRADE_PAYMENT_CONTRACT_NAMES) ?? 'LegacyCommission',
+        commissionPercent: Number(policy.legacyCommissionPercent ?? TRADE_LEGACY_PAYMENT_POLICY.legacyCommissionPercent),
+        laborGilPerSynth: laborGilPerSynth || TRADE_LEGACY_PAYMENT_POLICY.laborGilPerSynth
+    };
+}
+
+/**
+ * Price one order's payroll under its active contract. A labor-standard order without
+ * craft labor evidence owes nothing until it is repriced, as in the calculator.
+ */
+function priceTradeOrderPayroll(order, draft, profile) {
+    const policy = resolveTradePaymentPolicy(order, profile);
+    const snapshot = order.sourceSnapshot ?? {};
+    const responsibilities = new Map((draft?.responsibilities ?? []).map(line => [
+        `${line.itemId}:${Boolean(line.requiresHq)}`,
+        tradeEnumName(line.responsibility, COMMISSION_MATERIAL_RESPONSIBILITY_NAMES)
+    ]));
+    let procurementTotal = 0;
+    let materialReimbursementTotal = 0;
+    for (const material of snapshot.materials ?? []) {
+        const cost = (Number(material.unitCost) || 0) * (Number(material.quantity) || 0);
+        procurementTotal += cost;
+        const provided = responsibilities.get(`${material.itemId}:${Boolean(material.requiresHq)}`) === 'Provided';
+        const onHand = String(material.evidenceSource ?? '').toLowerCase() === TRADE_ON_HAND_EVIDENCE_SOURCE;
+        if (!provided && !onHand) materialReimbursementTotal += cost;
+    }
+    procurementTotal = roundGil(procurementTotal);
+    materialReimbursementTotal = roundGil(materialReimbursementTotal);
+
+    const laborStandard = policy.contract === 'LaborStandard';
+    const laborLines = laborStandard
+        ? (snapshot.craftLabor ?? [])
+            .filter(labor => labor.craftCount > 0)
+            .map(labor => ({
+                itemId: labor.itemId,
+                name: labor.name ?? '',
+                craftCount: labor.craftCount,
+                laborTotal: roundGil(labor.craftCount * policy.laborGilPerSynth)
+            }))
+        : [];
+    const craftLaborTotal = roundGil(laborLines.reduce((sum, line) => sum + line.laborTotal, 0));
+    const commissionTotal = laborStandard ? 0 : roundGil(procurementTotal * policy.commissionPercent / 100);
+    const total = laborStandard
+        ? laborLines.length > 0 ? materialReimbursementTotal + craftLaborTotal : 0
+        : materialReimbursementTotal + commissionTotal;
+
+    const status = tradeEnumName(order.status, TRADE_ORDER_STATUS_NAMES);
+    const settlement = order.companyCommission
+        ? tradeEnumName(order.companyCommission.settlementState, COMPANY_COMMISSION_SETTLEMENT_NAMES)
+        : null;
+    // Company commissions record settlement; local orders are settled on completion.
+    const paid = order.companyCommission ? settlement === 'Satisfied' : status === 'Completed';
+    return {
+        contract: policy.contract,
+        procurementTotal,
+        materialReimbursementTotal,
+        commissionTotal,
+        craftLaborTotal,
+        synthCount: laborLines.reduce((sum, line) => sum + line.craftCount, 0),
+        total,
+        paidTotal: paid ? total : 0,
+        unpaidTotal: paid || status === 'Canceled' ? 0 : total,
+        laborLines
+    };
+}
+
+function tradePayrollPeriodKey(isoDate, period) {
+    const date = new Date(isoDate);
+    if (Number.isNaN(date.getTime())) return '';
+    if (period === 'month') return date.toISOString().slice(0, 7);
+    // ISO weeks start on Monday; the key is that Monday's date.
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read one company's orders through the commission-date index (or its status lanes),
+ * with the company's payroll drafts, crafters and profile, in one transaction.
+ */
+async function readTradePayrollRecords(database, query, statuses) {
+    const storeNames = [
+        STORE_TRADE_ORDERS,
+        STORE_TRADE_PAYROLL_DRAFTS,
+        STORE_TRADE_CRAFTERS,
+        STORE_TRADE_COMPANY_PROFILES
+    ];
+    for (const storeName of storeNames) {
+        requireTradeStore(database, storeName);
+    }
+    const { companyProfileId } = query;
+    const records = await new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        const records = { orders: [], drafts: [], crafters: [], profile: null };
+        const collect = (request, target) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                target.push(cursor.value);
+                cursor.continue();
+            };
+        };
+        const orders = transaction.objectStore(STORE_TRADE_ORDERS);
+        const definition = TRADE_QUERY_DEFINITIONS[STORE_TRADE_ORDERS];
+        const lanes = statuses
+            ? statuses.map(status => ({ index: orders.index(definition.statusIndex), prefix: [companyProfileId, status] }))
+            : [{ index: orders.index(definition.index), prefix: [companyProfileId] }];
+        for (const { index, prefix } of lanes) {
+            const lower = query.from ? [...prefix, query.from] : prefix;
+            const upper = query.to ? [...prefix, query.to] : [...prefix, []];
+            if (indexedDB.cmp(lower, upper) > 0) continue;
+            collect(index.openCursor(IDBKeyRange.bound(lower, upper)), records.orders);
+        }
+        collect(
+            transaction.objectStore(STORE_TRADE_PAYROLL_DRAFTS).index('companyProfileId').openCursor(companyProfileId),
+            records.drafts);
+        collect(
+            transaction.objectStore(STORE_TRADE_CRAFTERS).index('companyProfileId').openCursor(companyProfileId),
+            records.crafters);
+        const profileRequest = transaction.objectStore(STORE_TRADE_COMPANY_PROFILES).get(companyProfileId);
+        profileRequest.onsuccess = () => {
+            records.profile = profileRequest.result ?? null;
+        };
+        transaction.oncomplete = () => resolve(records);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    return {
+        orders: await unsealCompanyRecords(database, STORE_TRADE_ORDERS, records.orders),
+        drafts: await unsealCompanyRecords(database, STORE_TRADE_PAYROLL_DRAFTS, records.drafts),
+        crafters: await unsealCompanyRecords(database, STORE_TRADE_CRAFTERS, records.crafters),
+        profile: records.profile
+            ? (await unsealCompanyRecords(database, STORE_TRADE_COMPANY_PROFILES, [records.profile]))[0]
+            : null
+    };
+}
+
+function createTradePayrollGroup(key, label) {
+    const group = { key, label, orderCount: 0 };
+    for (const field of TRADE_PAYROLL_AMOUNT_FIELDS) {
+        group[field] = 0;
+    }
+    return group;
+}
+
+function addTradePayrollAmounts(group, payroll) {
+    group.orderCount++;
+    for (const field of TRADE_PAYROLL_AMOUNT_FIELDS) {
+        group[field] += payroll[field];
+    }
+}
+
+/**
+ * Aggregate one company's payroll.
+ * query: { companyProfileId, groupBy?: 'crafter' | 'period' | 'status' | 'order',
+ * period?: 'week' | 'month', from?, to?, statuses? }. from/to bound commissionedAtUtc
+ * inclusively and statuses limits the orders read. Resolves to { groups, totals } where
+ * each group sums orderCount and the amount fields; 'order' groups also carry the
+ * order's status, crafter, contract and laborLines. Canceled orders owe nothing.
+ */
+async function aggregateTradePayroll(query = {}) {
+    const companyProfileId = query?.companyProfileId;
+    if (typeof companyProfileId !== 'string' || companyProfileId.length === 0) {
+        throw new Error('[IndexedDB] Payroll aggregation requires a companyProfileId.');
+    }
+    const groupBy = query.groupBy ?? 'crafter';
+    if (!TRADE_PAYROLL_GROUPINGS.includes(groupBy)) {
+        throw new Error(`[IndexedDB] Payroll cannot be grouped by "${groupBy}".`);
+    }
+    const period = query.period === 'week' ? 'week' : 'month';
+    const statuses = Array.isArray(query.statuses) && query.statuses.length > 0
+        ? [...new Set(query.statuses)]
+        : null;
+    const database = await initCompanyDatabase();
+    const { orders, drafts, crafters, profile } = await readTradePayrollRecords(database, query, statuses);
+
+    const draftsById = new Map(drafts.map(draft => [draft.id, draft]));
+    const draftsByOrder = new Map();
+    for (const draft of drafts) {
+        const current = draftsByOrder.get(draft.orderId);
+        if (draft.orderId && (!current || String(draft.updatedAtUtc).localeCompare(String(current.updatedAtUtc)) > 0)) {
+            draftsByOrder.set(draft.orderId, draft);
+        }
+    }
+    const crafterNames = new Map(crafters.map(crafter => [crafter.id, crafter.displayName]));
+    const groups = new Map();
+    const totals = createTradePayrollGroup('total', 'Total');
+
+    for (const order of orders) {
+        const draft = draftsById.get(order.payrollDraftId) ?? draftsByOrder.get(order.id) ?? null;
+        const payroll = priceTradeOrderPayroll(order, draft, profile);
+        const status = tradeEnumName(order.status, TRADE_ORDER_STATUS_NAMES);
+        const crafterId = order.assignedCrafterId ?? null;
+        const crafterName = crafterId
+            ? crafterNames.get(crafterId) ?? draft?.assignedCrafterDisplayName ?? crafterId
+            : null;
+        let key;
+        let label;
+        switch (groupBy) {
+            case 'crafter':
+                key = crafterId ?? '';
+                label = crafterName ?? 'Unassigned';
+                break;
+            case 'period':
+                key = tradePayrollPeriodKey(order.commissionedAtUtc, period);
+                label = key;
+                break;
+            case 'status':
+                key = status ?? String(order.status);
+                label = key;
+                break;
+            default:
+                key = order.id;
+                label = order.title ?? order.id;
+        }
+        if (!groups.has(key)) {
+            const group = createTradePayrollGroup(key, label);
+            if (groupBy === 'order') {
+                Object.assign(group, {
+                    status,
+                    crafterId,
+                    crafterName,
+                    commissionedAtUtc: order.commissionedAtUtc ?? null,
+                    contract: payroll.contract,
+                    laborLines: payroll.laborLines
+                });
+            }
+            groups.set(key, group);
+        }
+        addTradePayrollAmounts(groups.get(key), payroll);
+        addTradePayrollAmounts(totals, payroll);
+    }
+
+    const sortKey = group => groupBy === 'order'
+        ? String(group.commissionedAtUtc ?? '')
+        : groupBy === 'status'
+            ? String(TRADE_ORDER_STATUS_NAMES.indexOf(group.key)).padStart(2, '0')
+            : groupBy === 'crafter' ? group.label.toLowerCase() : group.key;
+    return {
+        companyProfileId,
+        groupBy,
+        period: groupBy === 'period' ? period : null,
+        from: query.from ?? null,
+        to: query.to ?? null,
+        generatedAtUtc: new Date().toISOString(),
+        groups: Array.from(groups.values())
+            .sort((a, b) => sortKey(a).localeCompare(sortKey(b)) || a.key.localeCompare(b.key)),
+        totals
+    };
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would read as a formula
+ * is prefixed with an apostrophe.
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Aggregate payroll as aggregateTradePayroll does and format it as CSV, one row per
+ * group followed by a totals row.
+ */
+async function exportTradePayrollCsv(query = {}) {
+    const aggregation = await aggregateTradePayroll(query);
+    const orderColumns = aggregation.groupBy === 'order';
+    const header = [
+        aggregation.groupBy === 'period' ? aggregation.period : aggregation.groupBy,
+        'Name',
+        ...(orderColumns ? ['Status', 'Crafter', 'Commissioned (UTC)', 'Contract'] : []),
+        'Orders',
+        'Procurement',
+        'Material reimbursement',
+        'Commission',
+        'Craft labor',
+        'Synths',
+        'Total',
+        'Paid',
+        'Unpaid'
+    ];
+    const row = (group, key) => [
+        key,
+        group.label,
+        ...(orderColumns ? [group.status, group.crafterName, group.commissionedAtUtc, group.contract] : []),
+        group.orderCount,
+        ...TRADE_PAYROLL_AMOUNT_FIELDS.map(field => group[field])
+    ];
+    const rows = [
+        header,
+        ...aggregation.groups.map(group => row(group, group.key)),
+        row({ ...aggregation.totals, label: 'Total' }, '')
+    ];
+    return rows.map(fields => fields.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+async function readPlanSummaries(database) {
     return new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_PLAN_SUMMARIES], 'readonly');
         const store = transaction.objectStore(STORE_PLAN_SUMMARIES);
@@ -1609,118 +3777,873 @@ async function rebuildPlanSummaries(database) {
     });
 }
 
-/**
- * Delete a plan by ID
- */
-async function deletePlan(planId) {
-    const database = await initDB();
-    
+async function rebuildPlanSearchIndex(database) {
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction(
-            [STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES],
-            'readwrite');
-        const store = transaction.objectStore(STORE_PLANS);
-        const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
-        const summaryStore = transaction.objectStore(STORE_PLAN_SUMMARIES);
-        const request = store.get(planId);
-
-        request.onerror = () => transaction.abort();
-        request.onsuccess = () => {
-            for (const componentId of Object.values(request.result?.componentRefs ?? {})) {
-                if (typeof componentId === 'string') {
-                    componentStore.delete(componentId);
-                }
-            }
-            store.delete(planId);
-            summaryStore.delete(planId);
-        };
+        const transaction = database.transaction([STORE_PLANS, STORE_PLAN_SEARCH_INDEX], 'readwrite');
+        const planStore = transaction.objectStore(STORE_PLANS);
+        const searchStore = transaction.objectStore(STORE_PLAN_SEARCH_INDEX);
+        const clearRequest = searchStore.clear();
 
         transaction.oncomplete = () => resolve(true);
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+
+        clearRequest.onsuccess = () => {
+            const request = planStore.openCursor();
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    return;
+                }
+
+                searchStore.put(toPlanSearchEntry(cursor.value));
+                cursor.continue();
+            };
+        };
     });
 }
 
+function matchesPlanSearchFilters(entry, filters) {
+    if (filters.dataCenter && entry.dataCenter !== filters.dataCenter) {
+        return false;
+    }
+    const modifiedAt = Date.parse(entry.modifiedAt);
+    if (filters.modifiedFrom && !(modifiedAt >= Date.parse(filters.modifiedFrom))) {
+        return false;
+    }
+    if (filters.modifiedTo && !(modifiedAt <= Date.parse(filters.modifiedTo))) {
+        return false;
+    }
+    if (Array.isArray(filters.itemIds) && filters.itemIds.length > 0 &&
+        !filters.itemIds.some(itemId => entry.itemIds.includes(itemId))) {
+        return false;
+    }
+    if (typeof filters.folder === 'string' && entry.folder !== normalizePlanFolder(filters.folder)) {
+        return false;
+    }
+    return normalizePlanTags(filters.tags).every(tag => entry.tags?.includes(tag));
+}
+
+function scorePlanSearchEntry(entry, queryTokens) {
+    let score = 0;
+    const matchedFields = new Set();
+    for (const queryToken of queryTokens) {
+        let best = 0;
+        let bestField = null;
+        for (const [field, weight] of Object.entries(PLAN_SEARCH_FIELD_WEIGHTS)) {
+            for (const token of entry.fields[field]) {
+                const tokenScore = token === queryToken
+                    ? weight
+                    : token.startsWith(queryToken) ? weight * PLAN_SEARCH_PREFIX_WEIGHT : 0;
+                if (tokenScore > best) {
+                    best = tokenScore;
+                    bestField = field;
+                }
+            }
+        }
+        score += best;
+        if (bestField) matchedFields.add(bestField);
+    }
+    return { score, matchedFields: Array.from(matchedFields) };
+}
+
 /**
- * Save a setting
+ * Search saved plans by name, project item names and source plan name.
+ * Every query token must prefix-match some indexed token; results rank name matches
+ * above item and source matches, exact tokens above prefixes, then newest first.
+ * filters: { dataCenter, modifiedFrom, modifiedTo, itemIds, folder, tags, limit }
  */
-async function saveSetting(key, value) {
+async function searchPlans(query, filters = {}) {
     const database = await initDB();
-    
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_SETTINGS], 'readwrite');
-        const store = transaction.objectStore(STORE_SETTINGS);
-        store.put({ key, value });
+    const searchFilters = filters || {};
+    const queryTokens = uniquePlanSearchTokens([query]);
+    const limit = Math.max(1, Math.floor(searchFilters.limit || PLAN_SEARCH_DEFAULT_LIMIT));
 
-        transaction.oncomplete = () => resolve(true);
+    const [indexedCount, planCount] = await Promise.all([
+        countStoreRecords(database, STORE_PLAN_SEARCH_INDEX),
+        countStoreRecords(database, STORE_PLANS)
+    ]);
+    if (indexedCount < planCount) {
+        await rebuildPlanSearchIndex(database);
+    }
+
+    const entries = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_PLAN_SEARCH_INDEX], 'readonly');
+        const store = transaction.objectStore(STORE_PLAN_SEARCH_INDEX);
+        const results = [];
+        transaction.oncomplete = () => resolve(results);
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+
+        if (queryTokens.length === 0) {
+            const request = store.getAll();
+            request.onsuccess = () => results.push(...request.result);
+            return;
+        }
+
+        // Intersect prefix matches token by token, then load only the surviving entries.
+        const tokenIndex = store.index('tokens');
+        let candidates = null;
+        let remaining = queryTokens.length;
+        for (const queryToken of queryTokens) {
+            const request = tokenIndex.getAllKeys(IDBKeyRange.bound(queryToken, `${queryToken}\uffff`));
+            request.onsuccess = () => {
+                const ids = new Set(request.result);
+                candidates = candidates === null
+                    ? ids
+                    : new Set([...candidates].filter(id => ids.has(id)));
+                if (--remaining > 0) return;
+                for (const id of candidates) {
+                    const entryRequest = store.get(id);
+                    entryRequest.onsuccess = () => {
+                        if (entryRequest.result) results.push(entryRequest.result);
+                    };
+                }
+            };
+        }
     });
+
+    return entries
+        .filter(entry => matchesPlanSearchFilters(entry, searchFilters))
+        .map(entry => {
+            const { fields, tokens, itemIds, ...summary } = entry;
+            return { ...summary, ...scorePlanSearchEntry(entry, queryTokens) };
+        })
+        .sort((a, b) =>
+            b.score - a.score ||
+            String(b.modifiedAt || '').localeCompare(String(a.modifiedAt || '')))
+        .slice(0, limit);
 }
 
 /**
- * Load a setting
+ * Recycle bin. Deleting a plan, Trade order or crafter moves the record and everything
+ * that only it owns into the trash store of its own database, keyed by kind, record id
+ * and deletion time. Plan components shared with forks are copied and released rather
+ * than moved. Entries older than TRASH_RETENTION are purged.
  */
-async function loadSetting(key) {
-    const database = await initDB();
-    
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_SETTINGS], 'readonly');
-        const store = transaction.objectStore(STORE_SETTINGS);
-        const request = store.get(key);
-        
+const TRASH_KINDS = Object.freeze({
+    plan: Object.freeze({
+        open: () => initDB(),
+        storeName: STORE_PLANS,
+        stores: PLAN_STORES,
+        restore: restoreTrashedPlan
+    }),
+    tradeOrder: Object.freeze({
+        open: () => initCompanyDatabase(),
+        storeName: STORE_TRADE_ORDERS,
+        stores: Object.freeze([STORE_TRADE_ORDERS, STORE_TRADE_ORDER_CRAFT_SNAPSHOTS]),
+        restore: (transaction, entry) => {
+            transaction.objectStore(STORE_TRADE_ORDERS).put(entry.record);
+            const snapshotStore = transaction.objectStore(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS);
+            for (const snapshot of entry.craftSnapshots || []) {
+                snapshotStore.put(snapshot);
+            }
+        }
+    }),
+    tradeCrafter: Object.freeze({
+        open: () => initCompanyDatabase(),
+        storeName: STORE_TRADE_CRAFTERS,
+        stores: Object.freeze([STORE_TRADE_CRAFTERS]),
+        restore: (transaction, entry) => transaction.objectStore(STORE_TRADE_CRAFTERS).put(entry.record)
+    })
+});
+
+function createTrashEntry(kind, record, name, owned, deletedAtUnixMilliseconds) {
+    return {
+        id: `${kind}:${record.id}:${deletedAtUnixMilliseconds}`,
+        kind,
+        recordId: record.id,
+        name: name || null,
+        companyProfileId: record.companyProfileId ?? null,
+        deletedAtUtc: new Date(deletedAtUnixMilliseconds).toISOString(),
+        deletedAtUnixMilliseconds,
+        record,
+        ...owned
+    };
+}
+
+function toTrashSummary(entry) {
+    return {
+        id: entry.id,
+        kind: entry.kind,
+        recordId: entry.recordId,
+        name: entry.name,
+        companyProfileId: entry.companyProfileId,
+        deletedAtUtc: entry.deletedAtUtc,
+        expiresAtUtc: new Date(
+            entry.deletedAtUnixMilliseconds + TRASH_RETENTION.maxAgeDays * 86400 * 1000).toISOString()
+    };
+}
+
+/**
+ * Move plans with their history versions and every component those reference into
+ * the trash, inside the caller's plan transaction.
+ */
+function movePlansToTrash(transaction, plans, history) {
+    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+    const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+    const trashStore = transaction.objectStore(STORE_TRASH);
+    const deletedAt = Date.now();
+    const references = countPlanComponentReferences(plans, history);
+    for (const plan of plans) {
+        const versions = history.filter(entry => entry.planId === plan.id);
+        const componentIds = Array.from(new Set(
+            [plan, ...versions.map(entry => entry.record)].flatMap(storedPlanComponentIds)));
+        const components = [];
+        let remaining = componentIds.length;
+        const putEntry = () => trashStore.put(createTrashEntry(
+            'plan',
+            plan,
+            toPlanSummary(plan).name,
+            { history: versions, components },
+            deletedAt));
+        if (remaining === 0) putEntry();
+        for (const componentId of componentIds) {
+            const request = componentStore.get(componentId);
+            request.onerror = () => transaction.abort();
+            request.onsuccess = () => {
+                const component = request.result;
+                if (component) {
+                    components.push(component);
+                    // Every trashed plan sharing the component is released at once.
+                    if (references.has(componentId)) {
+                        releasePlanComponent(componentStore, component, references.get(componentId));
+                        references.delete(componentId);
+                    }
+                }
+                if (--remaining === 0) putEntry();
+            };
+        }
+        for (const entry of versions) {
+            historyStore.delete(entry.id);
+        }
+        transaction.objectStore(STORE_PLANS).delete(plan.id);
+        transaction.objectStore(STORE_PLAN_SUMMARIES).delete(plan.id);
+        transaction.objectStore(STORE_PLAN_SEARCH_INDEX).delete(plan.id);
+    }
+}
+
+function restoreTrashedPlan(transaction, entry) {
+    transaction.objectStore(STORE_PLANS).put(entry.record);
+    transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(entry.record));
+    transaction.objectStore(STORE_PLAN_SEARCH_INDEX).put(toPlanSearchEntry(entry.record));
+    const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+    for (const version of entry.history || []) {
+        historyStore.put(version);
+    }
+    const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+    for (const component of entry.components || []) {
+        if (!isSharedPlanComponent(component)) {
+            componentStore.put(component);
+            continue;
+        }
+        // A fork may still hold the live component; the restored plan rejoins it.
+        const request = componentStore.get(component.id);
+        request.onerror = () => transaction.abort();
         request.onsuccess = () => {
-            const result = request.result;
-            resolve(result ? result.value : null);
+            const live = request.result;
+            componentStore.put(live
+                ? { ...live, refCount: live.refCount + 1 }
+                : { ...component, refCount: 1 });
         };
-        request.onerror = () => reject(request.error);
-    });
+    }
 }
 
-async function loadAllSettings() {
-    const database = await initDB();
+/**
+ * Move one Trade order and its craft snapshots, or one crafter, to the trash.
+ */
+async function moveTradeRecordToTrash(kind, recordId) {
+    const database = await initCompanyDatabase();
+    const { storeName } = TRASH_KINDS[kind];
+    requireTradeStore(database, storeName);
+    const ownsSnapshots = kind === 'tradeOrder';
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_SETTINGS], 'readonly');
-        const store = transaction.objectStore(STORE_SETTINGS);
-        const request = store.openCursor();
-        const settings = {};
+        const transaction = database.transaction(
+            ownsSnapshots
+                ? [storeName, STORE_TRADE_ORDER_CRAFT_SNAPSHOTS, STORE_TRASH]
+                : [storeName, STORE_TRASH],
+            'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(recordId);
+        const snapshotStore = ownsSnapshots
+            ? transaction.objectStore(STORE_TRADE_ORDER_CRAFT_SNAPSHOTS)
+            : null;
+        const snapshotsRequest = snapshotStore?.index('orderId').getAll(recordId);
 
-        request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                settings[cursor.value.key] = cursor.value.value;
-                cursor.continue();
-            } else {
-                resolve(settings);
+        request.onerror = () => transaction.abort();
+        if (snapshotsRequest) snapshotsRequest.onerror = () => transaction.abort();
+        (snapshotsRequest ?? request).onsuccess = () => {
+            const record = request.result;
+            if (!record) return;
+            const craftSnapshots = snapshotsRequest?.result || [];
+            // A sealed order's title stays sealed, so the trash lists it by id.
+            transaction.objectStore(STORE_TRASH).put(createTrashEntry(
+                kind,
+                record,
+                record.title ?? record.displayName,
+                ownsSnapshots ? { craftSnapshots } : {},
+                Date.now()));
+            store.delete(recordId);
+            for (const snapshot of craftSnapshots) {
+                snapshotStore.delete(snapshot.id);
             }
         };
-        request.onerror = () => reject(request.error);
+
+        transaction.oncomplete = () => {
+            publishStorageChange(storeName, [recordId], 'delete');
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
 }
 
-async function saveSettingsBatch(settings) {
-    const database = await initDB();
+function trashDatabases() {
+    return [initDB, initCompanyDatabase];
+}
+
+/**
+ * List trashed records newest first, without their payloads. Expired entries are
+ * purged first. options: { kind } limits the list to 'plan', 'tradeOrder' or 'tradeCrafter'.
+ */
+async function listTrash(options = {}) {
+    await purgeTrash();
+    const kind = options?.kind ?? null;
+    const lists = await Promise.all(trashDatabases().map(async open => {
+        const database = await open();
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORE_TRASH], 'readonly');
+            const request = transaction.objectStore(STORE_TRASH).openCursor();
+            const summaries = [];
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (kind === null || cursor.value.kind === kind) {
+                    summaries.push(toTrashSummary(cursor.value));
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(summaries);
+            transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+            transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        });
+    }));
+    return lists
+        .flat()
+        .sort((a, b) => b.deletedAtUtc.localeCompare(a.deletedAtUtc));
+}
+
+/**
+ * Put a trashed record and everything it owned back. Resolves false when the entry
+ * no longer exists and rejects when a live record already uses its id.
+ */
+async function restoreFromTrash(trashId) {
+    const kind = String(trashId).split(':', 1)[0];
+    const definition = TRASH_KINDS[kind];
+    if (!definition) {
+        throw new Error(`[IndexedDB] Unknown trash entry: ${trashId}`);
+    }
+    const database = await definition.open();
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_SETTINGS], 'readwrite');
-        const store = transaction.objectStore(STORE_SETTINGS);
-        for (const [key, value] of Object.entries(settings || {})) {
-            store.put({ key, value });
-        }
+        const transaction = database.transaction([...definition.stores, STORE_TRASH], 'readwrite');
+        const trashStore = transaction.objectStore(STORE_TRASH);
+        const request = trashStore.get(trashId);
+        let restored = null;
 
-        transaction.oncomplete = () => resolve(true);
+        request.onerror = () => transaction.abort();
+        request.onsuccess = () => {
+            const entry = request.result;
+            if (!entry) return;
+            const liveRequest = transaction.objectStore(definition.storeName).get(entry.recordId);
+            liveRequest.onerror = () => transaction.abort();
+            liveRequest.onsuccess = () => {
+                if (liveRequest.result) {
+                    transaction.abort();
+                    reject(new Error(
+                        `[IndexedDB] Cannot restore ${entry.name || entry.recordId}: a record with the same id exists.`));
+                    return;
+                }
+                definition.restore(transaction, entry);
+                trashStore.delete(trashId);
+                restored = entry;
+            };
+        };
+
+        transaction.oncomplete = () => {
+            if (restored) publishStorageChange(definition.storeName, [restored.recordId]);
+            resolve(restored !== null);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
 }
 
-async function saveSettingsWhenSettingsMatchAndRevisionNotNewer(
-    settings,
-    expectedSettings,
-    revisionKey,
-    revisionValue) {
-    const database = await initDB();
+/**
+ * Permanently delete trash entries older than maxAgeDays; 0 empties the trash.
+ * Files of purged plan components go too, unless a live plan still uses them.
+ * Resolves to the number of entries removed.
+ */
+async function purgeTrash(maxAgeDays = TRASH_RETENTION.maxAgeDays) {
+    const cutoff = Date.now() - Math.max(0, maxAgeDays) * 86400 * 1000;
+    const counts = await Promise.all(trashDatabases().map(async open => {
+        const database = await open();
+        const released = [];
+        const deleted = await new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORE_TRASH], 'readwrite');
+            const store = transaction.objectStore(STORE_TRASH);
+            const request = store
+                .index('deletedAtUnixMilliseconds')
+                .openCursor(IDBKeyRange.upperBound(cutoff));
+            let deleted = 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                for (const component of cursor.value.components ?? []) {
+                    if (component.blob) released.push({ componentId: component.id, name: component.blob.name });
+                }
+                store.delete(cursor.primaryKey);
+                deleted++;
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+            transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        });
+        if (released.length > 0) await removeReleasedComponentBlobs(database, released);
+        return deleted;
+    }));
+    return counts.reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Move a plan, its history and its components to the trash.
+ */
+async function deletePlan(planId) {
+    const database = await initDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([...PLAN_STORES, STORE_TRASH], 'readwrite');
+        const store = transaction.objectStore(STORE_PLANS);
+        const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+        const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+        const request = store.get(planId);
+        const historyRequest = historyStore.index('planId').getAll(planId);
+
+        request.onerror = () => transaction.abort();
+        historyRequest.onerror = () => transaction.abort();
+        historyRequest.onsuccess = () => {
+            const history = historyRequest.result || [];
+            if (request.result) {
+                movePlansToTrash(transaction, [request.result], history);
+                return;
+            }
+            // Nothing left to restore; drop whatever an interrupted write left behind.
+            deleteReplacedPlanComponents(componentStore, history.map(entry => entry.record), []);
+            for (const entry of history) {
+                historyStore.delete(entry.id);
+            }
+            transaction.objectStore(STORE_PLAN_SUMMARIES).delete(planId);
+            transaction.objectStore(STORE_PLAN_SEARCH_INDEX).delete(planId);
+        };
+
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_PLANS, [planId], 'delete');
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+/**
+ * Typed setting definitions, namespaced the way the keys are ("market.region" is
+ * SETTING_DEFINITIONS.market.region). Portable settings travel in settings profile
+ * files; secret settings never leave the browser. Keys without a definition pass
+ * through validation untouched.
+ */
+const SETTING_DEFINITIONS = Object.freeze({
+    market: Object.freeze({
+        default_datacenter: settingDefinition('string', 'Aether', { portable: true }),
+        region: settingDefinition('string', 'North America', { portable: true }),
+        comparison_region: settingDefinition('string', '', { portable: true }),
+        comparison_regions: settingDefinition('stringArray', [], { portable: true }),
+        home_world: settingDefinition('string', '', { portable: true }),
+        default_search_scope: settingDefinition('enum', 'EntireRegion', {
+            portable: true,
+            values: ['SelectedDataCenter', 'EntireRegion']
+        }),
+        include_cross_world: settingDefinition('boolean', true, { portable: true }),
+        exclude_congested_worlds: settingDefinition('boolean', true, { portable: true }),
+        analysis_evidence_overlay: settingDefinition('enum', 'CompetitivenessOverlay', {
+            portable: true,
+            values: ['CompetitivenessOverlay', 'PriceBandOverlay']
+        })
+    }),
+    procurement: Object.freeze({
+        region: settingDefinition('string', 'North America', { portable: true }),
+        enable_split_world_purchases: settingDefinition('boolean', true, { portable: true }),
+        travel_tolerance: settingDefinition('integer', 0, { portable: true, min: 0, max: 11 }),
+        world_exclusion_duration_minutes: settingDefinition('integer', 60, { portable: true, min: 0 }),
+        start_from_home_data_center: settingDefinition('boolean', false, { portable: true }),
+        travel_priority: settingDefinition('enum', 'DataCenterTransfersFirst', {
+            portable: true,
+            values: ['DataCenterTransfersFirst', 'WorldVisitsFirst']
+        })
+    }),
+    marketmafioso: Object.freeze({
+        enabled: settingDefinition('boolean', false),
+        workshop_host_url: settingDefinition('string', ''),
+        api_key: settingDefinition('string', '', { secret: true }),
+        target_character: settingDefinition('string', ''),
+        target_world: settingDefinition('string', ''),
+        auto_sync_evidence: settingDefinition('boolean', true),
+        pending_submission: settingDefinition('object', null, { nullable: true }),
+        active_handoff: settingDefinition('object', null, { nullable: true }),
+        active_request_id: settingDefinition('string', ''),
+        active_item_id: settingDefinition('integer', 0, { min: 0 }),
+        active_data_center: settingDefinition('string', ''),
+        active_purchase_world: settingDefinition('string', '')
+    }),
+    ui: Object.freeze({
+        accent_color: settingDefinition('string', '#d4af37', {
+            portable: true,
+            pattern: /^#[0-9a-f]{6}$/i
+        }),
+        use_split_pane_market_view: settingDefinition('boolean', true, { portable: true }),
+        trade_orders_ops_pane_width: settingDefinition('integer', 820, { portable: true, min: 720, max: 860 })
+    }),
+    planning: Object.freeze({
+        default_recommendation_mode: settingDefinition('enum', 'MinimizeTotalCost', {
+            portable: true,
+            values: ['MinimizeTotalCost', 'MaximizeValue', 'BestUnitPrice']
+        })
+    }),
+    debug: Object.freeze({
+        enable_diagnostic_logging: settingDefinition('boolean', false),
+        secret_tools_enabled: settingDefinition('boolean', false),
+        defer_automatic_route_reconciliation: settingDefinition('boolean', false)
+    })
+});
+const SETTING_DEFINITIONS_BY_KEY = new Map(Object.entries(SETTING_DEFINITIONS)
+    .flatMap(([namespace, definitions]) => Object.entries(definitions)
+        .map(([name, definition]) => [`${namespace}.${name}`, definition])));
+// Hosted profile connection and owner state is bound to this browser's credentials.
+const HOSTED_OWNER_SETTING_PREFIX = 'profileHost.';
+const SETTINGS_PROFILE_FORMAT = 'craft-architect-settings-profile';
+const SETTINGS_PROFILE_FORMAT_VERSION = 1;
+
+function settingDefinition(type, defaultValue, options = {}) {
+    return Object.freeze({
+        type,
+        defaultValue,
+        portable: options.portable === true && options.secret !== true,
+        secret: options.secret === true,
+        nullable: options.nullable === true,
+        min: options.min ?? null,
+        max: options.max ?? null,
+        values: options.values ? Object.freeze([...options.values]) : null,
+        pattern: options.pattern ?? null
+    });
+}
+
+function isSettingsProfileKey(key) {
+    const definition = SETTING_DEFINITIONS_BY_KEY.get(key);
+    return Boolean(definition?.portable) && !key.startsWith(HOSTED_OWNER_SETTING_PREFIX);
+}
+
+/**
+ * Check one parsed value against its definition. Returns { value } when the value
+ * is usable (integers outside their range are clamped) or { error } when it is not.
+ */
+function checkSettingValue(definition, value) {
+    // A cleared nullable setting is stored as JSON null.
+    if (value === null && definition.nullable) {
+        return { value };
+    }
+    switch (definition.type) {
+        case 'string':
+            if (typeof value !== 'string') return { error: 'expected a string' };
+            if (definition.pattern && !definition.pattern.test(value)) {
+                return { error: `"${value}" does not match ${definition.pattern}` };
+            }
+            return { value };
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: 'expected true or false' };
+        case 'integer': {
+            if (!Number.isSafeInteger(value)) return { error: 'expected a whole number' };
+            const clamped = Math.min(definition.max ?? value, Math.max(definition.min ?? value, value));
+            return clamped === value
+                ? { value }
+                : { value: clamped, warning: `${value} is out of range; clamped to ${clamped}` };
+        }
+        case 'enum': {
+            const match = typeof value === 'string'
+                ? definition.values.find(candidate => candidate.toLowerCase() === value.toLowerCase())
+                : undefined;
+            return match === undefined
+                ? { error: `expected one of ${definition.values.join(', ')}` }
+                : { value };
+        }
+        case 'stringArray':
+            return Array.isArray(value) && value.every(entry => typeof entry === 'string')
+                ? { value }
+                : { error: 'expected a list of strings' };
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value)
+                ? { value }
+                : { error: 'expected an object' };
+        default:
+            return { error: `unknown setting type "${definition.type}"` };
+    }
+}
+
+/**
+ * Validate stored settings ({ key: JSON string }, as kept in the settings store).
+ * Invalid values are dropped so callers fall back to the defaults; out-of-range
+ * integers are clamped. Returns { settings, issues }.
+ */
+function validateSettings(settings) {
+    const validated = {};
+    const issues = [];
+    for (const [key, serialized] of Object.entries(settings || {})) {
+        const definition = SETTING_DEFINITIONS_BY_KEY.get(key);
+        if (!definition || serialized === null || serialized === undefined) {
+            validated[key] = serialized;
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(serialized);
+        } catch {
+            issues.push({ key, message: 'value is not valid JSON', defaultValue: definition.defaultValue });
+            continue;
+        }
+        const checked = checkSettingValue(definition, parsed);
+        if (checked.error) {
+            issues.push({ key, message: checked.error, defaultValue: definition.defaultValue });
+            continue;
+        }
+        if (checked.warning) {
+            issues.push({ key, message: checked.warning, defaultValue: definition.defaultValue });
+        }
+        validated[key] = checked.value === parsed ? serialized : JSON.stringify(checked.value);
+    }
+    return { settings: validated, issues };
+}
+
+function reportSettingIssues(issues) {
+    for (const issue of issues) {
+        console.warn('[IndexedDB] Setting', issue.key, 'is invalid:', issue.message);
+    }
+}
+
+/**
+ * List every setting definition as { key, type, defaultValue, portable, secret }.
+ */
+function getSettingDefinitions() {
+    return Array.from(SETTING_DEFINITIONS_BY_KEY, ([key, definition]) => ({
+        key,
+        type: definition.type,
+        defaultValue: definition.defaultValue,
+        portable: definition.portable,
+        secret: definition.secret,
+        min: definition.min,
+        max: definition.max,
+        values: definition.values
+    }));
+}
+
+/**
+ * Export the portable settings as a named profile. Hosted-owner and secret-bearing
+ * keys are never included; unset settings are exported at their defaults.
+ */
+async function exportSettingsProfile(name) {
+    const { settings } = validateSettings(await loadSettingsSubset(
+        Array.from(SETTING_DEFINITIONS_BY_KEY.keys()).filter(isSettingsProfileKey)));
+    const values = {};
+    for (const [key, definition] of SETTING_DEFINITIONS_BY_KEY) {
+        if (!isSettingsProfileKey(key)) continue;
+        values[key] = settings[key] !== undefined
+            ? JSON.parse(settings[key])
+            : definition.defaultValue;
+    }
+    return {
+        format: SETTINGS_PROFILE_FORMAT,
+        formatVersion: SETTINGS_PROFILE_FORMAT_VERSION,
+        moduleRevision: MODULE_REVISION,
+        name: typeof name === 'string' && name.trim() ? name.trim() : 'Settings profile',
+        createdAtUtc: new Date().toISOString(),
+        settings: values
+    };
+}
+
+/**
+ * Validate a settings profile without writing anything. Keys that are unknown,
+ * not portable, or hold invalid values are skipped with a warning.
+ */
+function validateSettingsProfile(profile) {
+    const parsed = parseBrowserBackup(profile);
+    const report = {
+        valid: false,
+        imported: false,
+        name: typeof parsed?.name === 'string' ? parsed.name : null,
+        formatVersion: parsed?.formatVersion ?? null,
+        createdAtUtc: parsed?.createdAtUtc ?? null,
+        errors: [],
+        warnings: [],
+        keys: [],
+        settings: {}
+    };
+    if (!parsed || typeof parsed !== 'object' || parsed.format !== SETTINGS_PROFILE_FORMAT) {
+        report.errors.push('The file is not a Craft Architect settings profile.');
+        return report;
+    }
+    if (!Number.isInteger(parsed.formatVersion) ||
+        parsed.formatVersion < 1 ||
+        parsed.formatVersion > SETTINGS_PROFILE_FORMAT_VERSION) {
+        report.errors.push(
+            `Settings profile format v${parsed.formatVersion} is not supported ` +
+            `(expected v1 to v${SETTINGS_PROFILE_FORMAT_VERSION}).`);
+        return report;
+    }
+    if (!parsed.settings || typeof parsed.settings !== 'object' || Array.isArray(parsed.settings)) {
+        report.errors.push('The settings profile has no settings.');
+        return report;
+    }
+
+    for (const [key, value] of Object.entries(parsed.settings)) {
+        if (!isSettingsProfileKey(key)) {
+            report.warnings.push(`${key} cannot be imported from a settings profile and was skipped.`);
+            continue;
+        }
+        const checked = checkSettingValue(SETTING_DEFINITIONS_BY_KEY.get(key), value);
+        if (checked.error) {
+            report.warnings.push(`${key} was skipped: ${checked.error}.`);
+            continue;
+        }
+        if (checked.warning) {
+            report.warnings.push(`${key}: ${checked.warning}.`);
+        }
+        report.keys.push(key);
+        report.settings[key] = JSON.stringify(checked.value);
+    }
+    report.valid = true;
+    return report;
+}
+
+/**
+ * Import a settings profile. Only the validated portable keys are written, in one
+ * transaction; settings the profile does not mention keep their current values.
+ */
+async function importSettingsProfile(profile) {
+    const report = validateSettingsProfile(profile);
+    if (!report.valid) {
+        return report;
+    }
+    if (report.keys.length > 0) {
+        await saveSettingsBatch(report.settings);
+    }
+    report.imported = true;
+    return report;
+}
+
+/**
+ * Save a setting
+ */
+async function saveSetting(key, value) {
+    const database = await initDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_SETTINGS], 'readwrite');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        store.put({ key, value });
+
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_SETTINGS, [key]);
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+/**
+ * Load a setting
+ */
+async function loadSetting(key) {
+    const database = await initDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_SETTINGS], 'readonly');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        const request = store.get(key);
+        
+        request.onsuccess = () => {
+            const result = request.result;
+            if (!result) {
+                resolve(null);
+                return;
+            }
+            const { settings, issues } = validateSettings({ [key]: result.value });
+            reportSettingIssues(issues);
+            resolve(settings[key] ?? null);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadAllSettings() {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_SETTINGS], 'readonly');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        const request = store.openCursor();
+        const settings = {};
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                settings[cursor.value.key] = cursor.value.value;
+                cursor.continue();
+            } else {
+                const validated = validateSettings(settings);
+                reportSettingIssues(validated.issues);
+                resolve(validated.settings);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function saveSettingsBatch(settings) {
+    const database = await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_SETTINGS], 'readwrite');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        for (const [key, value] of Object.entries(settings || {})) {
+            store.put({ key, value });
+        }
+
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_SETTINGS, Object.keys(settings || {}));
+            resolve(true);
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function saveSettingsWhenSettingsMatchAndRevisionNotNewer(
+    settings,
+    expectedSettings,
+    revisionKey,
+    revisionValue) {
+    const database = await initDB();
 
     return new Promise((resolve, reject) => {
         const transaction = database.transaction([STORE_SETTINGS], 'readwrite');
@@ -1776,7 +4699,10 @@ async function saveSettingsWhenSettingsMatchAndRevisionNotNewer(
             }
         };
 
-        transaction.oncomplete = () => resolve(outcome);
+        transaction.oncomplete = () => {
+            if (outcome === 1) publishStorageChange(STORE_SETTINGS, Object.keys(settings || {}));
+            resolve(outcome);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
@@ -1784,46 +4710,59 @@ async function saveSettingsWhenSettingsMatchAndRevisionNotNewer(
 
 async function savePlansBatch(plans) {
     const database = await initDB();
+    const encodedPayloads = await Promise.all((plans || []).map(encodeStoredPlanPayloads));
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction(
-            [STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES],
-            'readwrite');
+        const transaction = database.transaction(PLAN_STORES, 'readwrite');
         const store = transaction.objectStore(STORE_PLANS);
-        for (const plan of plans || []) {
+        (plans || []).forEach((plan, index) => {
             const request = store.get(plan.id);
             request.onerror = () => transaction.abort();
             request.onsuccess = () =>
                 persistStoredPlanSuccessor(
                     transaction,
                     request.result,
-                    createStoredPlanRecord(plan));
-        }
+                    createStoredPlanRecord(plan, null, null, encodedPayloads[index]));
+        });
 
-        transaction.oncomplete = () => resolve(true);
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_PLANS, (plans || []).map(plan => plan.id));
+            resolve(true);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
-        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => {
+            discardEncodedComponentBlobs(...encodedPayloads);
+            reject(transaction.error || event.target?.error);
+        };
     });
 }
 
 /**
- * Clear all plans
+ * Move every plan to the trash and clear the plan library
  */
 async function clearAllPlans() {
     const database = await initDB();
     
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction(
-            [STORE_PLANS, STORE_PLAN_COMPONENTS, STORE_PLAN_SUMMARIES],
-            'readwrite');
-        const store = transaction.objectStore(STORE_PLANS);
-        const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
-        const summaryStore = transaction.objectStore(STORE_PLAN_SUMMARIES);
-        store.clear();
-        componentStore.clear();
-        summaryStore.clear();
+        const transaction = database.transaction([...PLAN_STORES, STORE_TRASH], 'readwrite');
+        const plansRequest = transaction.objectStore(STORE_PLANS).getAll();
+        const historyRequest = transaction.objectStore(STORE_PLAN_HISTORY).getAll();
+        plansRequest.onerror = () => transaction.abort();
+        historyRequest.onerror = () => transaction.abort();
+        historyRequest.onsuccess = () => {
+            movePlansToTrash(transaction, plansRequest.result || [], historyRequest.result || []);
+            // Unreferenced leftovers are not worth keeping.
+            for (const storeName of PLAN_STORES) {
+                transaction.objectStore(storeName).clear();
+            }
+        };
 
-        transaction.oncomplete = () => resolve(true);
+        transaction.oncomplete = () => {
+            publishStorageChange(STORE_PLANS, null, 'clear');
+            pruneComponentBlobs().catch(error =>
+                console.warn('[IndexedDB] Failed to prune component files:', error));
+            resolve(true);
+        };
         transaction.onerror = (event) => reject(transaction.error || event.target?.error);
         transaction.onabort = (event) => reject(transaction.error || event.target?.error);
     });
@@ -1834,58 +4773,210 @@ async function clearAllPlans() {
  */
 async function clearMarketCache() {
     const database = await initMarketDatabase();
-    
+
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_LISTINGS],
+            'readwrite');
         const store = transaction.objectStore(STORE_MARKET_CACHE);
-        const request = store.clear();
-        
-        request.onsuccess = () => {
+        store.clear();
+        transaction.objectStore(STORE_MARKET_LISTINGS).clear();
+        putMarketCacheBytes(transaction, 0);
+
+        transaction.oncomplete = () => {
             console.log('[IndexedDB] Cleared entire market cache');
+            publishStorageChange(STORE_MARKET_CACHE, null, 'clear');
             resolve(true);
         };
-        request.onerror = () => reject(request.error);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function measureMarketEntry(entry) {
+    const { sizeBytes: _previousSize, ...payload } = entry;
+    return {
+        ...payload,
+        sizeBytes: new TextEncoder().encode(JSON.stringify(payload)).byteLength
+    };
+}
+
+function putMarketCacheBytes(transaction, totalBytes) {
+    transaction.objectStore(STORE_STORAGE_METADATA).put({
+        id: MARKET_CACHE_BYTES_ID,
+        totalBytes,
+        updatedAtUtc: new Date().toISOString()
     });
 }
 
 /**
- * Save market data to cache (using Unix timestamp)
+ * Track byte deltas for one readwrite market transaction and fold them into the
+ * running total before it commits. The metadata read is queued first, so it has
+ * resolved by the time any later request callback calls commit().
  */
-async function saveMarketData(key, data) {
-    const database = await initMarketDatabase();
-    
-    return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
-        const store = transaction.objectStore(STORE_MARKET_CACHE);
-        
-        // Use Unix timestamp (seconds since epoch) for safe serialization
-        const cacheEntry = {
-            key: key,
-            itemId: data.itemId,
-            dataCenter: data.dataCenter,
-            fetchedAtUnix: data.fetchedAtUnix,  // Unix timestamp in seconds
-            lastUploadTimeUnixMilliseconds: data.lastUploadTimeUnixMilliseconds,
-            dcAvgPrice: data.dcAvgPrice,
-            hqAvgPrice: data.hqAvgPrice,
-            worlds: data.worlds
-        };
-        
-        const request = store.put(cacheEntry);
-        
-        request.onsuccess = () => {
-            console.log('[IndexedDB] Saved market data for', key, 'timestamp:', cacheEntry.fetchedAtUnix);
-            resolve(true);
-        };
-        request.onerror = () => {
-            console.error('[IndexedDB] Failed to save market data:', request.error);
-            reject(request.error);
-        };
-    });
+function createMarketByteLedger(transaction) {
+    const request = transaction.objectStore(STORE_STORAGE_METADATA).get(MARKET_CACHE_BYTES_ID);
+    let delta = 0;
+    return {
+        add(bytes) {
+            delta += bytes;
+        },
+        commit() {
+            // A missing total is rebuilt from recorded sizes by getMarketCacheStats.
+            if (!request.result || delta === 0) return;
+            putMarketCacheBytes(transaction, Math.max(0, request.result.totalBytes + delta));
+            delta = 0;
+        }
+    };
 }
 
 /**
- * Save multiple market data entries to cache in one transaction.
- * Entries are objects shaped as { key, data } from IndexedDbMarketCacheService.
+ * Read an entry's recorded size from the key index without cloning its payload.
+ * Calls back with null when the entry is absent or predates byte accounting.
+ */
+function readRecordedMarketBytes(store, key, callback) {
+    const request = store
+        .index('keySizeBytes')
+        .openKeyCursor(IDBKeyRange.bound([key], [key, []]));
+    request.onsuccess = () => callback(request.result ? request.result.key[1] : null);
+}
+
+function deleteMarketEntry(store, key, ledger, ondeleted) {
+    readRecordedMarketBytes(store, key, sizeBytes => {
+        ledger.add(-(sizeBytes ?? 0));
+        store.delete(key);
+        deleteMarketListings(store.transaction, key);
+        ondeleted?.(sizeBytes);
+    });
+}
+
+function putMarketEntries(transaction, cacheEntries) {
+    const store = transaction.objectStore(STORE_MARKET_CACHE);
+    const ledger = createMarketByteLedger(transaction);
+    let pending = cacheEntries.length;
+    for (const cacheEntry of cacheEntries) {
+        readRecordedMarketBytes(store, cacheEntry.key, previousBytes => {
+            ledger.add(cacheEntry.sizeBytes - (previousBytes ?? 0));
+            store.put(cacheEntry);
+            if (--pending === 0) ledger.commit();
+        });
+    }
+}
+
+/**
+ * Split a market cache entry into one row per world, keyed [worldName, itemId], with that
+ * world's listings reduced to price, quantity and HQ, cheapest first. The rows are derived
+ * data: every write and delete of the cache entry rewrites them in the same transaction.
+ */
+function createMarketListingRows(cacheEntry) {
+    if (typeof cacheEntry?.itemId !== 'number') return [];
+    const fetchedAtUnix = getFetchedAtUnix(cacheEntry);
+    return (cacheEntry.worlds || [])
+        .filter(world => typeof world?.worldName === 'string' && world.worldName.length > 0)
+        .map(world => {
+            const listings = (world.listings || [])
+                .filter(listing => typeof listing?.pricePerUnit === 'number' && listing.quantity > 0)
+                .map(listing => ({
+                    pricePerUnit: listing.pricePerUnit,
+                    quantity: listing.quantity,
+                    isHq: listing.isHq === true
+                }))
+                .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+            const hqListings = listings.filter(listing => listing.isHq);
+            return {
+                worldName: world.worldName,
+                itemId: cacheEntry.itemId,
+                worldId: world.worldId ?? null,
+                dataCenter: cacheEntry.dataCenter ?? null,
+                key: cacheEntry.key,
+                fetchedAtUnix,
+                minPrice: listings[0]?.pricePerUnit ?? null,
+                hqMinPrice: hqListings[0]?.pricePerUnit ?? null,
+                quantity: listings.reduce((total, listing) => total + listing.quantity, 0),
+                hqQuantity: hqListings.reduce((total, listing) => total + listing.quantity, 0),
+                listings
+            };
+        });
+}
+
+function putMarketListingRows(store, cacheEntry) {
+    for (const row of createMarketListingRows(cacheEntry)) {
+        store.put(row);
+    }
+}
+
+/**
+ * Replace the listing rows derived from each cache entry, dropping worlds the new
+ * payload no longer lists.
+ */
+function putMarketListings(transaction, cacheEntries) {
+    const store = transaction.objectStore(STORE_MARKET_LISTINGS);
+    for (const cacheEntry of cacheEntries) {
+        const worlds = new Set(createMarketListingRows(cacheEntry).map(row => row.worldName));
+        const previous = store.index('key').getAllKeys(cacheEntry.key);
+        previous.onsuccess = () => {
+            for (const primaryKey of previous.result) {
+                if (!worlds.has(primaryKey[0])) store.delete(primaryKey);
+            }
+        };
+        putMarketListingRows(store, cacheEntry);
+    }
+}
+
+function deleteMarketListings(transaction, key) {
+    const store = transaction.objectStore(STORE_MARKET_LISTINGS);
+    const request = store.index('key').openKeyCursor(IDBKeyRange.only(key));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+}
+
+/**
+ * Save market data to cache (using Unix timestamp)
+ */
+async function saveMarketData(key, data) {
+    const database = await initMarketDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_HISTORY, STORE_MARKET_LISTINGS],
+            'readwrite');
+
+        // Use Unix timestamp (seconds since epoch) for safe serialization
+        const cacheEntry = measureMarketEntry({
+            key: key,
+            itemId: data.itemId,
+            dataCenter: data.dataCenter,
+            fetchedAtUnix: data.fetchedAtUnix,  // Unix timestamp in seconds
+            lastUploadTimeUnixMilliseconds: data.lastUploadTimeUnixMilliseconds,
+            dcAvgPrice: data.dcAvgPrice,
+            hqAvgPrice: data.hqAvgPrice,
+            worlds: data.worlds
+        });
+
+        putMarketEntries(transaction, [cacheEntry]);
+        putMarketListings(transaction, [cacheEntry]);
+        appendMarketHistorySamples(transaction, [cacheEntry]);
+
+        transaction.oncomplete = () => {
+            console.log('[IndexedDB] Saved market data for', key, 'timestamp:', cacheEntry.fetchedAtUnix);
+            publishStorageChange(STORE_MARKET_CACHE, [key]);
+            resolve(true);
+        };
+        transaction.onerror = () => {
+            console.error('[IndexedDB] Failed to save market data:', transaction.error);
+            reject(transaction.error);
+        };
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Save multiple market data entries to cache in one transaction.
+ * Entries are objects shaped as { key, data } from IndexedDbMarketCacheService.
  */
 async function saveMarketDataBatch(entries) {
     const database = await initMarketDatabase();
@@ -1896,11 +4987,15 @@ async function saveMarketDataBatch(entries) {
     }
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
-        const store = transaction.objectStore(STORE_MARKET_CACHE);
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_HISTORY, STORE_MARKET_LISTINGS],
+            'readwrite');
+        // Later duplicates win, matching sequential puts, and are measured only once.
+        const cacheEntries = new Map();
 
         transaction.oncomplete = () => {
             console.log('[IndexedDB] Saved market data batch:', batchEntries.length);
+            publishStorageChange(STORE_MARKET_CACHE, cacheEntries.keys());
             resolve(true);
         };
         transaction.onerror = () => {
@@ -1921,7 +5016,7 @@ async function saveMarketDataBatch(entries) {
                 return;
             }
 
-            const cacheEntry = {
+            cacheEntries.set(key, measureMarketEntry({
                 key: key,
                 itemId: data.itemId,
                 dataCenter: data.dataCenter,
@@ -1930,10 +5025,12 @@ async function saveMarketDataBatch(entries) {
                 dcAvgPrice: data.dcAvgPrice,
                 hqAvgPrice: data.hqAvgPrice,
                 worlds: data.worlds
-            };
-
-            store.put(cacheEntry);
+            }));
         }
+
+        putMarketEntries(transaction, [...cacheEntries.values()]);
+        putMarketListings(transaction, [...cacheEntries.values()]);
+        appendMarketHistorySamples(transaction, [...cacheEntries.values()]);
     });
 }
 
@@ -2020,14 +5117,18 @@ async function getMarketDataFreshness(keys) {
 
 
 /**
- * Load multiple fresh market cache entries in one IndexedDB transaction.
- * Missing or stale entries are omitted from the returned array.
+ * Load multiple market cache entries in one IndexedDB transaction. Missing entries
+ * are omitted; stale ones are too unless options.includeStale is set, so a view can
+ * render cached prices at once and refresh them in the background. Every returned
+ * entry carries freshness ('fresh' or 'stale') and ageSeconds.
  * @param {string[]} keys - Market cache keys in itemId@dataCenter format
  * @param {number} cutoffUnix - Unix timestamp in seconds; entries older than this are stale
+ * @param {{ includeStale?: boolean }} [options]
  */
-async function loadMarketDataBulk(keys, cutoffUnix) {
+async function loadMarketDataBulk(keys, cutoffUnix, { includeStale = false } = {}) {
     const database = await initMarketDatabase();
     const uniqueKeys = Array.from(new Set(keys || []));
+    const nowUnix = Math.floor(Date.now() / 1000);
 
     if (uniqueKeys.length === 0) {
         return [];
@@ -2061,11 +5162,14 @@ async function loadMarketDataBulk(keys, cutoffUnix) {
                 }
 
                 const unix = getFetchedAtUnix(result);
-                if (unix <= cutoffUnix) {
+                const stale = unix <= cutoffUnix;
+                if (stale && !includeStale) {
                     return;
                 }
 
                 result.fetchedAtUnix = unix;
+                result.freshness = stale ? 'stale' : 'fresh';
+                result.ageSeconds = Math.max(0, nowUnix - unix);
                 results.push(result);
             };
             request.onerror = () => {
@@ -2076,6 +5180,58 @@ async function loadMarketDataBulk(keys, cutoffUnix) {
     });
 }
 
+/**
+ * Order the market keys a view needs refreshed, most important first. Missing keys
+ * come before stale ones, since nothing can be shown for them yet; within each
+ * group larger plan quantities go first, then older entries.
+ * @param {string[]} keys - Market cache keys in itemId@dataCenter format
+ * @param {{ cutoffUnix: number, quantities?: Object<string, number>, batchSize?: number, limit?: number }} policy
+ *   cutoffUnix: entries fetched at or before it are stale; quantities: plan quantity
+ *   per key; batchSize: keys per fetch batch; limit: most keys to refresh
+ * @returns {Promise<{ nowUnix: number, fresh: string[], refresh: object[], batches: string[][] }>}
+ */
+async function getRefreshPlan(keys, policy = {}) {
+    const { cutoffUnix, quantities = {}, batchSize = 10 } = policy;
+    const limit = policy.limit ?? Infinity;
+    if (!Number.isFinite(cutoffUnix)) {
+        throw new Error('[IndexedDB] A refresh plan needs policy.cutoffUnix.');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`[IndexedDB] Refresh batch size must be a positive integer, not ${batchSize}.`);
+    }
+
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const fetchedAt = new Map((await getMarketDataFreshness(keys))
+        .map(entry => [entry.key, entry.fetchedAtUnix]));
+    const fresh = [];
+    const refresh = [];
+    for (const key of new Set(keys || [])) {
+        const unix = fetchedAt.get(key);
+        if (unix > cutoffUnix) {
+            fresh.push(key);
+            continue;
+        }
+        const quantity = Number(quantities[key]);
+        refresh.push({
+            key,
+            state: unix === undefined ? 'missing' : 'stale',
+            ageSeconds: unix === undefined ? null : Math.max(0, nowUnix - unix),
+            quantity: Number.isFinite(quantity) ? quantity : 0
+        });
+    }
+    refresh.sort((a, b) =>
+        (a.state === 'missing' ? 0 : 1) - (b.state === 'missing' ? 0 : 1) ||
+        b.quantity - a.quantity ||
+        (b.ageSeconds ?? 0) - (a.ageSeconds ?? 0) ||
+        a.key.localeCompare(b.key));
+    const planned = refresh.slice(0, Math.max(0, limit));
+    const batches = [];
+    for (let index = 0; index < planned.length; index += batchSize) {
+        batches.push(planned.slice(index, index + batchSize).map(entry => entry.key));
+    }
+    return { nowUnix, fresh, refresh: planned, batches };
+}
+
 /**
  * Helper to get Unix timestamp from entry (handles both old and new formats)
  */
@@ -2106,8 +5262,11 @@ async function deleteStaleMarketData(cutoffUnix) {
     console.log('[IndexedDB] Deleting stale entries through timestamp index up to:', cutoffUnix);
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_LISTINGS],
+            'readwrite');
         const store = transaction.objectStore(STORE_MARKET_CACHE);
+        const ledger = createMarketByteLedger(transaction);
         const index = store.index('fetchedAtUnix');
         const request = index.openKeyCursor(IDBKeyRange.upperBound(cutoffUnix));
         let deletedCount = 0;
@@ -2129,8 +5288,11 @@ async function deleteStaleMarketData(cutoffUnix) {
         request.onerror = () => transaction.abort();
         request.onsuccess = (event) => {
             const cursor = event.target.result;
-            if (!cursor) return;
-            store.delete(cursor.primaryKey);
+            if (!cursor) {
+                ledger.commit();
+                return;
+            }
+            deleteMarketEntry(store, cursor.primaryKey, ledger);
             deletedCount++;
             cursor.continue();
         };
@@ -2138,26 +5300,32 @@ async function deleteStaleMarketData(cutoffUnix) {
 }
 
 /**
- * Delete oldest N entries (LRU eviction)
- * @param {number} count - Number of entries to delete
+ * Delete the oldest entries until at least targetBytes are freed (LRU eviction).
+ * Entries without a recorded size count as APPROXIMATE_MARKET_ENTRY_BYTES.
+ * @param {number} targetBytes - Bytes to free
+ * @returns {Promise<number>} Number of entries deleted
  */
-async function deleteOldestEntries(count) {
+async function deleteOldestEntries(targetBytes) {
     const database = await initMarketDatabase();
-    const requestedCount = Math.max(0, Math.floor(count || 0));
-    if (requestedCount === 0) return 0;
+    const requestedBytes = Math.max(0, Math.floor(targetBytes || 0));
+    if (requestedBytes === 0) return 0;
 
-    console.log('[IndexedDB] Deleting', requestedCount, 'oldest indexed entries');
+    console.log('[IndexedDB] Freeing', requestedBytes, 'bytes from oldest indexed entries');
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_LISTINGS],
+            'readwrite');
         const store = transaction.objectStore(STORE_MARKET_CACHE);
+        const ledger = createMarketByteLedger(transaction);
         const request = store.index('fetchedAtUnix').openKeyCursor();
         let deletedCount = 0;
+        let freedBytes = 0;
         let settled = false;
 
         transaction.oncomplete = () => {
             settled = true;
-            console.log('[IndexedDB] Deleted', deletedCount, 'oldest entries');
+            console.log('[IndexedDB] Deleted', deletedCount, 'oldest entries,', freedBytes, 'bytes');
             resolve(deletedCount);
         };
         transaction.onerror = (event) => {
@@ -2169,10 +5337,19 @@ async function deleteOldestEntries(count) {
         request.onerror = () => transaction.abort();
         request.onsuccess = (event) => {
             const cursor = event.target.result;
-            if (!cursor || deletedCount >= requestedCount) return;
-            store.delete(cursor.primaryKey);
-            deletedCount++;
-            cursor.continue();
+            if (!cursor) {
+                ledger.commit();
+                return;
+            }
+            deleteMarketEntry(store, cursor.primaryKey, ledger, sizeBytes => {
+                deletedCount++;
+                freedBytes += sizeBytes ?? APPROXIMATE_MARKET_ENTRY_BYTES;
+                if (freedBytes < requestedBytes) {
+                    cursor.continue();
+                } else {
+                    ledger.commit();
+                }
+            });
         };
     });
 }
@@ -2187,8 +5364,11 @@ async function deleteUnindexedMarketData(count) {
     if (requestedCount === 0) return 0;
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readwrite');
+        const transaction = database.transaction(
+            [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_LISTINGS],
+            'readwrite');
         const store = transaction.objectStore(STORE_MARKET_CACHE);
+        const ledger = createMarketByteLedger(transaction);
         const allKeysRequest = store.getAllKeys();
         const indexedKeysRequest = store.index('fetchedAtUnix').getAllKeys();
         let deletedCount = 0;
@@ -2204,40 +5384,451 @@ async function deleteUnindexedMarketData(count) {
         transaction.onabort = (event) => {
             if (!settled) reject(transaction.error || event.target?.error);
         };
-        indexedKeysRequest.onsuccess = () => {
-            if (allKeysRequest.readyState !== 'done') return;
+        const deleteUnindexed = () => {
             const indexedKeys = new Set(indexedKeysRequest.result);
-            for (const key of allKeysRequest.result) {
-                if (!indexedKeys.has(key) && deletedCount < requestedCount) {
-                    store.delete(key);
-                    deletedCount++;
-                }
+            const keys = allKeysRequest.result
+                .filter(key => !indexedKeys.has(key))
+                .slice(0, requestedCount);
+            let pending = keys.length;
+            for (const key of keys) {
+                deleteMarketEntry(store, key, ledger, () => {
+                    if (--pending === 0) ledger.commit();
+                });
+                deletedCount++;
             }
         };
+        indexedKeysRequest.onsuccess = () => {
+            if (allKeysRequest.readyState !== 'done') return;
+            deleteUnindexed();
+        };
         allKeysRequest.onsuccess = () => {
             if (indexedKeysRequest.readyState !== 'done') return;
-            const indexedKeys = new Set(indexedKeysRequest.result);
-            for (const key of allKeysRequest.result) {
-                if (!indexedKeys.has(key) && deletedCount < requestedCount) {
-                    store.delete(key);
-                    deletedCount++;
-                }
+            deleteUnindexed();
+        };
+    });
+}
+
+function minimumListingPrice(listings, hqOnly) {
+    let minimum = null;
+    for (const listing of listings || []) {
+        const price = listing?.pricePerUnit;
+        if ((hqOnly && !listing.isHq) || typeof price !== 'number') continue;
+        if (minimum === null || price < minimum) minimum = price;
+    }
+    return minimum;
+}
+
+function minimumOf(values) {
+    const present = values.filter(value => typeof value === 'number');
+    return present.length === 0 ? null : Math.min(...present);
+}
+
+/**
+ * Reduce a cache entry to the prices Market Analysis charts: DC averages plus each
+ * world's cheapest NQ/HQ listing. Listings themselves stay out of history.
+ */
+function createMarketHistorySample(cacheEntry) {
+    const fetchedAtUnix = getFetchedAtUnix(cacheEntry);
+    const interval = MARKET_HISTORY_RETENTION.sampleIntervalSeconds;
+    const worlds = (cacheEntry.worlds || []).map(world => ({
+        worldId: world.worldId ?? null,
+        worldName: world.worldName ?? '',
+        minPrice: minimumListingPrice(world.listings, false),
+        hqMinPrice: minimumListingPrice(world.listings, true),
+        listingCount: Array.isArray(world.listings) ? world.listings.length : 0
+    }));
+    return {
+        id: `${cacheEntry.key}:${Math.floor(fetchedAtUnix / interval) * interval}`,
+        key: cacheEntry.key,
+        itemId: cacheEntry.itemId ?? null,
+        dataCenter: cacheEntry.dataCenter ?? null,
+        fetchedAtUnix,
+        dcAvgPrice: cacheEntry.dcAvgPrice ?? null,
+        hqAvgPrice: cacheEntry.hqAvgPrice ?? null,
+        minPrice: minimumOf(worlds.map(world => world.minPrice)),
+        hqMinPrice: minimumOf(worlds.map(world => world.hqMinPrice)),
+        worlds
+    };
+}
+
+function marketHistoryRange(key, fromUnix, toUnix) {
+    return IDBKeyRange.bound(
+        [key, fromUnix ?? -Infinity],
+        [key, toUnix ?? Infinity]);
+}
+
+/**
+ * Append one sample per saved entry and apply the per-key retention policy in the
+ * same transaction, so history never outgrows its bounds between prune passes.
+ */
+function appendMarketHistorySamples(transaction, cacheEntries) {
+    const store = transaction.objectStore(STORE_MARKET_HISTORY);
+    const index = store.index('keyFetchedAtUnix');
+    const cutoffUnix = Math.floor(Date.now() / 1000) - MARKET_HISTORY_RETENTION.maxAgeDays * 86400;
+    for (const cacheEntry of cacheEntries) {
+        const sample = createMarketHistorySample(cacheEntry);
+        if (sample.fetchedAtUnix <= 0) continue;
+        store.put(sample);
+
+        const expired = index.openKeyCursor(marketHistoryRange(sample.key, null, cutoffUnix));
+        expired.onsuccess = () => {
+            const cursor = expired.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+                return;
             }
+            trimMarketHistorySurplus(store, index, sample.key);
+        };
+    }
+}
+
+function trimMarketHistorySurplus(store, index, key) {
+    const count = index.count(marketHistoryRange(key, null, null));
+    count.onsuccess = () => {
+        let surplus = count.result - MARKET_HISTORY_RETENTION.maxSamplesPerKey;
+        if (surplus <= 0) return;
+        const oldest = index.openKeyCursor(marketHistoryRange(key, null, null));
+        oldest.onsuccess = () => {
+            const cursor = oldest.result;
+            if (!cursor || surplus-- <= 0) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    };
+}
+
+async function readMarketHistory(keys, fromUnix, toUnix) {
+    const database = await initMarketDatabase();
+    return await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_MARKET_HISTORY], 'readonly');
+        const index = transaction.objectStore(STORE_MARKET_HISTORY).index('keyFetchedAtUnix');
+        const samples = new Map();
+        for (const key of keys) {
+            const request = index.getAll(marketHistoryRange(key, fromUnix, toUnix));
+            request.onsuccess = () => samples.set(key, request.result || []);
+        }
+        transaction.oncomplete = () => resolve(samples);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function requireMarketHistoryField(field, worldName) {
+    if (!MARKET_HISTORY_FIELDS.includes(field)) {
+        throw new Error(`[IndexedDB] Unknown market history field "${field}".`);
+    }
+    if (worldName !== null && field !== 'minPrice' && field !== 'hqMinPrice') {
+        throw new Error('[IndexedDB] Per-world market history only records minPrice and hqMinPrice.');
+    }
+}
+
+function marketHistoryPrice(sample, field, worldName) {
+    if (worldName === null) {
+        return sample[field] ?? null;
+    }
+    return sample.worlds?.find(world => world.worldName === worldName)?.[field] ?? null;
+}
+
+/**
+ * Load raw market history samples for one itemId@dataCenter key, oldest first.
+ * @param {string} key - Market cache key
+ * @param {number|null} fromUnix - Inclusive lower bound in Unix seconds
+ * @param {number|null} toUnix - Inclusive upper bound in Unix seconds
+ */
+async function loadMarketHistory(key, fromUnix = null, toUnix = null) {
+    return (await readMarketHistory([key], fromUnix, toUnix)).get(key);
+}
+
+/**
+ * Downsample one key's history into fixed buckets for charting.
+ * options: { fromUnix, toUnix, bucketSeconds = 1 day, field = 'dcAvgPrice', worldName }
+ * Each point carries the bucket's average, min, max, closing price and sample count.
+ */
+async function loadMarketHistorySeries(key, options = {}) {
+    const field = options.field ?? 'dcAvgPrice';
+    const worldName = options.worldName ?? null;
+    const bucketSeconds = Math.max(1, Math.floor(options.bucketSeconds || 86400));
+    requireMarketHistoryField(field, worldName);
+    const samples = await loadMarketHistory(key, options.fromUnix ?? null, options.toUnix ?? null);
+    const points = [];
+    for (const sample of samples) {
+        const price = marketHistoryPrice(sample, field, worldName);
+        if (typeof price !== 'number') continue;
+        const bucketStartUnix = Math.floor(sample.fetchedAtUnix / bucketSeconds) * bucketSeconds;
+        let point = points.at(-1);
+        if (point?.bucketStartUnix !== bucketStartUnix) {
+            point = { bucketStartUnix, average: 0, min: price, max: price, close: price, sampleCount: 0 };
+            points.push(point);
+        }
+        point.average += (price - point.average) / ++point.sampleCount;
+        point.min = Math.min(point.min, price);
+        point.max = Math.max(point.max, price);
+        point.close = price;
+    }
+    return { key, field, worldName, bucketSeconds, points };
+}
+
+/**
+ * Percent change of each key's price over the last N days. The baseline is the latest
+ * sample at or before the window start, or the window's first sample when history is
+ * younger than N days. Keys without two priced samples are omitted.
+ */
+async function getMarketPriceChanges(keys, days, field = 'dcAvgPrice', worldName = null) {
+    worldName ??= null;
+    requireMarketHistoryField(field, worldName);
+    const uniqueKeys = Array.from(new Set(keys || []));
+    if (uniqueKeys.length === 0) return [];
+    const windowStartUnix = Math.floor(Date.now() / 1000) - Math.max(0, days || 0) * 86400;
+    const history = await readMarketHistory(uniqueKeys, null, null);
+    const changes = [];
+    for (const key of uniqueKeys) {
+        const priced = history.get(key)
+            .map(sample => ({ fetchedAtUnix: sample.fetchedAtUnix, price: marketHistoryPrice(sample, field, worldName) }))
+            .filter(sample => typeof sample.price === 'number');
+        if (priced.length < 2) continue;
+        const latest = priced.at(-1);
+        const baseline = priced.findLast(sample => sample.fetchedAtUnix <= windowStartUnix) ??
+            priced.find(sample => sample.fetchedAtUnix > windowStartUnix);
+        if (baseline === latest) continue;
+        changes.push({
+            key,
+            field,
+            worldName,
+            fromUnix: baseline.fetchedAtUnix,
+            fromPrice: baseline.price,
+            toUnix: latest.fetchedAtUnix,
+            toPrice: latest.price,
+            percentChange: baseline.price === 0
+                ? null
+                : (latest.price - baseline.price) / baseline.price * 100
+        });
+    }
+    return changes;
+}
+
+/**
+ * Delete history samples older than maxAgeDays across every key, including keys that
+ * are no longer refreshed and so never reach the per-key retention on save.
+ * @returns {Promise<number>} Number of samples deleted
+ */
+async function pruneMarketHistory(maxAgeDays = MARKET_HISTORY_RETENTION.maxAgeDays) {
+    const database = await initMarketDatabase();
+    const cutoffUnix = Math.floor(Date.now() / 1000) - Math.max(0, maxAgeDays) * 86400;
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_MARKET_HISTORY], 'readwrite');
+        const store = transaction.objectStore(STORE_MARKET_HISTORY);
+        const request = store.index('fetchedAtUnix').openKeyCursor(IDBKeyRange.upperBound(cutoffUnix));
+        let deletedCount = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            deletedCount++;
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(deletedCount);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function clearMarketHistory() {
+    const database = await initMarketDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_MARKET_HISTORY], 'readwrite');
+        transaction.objectStore(STORE_MARKET_HISTORY).clear();
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function readMarketListings(itemIds) {
+    const database = await initMarketDatabase();
+    return await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_MARKET_LISTINGS], 'readonly');
+        const index = transaction.objectStore(STORE_MARKET_LISTINGS).index('itemMinPrice');
+        const rows = new Map();
+        for (const itemId of itemIds) {
+            // Worlds without a priced listing have no minPrice and stay out of this index.
+            const request = index.getAll(IDBKeyRange.bound([itemId], [itemId, []]));
+            request.onsuccess = () => rows.set(itemId, request.result || []);
+        }
+        transaction.oncomplete = () => resolve(rows);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function marketListingFilter(options) {
+    const worlds = Array.isArray(options?.worlds) && options.worlds.length > 0
+        ? new Set(options.worlds)
+        : null;
+    const dataCenter = options?.dataCenter ?? null;
+    const cutoffUnix = options?.cutoffUnix ?? null;
+    return row =>
+        (worlds === null || worlds.has(row.worldName)) &&
+        (dataCenter === null || row.dataCenter === dataCenter) &&
+        (cutoffUnix === null || row.fetchedAtUnix >= cutoffUnix);
+}
+
+/**
+ * Rank the worlds selling each item by their cheapest listing.
+ * options: { hq = false, dataCenter, worlds, cutoffUnix, limit = 5 }; cutoffUnix drops
+ * rows fetched before it. Items nobody lists come back with an empty worlds array.
+ */
+async function getCheapestWorlds(itemIds, options = {}) {
+    const ids = Array.from(new Set(itemIds || []));
+    if (ids.length === 0) return [];
+    const hq = options?.hq === true;
+    const limit = Math.max(1, Math.floor(options?.limit || 5));
+    const include = marketListingFilter(options);
+    const rows = await readMarketListings(ids);
+    return ids.map(itemId => {
+        // The index already orders rows by their cheapest listing of any quality.
+        const ranked = hq
+            ? rows.get(itemId)
+                .filter(row => include(row) && row.hqMinPrice !== null)
+                .sort((a, b) => a.hqMinPrice - b.hqMinPrice)
+            : rows.get(itemId).filter(include);
+        return {
+            itemId,
+            hq,
+            worlds: ranked.slice(0, limit).map(row => ({
+                worldName: row.worldName,
+                worldId: row.worldId,
+                dataCenter: row.dataCenter,
+                price: hq ? row.hqMinPrice : row.minPrice,
+                quantity: hq ? row.hqQuantity : row.quantity,
+                fetchedAtUnix: row.fetchedAtUnix
+            }))
         };
     });
 }
 
 /**
- * Get market cache statistics using Unix timestamps
+ * Price a shopping list on every world that sells any of it, buying each item's
+ * cheapest listings first until its quantity is met.
+ * items: [{ itemId, quantity = 1, hq = false }]; options: { dataCenter, worlds, cutoffUnix }.
+ * Worlds that cover the whole list come first, then fewer missing items, then lower cost.
+ */
+async function getWorldBasketCosts(items, options = {}) {
+    const demand = new Map();
+    for (const item of items || []) {
+        if (typeof item?.itemId !== 'number') continue;
+        const hq = item.hq === true;
+        const id = `${item.itemId}:${hq}`;
+        const quantity = Math.max(1, Math.floor(item.quantity || 1));
+        const existing = demand.get(id);
+        if (existing) existing.quantity += quantity;
+        else demand.set(id, { itemId: item.itemId, hq, quantity });
+    }
+    if (demand.size === 0) return [];
+
+    const include = marketListingFilter(options);
+    const rows = await readMarketListings(Array.from(new Set(Array.from(demand.values(), item => item.itemId))));
+    const worlds = new Map();
+    for (const itemRows of rows.values()) {
+        for (const row of itemRows) {
+            if (!include(row)) continue;
+            if (!worlds.has(row.worldName)) {
+                worlds.set(row.worldName, {
+                    worldName: row.worldName,
+                    worldId: row.worldId,
+                    dataCenter: row.dataCenter,
+                    rows: new Map()
+                });
+            }
+            worlds.get(row.worldName).rows.set(row.itemId, row);
+        }
+    }
+
+    return Array.from(worlds.values(), world => {
+        const priced = Array.from(demand.values(), item => {
+            let remaining = item.quantity;
+            let cost = 0;
+            for (const listing of world.rows.get(item.itemId)?.listings ?? []) {
+                if (remaining === 0) break;
+                if (item.hq && !listing.isHq) continue;
+                const bought = Math.min(remaining, listing.quantity);
+                cost += bought * listing.pricePerUnit;
+                remaining -= bought;
+            }
+            return {
+                itemId: item.itemId,
+                hq: item.hq,
+                quantity: item.quantity,
+                purchasedQuantity: item.quantity - remaining,
+                cost
+            };
+        });
+        const missingItems = priced.filter(item => item.purchasedQuantity < item.quantity);
+        const fetched = Array.from(world.rows.values(), row => row.fetchedAtUnix);
+        return {
+            worldName: world.worldName,
+            worldId: world.worldId,
+            dataCenter: world.dataCenter,
+            totalCost: priced.reduce((total, item) => total + item.cost, 0),
+            complete: missingItems.length === 0,
+            missingItemIds: missingItems.map(item => item.itemId),
+            oldestFetchedAtUnix: Math.min(...fetched),
+            items: priced
+        };
+    }).sort((a, b) =>
+        a.missingItemIds.length - b.missingItemIds.length ||
+        a.totalCost - b.totalCost ||
+        a.worldName.localeCompare(b.worldName));
+}
+
+async function estimateBrowserStorage() {
+    try {
+        const estimate = await navigator.storage?.estimate?.();
+        return {
+            usageBytes: Number.isFinite(estimate?.usage) ? estimate.usage : null,
+            quotaBytes: Number.isFinite(estimate?.quota) ? estimate.quota : null
+        };
+    } catch (error) {
+        console.warn('[IndexedDB] Storage estimate unavailable:', error);
+        return { usageBytes: null, quotaBytes: null };
+    }
+}
+
+/**
+ * Get market cache statistics using Unix timestamps.
+ * sizeBytes is the running total of recorded entry sizes plus the fixed estimate for
+ * unmeasured entries; storage usage and quota come from navigator.storage.estimate().
  * @param {number} cutoffUnix - Unix timestamp for determining staleness (entries newer than this are valid)
  */
 async function getMarketCacheStats(cutoffUnix) {
-    const database = await initMarketDatabase();
+    const [database, storage] = await Promise.all([
+        initMarketDatabase(),
+        estimateBrowserStorage()
+    ]);
 
     return new Promise((resolve, reject) => {
-        const transaction = database.transaction([STORE_MARKET_CACHE], 'readonly');
+        const transaction = database.transaction([STORE_STORAGE_METADATA, STORE_MARKET_CACHE], 'readonly');
         const store = transaction.objectStore(STORE_MARKET_CACHE);
         const index = store.index('fetchedAtUnix');
+        const bytesRequest = transaction.objectStore(STORE_STORAGE_METADATA).get(MARKET_CACHE_BYTES_ID);
+        const measuredRequest = store.index('keySizeBytes').count();
+        let recordedBytes = 0;
+        bytesRequest.onsuccess = () => {
+            if (bytesRequest.result) {
+                recordedBytes = bytesRequest.result.totalBytes;
+                return;
+            }
+            const sizes = store.index('keySizeBytes').openKeyCursor();
+            sizes.onsuccess = () => {
+                const cursor = sizes.result;
+                if (!cursor) return;
+                recordedBytes += cursor.key[1];
+                cursor.continue();
+            };
+        };
         const totalRequest = store.count();
         const indexedRequest = index.count();
         const staleRequest = index.count(IDBKeyRange.upperBound(cutoffUnix));
@@ -2251,6 +5842,7 @@ async function getMarketCacheStats(cutoffUnix) {
             const indexed = indexedRequest.result;
             const stale = staleRequest.result;
             const legacyUnindexed = Math.max(0, total - indexed);
+            const unmeasured = Math.max(0, total - measuredRequest.result);
             const stats = {
                 total,
                 valid: Math.max(0, indexed - stale),
@@ -2258,9 +5850,11 @@ async function getMarketCacheStats(cutoffUnix) {
                 legacyUnindexed,
                 oldestUnix: oldestRequest.result?.key || 0,
                 newestUnix: newestRequest.result?.key || 0,
-                // A conservative fixed-per-entry policy is stable and bounded. It avoids
-                // cloning or serializing listing payloads merely to enforce cache limits.
-                sizeBytes: total * APPROXIMATE_MARKET_ENTRY_BYTES
+                sizeBytes: recordedBytes + unmeasured * APPROXIMATE_MARKET_ENTRY_BYTES,
+                recordedBytes,
+                unmeasured,
+                storageUsageBytes: storage.usageBytes,
+                storageQuotaBytes: storage.quotaBytes
             };
             console.log('[IndexedDB] Cache stats:', stats);
             resolve(stats);
@@ -2300,10 +5894,1264 @@ async function getSpecializedStorageDiagnostics() {
             personal: await marker(personal),
             market: await marker(market),
             company: await marker(company)
+        },
+        schemaMigrations: {
+            personal: await loadStorageMigrationHistory('personal'),
+            market: await loadStorageMigrationHistory('market'),
+            company: await loadStorageMigrationHistory('company')
         }
     };
 }
 
+function openExistingDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name);
+        request.onupgradeneeded = () => {
+            // The database vanished between the existence check and the open.
+            request.transaction.abort();
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function deleteDatabaseByName(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`[IndexedDB] Deleting ${name} is blocked by an open connection.`));
+    });
+}
+
+function readDatabaseSchema(database) {
+    const storeNames = Array.from(database.objectStoreNames);
+    if (storeNames.length === 0) return [];
+    const transaction = database.transaction(storeNames, 'readonly');
+    return storeNames.map(storeName => {
+        const store = transaction.objectStore(storeName);
+        return {
+            name: storeName,
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: Array.from(store.indexNames, indexName => {
+                const index = store.index(indexName);
+                return {
+                    name: indexName,
+                    keyPath: index.keyPath,
+                    unique: index.unique,
+                    multiEntry: index.multiEntry
+                };
+            })
+        };
+    });
+}
+
+function openDatabaseCopy(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = event => upgrade(
+            event.target.result,
+            event.target.transaction,
+            event.oldVersion || 0,
+            event.newVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function writeDatabaseStores(database, records) {
+    const storeNames = Object.keys(records).filter(storeName =>
+        database.objectStoreNames.contains(storeName) && records[storeName].length > 0);
+    if (storeNames.length === 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readwrite');
+        for (const storeName of storeNames) {
+            const store = transaction.objectStore(storeName);
+            for (const record of records[storeName]) store.put(record);
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+/**
+ * Rehearse the pending migrations for one database ('personal', 'market' or 'company')
+ * without touching it. The live schema and records are copied into a scratch database
+ * at the live version, the copy is upgraded to options.toVersion (default: this
+ * build's version), and the report lists each step's record counts, per-store counts
+ * before and after, and any schema incompatibility. The copy is always deleted.
+ * The live database is read whole, so this is a diagnostic, not a hot path.
+ */
+async function dryRunStorageMigrations(domain, options = {}) {
+    const definition = STORAGE_MIGRATIONS[domain];
+    if (!definition) {
+        throw new Error(`[IndexedDB] Unknown storage domain "${domain}".`);
+    }
+    const toVersion = options.toVersion ?? definition.version;
+    const latestStep = definition.steps[definition.steps.length - 1].version;
+    if (!Number.isSafeInteger(toVersion) || toVersion < 1 || toVersion > latestStep) {
+        throw new Error(
+            `[IndexedDB] ${definition.name} has migrations up to v${latestStep}; cannot dry-run to v${toVersion}.`);
+    }
+
+    const report = {
+        domain,
+        database: definition.name,
+        fromVersion: 0,
+        toVersion,
+        valid: false,
+        error: null,
+        incompatibility: null,
+        steps: [],
+        stores: {}
+    };
+    let records = {};
+    let schema = [];
+    if (await databaseExists(definition.name)) {
+        const live = await openExistingDatabase(definition.name);
+        try {
+            report.fromVersion = live.version;
+            schema = readDatabaseSchema(live);
+            if (schema.length > 0) {
+                records = await readDatabaseStores(live, schema.map(store => store.name));
+            }
+        } finally {
+            live.close();
+        }
+    }
+    if (report.fromVersion > toVersion) {
+        report.error = `${definition.name} is already at v${report.fromVersion}.`;
+        return report;
+    }
+
+    const copyName = `${definition.name}.migration-dry-run`;
+    await deleteDatabaseByName(copyName);
+    try {
+        if (report.fromVersion > 0) {
+            // The copy starts from the live schema exactly, including any drift the
+            // migration steps would not reproduce.
+            const seeded = await openDatabaseCopy(copyName, report.fromVersion, database => {
+                for (const store of schema) {
+                    const created = database.createObjectStore(store.name, {
+                        keyPath: store.keyPath,
+                        autoIncrement: store.autoIncrement
+                    });
+                    for (const index of store.indexes) {
+                        created.createIndex(index.name, index.keyPath, {
+                            unique: index.unique,
+                            multiEntry: index.multiEntry
+                        });
+                    }
+                }
+            });
+            try {
+                await writeDatabaseStores(seeded, records);
+            } finally {
+                seeded.close();
+            }
+        }
+        const upgraded = await openDatabaseCopy(
+            copyName,
+            toVersion,
+            runStorageMigrations(definition, entry => report.steps.push(entry)));
+        try {
+            const storeNames = Array.from(upgraded.objectStoreNames);
+            const counts = await countDatabaseStores(upgraded, storeNames);
+            for (const storeName of new Set([...Object.keys(records), ...storeNames])) {
+                report.stores[storeName] = {
+                    before: records[storeName]?.length ?? 0,
+                    after: counts[storeName] ?? 0
+                };
+            }
+            if (toVersion === definition.version) {
+                report.incompatibility = specializedSchemaIncompatibility(upgraded, definition.name);
+            }
+        } finally {
+            upgraded.close();
+        }
+        report.valid = report.incompatibility === null;
+    } catch (error) {
+        report.error = formatIndexedDbError(error);
+    } finally {
+        await deleteDatabaseByName(copyName);
+    }
+    return report;
+}
+
+/**
+ * List the schema migration steps recorded for one database, oldest first.
+ */
+async function loadStorageMigrationHistory(domain) {
+    const database = await {
+        personal: initPersonalDatabase,
+        market: initMarketDatabase,
+        company: initCompanyDatabase
+    }[domain]?.();
+    if (!database) {
+        throw new Error(`[IndexedDB] Unknown storage domain "${domain}".`);
+    }
+    const metadata = await readDatabaseStores(database, [STORE_STORAGE_METADATA]);
+    return metadata[STORE_STORAGE_METADATA]
+        .filter(record => record.kind === 'schemaMigration')
+        .sort((left, right) => left.version - right.version);
+}
+
+/**
+ * Read every store in one snapshot. Component stores are walked with a cursor that
+ * keeps only each component's owner and field, so payloads are never held together.
+ */
+function readStorageAuditSnapshot(database, storeNames, componentStoreName) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([...storeNames, componentStoreName], 'readonly');
+        const records = {};
+        const components = new Map();
+        for (const storeName of storeNames) {
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => {
+                records[storeName] = request.result || [];
+            };
+        }
+        const cursorRequest = transaction.objectStore(componentStoreName).openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            components.set(cursor.primaryKey, {
+                planId: cursor.value?.planId ?? null,
+                field: cursor.value?.field ?? null,
+                refCount: cursor.value?.refCount ?? null
+            });
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve({ records, components });
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+/**
+ * Fields whose ref names a missing component, or one owned by another plan or field.
+ * Engine session components carry no owner, so planId is only checked when given;
+ * shared plan components may be referenced by any plan.
+ */
+function danglingComponentFields(componentRefs, components, planId = undefined) {
+    return Object.entries(componentRefs ?? {})
+        .filter(([field, componentId]) => {
+            if (typeof componentId !== 'string') return false;
+            const component = components.get(componentId);
+            return !component ||
+                component.field !== field ||
+                (planId !== undefined && component.planId !== planId && !isSharedPlanComponent(component));
+        })
+        .map(([field]) => field);
+}
+
+function createStorageAuditIssue(database, store, kind, id, detail, repair = null) {
+    return { database, store, kind, id, detail, repair, repaired: false };
+}
+
+function auditDerivedPlanStore(issues, storeName, kind, plans, entries, derive, op) {
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    for (const plan of plans) {
+        const entry = entriesById.get(plan.id);
+        const drift = !entry
+            ? 'missing'
+            : JSON.stringify(entry) !== JSON.stringify(derive(plan)) ? 'stale' : null;
+        if (drift) {
+            issues.push(createStorageAuditIssue('personal', storeName, kind, plan.id, drift, { op }));
+        }
+    }
+    const planIds = new Set(plans.map(plan => plan.id));
+    for (const entry of entries) {
+        if (!planIds.has(entry.id)) {
+            issues.push(createStorageAuditIssue('personal', storeName, kind, entry.id, 'orphaned', { op }));
+        }
+    }
+}
+
+async function auditPlanStorage(database) {
+    const { records, components } = await readStorageAuditSnapshot(
+        database,
+        [STORE_PLANS, STORE_PLAN_HISTORY, STORE_PLAN_SUMMARIES, STORE_PLAN_SEARCH_INDEX],
+        STORE_PLAN_COMPONENTS);
+    const plans = records[STORE_PLANS];
+    const history = records[STORE_PLAN_HISTORY];
+    const planIds = new Set(plans.map(plan => plan.id));
+    const issues = [];
+    const retainedHistory = [];
+
+    for (const entry of history) {
+        if (!planIds.has(entry.planId)) {
+            issues.push(createStorageAuditIssue(
+                'personal', STORE_PLAN_HISTORY, 'orphanHistory', entry.id,
+                `plan ${entry.planId} no longer exists`,
+                { op: 'deletePlanHistory' }));
+            continue;
+        }
+        const fields = isComponentStoredPlan(entry.record)
+            ? danglingComponentFields(entry.record.componentRefs, components, entry.planId)
+            : [];
+        if (fields.length > 0) {
+            issues.push(createStorageAuditIssue(
+                'personal', STORE_PLAN_HISTORY, 'danglingComponentRef', entry.id,
+                `missing components: ${fields.join(', ')}`,
+                { op: 'deletePlanHistory' }));
+            continue;
+        }
+        retainedHistory.push(entry);
+    }
+
+    const restoredPlanIds = new Set();
+    for (const plan of plans) {
+        const fields = isComponentStoredPlan(plan)
+            ? danglingComponentFields(plan.componentRefs, components, plan.id)
+            : [];
+        if (fields.length === 0) continue;
+        const intactVersion = retainedHistory
+            .filter(entry => entry.planId === plan.id)
+            .sort((a, b) => b.versionId - a.versionId)[0];
+        if (intactVersion) restoredPlanIds.add(plan.id);
+        issues.push(createStorageAuditIssue(
+            'personal', STORE_PLANS, 'danglingComponentRef', plan.id,
+            `missing components: ${fields.join(', ')}` +
+                (intactVersion ? `; restores version ${intactVersion.versionId}` : '; no intact version to restore'),
+            intactVersion
+                ? { op: 'restorePlanVersion', historyId: intactVersion.id, componentRefsJson: JSON.stringify(plan.componentRefs) }
+                : null));
+    }
+
+    // A restored version's record moves from history to the plan, so the broken
+    // plan record's surviving components are released along with it.
+    const references = countPlanComponentReferences(
+        plans.filter(plan => !restoredPlanIds.has(plan.id)),
+        retainedHistory);
+    for (const [componentId, component] of components) {
+        const referenceCount = references.get(componentId) ?? 0;
+        if (referenceCount === 0) {
+            issues.push(createStorageAuditIssue(
+                'personal', STORE_PLAN_COMPONENTS, 'orphanComponent', componentId,
+                `${component.field} of plan ${component.planId}`,
+                { op: 'deletePlanComponent' }));
+        } else if (isSharedPlanComponent(component) && component.refCount !== referenceCount) {
+            issues.push(createStorageAuditIssue(
+                'personal', STORE_PLAN_COMPONENTS, 'componentRefCount', componentId,
+                `refCount ${component.refCount}, referenced by ${referenceCount} plan(s)`,
+                { op: 'setPlanComponentRefCount' }));
+        }
+    }
+
+    auditDerivedPlanStore(
+        issues, STORE_PLAN_SUMMARIES, 'summaryDrift',
+        plans, records[STORE_PLAN_SUMMARIES], toPlanSummary, 'syncPlanSummary');
+    auditDerivedPlanStore(
+        issues, STORE_PLAN_SEARCH_INDEX, 'searchIndexDrift',
+        plans, records[STORE_PLAN_SEARCH_INDEX], toPlanSearchEntry, 'syncPlanSearchEntry');
+
+    return {
+        scanned: {
+            [STORE_PLANS]: plans.length,
+            [STORE_PLAN_COMPONENTS]: components.size,
+            [STORE_PLAN_HISTORY]: history.length,
+            [STORE_PLAN_SUMMARIES]: records[STORE_PLAN_SUMMARIES].length,
+            [STORE_PLAN_SEARCH_INDEX]: records[STORE_PLAN_SEARCH_INDEX].length
+        },
+        issues
+    };
+}
+
+function engineRevisionRecordId(manifestId, revision) {
+    return `${manifestId}:${revision}`;
+}
+
+/**
+ * The revisions a session manifest retains: the active one plus its undo and redo
+ * stacks, oldest first. Manifests from before undo history only know their previous
+ * revision. Mirrors readSessionHistory in engine-worker.js.
+ */
+function readEngineSessionHistory(manifest) {
+    const revisions = value => Array.isArray(value)
+        ? value.filter(revision => Number.isSafeInteger(revision) && revision > 0)
+        : [];
+    return {
+        activeRevision: manifest?.activeRevision ?? 0,
+        undoRevisions: Array.isArray(manifest?.undoRevisions)
+            ? revisions(manifest.undoRevisions)
+            : revisions([manifest?.previousRevision]),
+        redoRevisions: revisions(manifest?.redoRevisions)
+    };
+}
+
+function engineSessionManifestHistory(activeRevision, undoRevisions, redoRevisions) {
+    return { activeRevision, previousRevision: undoRevisions.at(-1) ?? 0, undoRevisions, redoRevisions };
+}
+
+async function auditEngineSessionStorage(database) {
+    const { records, components } = await readStorageAuditSnapshot(
+        database,
+        [STORE_ENGINE_SESSION_MANIFESTS, STORE_ENGINE_SESSION_REVISIONS],
+        STORE_ENGINE_SESSION_COMPONENTS);
+    const revisions = new Map(records[STORE_ENGINE_SESSION_REVISIONS]
+        .map(revision => [revision.id, revision]));
+    const issues = [];
+
+    const brokenRevisions = new Map();
+    for (const revision of revisions.values()) {
+        const fields = danglingComponentFields(revision.componentRefs, components);
+        if (fields.length > 0) {
+            brokenRevisions.set(revision.id, `missing components: ${fields.join(', ')}`);
+        }
+    }
+
+    // A manifest keeps its active revision and its undo and redo stacks; a broken active
+    // revision falls back to the newest intact undo revision, as the Worker does when it
+    // loads the session, and broken stack entries are dropped.
+    const retainedRevisionIds = new Set();
+    for (const manifest of records[STORE_ENGINE_SESSION_MANIFESTS]) {
+        const usable = revision => {
+            if (!(revision > 0)) return false;
+            const id = engineRevisionRecordId(manifest.id, revision);
+            return revisions.has(id) && !brokenRevisions.has(id);
+        };
+        const expected = readEngineSessionHistory(manifest);
+        const { activeRevision, undoRevisions, redoRevisions } = expected;
+        const usableUndo = undoRevisions.filter(usable);
+        const usableRedo = redoRevisions.filter(usable);
+        let repaired = null;
+        if (activeRevision > 0 && !usable(activeRevision)) {
+            const fallback = usableUndo.at(-1);
+            repaired = fallback ? engineSessionManifestHistory(fallback, usableUndo.slice(0, -1), []) : null;
+            issues.push(createStorageAuditIssue(
+                'engine', STORE_ENGINE_SESSION_MANIFESTS, 'danglingManifest', manifest.id,
+                `active revision ${activeRevision} is missing or incomplete` +
+                    (repaired ? `; falls back to revision ${fallback}` : '; no intact revision to fall back to'),
+                repaired && { op: 'repairSessionManifest', expected, next: repaired }));
+        } else if (usableUndo.length < undoRevisions.length || usableRedo.length < redoRevisions.length) {
+            const broken = [...undoRevisions, ...redoRevisions].filter(revision => !usable(revision));
+            repaired = engineSessionManifestHistory(activeRevision, usableUndo, usableRedo);
+            issues.push(createStorageAuditIssue(
+                'engine', STORE_ENGINE_SESSION_MANIFESTS, 'danglingManifest', manifest.id,
+                `history revision${broken.length === 1 ? '' : 's'} ${broken.join(', ')} missing or incomplete`,
+                { op: 'repairSessionManifest', expected, next: repaired }));
+        }
+        const kept = repaired ?? expected;
+        for (const revision of [kept.activeRevision, ...kept.undoRevisions, ...kept.redoRevisions]) {
+            if (revision > 0) retainedRevisionIds.add(engineRevisionRecordId(manifest.id, revision));
+        }
+    }
+
+    const referenced = new Set();
+    for (const revision of revisions.values()) {
+        if (!retainedRevisionIds.has(revision.id)) {
+            issues.push(createStorageAuditIssue(
+                'engine', STORE_ENGINE_SESSION_REVISIONS, 'orphanRevision', revision.id,
+                `revision ${revision.revision} is not referenced by a session manifest`,
+                { op: 'deleteSessionRevision' }));
+            continue;
+        }
+        if (brokenRevisions.has(revision.id)) {
+            issues.push(createStorageAuditIssue(
+                'engine', STORE_ENGINE_SESSION_REVISIONS, 'danglingComponentRef', revision.id,
+                brokenRevisions.get(revision.id)));
+        }
+        for (const componentId of Object.values(revision.componentRefs ?? {})) {
+            if (typeof componentId === 'string') referenced.add(componentId);
+        }
+    }
+    for (const [componentId, component] of components) {
+        if (!referenced.has(componentId)) {
+            issues.push(createStorageAuditIssue(
+                'engine', STORE_ENGINE_SESSION_COMPONENTS, 'orphanComponent', componentId,
+                component.field,
+                { op: 'deleteSessionComponent' }));
+        }
+    }
+
+    return {
+        scanned: {
+            [STORE_ENGINE_SESSION_MANIFESTS]: records[STORE_ENGINE_SESSION_MANIFESTS].length,
+            [STORE_ENGINE_SESSION_REVISIONS]: revisions.size,
+            [STORE_ENGINE_SESSION_COMPONENTS]: components.size
+        },
+        issues
+    };
+}
+
+async function auditMarketStorage(database) {
+    const [allKeys, indexedKeys] = await new Promise((resolve, reject) => {
+        const transaction = database.transaction([STORE_MARKET_CACHE], 'readonly');
+        const store = transaction.objectStore(STORE_MARKET_CACHE);
+        const allKeysRequest = store.getAllKeys();
+        const indexedKeysRequest = store.index('fetchedAtUnix').getAllKeys();
+        transaction.oncomplete = () => resolve([allKeysRequest.result, indexedKeysRequest.result]);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+    const indexed = new Set(indexedKeys);
+    return {
+        scanned: { [STORE_MARKET_CACHE]: allKeys.length },
+        issues: allKeys
+            .filter(key => !indexed.has(key))
+            .map(key => createStorageAuditIssue(
+                'market', STORE_MARKET_CACHE, 'unindexedMarketRow', key,
+                'legacy row without fetchedAtUnix is invisible to freshness and eviction',
+                { op: 'deleteUnindexedMarketRow' }))
+    };
+}
+
+/**
+ * Collect the component ids kept by every session manifest's active, undo and redo
+ * revisions, then call back once with the revision and component id sets.
+ */
+function readRetainedSessionReferences(transaction, onread) {
+    const revisionStore = transaction.objectStore(STORE_ENGINE_SESSION_REVISIONS);
+    const request = transaction.objectStore(STORE_ENGINE_SESSION_MANIFESTS).getAll();
+    request.onsuccess = () => {
+        const revisionIds = new Set();
+        for (const manifest of request.result || []) {
+            const history = readEngineSessionHistory(manifest);
+            for (const revision of [history.activeRevision, ...history.undoRevisions, ...history.redoRevisions]) {
+                if (revision > 0) revisionIds.add(engineRevisionRecordId(manifest.id, revision));
+            }
+        }
+        const componentIds = new Set();
+        let pending = revisionIds.size;
+        if (pending === 0) {
+            onread(revisionIds, componentIds);
+            return;
+        }
+        for (const revisionId of revisionIds) {
+            const revisionRequest = revisionStore.get(revisionId);
+            revisionRequest.onsuccess = () => {
+                for (const componentId of Object.values(revisionRequest.result?.componentRefs ?? {})) {
+                    if (typeof componentId === 'string') componentIds.add(componentId);
+                }
+                if (--pending === 0) onread(revisionIds, componentIds);
+            };
+        }
+    };
+}
+
+// Repairs run in this order, each in batches of STORAGE_AUDIT_REPAIR_BATCH_SIZE issues per
+// transaction. Every batch re-reads what it is about to change, so a save that lands
+// between the scan and the repair is never overwritten or deleted.
+const STORAGE_AUDIT_REPAIRS = Object.freeze([
+    {
+        op: 'restorePlanVersion',
+        database: 'personal',
+        stores: PLAN_STORES,
+        apply(transaction, issues, applied) {
+            const planStore = transaction.objectStore(STORE_PLANS);
+            const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+            for (const issue of issues) {
+                const planRequest = planStore.get(issue.id);
+                const historyRequest = historyStore.get(issue.repair.historyId);
+                historyRequest.onsuccess = () => {
+                    const current = planRequest.result;
+                    const entry = historyRequest.result;
+                    if (!current || !entry ||
+                        JSON.stringify(current.componentRefs) !== issue.repair.componentRefsJson) {
+                        return;
+                    }
+                    const record = {
+                        ...entry.record,
+                        storedPlanMetadata: {
+                            ...entry.record.storedPlanMetadata,
+                            ...planOrganization(current.storedPlanMetadata)
+                        }
+                    };
+                    planStore.put(record);
+                    historyStore.delete(entry.id);
+                    transaction.objectStore(STORE_PLAN_SUMMARIES).put(toPlanSummary(record));
+                    transaction.objectStore(STORE_PLAN_SEARCH_INDEX).put(toPlanSearchEntry(record));
+                    applied(issue);
+                };
+            }
+        }
+    },
+    {
+        op: 'deletePlanHistory',
+        database: 'personal',
+        stores: [STORE_PLAN_HISTORY],
+        apply(transaction, issues, applied) {
+            const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+            for (const issue of issues) {
+                historyStore.delete(issue.id);
+                applied(issue);
+            }
+        }
+    },
+    ...[
+        ['syncPlanSummary', STORE_PLAN_SUMMARIES, toPlanSummary],
+        ['syncPlanSearchEntry', STORE_PLAN_SEARCH_INDEX, toPlanSearchEntry]
+    ].map(([op, storeName, derive]) => ({
+        op,
+        database: 'personal',
+        stores: [STORE_PLANS, storeName],
+        apply(transaction, issues, applied) {
+            const store = transaction.objectStore(storeName);
+            for (const issue of issues) {
+                const request = transaction.objectStore(STORE_PLANS).get(issue.id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put(derive(request.result));
+                    } else {
+                        store.delete(issue.id);
+                    }
+                    applied(issue);
+                };
+            }
+        }
+    })),
+    {
+        op: 'deletePlanComponent',
+        database: 'personal',
+        stores: [STORE_PLANS, STORE_PLAN_HISTORY, STORE_PLAN_COMPONENTS],
+        apply(transaction, issues, applied) {
+            const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+            for (const issue of issues) {
+                const request = componentStore.get(issue.id);
+                request.onsuccess = () => {
+                    const component = request.result;
+                    if (!component) {
+                        applied(issue);
+                        return;
+                    }
+                    // Any plan may reference a shared component, so those check every plan.
+                    const shared = isSharedPlanComponent(component);
+                    const planStore = transaction.objectStore(STORE_PLANS);
+                    const historyStore = transaction.objectStore(STORE_PLAN_HISTORY);
+                    const planRequest = shared ? planStore.getAll() : planStore.get(component.planId);
+                    const historyRequest = shared
+                        ? historyStore.getAll()
+                        : historyStore.index('planId').getAll(component.planId);
+                    historyRequest.onsuccess = () => {
+                        const owners = [
+                            ...[].concat(planRequest.result ?? []),
+                            ...historyRequest.result.map(entry => entry.record)
+                        ];
+                        if (owners.flatMap(storedPlanComponentIds).includes(issue.id)) return;
+                        componentStore.delete(issue.id);
+                        if (component.blob) scheduleComponentBlobRemoval(transaction, component);
+                        applied(issue);
+                    };
+                };
+            }
+        }
+    },
+    {
+        op: 'setPlanComponentRefCount',
+        database: 'personal',
+        stores: [STORE_PLANS, STORE_PLAN_HISTORY, STORE_PLAN_COMPONENTS],
+        apply(transaction, issues, applied) {
+            const componentStore = transaction.objectStore(STORE_PLAN_COMPONENTS);
+            const plansRequest = transaction.objectStore(STORE_PLANS).getAll();
+            const historyRequest = transaction.objectStore(STORE_PLAN_HISTORY).getAll();
+            historyRequest.onsuccess = () => {
+                const references = countPlanComponentReferences(plansRequest.result, historyRequest.result);
+                for (const issue of issues) {
+                    const request = componentStore.get(issue.id);
+                    request.onsuccess = () => {
+                        const component = request.result;
+                        const refCount = references.get(issue.id) ?? 0;
+                        if (!isSharedPlanComponent(component) || refCount === 0) return;
+                        componentStore.put({ ...component, refCount });
+                        applied(issue);
+                    };
+                }
+            };
+        }
+    },
+    {
+        op: 'repairSessionManifest',
+        database: 'engine',
+        stores: [STORE_ENGINE_SESSION_MANIFESTS],
+        apply(transaction, issues, applied) {
+            const store = transaction.objectStore(STORE_ENGINE_SESSION_MANIFESTS);
+            for (const issue of issues) {
+                const request = store.get(issue.id);
+                request.onsuccess = () => {
+                    const manifest = request.result;
+                    const { expected, next } = issue.repair;
+                    if (!manifest ||
+                        JSON.stringify(readEngineSessionHistory(manifest)) !== JSON.stringify(expected)) {
+                        return;
+                    }
+                    store.put({ ...manifest, ...next, updatedAtUnixMilliseconds: Date.now() });
+                    applied(issue);
+                };
+            }
+        }
+    },
+    ...[
+        ['deleteSessionRevision', STORE_ENGINE_SESSION_REVISIONS, revisionIds => revisionIds],
+        ['deleteSessionComponent', STORE_ENGINE_SESSION_COMPONENTS, (_, componentIds) => componentIds]
+    ].map(([op, storeName, retained]) => ({
+        op,
+        database: 'engine',
+        stores: [STORE_ENGINE_SESSION_MANIFESTS, STORE_ENGINE_SESSION_REVISIONS, STORE_ENGINE_SESSION_COMPONENTS],
+        apply(transaction, issues, applied) {
+            readRetainedSessionReferences(transaction, (revisionIds, componentIds) => {
+                const kept = retained(revisionIds, componentIds);
+                for (const issue of issues) {
+                    if (kept.has(issue.id)) continue;
+                    transaction.objectStore(storeName).delete(issue.id);
+                    applied(issue);
+                }
+            });
+        }
+    })),
+    {
+        op: 'deleteUnindexedMarketRow',
+        database: 'market',
+        stores: [STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_LISTINGS],
+        apply(transaction, issues, applied) {
+            const store = transaction.objectStore(STORE_MARKET_CACHE);
+            const ledger = createMarketByteLedger(transaction);
+            let pending = issues.length;
+            const settle = () => {
+                if (--pending === 0) ledger.commit();
+            };
+            for (const issue of issues) {
+                const request = store.get(issue.id);
+                request.onsuccess = () => {
+                    if (typeof request.result?.fetchedAtUnix === 'number') {
+                        settle();
+                        return;
+                    }
+                    deleteMarketEntry(store, issue.id, ledger, settle);
+                    applied(issue);
+                };
+            }
+        }
+    }
+]);
+
+function runStorageAuditRepairBatch(database, repair, issues) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(repair.stores, 'readwrite');
+        const applied = [];
+        repair.apply(transaction, issues, issue => applied.push(issue));
+        transaction.oncomplete = () => {
+            for (const issue of applied) issue.repaired = true;
+            resolve();
+        };
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+async function scanStorage(databases) {
+    const scans = {
+        personal: await auditPlanStorage(databases.personal),
+        engine: databases.engine ? await auditEngineSessionStorage(databases.engine) : null,
+        market: await auditMarketStorage(databases.market)
+    };
+    return {
+        scanned: Object.fromEntries(Object.entries(scans).map(([name, scan]) => [name, scan?.scanned ?? null])),
+        issues: Object.values(scans).flatMap(scan => scan?.issues ?? [])
+    };
+}
+
+/**
+ * Walk the plan, engine session and market stores for orphaned components, refs to
+ * missing components, summary and search index drift and legacy unindexed market rows.
+ * With { repair: true } every repairable issue is fixed in bounded transactions and the
+ * stores are scanned again; remainingIssueCount is what that second scan still found.
+ * The Engine database is only audited when the Worker has already created it.
+ */
+async function auditStorage(options = {}) {
+    const repair = options?.repair === true;
+    const databases = {
+        personal: await initPersonalDatabase(),
+        market: await initMarketDatabase(),
+        engine: await databaseExists(ENGINE_DB_NAME) ? await initEngineDatabase() : null
+    };
+    const scannedAtUtc = new Date().toISOString();
+    const { scanned, issues } = await scanStorage(databases);
+
+    let remainingIssueCount = issues.length;
+    if (repair) {
+        for (const step of STORAGE_AUDIT_REPAIRS) {
+            const pending = issues.filter(issue => issue.repair?.op === step.op);
+            for (let offset = 0; offset < pending.length; offset += STORAGE_AUDIT_REPAIR_BATCH_SIZE) {
+                await runStorageAuditRepairBatch(
+                    databases[step.database],
+                    step,
+                    pending.slice(offset, offset + STORAGE_AUDIT_REPAIR_BATCH_SIZE));
+            }
+        }
+        remainingIssueCount = (await scanStorage(databases)).issues.length;
+    }
+
+    const issueCounts = {};
+    for (const issue of issues) {
+        issueCounts[issue.kind] = (issueCounts[issue.kind] ?? 0) + 1;
+    }
+    return {
+        repair,
+        scannedAtUtc,
+        scanned,
+        issueCount: issues.length,
+        issueCounts,
+        repairedCount: issues.filter(issue => issue.repaired).length,
+        remainingIssueCount,
+        issues: issues
+            .slice(0, STORAGE_AUDIT_ISSUE_LIMIT)
+            .map(({ repair: repairStep, ...issue }) => ({ ...issue, id: String(issue.id), repairable: repairStep !== null }))
+    };
+}
+
+const BROWSER_BACKUP_DATABASES = Object.freeze({
+    personal: Object.freeze({
+        name: PERSONAL_DB_NAME,
+        version: PERSONAL_DB_VERSION,
+        open: () => initPersonalDatabase(),
+        stores: Object.freeze([
+            STORE_STORAGE_METADATA,
+            STORE_PLANS,
+            STORE_PLAN_COMPONENTS,
+            STORE_PLAN_SUMMARIES,
+            STORE_PLAN_HISTORY,
+            STORE_PLAN_SEARCH_INDEX,
+            STORE_SETTINGS,
+            STORE_TRASH
+        ])
+    }),
+    market: Object.freeze({
+        name: MARKET_DB_NAME,
+        version: MARKET_DB_VERSION,
+        open: () => initMarketDatabase(),
+        stores: Object.freeze([STORE_STORAGE_METADATA, STORE_MARKET_CACHE, STORE_MARKET_HISTORY]),
+        // Listing rows are rebuilt from the restored cache instead of being archived.
+        derivedStores: Object.freeze([STORE_MARKET_LISTINGS]),
+        rebuildDerived: (transaction, records) => {
+            const listings = transaction.objectStore(STORE_MARKET_LISTINGS);
+            for (const entry of records[STORE_MARKET_CACHE] ?? []) putMarketListingRows(listings, entry);
+        }
+    }),
+    company: Object.freeze({
+        name: COMPANY_DB_NAME,
+        version: COMPANY_DB_VERSION,
+        open: () => initCompanyDatabase(),
+        stores: Object.freeze([
+            STORE_STORAGE_METADATA,
+            STORE_TRADE_COMPANY_PROFILES,
+            STORE_TRADE_CRAFTERS,
+            STORE_TRADE_ORDERS,
+            STORE_HOSTED_OWNER_STATE,
+            STORE_TRADE_ORDER_ARCHIVE_SUMMARIES,
+            STORE_TRADE_ORDER_CRAFT_SNAPSHOTS,
+            STORE_TRADE_PAYROLL_DRAFTS,
+            STORE_TRASH
+        ])
+    }),
+    engine: Object.freeze({
+        name: ENGINE_DB_NAME,
+        version: ENGINE_DB_VERSION,
+        open: () => initEngineDatabase(),
+        stores: Object.freeze([
+            STORE_STORAGE_METADATA,
+            STORE_ENGINE_SESSION_MANIFESTS,
+            STORE_ENGINE_SESSION_REVISIONS,
+            STORE_ENGINE_SESSION_COMPONENTS,
+            STORE_PLANS,
+            STORE_PLAN_COMPONENTS
+        ])
+    })
+});
+
+function readDatabaseStores(database, storeNames) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        const records = {};
+        for (const storeName of storeNames) {
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => {
+                records[storeName] = request.result || [];
+            };
+            request.onerror = () => transaction.abort();
+        }
+        transaction.oncomplete = () => resolve(records);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+function encodeBackupBinary(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBackupBinary(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Compressed component payloads are binary, which JSON cannot carry; the archive
+ * stores them as base64 and marks the record so restore can turn them back.
+ */
+function toBackupRecord(record) {
+    // Trashed plans carry their components inline.
+    if (Array.isArray(record?.components)) {
+        return { ...record, components: record.components.map(toBackupRecord) };
+    }
+    return record?.payload instanceof ArrayBuffer
+        ? { ...record, payload: encodeBackupBinary(record.payload), payloadTransport: 'base64' }
+        : record;
+}
+
+function fromBackupRecord(record) {
+    if (Array.isArray(record?.components)) {
+        return { ...record, components: record.components.map(fromBackupRecord) };
+    }
+    if (record?.payloadTransport !== 'base64') {
+        return record;
+    }
+    const { payloadTransport: _transport, ...stored } = record;
+    return { ...stored, payload: decodeBackupBinary(record.payload) };
+}
+
+/**
+ * Read OPFS-backed components back inline; a backup must stand on its own.
+ */
+async function inlineComponentBlobs(record) {
+    if (Array.isArray(record?.components)) {
+        return { ...record, components: await Promise.all(record.components.map(inlineComponentBlobs)) };
+    }
+    if (!record?.blob) {
+        return record;
+    }
+    const { blob: _blob, ...stored } = record;
+    return { ...stored, encoding: COMPONENT_ENCODING_IDENTITY, payload: await decodeComponentPayload(record) };
+}
+
+function storeKeyPath(database, storeName) {
+    return database.transaction(storeName, 'readonly').objectStore(storeName).keyPath;
+}
+
+/**
+ * Export every Craft Architect database into one versioned archive.
+ * The Engine database is read only when the Worker has already created it.
+ */
+async function exportBrowserBackup() {
+    const archive = {
+        format: BROWSER_BACKUP_FORMAT,
+        formatVersion: BROWSER_BACKUP_FORMAT_VERSION,
+        moduleRevision: MODULE_REVISION,
+        createdAtUtc: new Date().toISOString(),
+        manifest: { databases: {} },
+        databases: {}
+    };
+    for (const [domain, definition] of Object.entries(BROWSER_BACKUP_DATABASES)) {
+        if (domain === 'engine' && !await databaseExists(ENGINE_DB_NAME)) {
+            archive.manifest.databases[domain] = {
+                name: definition.name,
+                schemaVersion: definition.version,
+                present: false,
+                migrations: [],
+                counts: {}
+            };
+            continue;
+        }
+
+        const database = await definition.open();
+        const records = await readDatabaseStores(database, definition.stores);
+        // The install marker describes this browser, not the data, so it never travels.
+        records[STORE_STORAGE_METADATA] = records[STORE_STORAGE_METADATA]
+            .filter(record => record.id !== STORAGE_INSTALL_MARKER_ID);
+        if (domain === 'personal') {
+            for (const storeName of [STORE_PLAN_COMPONENTS, STORE_TRASH]) {
+                records[storeName] = await Promise.all(records[storeName].map(inlineComponentBlobs));
+            }
+        }
+        archive.manifest.databases[domain] = {
+            name: definition.name,
+            schemaVersion: database.version,
+            present: true,
+            migrations: records[STORE_STORAGE_METADATA],
+            counts: Object.fromEntries(
+                definition.stores.map(storeName => [storeName, records[storeName].length]))
+        };
+        archive.databases[domain] = Object.fromEntries(Object.entries(records)
+            .map(([storeName, storeRecords]) => [storeName, storeRecords.map(toBackupRecord)]));
+    }
+    return archive;
+}
+
+function parseBrowserBackup(archive) {
+    if (typeof archive !== 'string') {
+        return archive;
+    }
+    try {
+        return JSON.parse(archive);
+    } catch {
+        return null;
+    }
+}
+
+function validateBrowserBackupArchive(archive) {
+    const report = {
+        valid: false,
+        restored: false,
+        formatVersion: archive?.formatVersion ?? null,
+        sourceModuleRevision: archive?.moduleRevision ?? null,
+        createdAtUtc: archive?.createdAtUtc ?? null,
+        errors: [],
+        warnings: [],
+        databases: {},
+        restoredDatabases: []
+    };
+    if (!archive || typeof archive !== 'object' || archive.format !== BROWSER_BACKUP_FORMAT) {
+        report.errors.push('The file is not a Craft Architect browser backup.');
+        return report;
+    }
+    if (!Number.isInteger(archive.formatVersion) ||
+        archive.formatVersion < 1 ||
+        archive.formatVersion > BROWSER_BACKUP_FORMAT_VERSION) {
+        report.errors.push(
+            `Backup format v${archive.formatVersion} is not supported ` +
+            `(expected v1 to v${BROWSER_BACKUP_FORMAT_VERSION}).`);
+        return report;
+    }
+
+    const manifests = archive.manifest?.databases ?? {};
+    for (const domain of Object.keys(archive.databases ?? {})) {
+        if (!BROWSER_BACKUP_DATABASES[domain]) {
+            report.errors.push(`Backup contains unknown database "${domain}".`);
+        }
+    }
+    for (const [domain, definition] of Object.entries(BROWSER_BACKUP_DATABASES)) {
+        const manifest = manifests[domain];
+        const records = archive.databases?.[domain];
+        const entry = {
+            name: definition.name,
+            present: Boolean(manifest?.present && records),
+            schemaVersion: manifest?.schemaVersion ?? null,
+            currentSchemaVersion: definition.version,
+            stores: {}
+        };
+        report.databases[domain] = entry;
+        if (!entry.present) {
+            report.warnings.push(`${definition.name} is not in the backup and will be left unchanged.`);
+            continue;
+        }
+        if (!Number.isSafeInteger(manifest.schemaVersion) || manifest.schemaVersion > definition.version) {
+            report.errors.push(
+                `${definition.name} was backed up at schema v${manifest.schemaVersion}; ` +
+                `this build restores up to v${definition.version}.`);
+        } else if (manifest.schemaVersion < definition.version) {
+            report.warnings.push(
+                `${definition.name} was backed up at schema v${manifest.schemaVersion}; ` +
+                'stores added since then will be restored empty.');
+        }
+        for (const storeName of Object.keys(records)) {
+            if (!definition.stores.includes(storeName)) {
+                report.errors.push(`${definition.name} backup contains unknown store "${storeName}".`);
+            }
+        }
+        for (const storeName of definition.stores) {
+            const storeRecords = records[storeName] ?? [];
+            if (!Array.isArray(storeRecords)) {
+                report.errors.push(`${definition.name}.${storeName} is not a record list.`);
+                continue;
+            }
+            const expectedCount = manifest.counts?.[storeName];
+            if (Number.isSafeInteger(expectedCount) && expectedCount !== storeRecords.length) {
+                report.errors.push(
+                    `${definition.name}.${storeName} holds ${storeRecords.length} records; ` +
+                    `the manifest lists ${expectedCount}.`);
+            }
+            entry.stores[storeName] = { archived: storeRecords.length, current: 0 };
+        }
+    }
+    report.valid = report.errors.length === 0;
+    return report;
+}
+
+async function countDatabaseStores(database, storeNames) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readonly');
+        const counts = {};
+        for (const storeName of storeNames) {
+            const request = transaction.objectStore(storeName).count();
+            request.onsuccess = () => {
+                counts[storeName] = request.result;
+            };
+        }
+        transaction.oncomplete = () => resolve(counts);
+        transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+        transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+    });
+}
+
+/**
+ * Validate a browser backup without writing anything. The report lists, per store,
+ * how many archived records would replace how many current records.
+ */
+async function validateBrowserBackup(archive) {
+    const parsed = parseBrowserBackup(archive);
+    const report = validateBrowserBackupArchive(parsed);
+    if (!report.valid) {
+        return report;
+    }
+
+    for (const [domain, entry] of Object.entries(report.databases)) {
+        if (!entry.present) continue;
+        const definition = BROWSER_BACKUP_DATABASES[domain];
+        if (domain === 'engine' && !await databaseExists(ENGINE_DB_NAME)) continue;
+        const database = await definition.open();
+        const counts = await countDatabaseStores(database, definition.stores);
+        for (const storeName of definition.stores) {
+            entry.stores[storeName].current = counts[storeName];
+            const keyPath = storeKeyPath(database, storeName);
+            const missingKey = parsed.databases[domain][storeName]?.some(record =>
+                !record || typeof record !== 'object' || record[keyPath] === undefined);
+            if (missingKey) {
+                report.errors.push(`${definition.name}.${storeName} has records without "${keyPath}".`);
+            }
+        }
+    }
+    report.valid = report.errors.length === 0;
+    return report;
+}
+
+/**
+ * Replace every database present in a validated backup. Each database is replaced
+ * in one transaction; an invalid archive is reported and nothing is written.
+ */
+async function restoreBrowserBackup(archive) {
+    const parsed = parseBrowserBackup(archive);
+    const report = await validateBrowserBackup(parsed);
+    if (!report.valid) {
+        return report;
+    }
+
+    for (const [domain, entry] of Object.entries(report.databases)) {
+        if (!entry.present) continue;
+        const definition = BROWSER_BACKUP_DATABASES[domain];
+        const database = await definition.open();
+        const records = parsed.databases[domain];
+        await new Promise((resolve, reject) => {
+            const derivedStores = definition.derivedStores ?? [];
+            const transaction = database.transaction([...definition.stores, ...derivedStores], 'readwrite');
+            for (const storeName of definition.stores) {
+                const store = transaction.objectStore(storeName);
+                if (storeName === STORE_STORAGE_METADATA) {
+                    // Keep this browser's install marker; the get runs before the clear.
+                    const markerRequest = store.get(STORAGE_INSTALL_MARKER_ID);
+                    markerRequest.onsuccess = () => {
+                        if (markerRequest.result) store.put(markerRequest.result);
+                    };
+                }
+                store.clear();
+                for (const record of records[storeName] ?? []) {
+                    if (storeName === STORE_STORAGE_METADATA && record?.id === STORAGE_INSTALL_MARKER_ID) continue;
+                    store.put(fromBackupRecord(record));
+                }
+            }
+            for (const storeName of derivedStores) {
+                transaction.objectStore(storeName).clear();
+            }
+            definition.rebuildDerived?.(transaction, records);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+            transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        });
+        report.restoredDatabases.push(definition.name);
+        for (const storeName of definition.stores) {
+            publishStorageChange(storeName, null, 'clear');
+        }
+        if (domain === 'personal') {
+            await pruneComponentBlobs().catch(error =>
+                console.warn('[IndexedDB] Failed to prune component files:', error));
+        }
+    }
+    report.restored = true;
+    return report;
+}
+
+/**
+ * Read the install marker from every Craft Architect database. Databases that did
+ * not exist before the read are reported with existed: false; the Engine database
+ * is never created here, since only the Worker creates it.
+ */
+async function readStorageInstallMarkers() {
+    const listed = typeof indexedDB.databases === 'function'
+        ? new Set((await indexedDB.databases()).map(database => database.name))
+        : null;
+    const markers = {};
+    for (const [domain, definition] of Object.entries(BROWSER_BACKUP_DATABASES)) {
+        const existed = listed ? listed.has(definition.name) : null;
+        if (domain === 'engine' && existed !== true) {
+            markers[domain] = { name: definition.name, existed, marker: null };
+            continue;
+        }
+        const database = await definition.open();
+        const marker = await new Promise((resolve, reject) => {
+            const request = database
+                .transaction(STORE_STORAGE_METADATA, 'readonly')
+                .objectStore(STORE_STORAGE_METADATA)
+                .get(STORAGE_INSTALL_MARKER_ID);
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => reject(request.error);
+        });
+        markers[domain] = { name: definition.name, existed, marker };
+    }
+    return markers;
+}
+
+/**
+ * Stamp the install marker into the named databases. A marker already carrying
+ * installId keeps its createdAtUtc; any other marker is replaced.
+ * @param {string} installId - Id shared by every database of this browser install
+ * @param {string[]} domains - Backup domains to stamp; each marker lists all of them
+ */
+async function writeStorageInstallMarkers(installId, domains) {
+    if (typeof installId !== 'string' || installId.length === 0) {
+        throw new Error('[IndexedDB] An install id is required to stamp storage markers.');
+    }
+    const sessionAtUtc = new Date().toISOString();
+    const markers = {};
+    for (const domain of domains) {
+        const definition = BROWSER_BACKUP_DATABASES[domain];
+        if (!definition) {
+            throw new Error(`[IndexedDB] Unknown storage domain "${domain}".`);
+        }
+        const database = await definition.open();
+        markers[domain] = await new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_STORAGE_METADATA, 'readwrite');
+            const store = transaction.objectStore(STORE_STORAGE_METADATA);
+            let marker = null;
+            const request = store.get(STORAGE_INSTALL_MARKER_ID);
+            request.onsuccess = () => {
+                const existing = request.result?.installId === installId ? request.result : null;
+                marker = {
+                    id: STORAGE_INSTALL_MARKER_ID,
+                    installId,
+                    domains: [...domains],
+                    createdAtUtc: existing?.createdAtUtc ?? sessionAtUtc,
+                    lastSessionAtUtc: sessionAtUtc
+                };
+                store.put(marker);
+            };
+            transaction.oncomplete = () => resolve(marker);
+            transaction.onerror = (event) => reject(transaction.error || event.target?.error);
+            transaction.onabort = (event) => reject(transaction.error || event.target?.error);
+        });
+    }
+    return markers;
+}
+
 // Export functions for Blazor interop
 window.IndexedDB = {
     moduleRevision: MODULE_REVISION,
@@ -2316,17 +7164,33 @@ window.IndexedDB = {
     }),
     savePlan,
     loadPlan,
+    forkPlan,
     loadAllPlans,
     loadPlanSummaries,
+    loadPlanFolders,
+    loadPlanTags,
+    tagPlans,
+    untagPlans,
+    movePlans,
+    searchPlans,
     savePlansBatch,
     patchMarketAnalysis,
     patchPlanAndProcurementRoute,
+    loadPlanHistory,
+    loadPlanVersion,
+    restorePlanVersion,
+    diffPlanVersions,
     deletePlan,
     saveSetting,
     loadSetting,
     loadAllSettings,
     saveSettingsBatch,
     saveSettingsWhenSettingsMatchAndRevisionNotNewer,
+    getSettingDefinitions,
+    validateSettings,
+    exportSettingsProfile,
+    validateSettingsProfile,
+    importSettingsProfile,
     clearAllPlans,
     clearMarketCache,
     saveMarketData,
@@ -2334,16 +7198,25 @@ window.IndexedDB = {
     loadMarketData,
     loadMarketDataBulk,
     getMarketDataFreshness,
+    getRefreshPlan,
     deleteStaleMarketData,
     deleteOldestEntries,
     deleteUnindexedMarketData,
     getMarketCacheStats,
+    loadMarketHistory,
+    loadMarketHistorySeries,
+    getMarketPriceChanges,
+    getCheapestWorlds,
+    getWorldBasketCosts,
+    pruneMarketHistory,
+    clearMarketHistory,
     saveTradeCompanyProfile,
     loadTradeCompanyProfiles,
     deleteTradeCompanyProfile,
     saveTradeCrafter,
     saveTradeCraftersBatch,
     loadTradeCrafters,
+    queryTradeCrafters,
     deleteTradeCrafter,
     saveTradeOrder,
     saveTradeOrdersBatch,
@@ -2351,6 +7224,7 @@ window.IndexedDB = {
     applyHostedOwnerVerificationBatch,
     loadHostedOwnerSettings,
     loadTradeOrders,
+    queryTradeOrders,
     loadAllTradeOrders,
     loadTradeOrder,
     deleteTradeOrder,
@@ -2360,6 +7234,7 @@ window.IndexedDB = {
     saveTradeOrderCraftSnapshot,
     loadTradeOrderCraftSnapshot,
     loadTradeOrderCraftSnapshotsForCompany,
+    queryTradeOrderCraftSnapshots,
     deleteTradeOrderCraftSnapshot,
     loadAllTradeOrderCraftSnapshots,
     deleteTradeOrderCraftSnapshotsForOrder,
@@ -2368,9 +7243,30 @@ window.IndexedDB = {
     saveTradePayrollDraft,
     saveTradePayrollDraftsBatch,
     loadTradePayrollDrafts,
+    queryTradePayrollDrafts,
     deleteTradePayrollDraft,
+    aggregateTradePayroll,
+    exportTradePayrollCsv,
     getTradeStoreDiagnostics,
+    getCompanyEncryptionStatus,
+    enableCompanyEncryption,
+    unlockCompanyDatabase,
+    lockCompanyDatabase,
     getSpecializedStorageDiagnostics,
+    loadStorageMigrationHistory,
+    dryRunStorageMigrations,
+    auditStorage,
+    exportBrowserBackup,
+    validateBrowserBackup,
+    restoreBrowserBackup,
+    readStorageInstallMarkers,
+    writeStorageInstallMarkers,
+    estimateBrowserStorage,
+    subscribeStorageChanges,
+    unsubscribeStorageChanges,
+    listTrash,
+    restoreFromTrash,
+    purgeTrash,
 };
 
 console.log(
@@ -0,0 +1,189 @@
+/**
+ * Storage durability for the Craft Architect databases.
+ *
+ * Browsers may evict IndexedDB under storage pressure unless the origin holds
+ * persistent storage. Every session stamps an install marker into each database and
+ * remembers the install in a cookie and in localStorage; eviction clears the
+ * databases but not the cookie, so a later session can tell an evicted database
+ * from one that never existed and point the user at a backup.
+ */
+const DURABILITY_COOKIE_NAME = 'craftArchitectInstall';
+const DURABILITY_LOCAL_STORAGE_KEY = 'craftArchitect.install';
+// Browsers cap cookie lifetimes near 400 days; each session renews it.
+const DURABILITY_COOKIE_MAX_AGE_SECONDS = 400 * 24 * 60 * 60;
+
+let durabilityCheck = null;
+let persistenceRequested = false;
+
+function parseInstallEvidence(text) {
+    try {
+        const evidence = JSON.parse(text);
+        return typeof evidence?.installId === 'string' ? evidence : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * What this browser remembers about the install outside IndexedDB. The cookie and
+ * localStorage copies are merged so losing either one loses nothing.
+ */
+function readInstallEvidence() {
+    const cookie = document.cookie
+        .split('; ')
+        .find(entry => entry.startsWith(`${DURABILITY_COOKIE_NAME}=`));
+    const copies = [
+        cookie ? parseInstallEvidence(decodeURIComponent(cookie.slice(DURABILITY_COOKIE_NAME.length + 1))) : null,
+        parseInstallEvidence(localStorage.getItem(DURABILITY_LOCAL_STORAGE_KEY))
+    ].filter(Boolean);
+    if (copies.length === 0) {
+        return null;
+    }
+    return {
+        installId: copies[0].installId,
+        domains: [...new Set(copies.flatMap(copy => copy.domains ?? []))],
+        eviction: copies.find(copy => copy.eviction)?.eviction ?? null
+    };
+}
+
+function writeInstallEvidence(evidence) {
+    const text = JSON.stringify(evidence);
+    document.cookie =
+        `${DURABILITY_COOKIE_NAME}=${encodeURIComponent(text)}; ` +
+        `max-age=${DURABILITY_COOKIE_MAX_AGE_SECONDS}; path=/; SameSite=Strict`;
+    try {
+        localStorage.setItem(DURABILITY_LOCAL_STORAGE_KEY, text);
+    } catch (error) {
+        console.warn('[StorageDurability] Could not save the install record to localStorage:', error);
+    }
+}
+
+async function readPersistenceState() {
+    if (typeof navigator.storage?.persisted !== 'function') {
+        return { supported: false, persisted: false };
+    }
+    return { supported: true, persisted: await navigator.storage.persisted() };
+}
+
+/**
+ * Ask the browser to exempt this origin from eviction. Some browsers prompt the
+ * user; others decide silently from site engagement. Only called from a user action,
+ * never by the load-time check.
+ */
+async function requestPersistentStorage() {
+    const state = await readPersistenceState();
+    if (!state.supported || state.persisted || typeof navigator.storage.persist !== 'function') {
+        return { ...state, requested: false };
+    }
+    persistenceRequested = true;
+    return { supported: true, persisted: await navigator.storage.persist(), requested: true };
+}
+
+/**
+ * Classify one database against the install record:
+ * present - carries this install's marker;
+ * adopted - carries another install's marker, e.g. after cookies were cleared;
+ * vanished - was marked in an earlier session and has lost its marker;
+ * created - has never been marked;
+ * absent - the Engine database, which the Worker has not created yet;
+ * unchecked - the Engine database, when the browser cannot list databases.
+ */
+function classifyDatabase(entry, installId, markedDomains, domain) {
+    if (entry.marker) {
+        return entry.marker.installId === installId ? 'present' : 'adopted';
+    }
+    if (domain === 'engine' && entry.existed === null) {
+        return 'unchecked';
+    }
+    if (markedDomains.has(domain)) {
+        return 'vanished';
+    }
+    return domain === 'engine' && !entry.existed ? 'absent' : 'created';
+}
+
+async function runDurabilityCheck() {
+    const evidence = readInstallEvidence();
+    const entries = await window.IndexedDB.readStorageInstallMarkers();
+    const markers = Object.values(entries).map(entry => entry.marker).filter(Boolean);
+    // Markers win over the cookie: they sit next to the data they describe.
+    const installId = markers[0]?.installId ?? evidence?.installId ?? crypto.randomUUID();
+    const markedDomains = new Set([
+        ...(evidence?.domains ?? []),
+        ...markers.flatMap(marker => marker.domains ?? [])
+    ]);
+
+    const checkedAtUtc = new Date().toISOString();
+    const databases = Object.entries(entries).map(([domain, entry]) => ({
+        domain,
+        name: entry.name,
+        state: classifyDatabase(entry, installId, markedDomains, domain),
+        createdAtUtc: entry.marker?.createdAtUtc ?? null,
+        lastSessionAtUtc: entry.marker?.lastSessionAtUtc ?? null
+    }));
+    const vanished = databases.filter(database => database.state === 'vanished');
+    // An eviction stays reported until the user dismisses it, not just for one session.
+    const eviction = vanished.length > 0
+        ? { detectedAtUtc: checkedAtUtc, databases: vanished.map(database => database.domain) }
+        : evidence?.eviction ?? null;
+
+    // The Engine database is only stamped once the Worker has created it.
+    const stamped = databases
+        .filter(database => database.domain !== 'engine' || entries.engine.existed === true)
+        .map(database => database.domain);
+    await window.IndexedDB.writeStorageInstallMarkers(installId, stamped);
+    writeInstallEvidence({ installId, domains: stamped, eviction });
+
+    const persistence = await readPersistenceState();
+    const estimate = await window.IndexedDB.estimateBrowserStorage();
+    return {
+        installId,
+        checkedAtUtc,
+        firstSession: !evidence && markers.length === 0,
+        persistenceSupported: persistence.supported,
+        persisted: persistence.persisted,
+        persistenceRequested,
+        usageBytes: estimate.usageBytes,
+        quotaBytes: estimate.quotaBytes,
+        databases,
+        eviction,
+        restoreRecommended: eviction !== null
+    };
+}
+
+/**
+ * Run the durability check once per page load and share the report. Pass
+ * refresh: true to run it again, e.g. after restoring a backup.
+ */
+function checkStorageDurability({ refresh = false } = {}) {
+    if (!durabilityCheck || refresh) {
+        durabilityCheck = runDurabilityCheck().catch(error => {
+            durabilityCheck = null;
+            throw error;
+        });
+    }
+    return durabilityCheck;
+}
+
+/**
+ * Forget a reported eviction once the user has restored or given up on the data.
+ */
+async function dismissStorageEviction() {
+    const evidence = readInstallEvidence();
+    if (evidence?.eviction) {
+        writeInstallEvidence({ ...evidence, eviction: null });
+    }
+    const report = await checkStorageDurability();
+    report.eviction = null;
+    report.restoreRecommended = false;
+    return report;
+}
+
+window.StorageDurability = {
+    checkStorageDurability,
+    requestPersistentStorage,
+    dismissStorageEviction
+};
+
+checkStorageDurability().catch(error => {
+    console.warn('[StorageDurability] Durability check failed:', error);
+});
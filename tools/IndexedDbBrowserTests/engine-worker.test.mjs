@@ -173,8 +173,11 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
           });
         }
 
-        async function startWorker(generation) {
-          const worker = new Worker('/engine-worker.js?acceptance=true', {
+        // The first sessions keep one undo step so retirement stays observable.
+        async function startWorker(generation, revisionWindow = 1, role = null) {
+          const query = (revisionWindow ? `&revisionWindow=${revisionWindow}` : '') +
+            (role ? `&role=${role}` : '');
+          const worker = new Worker(`/engine-worker.js?acceptance=true${query}`, {
             type: 'module',
             name: `engine-worker-test-${generation}`
           });
@@ -305,6 +308,22 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
           return { manifest, activeRecord, previousRecord, retiredRecord, componentCount };
         }
 
+        async function readSessionRevisionIds() {
+          const database = await new Promise((resolve, reject) => {
+            const request = indexedDB.open('FFXIVCraftArchitect.Engine');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          const ids = await new Promise((resolve, reject) => {
+            const transaction = database.transaction('engineSessionRevisions', 'readonly');
+            const request = transaction.objectStore('engineSessionRevisions').getAllKeys();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          database.close();
+          return ids.sort();
+        }
+
         async function deleteSessionComponent(componentId) {
           const database = await new Promise((resolve, reject) => {
             const request = indexedDB.open('FFXIVCraftArchitect.Engine');
@@ -464,6 +483,63 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
         const clearedShell = await sendSessionCommandTo(cleared, 3, 'shell', 3, {});
         cleared.worker.terminate();
 
+        // The default window keeps enough revisions to walk back through the clear.
+        const history = await startWorker(4, null);
+        const sendHistoryCommand = (commandKind, expectedRevision, payload = {}) =>
+          sendSessionCommandTo(history, 4, commandKind, expectedRevision, payload);
+        await sendHistoryCommand('bootstrap', 0);
+        const addItem = id => ({
+          operation: 'add',
+          item: { id, name: `History item ${id}`, iconId: 0, quantity: 1, mustBeHq: false }
+        });
+        await sendHistoryCommand('mutate-project-items', 3, addItem(45));
+        await sendHistoryCommand('mutate-project-items', 4, addItem(46));
+        const firstUndo = await sendHistoryCommand('undo', 5);
+        const secondUndo = await sendHistoryCommand('undo', 6);
+        const historyRedo = await sendHistoryCommand('redo', 7);
+        const staleUndo = await sendHistoryCommand('undo', 7);
+        const branchMutation = await sendHistoryCommand('mutate-project-items', 8, addItem(47));
+        const discardedRedo = await sendHistoryCommand('redo', 9);
+        const historyPersistence = await inspectDurableSession();
+        const historyRevisionIds = await readSessionRevisionIds();
+        const createdWorkspace = await sendHistoryCommand('workspace-create', 0, {
+          workspaceId: 'Customer-A',
+          displayName: 'Customer A'
+        });
+        const duplicateWorkspace = await sendHistoryCommand('workspace-create', 0, {
+          workspaceId: 'customer-a',
+          displayName: 'Customer A again'
+        });
+        const duplicatedWorkspace = await sendHistoryCommand('workspace-duplicate', 0, {
+          sourceWorkspaceId: 'active',
+          workspaceId: 'customer-b',
+          displayName: 'Customer B'
+        });
+        const renamedWorkspace = await sendHistoryCommand('workspace-rename', 0, {
+          workspaceId: 'customer-b',
+          displayName: 'Customer B (copy)'
+        });
+        const protectedWorkspace = await sendHistoryCommand('workspace-delete', 0, {
+          workspaceId: 'active'
+        });
+        const deletedWorkspace = await sendHistoryCommand('workspace-delete', 0, {
+          workspaceId: 'customer-b'
+        });
+        const workspaceRevisionIds = await readSessionRevisionIds();
+        const exportedSessionFile = await sendHistoryCommand('session-file-export', 9);
+        const invalidSessionFile = await sendHistoryCommand('session-file-import', 9, {
+          fileJson: '{"format":"craft-architect-settings-profile","formatVersion":1}'
+        });
+        const foreignSessionFile = await sendHistoryCommand('session-file-import', 9, {
+          fileJson: exportedSessionFile.payload.projection.fileJson,
+          workspaceId: 'customer-a'
+        });
+        await sendHistoryCommand('replace', 9, { storedPlan: null, trackStoredPlanIdentity: false });
+        const importedSessionFile = await sendHistoryCommand('session-file-import', 10, {
+          fileJson: exportedSessionFile.payload.projection.fileJson
+        });
+        history.worker.terminate();
+
         const hanging = await startWorker(10);
         const hangStarted = waitFor(
           hanging.worker,
@@ -485,6 +561,11 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
         clearInterval(terminationTimer);
         replacement.worker.terminate();
 
+        const compute = await startWorker(12, 1, 'compute');
+        const computeSessionError = await sendSessionCommandTo(compute, 12, 'shell', 0, {})
+          .then(() => null, error => error.message);
+        compute.worker.terminate();
+
         return {
           capability: active.capability,
           projectionBeforeBootstrap,
@@ -500,6 +581,25 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
           clearedSession,
           clearedBootstrap,
           clearedShell,
+          firstUndo,
+          secondUndo,
+          historyRedo,
+          staleUndo,
+          branchMutation,
+          discardedRedo,
+          historyPersistence,
+          historyRevisionIds,
+          createdWorkspace,
+          duplicateWorkspace,
+          duplicatedWorkspace,
+          renamedWorkspace,
+          protectedWorkspace,
+          deletedWorkspace,
+          workspaceRevisionIds,
+          exportedSessionFile,
+          invalidSessionFile,
+          foreignSessionFile,
+          importedSessionFile,
           malformed,
           result,
           secondResult,
@@ -508,6 +608,8 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
           heartbeatMaxGapMs,
           hangingCapability: hanging.capability,
           replacementCapability: replacement.capability,
+          computeCapability: compute.capability,
+          computeSessionError,
           terminationHeartbeat,
           terminationCallMs
         };
@@ -572,6 +674,106 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
       assert.equal(evidence.clearedShell.payload.accepted, true);
       assert.equal(evidence.clearedShell.payload.revision, 3);
       assert.equal(evidence.clearedShell.payload.projection.hasSession, false);
+      assert.equal(evidence.firstUndo.payload.accepted, true);
+      assert.equal(evidence.firstUndo.payload.commandKind, 'undo');
+      assert.equal(evidence.firstUndo.payload.revision, 6);
+      assert.equal(evidence.firstUndo.payload.projection.projectItemCount, 1);
+      assert.deepEqual(evidence.firstUndo.payload.history, { undoDepth: 2, redoDepth: 1 });
+      assert.equal(evidence.secondUndo.payload.accepted, true);
+      assert.equal(evidence.secondUndo.payload.revision, 7);
+      assert.equal(evidence.secondUndo.payload.projection.hasSession, false);
+      assert.deepEqual(evidence.secondUndo.payload.history, { undoDepth: 1, redoDepth: 2 });
+      assert.equal(evidence.historyRedo.payload.accepted, true);
+      assert.equal(evidence.historyRedo.payload.commandKind, 'redo');
+      assert.equal(evidence.historyRedo.payload.revision, 8);
+      assert.equal(evidence.historyRedo.payload.projection.projectItemCount, 1);
+      assert.deepEqual(evidence.historyRedo.payload.history, { undoDepth: 2, redoDepth: 1 });
+      assert.equal(evidence.staleUndo.payload.accepted, false);
+      assert.equal(evidence.staleUndo.payload.rejectionCode, 'stale-revision');
+      assert.equal(evidence.branchMutation.payload.accepted, true);
+      assert.equal(evidence.branchMutation.payload.revision, 9);
+      assert.equal(evidence.branchMutation.payload.projection.shell.projectItemCount, 2);
+      assert.deepEqual(evidence.branchMutation.payload.history, { undoDepth: 3, redoDepth: 0 });
+      assert.equal(evidence.discardedRedo.payload.accepted, false);
+      assert.equal(evidence.discardedRedo.payload.rejectionCode, 'history-empty');
+      assert.equal(evidence.discardedRedo.payload.revision, 9);
+      assert.equal(evidence.historyPersistence.manifest.activeRevision, 9);
+      assert.deepEqual(evidence.historyPersistence.manifest.undoRevisions, [2, 7, 8]);
+      assert.deepEqual(evidence.historyPersistence.manifest.redoRevisions, []);
+      assert.equal(evidence.historyPersistence.manifest.previousRevision, 8);
+      assert.deepEqual(
+        evidence.historyRevisionIds,
+        ['active:2', 'active:7', 'active:8', 'active:9'],
+        'undone revisions are replaced by their successors and the redo branch is discarded');
+      assert.equal(evidence.createdWorkspace.payload.accepted, true);
+      assert.equal(evidence.createdWorkspace.payload.revision, 9);
+      assert.equal(evidence.createdWorkspace.payload.projection.currentWorkspaceId, 'active');
+      assert.deepEqual(
+        evidence.createdWorkspace.payload.projection.workspaces
+          .map(workspace => [workspace.workspaceId, workspace.displayName, workspace.isCurrent])
+          .sort(),
+        [['active', 'Active session', true], ['customer-a', 'Customer A', false]]);
+      assert.equal(evidence.duplicateWorkspace.payload.accepted, false);
+      assert.equal(evidence.duplicateWorkspace.payload.rejectionCode, 'workspace-exists');
+      assert.equal(evidence.duplicatedWorkspace.payload.accepted, true);
+      const copy = evidence.duplicatedWorkspace.payload.projection.workspaces
+        .find(workspace => workspace.workspaceId === 'customer-b');
+      assert.equal(copy.activeRevision, 1);
+      assert.equal(copy.projectItemCount, 2);
+      assert.equal(copy.undoDepth, 0);
+      assert.equal(
+        evidence.renamedWorkspace.payload.projection.workspaces
+          .find(workspace => workspace.workspaceId === 'customer-b').displayName,
+        'Customer B (copy)');
+      assert.equal(evidence.protectedWorkspace.payload.rejectionCode, 'workspace-protected');
+      assert.equal(evidence.deletedWorkspace.payload.accepted, true);
+      assert.deepEqual(
+        evidence.deletedWorkspace.payload.projection.workspaces.map(workspace => workspace.workspaceId).sort(),
+        ['active', 'customer-a']);
+      const deletion = evidence.deletedWorkspace.payload.projection.deleted;
+      assert.equal(deletion.workspaceId, 'customer-b');
+      assert.equal(deletion.revisions, 1);
+      assert.ok(deletion.components > 0);
+      assert.equal(evidence.protectedWorkspace.payload.projection.deleted, undefined);
+      assert.deepEqual(
+        evidence.workspaceRevisionIds,
+        evidence.historyRevisionIds,
+        'deleting a duplicated workspace removes its copied revision');
+      assert.equal(evidence.exportedSessionFile.payload.accepted, true);
+      assert.equal(evidence.exportedSessionFile.payload.revision, 9);
+      assert.equal(
+        evidence.exportedSessionFile.payload.projection.fileName,
+        'craft-architect-session-active-r9.json');
+      const sessionFile = JSON.parse(evidence.exportedSessionFile.payload.projection.fileJson);
+      assert.equal(sessionFile.format, 'craft-architect-engine-session');
+      assert.equal(sessionFile.formatVersion, 1);
+      assert.equal(sessionFile.revision, 9);
+      assert.deepEqual(
+        sessionFile.storedPlanMetadata.projectItems.map(item => item.id),
+        [45, 47]);
+      assert.deepEqual(Object.keys(sessionFile.components).sort(), [
+        'marketAnalysisRecipeBasisJson',
+        'marketAnalysisScopeSnapshotJson',
+        'marketIntelligenceJson',
+        'marketItemAnalysesJson',
+        'marketPlansJson',
+        'planJson',
+        'planStateJson',
+        'procurementRouteJson'
+      ]);
+      assert.equal('planJson' in sessionFile.storedPlanMetadata, false);
+      assert.equal(evidence.invalidSessionFile.payload.accepted, false);
+      assert.equal(evidence.invalidSessionFile.payload.rejectionCode, 'session-file-invalid');
+      assert.equal(evidence.invalidSessionFile.payload.revision, 9);
+      assert.equal(evidence.foreignSessionFile.payload.rejectionCode, 'workspace-not-current');
+      assert.equal(evidence.importedSessionFile.payload.accepted, true);
+      assert.equal(evidence.importedSessionFile.payload.commandKind, 'session-file-import');
+      assert.equal(evidence.importedSessionFile.payload.revision, 11);
+      assert.equal(evidence.importedSessionFile.payload.projection.projectItemCount, 2);
+      assert.deepEqual(
+        evidence.importedSessionFile.payload.history,
+        { undoDepth: 5, redoDepth: 0 },
+        'an import keeps the replaced session on the undo stack');
       assert.equal(evidence.malformed.payload.code, 'managed-json-invalid');
 
       assert.equal(evidence.result.kind, 'computation-result');
@@ -593,6 +795,14 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
       assert.ok(evidence.progress.length >= 5, `received ${evidence.progress.length} progress messages`);
       assert.ok(evidence.progress.some(message =>
         message.payload.phase === 7 && /Optimizing procurement route/.test(message.payload.message)));
+      assert.ok(evidence.progress.every(message =>
+        Number.isSafeInteger(message.payload.elapsedMilliseconds) &&
+        (message.payload.completedWorkUnits === 0) === (message.payload.estimatedRemainingMilliseconds === null)),
+        'progress frames carry elapsed time and an estimate once work has completed');
+      const resultUnits = evidence.progress
+        .filter(message => message.transactionId === evidence.result.transactionId)
+        .map(message => message.payload.completedWorkUnits);
+      assert.deepEqual(resultUnits, [...resultUnits].sort((left, right) => left - right));
       assert.ok(evidence.heartbeatCount >= 2, `heartbeat advanced ${evidence.heartbeatCount} times`);
       assert.ok(evidence.heartbeatMaxGapMs < 1000, `heartbeat gap was ${evidence.heartbeatMaxGapMs}ms`);
 
@@ -600,6 +810,10 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
         evidence.hangingCapability.payload.workerInstanceId,
         evidence.replacementCapability.payload.workerInstanceId);
       assert.equal(evidence.replacementCapability.payload.executionSupported, true);
+      assert.equal(evidence.replacementCapability.payload.workerRole, 'session');
+      assert.equal(evidence.computeCapability.payload.workerRole, 'compute');
+      assert.equal(evidence.computeCapability.payload.executionSupported, true);
+      assert.match(evidence.computeSessionError, /session-command-unsupported/);
       assert.ok(evidence.terminationHeartbeat >= 2, 'page heartbeat must advance while Worker is hung');
       assert.ok(evidence.terminationCallMs < 100, `Worker.terminate took ${evidence.terminationCallMs}ms`);
       assert.deepEqual(errors, []);
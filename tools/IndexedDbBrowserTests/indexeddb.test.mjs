@@ -19,13 +19,13 @@ before(async () => {
       response.end('<!doctype html>');
       return;
     }
-    if (request.url === '/indexedDB.js?v=30') {
+    if (request.url === '/indexedDB.js?v=53') {
       response.writeHead(200, { 'content-type': 'text/javascript', 'cache-control': 'no-store' });
       response.end(script);
       return;
     }
     response.writeHead(200, { 'content-type': 'text/html', 'cache-control': 'no-store' });
-    response.end('<!doctype html><script src="/indexedDB.js?v=30"></script>');
+    response.end('<!doctype html><script src="/indexedDB.js?v=53"></script>');
   });
   await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
   origin = `http://127.0.0.1:${server.address().port}`;
@@ -109,7 +109,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
     try {
       const page = await browser.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
 
       const result = await page.evaluate(async () => {
         const hostKey = 'profileHost.hostUrl';
@@ -228,7 +228,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
 
       const page = await context.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
       const result = await page.evaluate(async () => {
         const diagnostics = await IndexedDB.getSpecializedStorageDiagnostics();
         const retained = await IndexedDB.loadTradeOrder('retained-order');
@@ -242,7 +242,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
         return { diagnostics, retained, hasOwnerState };
       });
 
-      assert.equal(result.diagnostics.versions.company, 4);
+      assert.equal(result.diagnostics.versions.company, 6);
       assert.equal(result.hasOwnerState, true);
       assert.equal(result.retained.title, 'Retained');
       await context.close();
@@ -276,7 +276,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
 
       const page = await context.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
       const repaired = await page.evaluate(async () => {
         await IndexedDB.getTradeStoreDiagnostics();
         const request = indexedDB.open('FFXIVCraftArchitect');
@@ -315,7 +315,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
       });
       page.on('pageerror', error => errors.push(error.message));
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
 
       const result = await page.evaluate(async () => {
         await window.IndexedDB.clearMarketCache();
@@ -357,10 +357,14 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
         total: 5, valid: 2, stale: 2, legacyUnindexed: 1,
         oldestUnix: result.initial.oldestUnix,
         newestUnix: result.initial.newestUnix,
-        sizeBytes: 5 * 256 * 1024
+        sizeBytes: 5 * 256 * 1024,
+        recordedBytes: 0,
+        unmeasured: 5,
+        storageUsageBytes: result.initial.storageUsageBytes,
+        storageQuotaBytes: result.initial.storageQuotaBytes
       });
       assert.equal(result.staleDeleted, 2, 'inclusive cutoff must be deleted');
-      assert.equal(result.oldestDeleted, 1, 'oldest indexed fresh entry must be deleted');
+      assert.equal(result.oldestDeleted, 1, 'one unmeasured entry covers a one-byte target');
       assert.equal(result.legacyDeleted, 1, 'legacy entry must be removed without reading its payload');
       assert.equal(result.final.total, 1, 'only newest indexed entry remains');
       assert.equal(result.final.legacyUnindexed, 0);
@@ -371,12 +375,117 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
     }
   });
 
+  test(`${name}: market cache records entry bytes and evicts oldest entries by byte target`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearMarketCache();
+        const now = Math.floor(Date.now() / 1000);
+        const worlds = size => [{ worldName: 'Gilgamesh', listings: 'x'.repeat(size) }];
+        await IndexedDB.saveMarketData('1@Aether', { itemId: 1, dataCenter: 'Aether', fetchedAtUnix: now - 30, worlds: worlds(40_000) });
+        await IndexedDB.saveMarketDataBatch([
+          { key: '2@Aether', data: { itemId: 2, dataCenter: 'Aether', fetchedAtUnix: now - 20, worlds: worlds(100) } },
+          { key: '3@Aether', data: { itemId: 3, dataCenter: 'Aether', fetchedAtUnix: now - 10, worlds: worlds(100) } },
+          { key: '2@Aether', data: { itemId: 2, dataCenter: 'Aether', fetchedAtUnix: now - 20, worlds: worlds(2_000) } }
+        ]);
+        const loaded = await IndexedDB.loadMarketDataBulk(['1@Aether', '2@Aether', '3@Aether'], 0);
+        const saved = await IndexedDB.getMarketCacheStats(0);
+        const oldest = loaded.find(entry => entry.key === '1@Aether');
+        const deleted = await IndexedDB.deleteOldestEntries(oldest.sizeBytes);
+        const evicted = await IndexedDB.getMarketCacheStats(0);
+        return {
+          recordedSum: loaded.reduce((total, entry) => total + entry.sizeBytes, 0),
+          oldestBytes: oldest.sizeBytes,
+          saved,
+          deleted,
+          evicted,
+          remaining: (await IndexedDB.loadMarketDataBulk(['1@Aether', '2@Aether', '3@Aether'], 0))
+            .map(entry => entry.key)
+            .sort()
+        };
+      });
+
+      assert.ok(result.oldestBytes > 40_000, 'large multi-world payloads must count their real size');
+      assert.equal(result.saved.total, 3);
+      assert.equal(result.saved.unmeasured, 0);
+      assert.equal(result.saved.recordedBytes, result.recordedSum);
+      assert.equal(result.saved.sizeBytes, result.recordedSum);
+      assert.equal(typeof result.saved.storageQuotaBytes, 'number');
+      assert.equal(result.deleted, 1, 'the oldest entry alone satisfies its own byte target');
+      assert.equal(result.evicted.recordedBytes, result.recordedSum - result.oldestBytes);
+      assert.deepEqual(result.remaining, ['2@Aether', '3@Aether']);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: market history keeps bounded price samples with series and change queries`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearMarketHistory();
+        const now = Math.floor(Date.now() / 1000);
+        const day = 86400;
+        const save = (fetchedAtUnix, dcAvgPrice, prices) => IndexedDB.saveMarketData('5057@Aether', {
+          itemId: 5057,
+          dataCenter: 'Aether',
+          fetchedAtUnix,
+          dcAvgPrice,
+          hqAvgPrice: null,
+          worlds: [{
+            worldName: 'Gilgamesh',
+            listings: prices.map((pricePerUnit, index) => ({ pricePerUnit, isHq: index === 0, quantity: 1 }))
+          }]
+        });
+        await save(now - 400 * day, 10, [10]);
+        const interval = Math.floor((now - 10 * day) / 900) * 900;
+        await save(interval, 100, [140, 80]);
+        await save(interval + 60, 110, [140, 90]);
+        await save(now - 3 * day, 120, [150, 95]);
+        await save(now, 150, [200, 130]);
+        return {
+          samples: await IndexedDB.loadMarketHistory('5057@Aether'),
+          series: await IndexedDB.loadMarketHistorySeries('5057@Aether', {
+            field: 'minPrice',
+            worldName: 'Gilgamesh',
+            fromUnix: now - 5 * day
+          }),
+          changes: await IndexedDB.getMarketPriceChanges(['5057@Aether', 'unknown@Aether'], 7),
+          invalidField: await IndexedDB.getMarketPriceChanges(['5057@Aether'], 7, 'listings')
+            .then(() => null, error => error.message)
+        };
+      });
+
+      assert.deepEqual(
+        result.samples.map(sample => [sample.dcAvgPrice, sample.minPrice, sample.hqMinPrice]),
+        [[110, 90, 140], [120, 95, 150], [150, 130, 200]],
+        'expired samples are dropped and refreshes inside one interval replace their sample');
+      assert.equal('listings' in result.samples[0].worlds[0], false);
+      assert.deepEqual(result.series.points.map(point => point.close), [95, 130]);
+      assert.equal(result.changes.length, 1);
+      assert.equal(result.changes[0].fromPrice, 110);
+      assert.equal(result.changes[0].toPrice, 150);
+      assert.ok(Math.abs(result.changes[0].percentChange - 36.36) < 0.01);
+      assert.match(result.invalidField, /Unknown market history field/);
+    } finally {
+      await browser.close();
+    }
+  });
+
   test(`${name}: market analysis patch invalidates persisted procurement route`, { timeout: 30_000 }, async () => {
     const browser = await browserType.launch({ headless: true });
     try {
       const page = await browser.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
 
       const patched = await page.evaluate(async () => {
         await IndexedDB.savePlan({
@@ -409,7 +518,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
     try {
       const page = await browser.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
 
       const migrated = await page.evaluate(async () => {
         await IndexedDB.loadPlan('initialize-schema');
@@ -483,7 +592,7 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
     try {
       const page = await browser.newPage();
       await page.goto(origin, { waitUntil: 'load' });
-      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 30);
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
 
       const patched = await page.evaluate(async () => {
         const marketIntelligenceJson = JSON.stringify({ evidence: 'x'.repeat(1024 * 1024) });
@@ -547,12 +656,1761 @@ for (const [name, browserType] of [['chromium', chromium], ['firefox', firefox]]
       assert.equal(patched.schemaVersion, 2);
       assert.equal(patched.marketEvidenceRefReused, true);
       assert.equal(patched.planRefReplaced, true);
-      assert.equal(patched.componentCount, 3);
+      assert.equal(patched.componentCount, 4, 'the replaced plan payload stays shared with version history');
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: large plan components are gzip-compressed and raw legacy components stay readable`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const marketItemAnalysesJson = JSON.stringify(
+          Array.from({ length: 5000 }, (_, index) => ({ itemId: index, recommendation: 'buy-nq', price: index * 3 })));
+        await IndexedDB.savePlan({
+          id: 'compressed',
+          name: 'Compressed',
+          projectItems: [],
+          planJson: '{"plan":"small"}',
+          marketItemAnalysesJson
+        });
+
+        const openRequest = indexedDB.open('FFXIVCraftArchitect.Personal');
+        const database = await new Promise((resolve, reject) => {
+          openRequest.onsuccess = () => resolve(openRequest.result);
+          openRequest.onerror = () => reject(openRequest.error);
+        });
+        const read = (storeName, key) => new Promise((resolve, reject) => {
+          const request = database.transaction(storeName).objectStore(storeName).get(key);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        const record = await read('plans', 'compressed');
+        const analyses = await read('planComponents', record.componentRefs.marketItemAnalysesJson);
+        const plan = await read('planComponents', record.componentRefs.planJson);
+        await new Promise((resolve, reject) => {
+          const transaction = database.transaction('planComponents', 'readwrite');
+          const { encoding: _encoding, ...legacy } = plan;
+          transaction.objectStore('planComponents').put({ ...legacy, payload: '{"plan":"legacy"}' });
+          transaction.oncomplete = resolve;
+          transaction.onerror = () => reject(transaction.error);
+        });
+        database.close();
+
+        const loaded = await IndexedDB.loadPlan('compressed');
+        const archive = JSON.parse(JSON.stringify(await IndexedDB.exportBrowserBackup()));
+        await IndexedDB.clearAllPlans();
+        const restore = await IndexedDB.restoreBrowserBackup(archive);
+        const restored = await IndexedDB.loadPlan('compressed');
+        return {
+          analysesEncoding: analyses.encoding,
+          analysesBinary: analyses.payload instanceof ArrayBuffer,
+          compressedRatio: analyses.payload.byteLength / marketItemAnalysesJson.length,
+          planEncoding: plan.encoding,
+          analysesMatch: loaded.marketItemAnalysesJson === marketItemAnalysesJson,
+          legacyPlanJson: loaded.planJson,
+          restoreValid: restore.valid,
+          restoredMatch: restored.marketItemAnalysesJson === marketItemAnalysesJson
+        };
+      });
+
+      assert.equal(result.analysesEncoding, 'gzip');
+      assert.equal(result.analysesBinary, true);
+      assert.ok(result.compressedRatio < 0.5, `compressed to ${result.compressedRatio} of the raw size`);
+      assert.equal(result.planEncoding, 'identity', 'small payloads are stored raw');
+      assert.equal(result.analysesMatch, true);
+      assert.equal(result.legacyPlanJson, '{"plan":"legacy"}', 'components without an encoding read as stored');
+      assert.equal(result.restoreValid, true);
+      assert.equal(result.restoredMatch, true, 'backups carry compressed payloads through JSON');
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: browser backup round-trips every database after a dry-run report`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.savePlan({
+          id: 'backup-plan',
+          name: 'Backup Plan',
+          projectItems: [{ id: 1, name: 'Cobalt Ingot' }],
+          planJson: '{"plan":"backed-up"}'
+        });
+        await IndexedDB.saveSetting('backup.setting', '"kept"');
+        await IndexedDB.saveTradeOrder({ id: 'backup-order', companyProfileId: 'company-a' });
+        await IndexedDB.saveMarketData('5057@Aether', {
+          itemId: 5057,
+          dataCenter: 'Aether',
+          fetchedAtUnix: Math.floor(Date.now() / 1000),
+          worlds: []
+        });
+        const archive = JSON.stringify(await IndexedDB.exportBrowserBackup());
+
+        await IndexedDB.deletePlan('backup-plan');
+        await IndexedDB.deleteTradeOrder('backup-order');
+        await IndexedDB.saveTradeOrder({ id: 'after-backup', companyProfileId: 'company-a' });
+        const dryRun = await IndexedDB.validateBrowserBackup(archive);
+        const orderAfterDryRun = await IndexedDB.loadTradeOrder('backup-order');
+
+        const newer = JSON.parse(archive);
+        newer.manifest.databases.company.schemaVersion = 99;
+        const rejected = await IndexedDB.restoreBrowserBackup(newer);
+        const restored = await IndexedDB.restoreBrowserBackup(archive);
+        return {
+          dryRun,
+          orderAfterDryRun,
+          rejected,
+          restored,
+          plan: await IndexedDB.loadPlan('backup-plan'),
+          setting: await IndexedDB.loadSetting('backup.setting'),
+          order: await IndexedDB.loadTradeOrder('backup-order'),
+          replacedOrder: await IndexedDB.loadTradeOrder('after-backup'),
+          market: await IndexedDB.loadMarketData('5057@Aether')
+        };
+      });
+
+      assert.equal(result.dryRun.valid, true);
+      assert.equal(result.dryRun.restored, false);
+      assert.deepEqual(result.dryRun.databases.company.stores.tradeOrders, { archived: 1, current: 1 });
+      assert.equal(result.dryRun.databases.personal.stores.plans.current, 0);
+      assert.equal(result.orderAfterDryRun, null, 'a dry run must not write');
+      assert.equal(result.rejected.valid, false);
+      assert.equal(result.rejected.restored, false);
+      assert.equal(result.restored.restored, true);
+      assert.equal(result.plan.planJson, '{"plan":"backed-up"}');
+      assert.equal(result.setting, '"kept"');
+      assert.equal(result.order.companyProfileId, 'company-a');
+      assert.equal(result.replacedOrder, null);
+      assert.equal(result.market.itemId, 5057);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: plan history restores and diffs prior versions through shared components`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.savePlan({
+          id: 'history-plan',
+          name: 'History Plan',
+          projectItems: [{ id: 1, name: 'Cobalt Ingot', quantity: 1 }],
+          planJson: '{"plan":"first"}',
+          marketIntelligenceJson: '{"evidence":"first"}'
+        });
+        await IndexedDB.patchPlanAndProcurementRoute('history-plan', {
+          planJson: '{"plan":"second"}',
+          projectItems: [
+            { id: 1, name: 'Cobalt Ingot', quantity: 3 },
+            { id: 2, name: 'Iron Ore', quantity: 1 }
+          ],
+          procurementRouteJson: '{"route":"bad"}'
+        });
+        const history = await IndexedDB.loadPlanHistory('history-plan');
+        const firstVersion = await IndexedDB.loadPlanVersion('history-plan', history[0].versionId);
+        const diff = await IndexedDB.diffPlanVersions('history-plan', history[0].versionId);
+        const restored = await IndexedDB.restorePlanVersion('history-plan', history[0].versionId);
+        const current = await IndexedDB.loadPlan('history-plan');
+        const historyAfterRestore = await IndexedDB.loadPlanHistory('history-plan');
+        for (let index = 0; index < 12; index++) {
+          await IndexedDB.patchPlanAndProcurementRoute('history-plan', { planJson: `{"plan":${index}}` });
+        }
+        const boundedHistory = await IndexedDB.loadPlanHistory('history-plan');
+        const oldestRetained = await IndexedDB.loadPlanVersion(
+          'history-plan',
+          boundedHistory.at(-1).versionId);
+        await IndexedDB.deletePlan('history-plan');
+        const open = indexedDB.open('FFXIVCraftArchitect.Personal');
+        const database = await new Promise((resolve, reject) => {
+          open.onsuccess = () => resolve(open.result);
+          open.onerror = () => reject(open.error);
+        });
+        const componentCount = await new Promise((resolve, reject) => {
+          const request = database.transaction('planComponents').objectStore('planComponents').count();
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        database.close();
+        return {
+          history,
+          firstVersion,
+          diff,
+          restored,
+          current,
+          historyAfterRestore,
+          boundedHistoryLength: boundedHistory.length,
+          oldestRetainedEvidence: oldestRetained.marketIntelligenceJson,
+          historyAfterDelete: await IndexedDB.loadPlanHistory('history-plan'),
+          componentCount
+        };
+      });
+
+      assert.equal(result.history.length, 1);
+      assert.equal(result.history[0].itemCount, 1);
+      assert.equal(result.firstVersion.planJson, '{"plan":"first"}');
+      assert.equal(result.firstVersion.procurementRouteJson, null);
+      assert.deepEqual(result.diff.projectItems.added.map(item => item.id), [2]);
+      assert.deepEqual(result.diff.projectItems.changed.map(item => item.id), [1]);
+      assert.deepEqual(result.diff.changedComponents, ['planJson', 'procurementRouteJson']);
+      assert.equal(result.restored, true);
+      assert.equal(result.current.planJson, '{"plan":"first"}');
+      assert.equal(result.current.procurementRouteJson, null);
+      assert.equal(result.current.marketIntelligenceJson, '{"evidence":"first"}');
+      assert.equal(result.historyAfterRestore.length, 2, 'the replaced plan must remain restorable');
+      assert.equal(result.boundedHistoryLength, 10);
+      assert.equal(result.oldestRetainedEvidence, '{"evidence":"first"}');
+      assert.deepEqual(result.historyAfterDelete, []);
+      assert.equal(result.componentCount, 0);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: plan search ranks prefix matches across names, items and source plans`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearAllPlans();
+        await IndexedDB.savePlan({
+          id: 'search-cobalt',
+          name: 'Cobalt Week',
+          dataCenter: 'Aether',
+          modifiedAt: '2026-03-04T10:00:00.000Z',
+          projectItems: [{ id: 5057, name: 'Cobalt Ingot', quantity: 9 }]
+        });
+        await IndexedDB.savePlan({
+          id: 'search-armor',
+          name: 'Armor Set',
+          dataCenter: 'Primal',
+          modifiedAt: '2026-05-01T10:00:00.000Z',
+          sourcePlanName: 'Crème Brûlée Week',
+          projectItems: [{ id: 5057, name: 'Cobalt Ingot', quantity: 1 }]
+        });
+        await IndexedDB.savePlan({
+          id: 'search-cobaltite',
+          name: 'Cobaltite Hunt',
+          dataCenter: 'Aether',
+          modifiedAt: '2026-03-20T10:00:00.000Z',
+          projectItems: []
+        });
+        const ids = results => results.map(plan => plan.id);
+        const ranked = await IndexedDB.searchPlans('cobalt');
+        const march = await IndexedDB.searchPlans('cob ingot', {
+          modifiedFrom: '2026-03-01T00:00:00.000Z',
+          modifiedTo: '2026-03-31T23:59:59.999Z'
+        });
+        const source = await IndexedDB.searchPlans('creme');
+        await IndexedDB.deletePlan('search-cobalt');
+        return {
+          ranked: ids(ranked),
+          topMatch: ranked[0].matchedFields,
+          march: ids(march),
+          source: ids(source),
+          afterDelete: ids(await IndexedDB.searchPlans('ingot'))
+        };
+      });
+
+      assert.deepEqual(result.ranked, ['search-cobalt', 'search-armor', 'search-cobaltite']);
+      assert.deepEqual(result.topMatch, ['name']);
+      assert.deepEqual(result.march, ['search-cobalt'], 'every query token must match within the date range');
+      assert.deepEqual(result.source, ['search-armor']);
+      assert.deepEqual(result.afterDelete, ['search-armor']);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: plan folders and tags scope summaries and survive saves`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearAllPlans();
+        for (const id of ['library-a', 'library-b', 'library-c']) {
+          await IndexedDB.savePlan({ id, name: id, projectItems: [], planJson: `{"plan":"${id}"}` });
+        }
+        const moved = await IndexedDB.movePlans(['library-a', 'library-b'], ' Customers / Gilgamesh FC ');
+        await IndexedDB.movePlans(['library-c'], 'Customers');
+        const tagged = await IndexedDB.tagPlans(['library-a', 'library-c', 'missing'], ['7.2', 'urgent']);
+        await IndexedDB.untagPlans(['library-c'], ['urgent']);
+        await IndexedDB.savePlan({ id: 'library-a', name: 'library-a', projectItems: [], planJson: '{"plan":"saved"}' });
+        const ids = summaries => summaries.map(summary => summary.id).sort();
+        return {
+          moved,
+          tagged,
+          folder: ids(await IndexedDB.loadPlanSummaries({ folder: 'Customers' })),
+          subtree: ids(await IndexedDB.loadPlanSummaries({ folder: 'Customers', includeSubfolders: true })),
+          urgent: ids(await IndexedDB.loadPlanSummaries({ tags: ['7.2', 'urgent'] })),
+          folders: await IndexedDB.loadPlanFolders(),
+          tags: await IndexedDB.loadPlanTags(),
+          saved: await IndexedDB.loadPlan('library-a'),
+          historyLength: (await IndexedDB.loadPlanHistory('library-a')).length
+        };
+      });
+
+      assert.equal(result.moved, 2);
+      assert.equal(result.tagged, 2);
+      assert.deepEqual(result.folder, ['library-c']);
+      assert.deepEqual(result.subtree, ['library-a', 'library-b', 'library-c']);
+      assert.deepEqual(result.urgent, ['library-a']);
+      assert.deepEqual(result.folders, [
+        { folder: 'Customers', planCount: 1 },
+        { folder: 'Customers/Gilgamesh FC', planCount: 2 }
+      ]);
+      assert.deepEqual(result.tags, [{ tag: '7.2', planCount: 2 }, { tag: 'urgent', planCount: 1 }]);
+      assert.equal(result.saved.folder, 'Customers/Gilgamesh FC', 'saves keep library organization');
+      assert.deepEqual(result.saved.tags, ['7.2', 'urgent']);
+      assert.equal(result.historyLength, 1, 'organization changes do not create plan versions');
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: storage audit reports and repairs component, summary and market drift`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearAllPlans();
+        await IndexedDB.clearMarketCache();
+        await IndexedDB.savePlan({ id: 'audit-a', name: 'Audit A', projectItems: [], planJson: '{"v":1}' });
+        await IndexedDB.savePlan({ id: 'audit-a', name: 'Audit A', projectItems: [], planJson: '{"v":2}' });
+        await IndexedDB.savePlan({ id: 'audit-b', name: 'Audit B', projectItems: [], planJson: '{"v":1}' });
+        const clean = await IndexedDB.auditStorage();
+
+        const openDatabase = name => new Promise((resolve, reject) => {
+          const request = indexedDB.open(name);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        const write = (database, stores, work) => new Promise((resolve, reject) => {
+          const transaction = database.transaction(stores, 'readwrite');
+          work(transaction);
+          transaction.oncomplete = resolve;
+          transaction.onerror = () => reject(transaction.error);
+        });
+        const personal = await openDatabase('FFXIVCraftArchitect.Personal');
+        await write(personal, ['plans', 'planComponents', 'planSummaries', 'planSearchIndex'], transaction => {
+          transaction.objectStore('plans').get('audit-a').onsuccess = event =>
+            transaction.objectStore('planComponents').delete(event.target.result.componentRefs.planJson);
+          transaction.objectStore('planComponents').put({ id: 'audit-stray', planId: 'audit-gone', field: 'planJson', payload: '' });
+          transaction.objectStore('planSummaries').put({ id: 'audit-ghost', name: 'Ghost' });
+          transaction.objectStore('planSearchIndex').delete('audit-b');
+        });
+        personal.close();
+        const market = await openDatabase('FFXIVCraftArchitect.Market');
+        await write(market, ['marketCache'], transaction =>
+          transaction.objectStore('marketCache').put({ key: 'audit-legacy', itemId: 1 }));
+        market.close();
+
+        const loadError = await IndexedDB.loadPlan('audit-a').then(() => null, error => error.message);
+        const scan = await IndexedDB.auditStorage();
+        const repair = await IndexedDB.auditStorage({ repair: true });
+        return {
+          clean: clean.issueCount,
+          loadError,
+          scanCounts: scan.issueCounts,
+          scanRepaired: scan.repairedCount,
+          repaired: repair.repairedCount,
+          remaining: repair.remainingIssueCount,
+          restored: (await IndexedDB.loadPlan('audit-a'))?.planJson,
+          summaries: (await IndexedDB.loadPlanSummaries()).map(summary => summary.id).sort(),
+          search: (await IndexedDB.searchPlans('audit b')).map(entry => entry.id)
+        };
+      });
+
+      assert.equal(result.clean, 0);
+      assert.match(result.loadError, /storage audit/);
+      assert.deepEqual(result.scanCounts, {
+        danglingComponentRef: 1,
+        orphanComponent: 1,
+        summaryDrift: 1,
+        searchIndexDrift: 1,
+        unindexedMarketRow: 1
+      });
+      assert.equal(result.scanRepaired, 0, 'a scan without repair changes nothing');
+      assert.equal(result.repaired, 5);
+      assert.equal(result.remaining, 0);
+      assert.equal(result.restored, '{"v":1}', 'a plan with a missing component falls back to its newest intact version');
+      assert.deepEqual(result.summaries, ['audit-a', 'audit-b']);
+      assert.deepEqual(result.search, ['audit-b']);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: trade queries page through company indexes with stable continuation`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const orders = [];
+        for (let index = 0; index < 7; index++) {
+          orders.push({
+            id: `order-${index}`,
+            companyProfileId: 'company-a',
+            status: index % 3,
+            commissionedAtUtc: `2026-01-0${1 + Math.floor(index / 2)}T00:00:00.000Z`,
+            updatedAtUtc: '2026-01-10T00:00:00.000Z'
+          });
+        }
+        orders.push({
+          id: 'other-company',
+          companyProfileId: 'company-b',
+          status: 0,
+          commissionedAtUtc: '2026-01-02T00:00:00.000Z'
+        });
+        await IndexedDB.saveTradeOrdersBatch(orders);
+        await IndexedDB.saveTradeCraftersBatch([
+          { id: 'crafter-b', companyProfileId: 'company-a', displayName: 'Bea' },
+          { id: 'crafter-a', companyProfileId: 'company-a', displayName: 'Ari' },
+          { id: 'crafter-c', companyProfileId: 'company-a', displayName: 'Cid' }
+        ]);
+
+        const pages = [];
+        let continuationToken = null;
+        do {
+          const page = await IndexedDB.queryTradeOrders({
+            companyProfileId: 'company-a',
+            pageSize: 3,
+            continuationToken
+          });
+          pages.push(page.records.map(order => order.id));
+          continuationToken = page.continuationToken;
+        } while (continuationToken);
+
+        const statusPages = [];
+        continuationToken = null;
+        do {
+          const page = await IndexedDB.queryTradeOrders({
+            companyProfileId: 'company-a',
+            statuses: [0, 2],
+            direction: 'asc',
+            from: '2026-01-02T00:00:00.000Z',
+            pageSize: 2,
+            continuationToken
+          });
+          statusPages.push(page.records.map(order => order.id));
+          continuationToken = page.continuationToken;
+        } while (continuationToken);
+
+        const crafters = await IndexedDB.queryTradeCrafters({
+          companyProfileId: 'company-a',
+          pageSize: 2
+        });
+        const statusError = await IndexedDB.queryTradeCrafters({
+          companyProfileId: 'company-a',
+          statuses: [0]
+        }).then(() => null, error => error.message);
+        const loaded = await IndexedDB.loadTradeOrders('company-a');
+        return {
+          pages,
+          statusPages,
+          crafterIds: crafters.records.map(crafter => crafter.id),
+          crafterToken: crafters.continuationToken,
+          statusError,
+          loadedCount: loaded.length
+        };
+      });
+
+      assert.deepEqual(result.pages, [
+        ['order-6', 'order-5', 'order-4'],
+        ['order-3', 'order-2', 'order-1'],
+        ['order-0']
+      ]);
+      assert.deepEqual(result.statusPages, [
+        ['order-2', 'order-3'],
+        ['order-5', 'order-6']
+      ]);
+      assert.deepEqual(result.crafterIds, ['crafter-a', 'crafter-b']);
+      assert.equal(typeof result.crafterToken, 'string');
+      assert.match(result.statusError, /cannot be filtered by status/);
+      assert.equal(result.loadedCount, 7);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: committed writes notify subscribers in other tabs only`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const context = await browser.newContext();
+      const listener = await context.newPage();
+      const writer = await context.newPage();
+      for (const page of [listener, writer]) {
+        await page.goto(origin, { waitUntil: 'load' });
+        await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+      }
+
+      const subscribe = () => {
+        window.receivedStorageChanges = [];
+        const callback = {
+          invokeMethodAsync: async (methodName, change) => {
+            window.receivedStorageChanges.push({ methodName, change });
+          }
+        };
+        window.storageChangeSubscription = IndexedDB.subscribeStorageChanges(callback);
+      };
+      await listener.evaluate(subscribe);
+      await writer.evaluate(subscribe);
+
+      await writer.evaluate(async () => {
+        await IndexedDB.savePlan({ id: 'shared', name: 'Shared', projectItems: [] });
+        await IndexedDB.saveSetting('ui.accent_color', '"#ffffff"');
+        await IndexedDB.saveTradeOrder({ id: 'order-1', companyId: 'company', status: 'Draft' });
+        await IndexedDB.saveMarketDataBatch([
+          { key: 'Aether:1', data: { itemId: 1, dataCenter: 'Aether', fetchedAtUnix: 100, worlds: [] } }
+        ]);
+        await IndexedDB.deletePlan('shared');
+        await IndexedDB.clearAllPlans();
+      });
+      await listener.waitForFunction(() => window.receivedStorageChanges.length === 6);
+
+      const received = await listener.evaluate(() => window.receivedStorageChanges);
+      assert.ok(received.every(entry => entry.methodName === 'ReceiveStorageChange'));
+      assert.deepEqual(received.map(entry => entry.change), [
+        { store: 'plans', ids: ['shared'], kind: 'put' },
+        { store: 'settings', ids: ['ui.accent_color'], kind: 'put' },
+        { store: 'tradeOrders', ids: ['order-1'], kind: 'put' },
+        { store: 'marketCache', ids: ['Aether:1'], kind: 'put' },
+        { store: 'plans', ids: ['shared'], kind: 'delete' },
+        { store: 'plans', ids: [], kind: 'clear' }
+      ]);
+      assert.equal(await writer.evaluate(() => window.receivedStorageChanges.length), 0);
+
+      const afterUnsubscribe = await listener.evaluate(async () => {
+        const removed = IndexedDB.unsubscribeStorageChanges(window.storageChangeSubscription);
+        window.receivedStorageChanges = [];
+        return removed;
+      });
+      await writer.evaluate(() => IndexedDB.saveSetting('ui.accent_color', '"#000000"'));
+      await listener.waitForTimeout(200);
+      assert.equal(afterUnsubscribe, true);
+      assert.equal(await listener.evaluate(() => window.receivedStorageChanges.length), 0);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: deleted plans, orders and crafters move to the recycle bin and restore intact`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const marketItemAnalysesJson = JSON.stringify(
+          Array.from({ length: 3000 }, (_, index) => ({ itemId: index, recommendation: 'buy-hq' })));
+        await IndexedDB.savePlan({
+          id: 'trash-plan',
+          name: 'Month-old commission',
+          projectItems: [{ id: 5057, name: 'Cobalt Ingot' }],
+          planJson: '{"plan":1}',
+          marketItemAnalysesJson
+        });
+        await IndexedDB.savePlan({
+          id: 'trash-plan',
+          name: 'Month-old commission',
+          projectItems: [{ id: 5057, name: 'Cobalt Ingot' }],
+          planJson: '{"plan":2}',
+          marketItemAnalysesJson
+        });
+        await IndexedDB.saveTradeOrder({ id: 'trash-order', companyProfileId: 'company-a', title: 'Commission' });
+        await IndexedDB.saveTradeOrderCraftSnapshot({
+          id: 'trash-snapshot',
+          orderId: 'trash-order',
+          companyProfileId: 'company-a',
+          updatedAtUtc: '2026-01-01T00:00:00Z'
+        });
+        await IndexedDB.saveTradeCrafter({ id: 'trash-crafter', companyProfileId: 'company-a', displayName: 'Crafter' });
+
+        await IndexedDB.deletePlan('trash-plan');
+        await IndexedDB.deleteTradeOrder('trash-order');
+        await IndexedDB.deleteTradeCrafter('trash-crafter');
+        const deleted = {
+          plan: await IndexedDB.loadPlan('trash-plan'),
+          summaries: (await IndexedDB.loadPlanSummaries()).map(summary => summary.id),
+          order: await IndexedDB.loadTradeOrder('trash-order'),
+          snapshot: await IndexedDB.loadTradeOrderCraftSnapshot('trash-snapshot')
+        };
+        const trash = await IndexedDB.listTrash();
+        const orderTrash = await IndexedDB.listTrash({ kind: 'tradeOrder' });
+
+        await IndexedDB.saveTradeOrder({ id: 'trash-order', companyProfileId: 'company-a', title: 'Replacement' });
+        const conflict = await IndexedDB.restoreFromTrash(orderTrash[0].id)
+          .then(() => null, error => error.message);
+        await IndexedDB.deleteTradeOrder('trash-order');
+
+        const restored = [];
+        for (const entry of trash) {
+          restored.push(await IndexedDB.restoreFromTrash(entry.id));
+        }
+        const plan = await IndexedDB.loadPlan('trash-plan');
+        const history = await IndexedDB.loadPlanHistory('trash-plan');
+        const search = (await IndexedDB.searchPlans('cobalt')).map(entry => entry.id);
+        const audit = await IndexedDB.auditStorage();
+
+        await IndexedDB.clearAllPlans();
+        const cleared = (await IndexedDB.listTrash({ kind: 'plan' })).map(entry => entry.recordId);
+        const purged = await IndexedDB.purgeTrash(0);
+        return {
+          deleted,
+          trash,
+          conflict,
+          restored,
+          planJson: plan.planJson,
+          analysesMatch: plan.marketItemAnalysesJson === marketItemAnalysesJson,
+          historyLength: history.length,
+          search,
+          order: await IndexedDB.loadTradeOrder('trash-order'),
+          snapshot: await IndexedDB.loadTradeOrderCraftSnapshot('trash-snapshot'),
+          crafter: (await IndexedDB.loadTradeCrafters('company-a')).map(crafter => crafter.id),
+          auditIssues: audit.issueCount,
+          cleared,
+          purged,
+          remaining: (await IndexedDB.listTrash()).length,
+          missing: await IndexedDB.restoreFromTrash('plan:gone:0')
+        };
+      });
+
+      assert.equal(result.deleted.plan, null);
+      assert.deepEqual(result.deleted.summaries, []);
+      assert.equal(result.deleted.order, null);
+      assert.equal(result.deleted.snapshot, null);
+      assert.deepEqual(
+        result.trash.map(entry => [entry.kind, entry.recordId, entry.name]).sort(),
+        [
+          ['plan', 'trash-plan', 'Month-old commission'],
+          ['tradeCrafter', 'trash-crafter', 'Crafter'],
+          ['tradeOrder', 'trash-order', 'Commission']
+        ]);
+      assert.ok(result.trash.every(entry =>
+        Date.parse(entry.expiresAtUtc) - Date.parse(entry.deletedAtUtc) === 30 * 86400 * 1000));
+      assert.match(result.conflict, /same id exists/);
+      assert.deepEqual(result.restored, [true, true, true]);
+      assert.equal(result.planJson, '{"plan":2}');
+      assert.equal(result.analysesMatch, true);
+      assert.equal(result.historyLength, 1);
+      assert.deepEqual(result.search, ['trash-plan']);
+      assert.equal(result.order.title, 'Commission');
+      assert.equal(result.snapshot.orderId, 'trash-order');
+      assert.deepEqual(result.crafter, ['trash-crafter']);
+      assert.equal(result.auditIssues, 0);
+      assert.deepEqual(result.cleared, ['trash-plan']);
+      assert.equal(result.purged, 2);
+      assert.equal(result.remaining, 0);
+      assert.equal(result.missing, false);
     } finally {
       await browser.close();
     }
   });
 
+  test(`${name}: settings validate on load and profiles round-trip only portable keys`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.saveSettingsBatch({
+          'market.region': JSON.stringify('Europe'),
+          'market.include_cross_world': JSON.stringify('yes'),
+          'procurement.travel_tolerance': JSON.stringify(40),
+          'procurement.travel_priority': JSON.stringify('Teleport'),
+          'ui.accent_color': '{broken',
+          'marketmafioso.api_key': JSON.stringify('secret-key'),
+          'marketmafioso.pending_submission': 'null',
+          'marketmafioso.active_handoff': JSON.stringify(['not', 'an', 'object']),
+          'profileHost.accessKey': JSON.stringify('host-key'),
+          'custom.unknown': 'kept as-is'
+        });
+        const loaded = await IndexedDB.loadAllSettings();
+        const single = await IndexedDB.loadSetting('procurement.travel_priority');
+        const profile = await IndexedDB.exportSettingsProfile('  Raid night  ');
+
+        await IndexedDB.saveSetting('market.region', JSON.stringify('Japan'));
+        const imported = await IndexedDB.importSettingsProfile(JSON.stringify({
+          ...profile,
+          settings: {
+            ...profile.settings,
+            'marketmafioso.api_key': 'stolen',
+            'profileHost.accessKey': 'stolen',
+            'ui.trade_orders_ops_pane_width': 'wide'
+          }
+        }));
+        const rejected = await IndexedDB.importSettingsProfile('{"format":"something-else"}');
+
+        return {
+          loaded,
+          single,
+          profile,
+          imported,
+          rejected,
+          afterImport: await IndexedDB.loadAllSettings()
+        };
+      });
+
+      assert.equal(result.loaded['market.region'], '"Europe"');
+      assert.equal(result.loaded['market.include_cross_world'], undefined);
+      assert.equal(result.loaded['procurement.travel_tolerance'], '11');
+      assert.equal(result.loaded['procurement.travel_priority'], undefined);
+      assert.equal(result.loaded['ui.accent_color'], undefined);
+      assert.equal(result.loaded['custom.unknown'], 'kept as-is');
+      assert.equal(result.loaded['marketmafioso.pending_submission'], 'null');
+      assert.equal(result.loaded['marketmafioso.active_handoff'], undefined);
+      assert.equal(result.single, null);
+
+      assert.equal(result.profile.format, 'craft-architect-settings-profile');
+      assert.equal(result.profile.name, 'Raid night');
+      assert.equal(result.profile.settings['market.region'], 'Europe');
+      assert.equal(result.profile.settings['market.include_cross_world'], true);
+      assert.equal(result.profile.settings['procurement.travel_tolerance'], 11);
+      assert.equal(result.profile.settings['ui.accent_color'], '#d4af37');
+      assert.ok(!('marketmafioso.api_key' in result.profile.settings));
+      assert.ok(Object.keys(result.profile.settings).every(key =>
+        !key.startsWith('profileHost.') && !key.startsWith('marketmafioso.') && !key.startsWith('debug.')));
+
+      assert.equal(result.imported.valid, true);
+      assert.equal(result.imported.imported, true);
+      assert.equal(result.imported.name, 'Raid night');
+      assert.ok(!result.imported.keys.includes('marketmafioso.api_key'));
+      assert.ok(!result.imported.keys.includes('profileHost.accessKey'));
+      assert.ok(!result.imported.keys.includes('ui.trade_orders_ops_pane_width'));
+      assert.equal(result.imported.warnings.length, 3);
+      assert.equal(result.rejected.valid, false);
+      assert.equal(result.rejected.imported, false);
+
+      assert.equal(result.afterImport['market.region'], '"Europe"');
+      assert.equal(result.afterImport['marketmafioso.api_key'], '"secret-key"');
+      assert.equal(result.afterImport['profileHost.accessKey'], '"host-key"');
+    } finally {
+      await browser.close();
+    }
+  });
+  test(`${name}: migration runner rehearses on a copy and records applied steps`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const context = await browser.newContext();
+      const setup = await context.newPage();
+      await setup.goto(`${origin}/empty`, { waitUntil: 'load' });
+      await setup.evaluate(async () => {
+        await new Promise((resolve, reject) => {
+          const deletion = indexedDB.deleteDatabase('FFXIVCraftArchitect.Company');
+          deletion.onsuccess = resolve;
+          deletion.onerror = () => reject(deletion.error);
+        });
+        await new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Company', 2);
+          request.onupgradeneeded = () => {
+            const database = request.result;
+            database.createObjectStore('storageMetadata', { keyPath: 'id' })
+              .put({ id: 'legacy-monolith-v15', state: 'complete', domain: 'company' });
+            const companies = database.createObjectStore('tradeCompanyProfiles', { keyPath: 'id' });
+            companies.createIndex('updatedAtUtc', 'updatedAtUtc');
+            const crafters = database.createObjectStore('tradeCrafters', { keyPath: 'id' });
+            crafters.createIndex('companyProfileId', 'companyProfileId');
+            crafters.createIndex('displayName', 'displayName');
+            const orders = database.createObjectStore('tradeOrders', { keyPath: 'id' });
+            orders.createIndex('companyProfileId', 'companyProfileId');
+            orders.createIndex('status', 'status');
+            orders.createIndex('commissionedAtUtc', 'commissionedAtUtc');
+            orders.put({ id: 'kept-order', companyProfileId: 'company-a', title: 'Kept' });
+            const archive = database.createObjectStore('tradeOrderArchiveSummaries', { keyPath: 'orderId' });
+            archive.put({ orderId: 'ORDER-1', connectionScopeId: 'scope-a', title: 'Archived' });
+            archive.put({ orderId: 'orphan', title: 'No scope' });
+            const snapshots = database.createObjectStore('tradeOrderCraftSnapshots', { keyPath: 'id' });
+            snapshots.createIndex('companyProfileId', 'companyProfileId');
+            snapshots.createIndex('orderId', 'orderId');
+            snapshots.createIndex('updatedAtUtc', 'updatedAtUtc');
+            const payroll = database.createObjectStore('tradePayrollDrafts', { keyPath: 'id' });
+            payroll.createIndex('companyProfileId', 'companyProfileId');
+            payroll.createIndex('orderId', 'orderId');
+            payroll.createIndex('planSessionVersion', 'planSessionVersion');
+            payroll.createIndex('updatedAtUtc', 'updatedAtUtc');
+          };
+          request.onsuccess = () => {
+            request.result.close();
+            resolve();
+          };
+          request.onerror = () => reject(request.error);
+        });
+      });
+      await setup.close();
+
+      const page = await context.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+      const result = await page.evaluate(async () => {
+        const openVersion = () => new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Company');
+          request.onsuccess = () => {
+            const version = request.result.version;
+            request.result.close();
+            resolve(version);
+          };
+          request.onerror = () => reject(request.error);
+        });
+        const rejection = async operation => {
+          try {
+            await operation();
+            return null;
+          } catch (error) {
+            return error.message;
+          }
+        };
+
+        const dryRun = await IndexedDB.dryRunStorageMigrations('company');
+        const versionAfterDryRun = await openVersion();
+        const databases = (await indexedDB.databases()).map(database => database.name);
+        const order = await IndexedDB.loadTradeOrder('kept-order');
+        const history = await IndexedDB.loadStorageMigrationHistory('company');
+        const archive = await new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Company');
+          request.onsuccess = () => {
+            const read = request.result
+              .transaction('tradeOrderArchiveSummaries', 'readonly')
+              .objectStore('tradeOrderArchiveSummaries')
+              .getAll();
+            read.onsuccess = () => {
+              request.result.close();
+              resolve(read.result);
+            };
+          };
+          request.onerror = () => reject(request.error);
+        });
+        return {
+          dryRun,
+          versionAfterDryRun,
+          databases,
+          order,
+          history,
+          archive,
+          current: await IndexedDB.dryRunStorageMigrations('company'),
+          fresh: await IndexedDB.dryRunStorageMigrations('market'),
+          unknownDomain: await rejection(() => IndexedDB.dryRunStorageMigrations('ledger')),
+          futureVersion: await rejection(() => IndexedDB.dryRunStorageMigrations('company', { toVersion: 99 }))
+        };
+      });
+
+      assert.equal(result.dryRun.valid, true, result.dryRun.error ?? result.dryRun.incompatibility);
+      assert.equal(result.dryRun.fromVersion, 2);
+      assert.equal(result.dryRun.toVersion, 6);
+      assert.deepEqual(result.dryRun.steps.map(step => step.version), [3, 4, 5, 6]);
+      assert.equal(result.dryRun.steps[0].read, 2);
+      assert.equal(result.dryRun.steps[0].written, 1);
+      assert.deepEqual(result.dryRun.stores.tradeOrderArchiveSummaries, { before: 2, after: 1 });
+      assert.deepEqual(result.dryRun.stores.tradeOrders, { before: 1, after: 1 });
+      assert.equal(result.versionAfterDryRun, 2);
+      assert.ok(!result.databases.some(name => name.endsWith('.migration-dry-run')));
+
+      assert.equal(result.order.title, 'Kept');
+      assert.deepEqual(result.history.map(step => [step.version, step.fromVersion]), [[3, 2], [4, 2], [5, 2], [6, 2]]);
+      assert.deepEqual(result.archive.map(record => record.id), ['scope-a\u001forder-1']);
+
+      assert.equal(result.current.valid, true);
+      assert.equal(result.current.fromVersion, 6);
+      assert.deepEqual(result.current.steps, []);
+      assert.equal(result.fresh.valid, true);
+      assert.deepEqual(result.fresh.steps.map(step => step.version), [1, 2, 3, 4]);
+      assert.match(result.unknownDomain, /Unknown storage domain "ledger"/);
+      assert.match(result.futureVersion, /cannot dry-run to v99/);
+      await context.close();
+    } finally {
+      await browser.close();
+    }
+  });
+  test(`${name}: company upgrades backfill missing stores and rekey archives only from v2`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      for (const fromVersion of [1, 2]) {
+        const context = await browser.newContext();
+        const setup = await context.newPage();
+        await setup.goto(`${origin}/empty`, { waitUntil: 'load' });
+        await setup.evaluate(async fromVersion => {
+          await new Promise((resolve, reject) => {
+            const deletion = indexedDB.deleteDatabase('FFXIVCraftArchitect.Company');
+            deletion.onsuccess = resolve;
+            deletion.onerror = () => reject(deletion.error);
+          });
+          await new Promise((resolve, reject) => {
+            const request = indexedDB.open('FFXIVCraftArchitect.Company', fromVersion);
+            request.onupgradeneeded = () => {
+              // Crafters, snapshots, payroll drafts and every index are missing.
+              const database = request.result;
+              database.createObjectStore('storageMetadata', { keyPath: 'id' })
+                .put({ id: 'legacy-monolith-v15', state: 'complete', domain: 'company' });
+              database.createObjectStore('tradeCompanyProfiles', { keyPath: 'id' });
+              database.createObjectStore('tradeOrders', { keyPath: 'id' })
+                .put({ id: 'kept-order', companyProfileId: 'company-a', status: 'Draft', title: 'Kept' });
+              if (fromVersion === 1) {
+                database.createObjectStore('tradeOrderArchiveSummaries', { keyPath: 'id' })
+                  .put({ id: 'summary-1', title: 'Unscoped v1 summary' });
+              } else {
+                const archive = database.createObjectStore('tradeOrderArchiveSummaries', { keyPath: 'orderId' });
+                archive.put({ orderId: 'ORDER-1', connectionScopeId: 'scope-a', title: 'Archived' });
+                archive.put({ orderId: 'orphan', title: 'No scope' });
+              }
+            };
+            request.onsuccess = () => {
+              request.result.close();
+              resolve();
+            };
+            request.onerror = () => reject(request.error);
+          });
+        }, fromVersion);
+        await setup.close();
+
+        const page = await context.newPage();
+        await page.goto(origin, { waitUntil: 'load' });
+        await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+        const result = await page.evaluate(async () => {
+          const dryRun = await IndexedDB.dryRunStorageMigrations('company');
+          const order = await IndexedDB.loadTradeOrder('kept-order');
+          const history = await IndexedDB.loadStorageMigrationHistory('company');
+          const database = await new Promise((resolve, reject) => {
+            const request = indexedDB.open('FFXIVCraftArchitect.Company');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          const stores = Array.from(database.objectStoreNames);
+          const archive = await new Promise(resolve => {
+            const read = database
+              .transaction('tradeOrderArchiveSummaries', 'readonly')
+              .objectStore('tradeOrderArchiveSummaries')
+              .getAll();
+            read.onsuccess = () => resolve(read.result);
+          });
+          database.close();
+          return { dryRun, order, history, stores, archive };
+        });
+
+        assert.equal(result.dryRun.valid, true, result.dryRun.error ?? result.dryRun.incompatibility);
+        assert.equal(result.order.title, 'Kept');
+        for (const store of ['tradeCrafters', 'tradeOrderCraftSnapshots', 'tradePayrollDrafts', 'hostedOwnerState', 'trash']) {
+          assert.ok(result.stores.includes(store), `v${fromVersion} upgrade is missing ${store}`);
+        }
+        assert.deepEqual(
+          result.history.map(step => [step.version, step.fromVersion]),
+          [[3, fromVersion], [4, fromVersion], [5, fromVersion], [6, fromVersion]]);
+        if (fromVersion === 1) {
+          assert.equal(result.history[0].read, 0);
+          assert.deepEqual(result.archive.map(record => record.id), ['summary-1']);
+        } else {
+          assert.equal(result.history[0].read, 2);
+          assert.deepEqual(result.archive.map(record => record.id), ['scope-a\u001forder-1']);
+        }
+        await context.close();
+      }
+    } finally {
+      await browser.close();
+    }
+  });
+  test(`${name}: company encryption seals payloads in place behind a passphrase`, { timeout: 60_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const rejection = async operation => {
+          try {
+            await operation();
+            return null;
+          } catch (error) {
+            return error.message;
+          }
+        };
+        const readRaw = storeName => new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Company');
+          request.onsuccess = () => {
+            const read = request.result.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            read.onsuccess = () => {
+              request.result.close();
+              resolve(read.result);
+            };
+          };
+          request.onerror = () => reject(request.error);
+        });
+        const revisionKey = 'host.profile.objectRevision.tradeOrders.order-1';
+        const receiptKey = 'host.profile.ownerReceipt.order-1';
+
+        await IndexedDB.saveTradeOrder({
+          id: 'order-1',
+          companyProfileId: 'company-a',
+          status: 1,
+          commissionedAtUtc: '2026-02-01T00:00:00.000Z',
+          title: 'Gil ledger',
+          paymentGil: 125000
+        });
+        await IndexedDB.applyHostedOwnerVerificationBatch([], {
+          [revisionKey]: '3',
+          [receiptKey]: '{"paid":true}'
+        }, [], {});
+        const initial = await IndexedDB.getCompanyEncryptionStatus();
+        const shortPassphrase = await rejection(() => IndexedDB.enableCompanyEncryption('short'));
+        const enabled = await IndexedDB.enableCompanyEncryption('correct horse battery');
+        const enabledAgain = await rejection(() => IndexedDB.enableCompanyEncryption('another passphrase'));
+        await IndexedDB.saveTradeCrafter({ id: 'crafter-1', companyProfileId: 'company-a', displayName: 'Ari', wage: 900 });
+
+        const rawOrders = await readRaw('tradeOrders');
+        const rawOwnerState = await readRaw('hostedOwnerState');
+        const unlockedOrder = await IndexedDB.loadTradeOrder('order-1');
+        const page = await IndexedDB.queryTradeOrders({ companyProfileId: 'company-a', statuses: [1] });
+        const ownerSettings = await IndexedDB.loadHostedOwnerSettings([revisionKey, receiptKey]);
+
+        IndexedDB.lockCompanyDatabase();
+        const locked = await IndexedDB.getCompanyEncryptionStatus();
+        const lockedRead = await rejection(() => IndexedDB.loadTradeOrder('order-1'));
+        const lockedWrite = await rejection(() => IndexedDB.saveTradeOrder({ id: 'order-2', companyProfileId: 'company-a' }));
+        const revisionApplied = await IndexedDB.applyHostedTradeOrderState(null, 'order-9', revisionKey, '4', true);
+        const wrongPassphrase = await IndexedDB.unlockCompanyDatabase('wrong passphrase');
+        const unlocked = await IndexedDB.unlockCompanyDatabase('correct horse battery');
+        return {
+          initial,
+          shortPassphrase,
+          enabled,
+          enabledAgain,
+          rawOrders,
+          rawOwnerState,
+          rawCrafters: await readRaw('tradeCrafters'),
+          unlockedOrder,
+          page,
+          ownerSettings,
+          locked,
+          lockedRead,
+          lockedWrite,
+          revisionApplied,
+          wrongPassphrase,
+          unlocked,
+          crafters: await IndexedDB.loadTradeCrafters('company-a'),
+          reopened: await IndexedDB.getCompanyEncryptionStatus()
+        };
+      });
+
+      assert.deepEqual(result.initial, { enabled: false, locked: false, state: null, enabledAtUtc: null });
+      assert.match(result.shortPassphrase, /at least 8 characters/);
+      assert.equal(result.enabled.enabled, true);
+      assert.equal(result.enabled.locked, false);
+      assert.equal(result.enabled.state, 'encrypted');
+      assert.equal(result.enabled.encryptedRecords, 2);
+      assert.match(result.enabledAgain, /already enabled/);
+
+      const [rawOrder] = result.rawOrders;
+      assert.equal(rawOrder.companyProfileId, 'company-a');
+      assert.equal(rawOrder.status, 1);
+      assert.equal(rawOrder.commissionedAtUtc, '2026-02-01T00:00:00.000Z');
+      assert.equal(rawOrder.title, undefined);
+      assert.equal(rawOrder.paymentGil, undefined);
+      assert.equal(typeof rawOrder.encryptedPayload.data, 'string');
+      const rawReceipt = result.rawOwnerState.find(record => record.key.includes('ownerReceipt'));
+      const rawRevision = result.rawOwnerState.find(record => record.key.includes('objectRevision'));
+      assert.equal(rawReceipt.value, undefined);
+      assert.ok(rawReceipt.encryptedPayload);
+      assert.equal(rawRevision.value, '3');
+      assert.equal(result.rawCrafters[0].displayName, 'Ari');
+      assert.equal(result.rawCrafters[0].wage, undefined);
+
+      assert.equal(result.unlockedOrder.title, 'Gil ledger');
+      assert.equal(result.unlockedOrder.paymentGil, 125000);
+      assert.equal(result.unlockedOrder.encryptedPayload, undefined);
+      assert.deepEqual(result.page.records.map(order => order.title), ['Gil ledger']);
+      assert.equal(result.ownerSettings['host.profile.ownerReceipt.order-1'], '{"paid":true}');
+      assert.equal(result.ownerSettings['host.profile.objectRevision.tradeOrders.order-1'], '3');
+
+      assert.equal(result.locked.locked, true);
+      assert.match(result.lockedRead, /encrypted and locked/);
+      assert.match(result.lockedWrite, /encrypted and locked/);
+      assert.equal(result.revisionApplied, true);
+      assert.equal(result.wrongPassphrase, false);
+      assert.equal(result.unlocked, true);
+      assert.deepEqual(result.crafters.map(crafter => crafter.wage), [900]);
+      assert.equal(result.reopened.locked, false);
+      await context.close();
+    } finally {
+      await browser.close();
+    }
+  });
+  test(`${name}: per-world listings answer cheapest-world and basket queries`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const world = (worldName, listings) => ({
+          worldId: worldName.length,
+          worldName,
+          listings: listings.map(([pricePerUnit, quantity, isHq = false]) => ({
+            pricePerUnit,
+            quantity,
+            isHq,
+            retainerName: 'Retainer'
+          }))
+        });
+        const entry = (itemId, fetchedAtUnix, worlds) => ({
+          key: `${itemId}@Aether`,
+          data: { itemId, dataCenter: 'Aether', fetchedAtUnix, dcAvgPrice: 100, worlds }
+        });
+        await IndexedDB.saveMarketDataBatch([
+          entry(5057, now, [
+            world('Gilgamesh', [[120, 5], [90, 2], [300, 10, true]]),
+            world('Jenova', [[100, 20]]),
+            world('Siren', [])
+          ]),
+          entry(5058, now, [
+            world('Gilgamesh', [[40, 99]]),
+            world('Jenova', [[35, 3], [80, 50, true]])
+          ]),
+          entry(9999, now - 7200, [world('Siren', [[1, 99]])])
+        ]);
+
+        const cheapest = await IndexedDB.getCheapestWorlds([5057, 5058, 1]);
+        const cheapestHq = await IndexedDB.getCheapestWorlds([5058], { hq: true });
+        const basket = await IndexedDB.getWorldBasketCosts([
+          { itemId: 5057, quantity: 6 },
+          { itemId: 5058, quantity: 10 },
+          { itemId: 5058, quantity: 2 }
+        ]);
+        const hqBasket = await IndexedDB.getWorldBasketCosts([{ itemId: 5058, quantity: 1, hq: true }]);
+        const fresh = await IndexedDB.getWorldBasketCosts([{ itemId: 9999 }], { cutoffUnix: now - 3600 });
+
+        await IndexedDB.saveMarketData('5058@Aether', {
+          itemId: 5058,
+          dataCenter: 'Aether',
+          fetchedAtUnix: now,
+          dcAvgPrice: 50,
+          worlds: [world('Jenova', [[30, 4]])]
+        });
+        const afterResave = await IndexedDB.getCheapestWorlds([5058]);
+        const staleDeleted = await IndexedDB.deleteStaleMarketData(now - 3600);
+        const afterStale = await IndexedDB.getCheapestWorlds([9999]);
+        await IndexedDB.clearMarketCache();
+        return {
+          cheapest,
+          cheapestHq,
+          basket,
+          hqBasket,
+          fresh,
+          afterResave,
+          staleDeleted,
+          afterStale,
+          afterClear: await IndexedDB.getWorldBasketCosts([{ itemId: 5057 }])
+        };
+      });
+
+      assert.deepEqual(
+        result.cheapest.map(item => [item.itemId, item.worlds.map(world => [world.worldName, world.price])]),
+        [
+          [5057, [['Gilgamesh', 90], ['Jenova', 100]]],
+          [5058, [['Jenova', 35], ['Gilgamesh', 40]]],
+          [1, []]
+        ]);
+      assert.equal(result.cheapest[0].worlds[0].quantity, 17);
+      assert.deepEqual(result.cheapestHq[0].worlds.map(world => [world.worldName, world.price, world.quantity]), [['Jenova', 80, 50]]);
+
+      assert.deepEqual(result.basket.map(world => world.worldName), ['Gilgamesh', 'Jenova']);
+      const [gilgamesh, jenova] = result.basket;
+      assert.equal(gilgamesh.complete, true);
+      assert.equal(gilgamesh.totalCost, 2 * 90 + 4 * 120 + 12 * 40);
+      assert.equal(jenova.totalCost, 6 * 100 + 3 * 35 + 9 * 80);
+      assert.deepEqual(result.basket[0].items.map(item => [item.itemId, item.quantity, item.purchasedQuantity]), [[5057, 6, 6], [5058, 12, 12]]);
+      assert.deepEqual(result.hqBasket.map(world => [world.worldName, world.complete, world.totalCost]), [
+        ['Jenova', true, 80],
+        ['Gilgamesh', false, 0]
+      ]);
+      assert.deepEqual(result.hqBasket[1].missingItemIds, [5058]);
+      assert.deepEqual(result.fresh, []);
+
+      assert.deepEqual(result.afterResave[0].worlds.map(world => [world.worldName, world.price]), [['Jenova', 30]]);
+      assert.equal(result.staleDeleted, 1);
+      assert.deepEqual(result.afterStale[0].worlds, []);
+      assert.deepEqual(result.afterClear, []);
+      await context.close();
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: forked plans share components until the last plan releases them`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.clearAllPlans();
+        await IndexedDB.purgeTrash(0);
+        const openDatabase = () => new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Personal');
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        const readComponents = async () => {
+          const database = await openDatabase();
+          const components = await new Promise((resolve, reject) => {
+            const request = database.transaction('planComponents').objectStore('planComponents').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          database.close();
+          return components;
+        };
+
+        await IndexedDB.savePlan({
+          id: 'fork-source',
+          name: 'Big Plan',
+          folder: 'What-if',
+          projectItems: [{ id: 1, name: 'Cobalt Ingot', quantity: 1 }],
+          planJson: '{"plan":"source"}',
+          marketIntelligenceJson: '{"evidence":"shared"}'
+        });
+        const fork = await IndexedDB.forkPlan('fork-source', 'Big Plan (HQ)');
+        const missing = await IndexedDB.forkPlan('fork-missing');
+        const sharedCount = (await readComponents()).length;
+
+        await IndexedDB.patchPlanAndProcurementRoute(fork.id, { planJson: '{"plan":"fork"}' });
+        await IndexedDB.patchPlanAndProcurementRoute('fork-source', { planJson: '{"plan":"source v2"}' });
+        const forkAfterEdits = await IndexedDB.loadPlan(fork.id);
+        const sourceAfterEdits = await IndexedDB.loadPlan('fork-source');
+
+        await IndexedDB.deletePlan('fork-source');
+        const forkAfterSourceDelete = await IndexedDB.loadPlan(fork.id);
+        const [trashed] = await IndexedDB.listTrash({ kind: 'plan' });
+        await IndexedDB.restoreFromTrash(trashed.id);
+        const sourceAfterRestore = await IndexedDB.loadPlan('fork-source');
+        const refCounts = (await readComponents())
+          .filter(component => component.refCount !== undefined)
+          .map(component => component.refCount);
+        const audit = await IndexedDB.auditStorage();
+
+        await IndexedDB.deletePlan(fork.id);
+        await IndexedDB.deletePlan('fork-source');
+        return {
+          fork,
+          missing,
+          sharedCount,
+          forkAfterEdits,
+          sourceAfterEdits,
+          forkEvidenceAfterSourceDelete: forkAfterSourceDelete.marketIntelligenceJson,
+          sourceAfterRestore: sourceAfterRestore.marketIntelligenceJson,
+          refCounts,
+          auditIssues: audit.issueCount,
+          componentsAfterDelete: (await readComponents()).length
+        };
+      });
+
+      assert.equal(result.fork.name, 'Big Plan (HQ)');
+      assert.notEqual(result.fork.id, 'fork-source');
+      assert.equal(result.fork.folder, 'What-if');
+      assert.equal(result.missing, null);
+      assert.equal(result.sharedCount, 2, 'a fork copies no payloads');
+      assert.equal(result.forkAfterEdits.planJson, '{"plan":"fork"}');
+      assert.equal(result.forkAfterEdits.marketIntelligenceJson, '{"evidence":"shared"}');
+      assert.equal(result.forkAfterEdits.sourcePlanId, 'fork-source');
+      assert.equal(result.sourceAfterEdits.planJson, '{"plan":"source v2"}');
+      assert.equal(result.forkEvidenceAfterSourceDelete, '{"evidence":"shared"}');
+      assert.equal(result.sourceAfterRestore, '{"evidence":"shared"}');
+      assert.ok(result.refCounts.length > 0 && result.refCounts.every(count => count === 2),
+        'a restored plan rejoins the components its fork still holds');
+      assert.equal(result.auditIssues, 0);
+      assert.equal(result.componentsAfterDelete, 0);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: payroll aggregates by crafter, period, status and order and exports CSV`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 45);
+
+      const result = await page.evaluate(async () => {
+        const companyProfileId = 'company-pay';
+        const material = (itemId, quantity, unitCost, evidenceSource = 'Universalis') =>
+          ({ itemId, name: `Item ${itemId}`, quantity, requiresHq: false, unitCost, evidenceSource });
+        await IndexedDB.saveTradeCompanyProfile({
+          id: companyProfileId,
+          name: 'Payroll Co',
+          paymentPolicy: { activeContract: 1, legacyCommissionPercent: 10, laborGilPerSynth: 100 }
+        });
+        await IndexedDB.saveTradeCrafter({ id: 'crafter-a', companyProfileId, displayName: 'Alice' });
+        await IndexedDB.saveTradeCrafter({ id: 'crafter-b', companyProfileId, displayName: 'Bob' });
+        await IndexedDB.saveTradePayrollDraft({
+          id: 'draft-1',
+          companyProfileId,
+          orderId: 'pay-1',
+          planSessionVersion: 1,
+          updatedAtUtc: '2026-03-02T10:00:00Z',
+          responsibilities: [{ itemId: 2, requiresHq: false, responsibility: 1 }]
+        });
+        const order = (id, fields) => IndexedDB.saveTradeOrder({
+          id,
+          companyProfileId,
+          title: id,
+          sourceSnapshot: { materials: [], craftLabor: [] },
+          ...fields
+        });
+        await order('pay-1', {
+          title: 'Ingots, rush',
+          status: 5,
+          assignedCrafterId: 'crafter-a',
+          commissionedAtUtc: '2026-03-02T10:00:00Z',
+          payrollDraftId: 'draft-1',
+          sourceSnapshot: {
+            materials: [material(1, 2, 100), material(2, 1, 50)],
+            craftLabor: [{ itemId: 10, name: 'Ingot', craftCount: 3 }]
+          }
+        });
+        await order('pay-2', {
+          title: '=HYPERLINK()',
+          status: 3,
+          assignedCrafterId: 'crafter-a',
+          commissionedAtUtc: '2026-03-04T10:00:00Z',
+          paymentPolicyOverride: { activeContract: 0, legacyCommissionPercent: 20, laborGilPerSynth: 200 },
+          sourceSnapshot: { materials: [material(1, 1, 1000), material(3, 1, 500, 'On hand')], craftLabor: [] }
+        });
+        await order('pay-3', {
+          status: 4,
+          assignedCrafterId: 'crafter-b',
+          commissionedAtUtc: '2026-04-10T10:00:00Z',
+          companyCommission: { settlementState: 2 },
+          sourceSnapshot: { materials: [], craftLabor: [{ itemId: 11, name: 'Rivets', craftCount: 5 }] }
+        });
+        await order('pay-4', {
+          status: 6,
+          commissionedAtUtc: '2026-04-12T10:00:00Z',
+          paymentPolicyOverride: { activeContract: 0, legacyCommissionPercent: 10, laborGilPerSynth: 200 },
+          sourceSnapshot: { materials: [material(1, 1, 10)], craftLabor: [] }
+        });
+        await IndexedDB.saveTradeOrder({
+          id: 'pay-other',
+          companyProfileId: 'company-other',
+          status: 5,
+          commissionedAtUtc: '2026-03-02T10:00:00Z'
+        });
+
+        const summarize = aggregation => aggregation.groups.map(group =>
+          [group.key, group.label, group.orderCount, group.total, group.paidTotal, group.unpaidTotal]);
+        const march = await IndexedDB.aggregateTradePayroll({
+          companyProfileId,
+          groupBy: 'order',
+          from: '2026-03-01',
+          to: '2026-03-31'
+        });
+        return {
+          byCrafter: await IndexedDB.aggregateTradePayroll({ companyProfileId }),
+          byMonth: summarize(await IndexedDB.aggregateTradePayroll({ companyProfileId, groupBy: 'period' })),
+          byWeek: summarize(await IndexedDB.aggregateTradePayroll({ companyProfileId, groupBy: 'period', period: 'week' })),
+          byStatus: summarize(await IndexedDB.aggregateTradePayroll({ companyProfileId, groupBy: 'status' })),
+          march: march.groups.map(group => [group.key, group.contract, group.laborLines, group.crafterName]),
+          completed: summarize(await IndexedDB.aggregateTradePayroll({ companyProfileId, groupBy: 'order', statuses: [5] })),
+          crafterCsv: await IndexedDB.exportTradePayrollCsv({ companyProfileId }),
+          orderCsv: await IndexedDB.exportTradePayrollCsv({ companyProfileId, groupBy: 'order', to: '2026-03-31' }),
+          badGrouping: await IndexedDB.aggregateTradePayroll({ companyProfileId, groupBy: 'world' })
+            .then(() => null, error => error.message)
+        };
+      });
+
+      assert.deepEqual(
+        result.byCrafter.groups.map(group =>
+          [group.key, group.label, group.orderCount, group.total, group.paidTotal, group.unpaidTotal]),
+        [
+          ['crafter-a', 'Alice', 2, 1800, 500, 1300],
+          ['crafter-b', 'Bob', 1, 500, 500, 0],
+          ['', 'Unassigned', 1, 11, 0, 0]
+        ]);
+      assert.equal(result.byCrafter.totals.orderCount, 4);
+      assert.equal(result.byCrafter.totals.total, 2311);
+      assert.equal(result.byCrafter.totals.unpaidTotal, 1300);
+      assert.deepEqual(result.byMonth.map(group => [group[0], group[3]]), [['2026-03', 1800], ['2026-04', 511]]);
+      assert.deepEqual(result.byWeek.map(group => group[0]), ['2026-03-02', '2026-04-06']);
+      assert.deepEqual(result.byStatus.map(group => group[0]),
+        ['InProgress', 'AwaitingDelivery', 'Completed', 'Canceled']);
+      assert.deepEqual(result.march, [
+        ['pay-1', 'LaborStandard', [{ itemId: 10, name: 'Ingot', craftCount: 3, laborTotal: 300 }], 'Alice'],
+        ['pay-2', 'LegacyCommission', [], 'Alice']
+      ]);
+      assert.deepEqual(result.completed, [['pay-1', 'Ingots, rush', 1, 500, 500, 0]]);
+      assert.equal(result.crafterCsv.split('\r\n')[0],
+        'crafter,Name,Orders,Procurement,Material reimbursement,Commission,Craft labor,Synths,Total,Paid,Unpaid');
+      assert.equal(result.crafterCsv.split('\r\n')[1], 'crafter-a,Alice,2,1750,1200,300,300,3,1800,500,1300');
+      assert.equal(result.crafterCsv.split('\r\n')[4], ',Total,4,1760,1210,301,800,8,2311,1000,1300');
+      assert.match(result.orderCsv, /^pay-1,"Ingots, rush",Completed,Alice,2026-03-02T10:00:00Z,LaborStandard,/m);
+      assert.match(result.orderCsv, /^pay-2,'=HYPERLINK\(\),InProgress,/m);
+      assert.match(result.badGrouping, /cannot be grouped/);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: install markers are stamped per browser and survive backup restores`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const initial = await IndexedDB.readStorageInstallMarkers();
+        const stamped = await IndexedDB.writeStorageInstallMarkers('install-a', ['personal', 'market', 'company']);
+        const again = await IndexedDB.writeStorageInstallMarkers('install-a', ['personal', 'market', 'company']);
+        const archive = await IndexedDB.exportBrowserBackup();
+
+        const foreign = JSON.parse(JSON.stringify(archive));
+        foreign.databases.personal.storageMetadata.push({ id: 'install-marker', installId: 'install-b' });
+        foreign.manifest.databases.personal.counts.storageMetadata += 1;
+        const restored = await IndexedDB.restoreBrowserBackup(foreign);
+        const afterRestore = await IndexedDB.readStorageInstallMarkers();
+
+        let rejected = null;
+        try {
+          await IndexedDB.writeStorageInstallMarkers('', ['personal']);
+        } catch (error) {
+          rejected = error.message;
+        }
+        return {
+          initial,
+          stamped,
+          again,
+          archivedMetadata: archive.databases.personal.storageMetadata.map(record => record.id),
+          restored: restored.restored,
+          afterRestore,
+          rejected
+        };
+      });
+
+      assert.equal(result.initial.personal.marker, null);
+      assert.equal(result.initial.engine.existed, false);
+      assert.equal(result.initial.engine.marker, null);
+      assert.equal(result.stamped.company.installId, 'install-a');
+      assert.deepEqual(result.stamped.company.domains, ['personal', 'market', 'company']);
+      assert.equal(result.again.personal.createdAtUtc, result.stamped.personal.createdAtUtc);
+      assert.ok(!result.archivedMetadata.includes('install-marker'), 'backups must not carry the install marker');
+      assert.equal(result.restored, true);
+      assert.equal(result.afterRestore.personal.marker.installId, 'install-a', 'restore keeps this browser\'s marker');
+      assert.equal(result.afterRestore.market.marker.installId, 'install-a');
+      assert.match(result.rejected, /install id is required/);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: oversized plan components live in OPFS files until their last reference goes`, { timeout: 60_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        // Base64 of random bytes stays above the file threshold after gzip.
+        const randomText = () => {
+          const bytes = new Uint8Array(1536 * 1024);
+          for (let offset = 0; offset < bytes.length; offset += 65536) {
+            crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+          }
+          let text = '';
+          for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            text += btoa(String.fromCharCode(...bytes.subarray(offset, offset + 0x8000)));
+          }
+          return text;
+        };
+        const readComponent = async planId => {
+          const database = await new Promise((resolve, reject) => {
+            const request = indexedDB.open('FFXIVCraftArchitect.Personal');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          const components = await new Promise((resolve, reject) => {
+            const request = database.transaction('planComponents').objectStore('planComponents')
+              .index('planId').getAll(planId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          });
+          database.close();
+          return components.find(component => component.field === 'planJson');
+        };
+        const directory = async () =>
+          await (await navigator.storage.getDirectory()).getDirectoryHandle('plan-components');
+        const fileNames = async () => {
+          const names = [];
+          for await (const name of (await directory()).keys()) names.push(name);
+          return names;
+        };
+        const waitForRemoval = async name => {
+          for (let attempt = 0; attempt < 100; attempt++) {
+            if (!(await fileNames()).includes(name)) return true;
+            await new Promise(resolve => setTimeout(resolve, 20));
+          }
+          return false;
+        };
+
+        const big = randomText();
+        await IndexedDB.savePlan({ id: 'blob-plan', name: 'Blob Plan', planJson: big, planStateJson: '{"small":true}' });
+        const component = await readComponent('blob-plan');
+        const loaded = await IndexedDB.loadPlan('blob-plan');
+        const archive = await IndexedDB.exportBrowserBackup();
+        const archived = archive.databases.personal.planComponents.find(record => record.id === component.id);
+
+        await IndexedDB.deletePlan('blob-plan');
+        const keptForTrash = (await fileNames()).includes(component.blob.name);
+        const [trashed] = await IndexedDB.listTrash({ kind: 'plan' });
+        await IndexedDB.restoreFromTrash(trashed.id);
+        const restored = await IndexedDB.loadPlan('blob-plan');
+
+        const handle = await (await directory()).getFileHandle(component.blob.name);
+        const original = new Uint8Array(await (await handle.getFile()).arrayBuffer());
+        const corrupted = original.slice();
+        corrupted[corrupted.length >> 1] ^= 0xFF;
+        let writable = await handle.createWritable();
+        await writable.write(corrupted);
+        await writable.close();
+        let corruptError = null;
+        try {
+          await IndexedDB.loadPlan('blob-plan');
+        } catch (error) {
+          corruptError = error.message;
+        }
+        writable = await handle.createWritable();
+        await writable.write(original);
+        await writable.close();
+
+        // Pushing the big version out of history releases its component.
+        for (let version = 0; version <= 10; version++) {
+          await IndexedDB.savePlan({ id: 'blob-plan', name: 'Blob Plan', planJson: `{"version":${version}}` });
+        }
+        const removedWithHistory = await waitForRemoval(component.blob.name);
+
+        await IndexedDB.savePlan({ id: 'purged-plan', name: 'Purged Plan', planJson: randomText() });
+        const purgedComponent = await readComponent('purged-plan');
+        await IndexedDB.deletePlan('purged-plan');
+        await IndexedDB.purgeTrash(0);
+        const removedWithTrash = await waitForRemoval(purgedComponent.blob.name);
+
+        return {
+          component: { ...component, payload: component.payload === null ? null : 'inline' },
+          roundTrip: loaded.planJson === big && loaded.planStateJson === '{"small":true}',
+          archived: archived && !archived.blob && archived.payload === big,
+          keptForTrash,
+          restoredRoundTrip: restored.planJson === big,
+          corruptError,
+          removedWithHistory,
+          removedWithTrash
+        };
+      });
+
+      assert.equal(result.component.payload, null);
+      assert.equal(result.component.blob.backend, 'opfs');
+      assert.equal(result.component.encoding, 'gzip');
+      assert.ok(result.component.blob.sizeBytes >= 1024 * 1024);
+      assert.equal(typeof result.component.blob.crc32, 'number');
+      assert.equal(result.roundTrip, true);
+      assert.equal(result.archived, true, 'backups carry the payload inline');
+      assert.equal(result.keptForTrash, true, 'a trashed plan keeps its component files');
+      assert.equal(result.restoredRoundTrip, true);
+      assert.match(result.corruptError, /file is corrupt/);
+      assert.equal(result.removedWithHistory, true);
+      assert.equal(result.removedWithTrash, true);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: bulk market reads can include stale entries and plan their refresh order`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const save = (itemId, age) => IndexedDB.saveMarketData(`${itemId}@Aether`, {
+          itemId,
+          dataCenter: 'Aether',
+          fetchedAtUnix: now - age,
+          dcAvgPrice: itemId,
+          worlds: []
+        });
+        await save(1, 60);
+        await save(2, 7200);
+        await save(3, 90_000);
+        await save(4, 7200);
+        const keys = ['1@Aether', '2@Aether', '3@Aether', '4@Aether', '5@Aether', '6@Aether'];
+        const cutoffUnix = now - 3600;
+
+        const freshOnly = await IndexedDB.loadMarketDataBulk(keys, cutoffUnix);
+        const withStale = await IndexedDB.loadMarketDataBulk(keys, cutoffUnix, { includeStale: true });
+        const plan = await IndexedDB.getRefreshPlan(keys, {
+          cutoffUnix,
+          quantities: { '2@Aether': 12, '4@Aether': 12, '3@Aether': 1, '6@Aether': 40 },
+          batchSize: 2
+        });
+        const limited = await IndexedDB.getRefreshPlan(keys, { cutoffUnix, limit: 1 });
+        let rejected = null;
+        try {
+          await IndexedDB.getRefreshPlan(keys, {});
+        } catch (error) {
+          rejected = error.message;
+        }
+        return {
+          freshOnly: freshOnly.map(entry => [entry.key, entry.freshness]),
+          withStale: withStale
+            .map(entry => [entry.key, entry.freshness, entry.ageSeconds >= 0])
+            .sort((a, b) => a[0].localeCompare(b[0])),
+          staleAge: withStale.find(entry => entry.key === '3@Aether').ageSeconds,
+          fresh: plan.fresh,
+          refresh: plan.refresh.map(entry => [entry.key, entry.state, entry.quantity]),
+          batches: plan.batches,
+          limited: limited.refresh.map(entry => entry.key),
+          rejected
+        };
+      });
+
+      assert.deepEqual(result.freshOnly, [['1@Aether', 'fresh']]);
+      assert.deepEqual(result.withStale, [
+        ['1@Aether', 'fresh', true],
+        ['2@Aether', 'stale', true],
+        ['3@Aether', 'stale', true],
+        ['4@Aether', 'stale', true]
+      ]);
+      assert.ok(result.staleAge >= 90_000);
+      assert.deepEqual(result.fresh, ['1@Aether']);
+      // Missing first, then larger quantity, then older; equal entries fall back to key order.
+      assert.deepEqual(result.refresh, [
+        ['6@Aether', 'missing', 40],
+        ['5@Aether', 'missing', 0],
+        ['2@Aether', 'stale', 12],
+        ['4@Aether', 'stale', 12],
+        ['3@Aether', 'stale', 1]
+      ]);
+      assert.deepEqual(result.batches, [['6@Aether', '5@Aether'], ['2@Aether', '4@Aether'], ['3@Aether']]);
+      assert.deepEqual(result.limited, ['5@Aether']);
+      assert.match(result.rejected, /cutoffUnix/);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test(`${name}: storage audit keeps engine undo history and drops broken history revisions`, { timeout: 30_000 }, async () => {
+    const browser = await browserType.launch({ headless: true });
+    try {
+      const page = await browser.newPage();
+      await page.goto(origin, { waitUntil: 'load' });
+      await page.waitForFunction(() => window.IndexedDB?.moduleRevision === 53);
+
+      const result = await page.evaluate(async () => {
+        await IndexedDB.writeStorageInstallMarkers('audit-history', ['engine']);
+        const database = await new Promise((resolve, reject) => {
+          const request = indexedDB.open('FFXIVCraftArchitect.Engine');
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        const stores = ['engineSessionManifests', 'engineSessionRevisions', 'engineSessionComponents'];
+        const seed = manifest => new Promise((resolve, reject) => {
+          const transaction = database.transaction(stores, 'readwrite');
+          transaction.objectStore('engineSessionManifests').put(manifest);
+          for (const revision of [1, 2, 3, 4, 5]) {
+            const componentId = `active:${revision}:revisionMarkerJson`;
+            transaction.objectStore('engineSessionRevisions').put({
+              id: `active:${revision}`,
+              schemaVersion: 2,
+              revision,
+              storedPlanMetadata: null,
+              componentRefs: { revisionMarkerJson: componentId }
+            });
+            if (revision !== 3) {
+              transaction.objectStore('engineSessionComponents').put({
+                id: componentId,
+                schemaVersion: 1,
+                field: 'revisionMarkerJson',
+                encoding: 'identity',
+                payload: JSON.stringify({ schemaVersion: 1, revision })
+              });
+            }
+          }
+          transaction.oncomplete = resolve;
+          transaction.onerror = () => reject(transaction.error);
+        });
+        await seed({
+          id: 'active',
+          schemaVersion: 2,
+          activeRevision: 5,
+          previousRevision: 3,
+          undoRevisions: [2, 3],
+          redoRevisions: [4]
+        });
+        const scan = await IndexedDB.auditStorage();
+        const repair = await IndexedDB.auditStorage({ repair: true });
+        const read = () => new Promise((resolve, reject) => {
+          const transaction = database.transaction(stores, 'readonly');
+          const manifest = transaction.objectStore('engineSessionManifests').get('active');
+          const revisions = transaction.objectStore('engineSessionRevisions').getAllKeys();
+          transaction.oncomplete = () => resolve({ manifest: manifest.result, revisions: revisions.result.sort() });
+          transaction.onerror = () => reject(transaction.error);
+        });
+        const after = await read();
+        database.close();
+        return {
+          scanCounts: scan.issueCounts,
+          manifestIssue: scan.issues.find(issue => issue.kind === 'danglingManifest')?.detail,
+          repaired: repair.repairedCount,
+          remaining: repair.remainingIssueCount,
+          after
+        };
+      });
+
+      assert.deepEqual(result.scanCounts, { danglingManifest: 1, orphanRevision: 2, orphanComponent: 1 },
+        'revisions on the undo and redo stacks are retained; only revision 1 and the broken revision 3 are orphans');
+      assert.match(result.manifestIssue, /history revision 3 missing/);
+      assert.equal(result.repaired, 4);
+      assert.equal(result.remaining, 0);
+      assert.equal(result.after.manifest.activeRevision, 5);
+      assert.deepEqual(result.after.manifest.undoRevisions, [2]);
+      assert.deepEqual(result.after.manifest.redoRevisions, [4]);
+      assert.equal(result.after.manifest.previousRevision, 2);
+      assert.deepEqual(result.after.revisions, ['active:2', 'active:4', 'active:5']);
+    } finally {
+      await browser.close();
+    }
+  });
 }
 
 test('static cache buster matches module revision', async () => {